@@ -1,10 +1,14 @@
 const express = require('express');
 const fs = require('fs').promises;
 const path = require('path');
+const { spawn } = require('child_process');
 const archiver = require('archiver');
 const { NodeSSH } = require('node-ssh');
 const { logger } = require('../utils/logger');
-const { getBackups, getClient } = require('../utils/database');
+const { getBackups, getClient, getClientByName } = require('../utils/database');
+const { compression } = require('../utils/compression');
+const archiveVolumes = require('../utils/archive-volumes');
+const { storageManager } = require('../storage/storageManager');
 const AuthMiddleware = require('../middleware/auth');
 
 const router = express.Router();
@@ -28,12 +32,26 @@ router.get('/client/:clientName', AuthMiddleware.requireClientAccess, async (req
                 let size = 0;
                 let fileCount = 0;
 
-                if (backup.path) {
+                if (storageManager.isRemote(backup)) {
+                    // Backup rangé sur une destination de stockage: objets listés sans téléchargement
+                    try {
+                        const objects = await storageManager.listStoredObjects(backup);
+                        verified = objects.length > 0;
+                        size = objects.reduce((sum, object) => sum + object.size, 0);
+                        fileCount = storageManager.isDirectoryKey(backup.path) ? objects.length : (verified ? 1 : 0);
+                    } catch (error) {
+                        logger.warn(`Backup inaccessible sur ${backup.storage}: ${error.message}`, { backup_id: backup.backup_id });
+                    }
+                } else if (backup.path) {
                     try {
                         const stats = await fs.stat(backup.path);
                         verified = stats.isFile() || stats.isDirectory();
                         
-                        if (stats.isFile()) {
+                        if (archiveVolumes.isManifestPath(backup.path)) {
+                            // Archive découpée: somme des volumes présents
+                            size = await archiveVolumes.getSplitArchiveSize(backup.path);
+                            fileCount = 1;
+                        } else if (stats.isFile()) {
                             size = stats.size;
                             fileCount = 1;
                         } else if (stats.isDirectory()) {
@@ -88,11 +106,55 @@ router.get('/download/:backupId', AuthMiddleware.requireClientAccess, async (req
         }
 
         try {
-            const stats = await fs.stat(backup.path);
+            // Dossier rangé sur une destination de stockage: copie locale le temps du téléchargement
+            let local = null;
+            if (storageManager.isRemote(backup) && storageManager.isDirectoryKey(backup.path)) {
+                local = await storageManager.materialize(backup);
+                res.on('close', () => local.release().catch(() => {}));
+            }
+            const backupPath = local ? local.path : backup.path;
+            const streamed = archiveVolumes.isManifestPath(backup.path) || (storageManager.isRemote(backup) && !local);
+            const stats = streamed ? null : await fs.stat(backupPath);
             
-            if (stats.isFile()) {
-                // Fichier simple - téléchargement direct
-                res.download(backup.path, `${backup.client_name}_${backup.backup_id}.backup`, (err) => {
+            if (streamed) {
+                // Archive découpée (volumes envoyés bout à bout, refusée si un volume manque)
+                // ou archive lue depuis sa destination de stockage
+                let archive;
+                try {
+                    archive = await storageManager.openArchiveStream(backup);
+                } catch (error) {
+                    if (error.code === 'VOLUMES_INCOMPLETE') {
+                        return res.status(409).json({ error: error.message, missing: error.missing, corrupt: error.corrupt });
+                    }
+                    throw error;
+                }
+
+                const extension = archive.codec ? compression.getCodec(archive.codec).extension : '.backup';
+                res.setHeader('Content-Disposition', `attachment; filename="${backup.client_name}_${backup.backup_id}${extension}"`);
+                res.setHeader('Content-Type', archive.codec ? compression.getCodec(archive.codec).contentType : 'application/octet-stream');
+                res.setHeader('Content-Length', archive.size);
+
+                archive.stream.on('error', (err) => {
+                    logger.error('Erreur lors du téléchargement:', err);
+                    if (!res.headersSent) {
+                        res.status(500).json({ error: 'Erreur lors du téléchargement' });
+                    } else {
+                        res.destroy();
+                    }
+                });
+                archive.stream.on('end', () => {
+                    const details = archive.manifest ? ` (${archive.manifest.volumes.length} volumes)` : ` depuis ${backup.storage}`;
+                    logger.info(`Backup téléchargé: ${backupId}${details} par ${req.user.username}`);
+                });
+                res.on('close', () => {
+                    if (!archive.stream.destroyed) archive.stream.destroy();
+                });
+                archive.stream.pipe(res);
+            } else if (stats.isFile()) {
+                // Fichier simple - téléchargement direct, extension selon le codec détecté
+                const codec = await compression.detect(backupPath);
+                const extension = codec ? compression.getCodec(codec).extension : '.backup';
+                res.download(backupPath, `${backup.client_name}_${backup.backup_id}${extension}`, (err) => {
                     if (err) {
                         logger.error('Erreur lors du téléchargement:', err);
                         if (!res.headersSent) {
@@ -102,15 +164,17 @@ router.get('/download/:backupId', AuthMiddleware.requireClientAccess, async (req
                         logger.info(`Backup téléchargé: ${backupId} par ${req.user.username}`);
                     }
                 });
-            } else if (stats.isDirectory()) {
-                // Dossier - créer un ZIP à la volée
+            } else if (stats.isDirectory() && req.query.format === 'zip') {
+                // Dossier - ZIP à la volée sur demande (niveau modéré: la compression se fait sur le serveur)
                 const zipName = `${backup.client_name}_${backup.backup_id}.zip`;
                 
                 res.setHeader('Content-Type', 'application/zip');
                 res.setHeader('Content-Disposition', `attachment; filename="${zipName}"`);
 
+                // 0 (stockage sans compression) est un niveau valide
+                const zipLevel = parseInt(process.env.DOWNLOAD_ZIP_LEVEL);
                 const archive = archiver('zip', {
-                    zlib: { level: 9 }
+                    zlib: { level: Number.isInteger(zipLevel) ? zipLevel : 1 }
                 });
 
                 archive.on('error', (err) => {
@@ -121,10 +185,45 @@ router.get('/download/:backupId', AuthMiddleware.requireClientAccess, async (req
                 });
 
                 archive.pipe(res);
-                archive.directory(backup.path, false);
+                archive.directory(backupPath, false);
                 archive.finalize();
 
                 logger.info(`Backup compressé et téléchargé: ${backupId} par ${req.user.username}`);
+            } else if (stats.isDirectory()) {
+                // Dossier - archive tar à la volée avec la compression du client
+                const client = await getClientByName(backup.client_name);
+                const settings = await compression.resolveForServer(client && client.compression);
+                const archiveName = `${backup.client_name}_${backup.backup_id}${compression.getArchiveExtension(settings)}`;
+                
+                res.setHeader('Content-Type', compression.getCodec(settings.codec).contentType);
+                res.setHeader('Content-Disposition', `attachment; filename="${archiveName}"`);
+
+                const tar = compression.spawnDirectoryArchive(backupPath, settings);
+                let stderr = '';
+
+                tar.stderr.on('data', (data) => {
+                    stderr += data.toString();
+                });
+                tar.on('error', (err) => {
+                    logger.error('Erreur lors de la compression:', err);
+                    if (!res.headersSent) {
+                        res.status(500).json({ error: 'Erreur lors de la compression' });
+                    }
+                });
+                tar.on('close', (code) => {
+                    if (code !== 0 && code !== null) {
+                        logger.error(`Archive de téléchargement incomplète pour ${backupId} (code ${code}): ${stderr.trim().slice(-500)}`);
+                        res.destroy();
+                    }
+                });
+                // Téléchargement interrompu par le navigateur: arrêter tar
+                res.on('close', () => {
+                    if (tar.exitCode === null) tar.kill();
+                });
+
+                tar.stdout.pipe(res);
+
+                logger.info(`Backup compressé (${compression.describe(settings)}) et téléchargé: ${backupId} par ${req.user.username}`);
             } else {
                 return res.status(404).json({ error: 'Type de fichier non supporté' });
             }
@@ -206,6 +305,26 @@ router.post('/test-restore/:backupId', AuthMiddleware.requireClientAccess, async
 
 // Fonctions utilitaires
 
+/**
+ * Lecture complète d'une archive ouverte par archiveVolumes.openArchive (décompression et structure tar)
+ * @returns {Promise<{valid: boolean, error: string|null}>}
+ */
+function testArchive(archive) {
+    return new Promise((resolve) => {
+        const tar = spawn('tar', ['-t', ...archive.readArgs, '-f', archive.file], { stdio: ['pipe', 'ignore', 'pipe'] });
+        archive.attach(tar);
+        let stderr = '';
+
+        tar.stderr.on('data', (data) => {
+            stderr += data.toString();
+        });
+        tar.on('error', (error) => resolve({ valid: false, error: error.message }));
+        tar.on('close', (code) => {
+            resolve(code === 0 ? { valid: true, error: null } : { valid: false, error: stderr.trim().slice(-500) || `code ${code}` });
+        });
+    });
+}
+
 async function getDirectoryStats(dirPath) {
     let totalSize = 0;
     let fileCount = 0;
@@ -244,34 +363,75 @@ async function verifyBackupIntegrity(backup) {
         errors: []
     };
 
+    let local = null;
     try {
         if (!backup.path) {
             verification.errors.push('Chemin de backup non défini');
             return verification;
         }
 
+        // Backup rangé sur une destination de stockage: vérifié sur une copie locale
+        if (storageManager.isRemote(backup)) {
+            verification.storage = backup.storage;
+            local = await storageManager.materialize(backup);
+        }
+        const backupPath = local ? local.path : backup.path;
+
         // Vérifier l'existence
-        const stats = await fs.stat(backup.path);
+        const stats = await fs.stat(backupPath);
         verification.exists = true;
 
         // Vérifier la lisibilité
-        await fs.access(backup.path, fs.constants.R_OK);
+        await fs.access(backupPath, fs.constants.R_OK);
         verification.readable = true;
 
-        if (stats.isFile()) {
-            // Fichier simple
+        if (archiveVolumes.isManifestPath(backupPath)) {
+            // Archive découpée: présence, taille et SHA-256 de chaque volume, puis lecture des volumes bout à bout
+            const check = await archiveVolumes.checkVolumes(backupPath, { checksums: true });
+            verification.volumes = {
+                count: check.manifest.volumes.length,
+                split_size: check.manifest.split_size,
+                missing: check.missing,
+                corrupt: check.corrupt
+            };
+            verification.size_match = Math.abs(check.manifest.total_size - (backup.size_mb * 1024 * 1024)) < 1024 * 1024;
+            verification.file_count_match = backup.file_count === 1;
+
+            const problem = archiveVolumes.describeProblems(check);
+            if (problem) {
+                verification.errors.push(problem);
+            } else {
+                const archive = await archiveVolumes.openArchive(backupPath);
+                verification.compression = archive.codec;
+                const archiveTest = await testArchive(archive);
+                verification.structure_valid = archiveTest.valid;
+                if (!archiveTest.valid) {
+                    verification.errors.push(`Archive ${archive.codec} illisible: ${archiveTest.error}`);
+                }
+            }
+        } else if (stats.isFile()) {
+            // Fichier simple: une archive tar est lue entièrement avec le codec détecté
             verification.size_match = Math.abs(stats.size - (backup.size_mb * 1024 * 1024)) < 1024 * 1024;
             verification.file_count_match = backup.file_count === 1;
-            verification.structure_valid = true;
+            verification.compression = await compression.detect(backupPath);
+            if (verification.compression) {
+                const archiveTest = await testArchive(await archiveVolumes.openArchive(backupPath));
+                verification.structure_valid = archiveTest.valid;
+                if (!archiveTest.valid) {
+                    verification.errors.push(`Archive ${verification.compression} illisible: ${archiveTest.error}`);
+                }
+            } else {
+                verification.structure_valid = true;
+            }
         } else if (stats.isDirectory()) {
             // Dossier
-            const dirStats = await getDirectoryStats(backup.path);
+            const dirStats = await getDirectoryStats(backupPath);
             verification.size_match = Math.abs(dirStats.size - (backup.size_mb * 1024 * 1024)) < 1024 * 1024;
             verification.file_count_match = dirStats.fileCount === backup.file_count;
             verification.structure_valid = true;
 
             // Vérifier quelques fichiers clés
-            const sampleFiles = await getSampleFiles(backup.path, 5);
+            const sampleFiles = await getSampleFiles(backupPath, 5);
             for (const file of sampleFiles) {
                 try {
                     await fs.access(file, fs.constants.R_OK);
@@ -283,6 +443,8 @@ async function verifyBackupIntegrity(backup) {
 
     } catch (error) {
         verification.errors.push(`Erreur de vérification: ${error.message}`);
+    } finally {
+        if (local) await local.release();
     }
 
     return verification;
@@ -328,9 +490,17 @@ async function simulateRestore(backup, testPath = null) {
 
     try {
         // Vérifier l'espace disponible
-        if (backup.path) {
+        if (storageManager.isRemote(backup)) {
+            result.required_space = await storageManager.getSize(backup);
+            result.estimated_time = Math.ceil(result.required_space / (50 * 1024 * 1024)); // 50 MB/s estimé
+            result.recommendations.push(`Backup stocké sur ${backup.storage}: téléchargement préalable à la restauration`);
+        } else if (backup.path) {
             const stats = await fs.stat(backup.path);
-            result.required_space = stats.isFile() ? stats.size : (await getDirectoryStats(backup.path)).size;
+            if (archiveVolumes.isManifestPath(backup.path)) {
+                result.required_space = (await archiveVolumes.readManifest(backup.path)).total_size;
+            } else {
+                result.required_space = stats.isFile() ? stats.size : (await getDirectoryStats(backup.path)).size;
+            }
             result.estimated_time = Math.ceil(result.required_space / (50 * 1024 * 1024)); // 50 MB/s estimé
         }
 
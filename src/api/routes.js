@@ -9,6 +9,7 @@ const {
     updateClient, 
     deleteClient,
     getBackups,
+    getBackup,
     getBackupStats,
     addSchedule,
     getSchedules,
@@ -17,6 +18,8 @@ const {
     setSetting,
     getNetworkStats,
     getNetworkStatsByClient,
+    getStorageDestinationByName,
+    getReplicationStats,
     db
 } = require('../utils/database');
 const backupScheduler = require('../backup/scheduler');
@@ -24,6 +27,130 @@ const systemMonitor = require('../monitor/systemMonitor');
 const { testNotificationConfig } = require('../utils/notification');
 const AuthMiddleware = require('../middleware/auth');
 const i18n = require('../utils/i18n-server');
+const { validateAuthFields } = require('../utils/ssh-auth');
+const { parseDatabaseJobs, validateDatabaseJobs, mergeDatabaseJobs, maskDatabaseJobs } = require('../utils/database-dumps');
+const { backupHooks } = require('../utils/backup-hooks');
+const { throttling } = require('../utils/throttling');
+const { backupCalendar } = require('../utils/backup-calendar');
+const { JOB_PRIORITIES, validateDestinationLimits } = require('../utils/job-queue');
+const { compression: compressionService } = require('../utils/compression');
+const archiveVolumes = require('../utils/archive-volumes');
+const { storageManager, LOCAL_DESTINATION } = require('../storage/storageManager');
+
+// Modes de stockage des backups Linux (vide = valeur de LINUX_BACKUP_MODE)
+const LINUX_BACKUP_MODES = ['stream', 'staging', 'snapshot'];
+
+// Ne jamais renvoyer les secrets d'authentification d'un client dans une réponse API
+// Les commandes des hooks peuvent contenir des identifiants: réservées à qui voit tous les clients
+function sanitizeClient(client, { includeHooks = true } = {}) {
+    const { password: _password, private_key, passphrase: _passphrase, database_jobs, backup_hooks, ...clientData } = client;
+    return {
+        ...clientData,
+        has_private_key: !!private_key,
+        database_jobs: maskDatabaseJobs(database_jobs),
+        ...(includeHooks ? { backup_hooks } : { has_backup_hooks: !!backup_hooks })
+    };
+}
+
+// Tâches de dump reçues par l'API -> JSON stocké (un mot de passe absent conserve celui enregistré)
+function prepareDatabaseJobs(jobs, client = null) {
+    if (jobs === undefined || jobs === null) return { value: null };
+
+    const error = validateDatabaseJobs(jobs);
+    if (error) return { error };
+
+    const merged = mergeDatabaseJobs(jobs, parseDatabaseJobs(client && client.database_jobs));
+    return { value: merged.length > 0 ? JSON.stringify(merged) : null };
+}
+
+// Hooks avant/après backup reçus par l'API -> JSON stocké
+function prepareBackupHooks(hooks) {
+    if (hooks === undefined || hooks === null) return { value: null };
+
+    const error = backupHooks.validateHooks(hooks);
+    if (error) return { error };
+
+    const parsed = backupHooks.parseHooks(hooks);
+    return { value: parsed.pre.length > 0 || parsed.post.length > 0 ? JSON.stringify(hooks) : null };
+}
+
+// Profils de limitation de débit/priorité reçus par l'API -> JSON stocké
+function prepareThrottleProfiles(profiles) {
+    if (profiles === undefined || profiles === null) return { value: null };
+
+    const error = throttling.validateProfiles(profiles);
+    if (error) return { error };
+
+    return { value: profiles.length > 0 ? JSON.stringify(profiles) : null };
+}
+
+// Fenêtres de backup et périodes de gel reçues par l'API (client ou paramètre global) -> JSON stocké
+function prepareBackupWindows(config) {
+    if (config === undefined || config === null || config === '') return { value: null };
+
+    const error = backupCalendar.validateConfig(config);
+    if (error) return { error };
+
+    const parsed = backupCalendar.parseConfig(config);
+    const isEmpty = parsed.windows.length === 0 && parsed.blackouts.length === 0 && !parsed.on_outside && !parsed.on_overrun;
+    return { value: isEmpty ? null : JSON.stringify(config) };
+}
+
+// Compression des archives reçue par l'API ({ codec, level }) -> JSON stocké (vide = réglage global)
+function prepareCompression(settings) {
+    if (settings === undefined || settings === null || settings === '') return { value: null };
+
+    const error = compressionService.validate(settings);
+    if (error) return { error };
+
+    return { value: JSON.stringify(settings) };
+}
+
+// Taille des volumes d'archive reçue par l'API (Mo, 0 = pas de découpage, vide = ARCHIVE_SPLIT_SIZE_MB)
+function prepareSplitSize(value) {
+    if (value === undefined || value === null || value === '') return { value: null };
+
+    const splitSize = Number(value);
+    const error = archiveVolumes.validateSplitSize(splitSize);
+    if (error) return { error };
+
+    return { value: splitSize };
+}
+
+// Destination de stockage d'un client: nom d'une destination enregistrée, 'local' (disque du serveur)
+// ou vide (DEFAULT_STORAGE_DESTINATION)
+async function prepareStorageDestination(value) {
+    if (value === undefined || value === null || value === '') return { value: null };
+    if (typeof value !== 'string') return { error: 'storage_destination doit être un nom de destination' };
+    if (value === LOCAL_DESTINATION) return { value };
+
+    const destination = await getStorageDestinationByName(value);
+    if (!destination) return { error: `Destination de stockage inconnue: ${value}` };
+
+    return { value };
+}
+
+// Destinations de réplication d'un client: tableau (ou liste séparée par des virgules) de destinations
+// enregistrées -> JSON stocké. Vide = REPLICATION_DESTINATIONS, [] = aucune copie.
+async function prepareReplicationDestinations(value) {
+    if (value === undefined || value === null || value === '') return { value: null };
+
+    const names = typeof value === 'string' ? value.split(',').map(name => name.trim()).filter(Boolean) : value;
+    if (!Array.isArray(names) || names.some(name => typeof name !== 'string')) {
+        return { error: 'replication_destinations doit être une liste de noms de destination' };
+    }
+
+    for (const name of names) {
+        if (name === LOCAL_DESTINATION) {
+            return { error: `Le disque local du serveur (${LOCAL_DESTINATION}) ne peut pas recevoir de copie` };
+        }
+        if (!(await getStorageDestinationByName(name))) {
+            return { error: `Destination de réplication inconnue: ${name}` };
+        }
+    }
+
+    return { value: JSON.stringify([...new Set(names)]) };
+}
 
 // Middleware pour les logs d'API et sécurité
 router.use(AuthMiddleware.securityLogger);
@@ -60,11 +187,12 @@ router.get('/version', (req, res) => {
 // Routes Dashboard (authentification requise)
 router.get('/dashboard', AuthMiddleware.authenticateToken, async (req, res) => {
     try {
-        const [clients, backupStats, systemStatus, scheduleStatus] = await Promise.all([
+        const [clients, backupStats, systemStatus, scheduleStatus, replicationStats] = await Promise.all([
             getClients(),
             getBackupStats(),
             systemMonitor.getSystemStatus(),
-            backupScheduler.getScheduleStatus()
+            backupScheduler.getScheduleStatus(),
+            getReplicationStats()
         ]);
 
         const dashboard = {
@@ -75,8 +203,10 @@ router.get('/dashboard', AuthMiddleware.authenticateToken, async (req, res) => {
                 totalBackups: backupStats.total,
                 storageUsedMB: backupStats.totalSizeMB,
                 runningBackups: scheduleStatus.runningBackups,
+                backupsWithoutOffsite: replicationStats.without_offsite,
                 lastRun: new Date().toISOString()
             },
+            replication: replicationStats,
             system: {
                 status: systemStatus.monitoring.running ? 'healthy' : 'warning',
                 uptime: systemStatus.nodejs.uptime,
@@ -110,7 +240,7 @@ router.get('/clients', AuthMiddleware.filterClientData, async (req, res) => {
             clients = await getClients({ names: req.dataFilter.allowedClients });
         }
         
-        res.json(clients);
+        res.json(clients.map(client => sanitizeClient(client, { includeHooks: req.dataFilter.canViewAll })));
     } catch (error) {
         logger.error('Erreur API get clients:', error);
         res.status(500).json({ error: 'Erreur lors de la récupération des clients' });
@@ -119,21 +249,82 @@ router.get('/clients', AuthMiddleware.filterClientData, async (req, res) => {
 
 router.post('/clients', AuthMiddleware.requireAdmin, async (req, res) => {
     try {
-        const { name, host, port, username, password, folders, backup_type, os_type } = req.body;
+        const { name, host, port, username, password, folders, backup_type, os_type, auth_method, private_key, passphrase, backup_mode, database_jobs, backup_hooks, throttle_profiles, backup_windows, compression, split_size_mb, storage_destination, replication_destinations } = req.body;
         
-        if (!name || !host || !username || !password) {
+        if (!name || !host || !username) {
             return res.status(400).json({ error: req.t('errors.required_field') });
         }
 
+        const authError = validateAuthFields(req.body);
+        if (authError) {
+            return res.status(400).json({ error: authError });
+        }
+
+        if (backup_mode && !LINUX_BACKUP_MODES.includes(backup_mode)) {
+            return res.status(400).json({ error: `Mode de backup invalide: ${backup_mode}` });
+        }
+
+        const databaseJobs = prepareDatabaseJobs(database_jobs);
+        if (databaseJobs.error) {
+            return res.status(400).json({ error: databaseJobs.error });
+        }
+
+        const hooks = prepareBackupHooks(backup_hooks);
+        if (hooks.error) {
+            return res.status(400).json({ error: hooks.error });
+        }
+
+        const throttleProfiles = prepareThrottleProfiles(throttle_profiles);
+        if (throttleProfiles.error) {
+            return res.status(400).json({ error: throttleProfiles.error });
+        }
+
+        const backupWindows = prepareBackupWindows(backup_windows);
+        if (backupWindows.error) {
+            return res.status(400).json({ error: backupWindows.error });
+        }
+
+        const compressionSettings = prepareCompression(compression);
+        if (compressionSettings.error) {
+            return res.status(400).json({ error: compressionSettings.error });
+        }
+
+        const splitSize = prepareSplitSize(split_size_mb);
+        if (splitSize.error) {
+            return res.status(400).json({ error: splitSize.error });
+        }
+
+        const storageDestination = await prepareStorageDestination(storage_destination);
+        if (storageDestination.error) {
+            return res.status(400).json({ error: storageDestination.error });
+        }
+
+        const replicationDestinations = await prepareReplicationDestinations(replication_destinations);
+        if (replicationDestinations.error) {
+            return res.status(400).json({ error: replicationDestinations.error });
+        }
+
         const result = await addClient({
             name,
             host,
             port: parseInt(port) || 22,
             username,
             password,
+            auth_method: auth_method || 'password',
+            private_key,
+            passphrase,
             folders,
             backup_type: backup_type || 'full',
-            os_type: os_type || 'windows'
+            os_type: os_type || 'windows',
+            backup_mode: backup_mode || null,
+            database_jobs: databaseJobs.value,
+            backup_hooks: hooks.value,
+            throttle_profiles: throttleProfiles.value,
+            backup_windows: backupWindows.value,
+            compression: compressionSettings.value,
+            split_size_mb: splitSize.value,
+            storage_destination: storageDestination.value,
+            replication_destinations: replicationDestinations.value
         });
 
         logger.info(`Client ajouté: ${name}`, { clientId: result.id });
@@ -155,9 +346,7 @@ router.get('/clients/:id', AuthMiddleware.requireClientAccess, async (req, res)
             return res.status(404).json({ error: 'Client non trouvé' });
         }
         
-        // Ne pas renvoyer le mot de passe dans la réponse
-        const { password, ...clientData } = client;
-        res.json(clientData);
+        res.json(sanitizeClient(client, { includeHooks: req.user.role === 'admin' }));
     } catch (error) {
         logger.error('Erreur API get client:', error);
         res.status(500).json({ error: 'Erreur lors de la récupération du client' });
@@ -171,7 +360,74 @@ router.put('/clients/:id', AuthMiddleware.requireAdmin, async (req, res) => {
             return res.status(404).json({ error: 'Client non trouvé' });
         }
 
-        await updateClient(req.params.id, req.body);
+        const authError = validateAuthFields(req.body, client);
+        if (authError) {
+            return res.status(400).json({ error: authError });
+        }
+
+        if (req.body.backup_mode && !LINUX_BACKUP_MODES.includes(req.body.backup_mode)) {
+            return res.status(400).json({ error: `Mode de backup invalide: ${req.body.backup_mode}` });
+        }
+
+        const updates = { ...req.body };
+        if ('database_jobs' in updates) {
+            const databaseJobs = prepareDatabaseJobs(updates.database_jobs, client);
+            if (databaseJobs.error) {
+                return res.status(400).json({ error: databaseJobs.error });
+            }
+            updates.database_jobs = databaseJobs.value;
+        }
+        if ('backup_hooks' in updates) {
+            const hooks = prepareBackupHooks(updates.backup_hooks);
+            if (hooks.error) {
+                return res.status(400).json({ error: hooks.error });
+            }
+            updates.backup_hooks = hooks.value;
+        }
+        if ('throttle_profiles' in updates) {
+            const throttleProfiles = prepareThrottleProfiles(updates.throttle_profiles);
+            if (throttleProfiles.error) {
+                return res.status(400).json({ error: throttleProfiles.error });
+            }
+            updates.throttle_profiles = throttleProfiles.value;
+        }
+        if ('backup_windows' in updates) {
+            const backupWindows = prepareBackupWindows(updates.backup_windows);
+            if (backupWindows.error) {
+                return res.status(400).json({ error: backupWindows.error });
+            }
+            updates.backup_windows = backupWindows.value;
+        }
+        if ('compression' in updates) {
+            const compressionSettings = prepareCompression(updates.compression);
+            if (compressionSettings.error) {
+                return res.status(400).json({ error: compressionSettings.error });
+            }
+            updates.compression = compressionSettings.value;
+        }
+        if ('split_size_mb' in updates) {
+            const splitSize = prepareSplitSize(updates.split_size_mb);
+            if (splitSize.error) {
+                return res.status(400).json({ error: splitSize.error });
+            }
+            updates.split_size_mb = splitSize.value;
+        }
+        if ('storage_destination' in updates) {
+            const storageDestination = await prepareStorageDestination(updates.storage_destination);
+            if (storageDestination.error) {
+                return res.status(400).json({ error: storageDestination.error });
+            }
+            updates.storage_destination = storageDestination.value;
+        }
+        if ('replication_destinations' in updates) {
+            const replicationDestinations = await prepareReplicationDestinations(updates.replication_destinations);
+            if (replicationDestinations.error) {
+                return res.status(400).json({ error: replicationDestinations.error });
+            }
+            updates.replication_destinations = replicationDestinations.value;
+        }
+
+        await updateClient(req.params.id, updates);
         logger.info(`Client modifié: ${client.name}`, { clientId: req.params.id });
         res.json({ message: 'Client modifié avec succès' });
     } catch (error) {
@@ -180,6 +436,46 @@ router.put('/clients/:id', AuthMiddleware.requireAdmin, async (req, res) => {
     }
 });
 
+// Comparaison des codecs de compression sur un échantillon des données du client
+router.post('/clients/:id/compression-benchmark', AuthMiddleware.requireAdmin, async (req, res) => {
+    try {
+        const client = await getClient(req.params.id);
+        if (!client) {
+            return res.status(404).json({ error: 'Client non trouvé' });
+        }
+
+        const { sample_mb, levels = {} } = req.body || {};
+        if (sample_mb !== undefined && !(Number.isInteger(sample_mb) && sample_mb >= 1 && sample_mb <= 1024)) {
+            return res.status(400).json({ error: `Taille d'échantillon invalide: ${sample_mb} (1 à 1024 Mo)` });
+        }
+        if (!levels || typeof levels !== 'object' || Array.isArray(levels)) {
+            return res.status(400).json({ error: 'levels doit être un objet { "<codec>": niveau }' });
+        }
+        for (const [codec, level] of Object.entries(levels)) {
+            const error = compressionService.validate({ codec, level });
+            if (error) {
+                return res.status(400).json({ error });
+            }
+        }
+
+        const { compressionBenchmark } = require('../backup/compressionBenchmark');
+        const result = await compressionBenchmark.run(client, {
+            sampleBytes: sample_mb ? sample_mb * 1024 * 1024 : null,
+            levels
+        });
+
+        logger.info(`Benchmark de compression pour ${client.name}: ${result.results.filter(entry => entry.ratio).map(entry => `${entry.codec} x${entry.ratio}`).join(', ')}`);
+        res.json(result);
+    } catch (error) {
+        if (error.code === 'BENCHMARK_TIMEOUT') {
+            logger.warn(`Benchmark de compression du client ${req.params.id}: ${error.message}`);
+            return res.status(504).json({ error: `${error.message}: réduire sample_mb ou augmenter COMPRESSION_BENCHMARK_TIMEOUT` });
+        }
+        logger.error('Erreur API benchmark compression:', error);
+        res.status(500).json({ error: `Benchmark de compression impossible: ${error.message}` });
+    }
+});
+
 router.delete('/clients/:id', AuthMiddleware.requireAdmin, async (req, res) => {
     try {
         const client = await getClient(req.params.id);
@@ -463,7 +759,9 @@ router.get('/settings', AuthMiddleware.requireAdmin, async (req, res) => {
             'backup_retention_days',
             'max_parallel_backups',
             'notification_email',
-            'smtp_enabled'
+            'smtp_enabled',
+            'backup_windows',
+            'destination_parallel_limits'
         ];
 
         for (const key of settingKeys) {
@@ -480,12 +778,41 @@ router.get('/settings', AuthMiddleware.requireAdmin, async (req, res) => {
 router.put('/settings', AuthMiddleware.requireAdmin, async (req, res) => {
     try {
         const updates = [];
+        const values = { ...req.body };
+
+        // Fenêtres de backup globales: validées et stockées en JSON
+        if ('backup_windows' in values) {
+            const backupWindows = prepareBackupWindows(values.backup_windows);
+            if (backupWindows.error) {
+                return res.status(400).json({ error: backupWindows.error });
+            }
+            values.backup_windows = backupWindows.value || '';
+        }
+
+        // Limites de la file d'attente des backups
+        if ('max_parallel_backups' in values && !(parseInt(values.max_parallel_backups) >= 1)) {
+            return res.status(400).json({ error: `max_parallel_backups invalide: ${values.max_parallel_backups} (entier >= 1)` });
+        }
+        if ('destination_parallel_limits' in values) {
+            const limits = values.destination_parallel_limits;
+            if (limits !== null && limits !== '') {
+                const error = validateDestinationLimits(limits);
+                if (error) {
+                    return res.status(400).json({ error });
+                }
+            }
+            values.destination_parallel_limits = limits ? JSON.stringify(limits) : '';
+        }
         
-        for (const [key, value] of Object.entries(req.body)) {
+        for (const [key, value] of Object.entries(values)) {
             await setSetting(key, value);
             updates.push(key);
         }
 
+        if (updates.includes('max_parallel_backups') || updates.includes('destination_parallel_limits')) {
+            await backupScheduler.refreshQueueLimits();
+        }
+
         logger.info(`Paramètres modifiés: ${updates.join(', ')}`);
         res.json({ message: 'Paramètres sauvegardés avec succès', updated: updates });
     } catch (error) {
@@ -507,9 +834,9 @@ router.post('/test/notification', AuthMiddleware.requireAdmin, async (req, res)
 
 router.post('/test/client-connection', AuthMiddleware.requireAdmin, async (req, res) => {
     try {
-        const { host, port = 22, username, password, os_type = 'windows' } = req.body;
+        const { host, port = 22, username, password, os_type = 'windows', auth_method, private_key, passphrase } = req.body;
         
-        if (!host || !username || !password) {
+        if (!host || !username || validateAuthFields(req.body)) {
             return res.status(400).json({ error: 'Paramètres de connexion manquants' });
         }
 
@@ -523,7 +850,10 @@ router.post('/test/client-connection', AuthMiddleware.requireAdmin, async (req,
             host,
             port,
             username,
-            password
+            password,
+            auth_method,
+            private_key,
+            passphrase
         });
 
         await testClient.connect();
@@ -671,7 +1001,10 @@ router.post('/test-connections', AuthMiddleware.requireAdmin, async (req, res) =
                         host: client.host,
                         port: client.port || 22,
                         username: client.username,
-                        password: client.password
+                        password: client.password,
+                        auth_method: client.auth_method,
+                        private_key: client.private_key,
+                        passphrase: client.passphrase
                     })
                 });
                 
@@ -850,16 +1183,21 @@ router.get('/backups/status', AuthMiddleware.authenticateToken, async (req, res)
             return res.status(403).json({ error: 'Permission insuffisante' });
         }
         
-        // Récupérer les informations sur les backups en cours
+        // Récupérer les informations sur les backups en cours et en file d'attente
         const runningBackups = backupScheduler.getRunningBackups();
+        const queuedBackups = backupScheduler.getQueuedBackups();
         const clientPermissions = await permissionManager.getClientPermissions(req.user.id);
         
-        // Filtrer selon les permissions utilisateur
+        // Filtrer selon les permissions utilisateur (la position reste celle de la file complète)
         let filteredBackups = runningBackups;
+        let filteredQueue = queuedBackups;
         if (req.user.role !== 'admin' && !clientPermissions.canViewAll) {
             filteredBackups = runningBackups.filter(backup => 
                 clientPermissions.allowedClients.includes(backup.clientName)
             );
+            filteredQueue = queuedBackups.filter(backup => 
+                clientPermissions.allowedClients.includes(backup.clientName)
+            );
         }
         
         // Désactiver le cache pour les données en temps réel
@@ -873,7 +1211,9 @@ router.get('/backups/status', AuthMiddleware.authenticateToken, async (req, res)
             success: true,
             data: {
                 runningBackups: filteredBackups,
-                totalRunning: filteredBackups.length
+                totalRunning: filteredBackups.length,
+                queuedBackups: filteredQueue,
+                totalQueued: filteredQueue.length
             }
         });
         
@@ -909,13 +1249,19 @@ router.post('/backups/start/:clientId', AuthMiddleware.authenticateToken, async
             }
         }
         
-        // Démarrer le backup manuel
+        if (req.body.priority && !JOB_PRIORITIES.includes(req.body.priority)) {
+            return res.status(400).json({ error: `Priorité invalide: ${req.body.priority} (${JOB_PRIORITIES.join(', ')})` });
+        }
+        
+        // Démarrer le backup manuel (mis en file d'attente si la limite de parallélisme est atteinte)
         const backupScheduler = require('../backup/scheduler');
         const backupId = await backupScheduler.startManualBackupForClient(clientId, {
             type: req.body.type || 'full',
             createImage: req.body.createImage || false,
+            priority: req.body.priority,
             triggered_by: req.user.username
         });
+        const queued = backupScheduler.getQueuedBackup(backupId);
         
         logger.info(`Backup manuel démarré par ${req.user.username}`, {
             clientId,
@@ -929,8 +1275,9 @@ router.post('/backups/start/:clientId', AuthMiddleware.authenticateToken, async
             data: {
                 backupId,
                 clientName: client.name,
-                status: 'started',
-                message: 'Backup manuel démarré avec succès'
+                status: queued ? 'queued' : 'started',
+                position: queued ? queued.position : null,
+                message: queued ? `Backup manuel en file d'attente (position ${queued.position})` : 'Backup manuel démarré avec succès'
             }
         });
         
@@ -940,6 +1287,396 @@ router.post('/backups/start/:clientId', AuthMiddleware.authenticateToken, async
     }
 });
 
+// Route pour annuler un backup en cours
+router.post('/backups/cancel/:backupId', AuthMiddleware.authenticateToken, async (req, res) => {
+    try {
+        const { permissionManager } = require('../utils/permissions');
+        const backupScheduler = require('../backup/scheduler');
+        const backupId = req.params.backupId;
+
+        // Annuler un backup revient à agir sur sa création
+        const hasPermission = await permissionManager.hasPermission(req.user.id, 'backups_create');
+        if (!hasPermission) {
+            return res.status(403).json({ error: 'Permission insuffisante pour annuler un backup' });
+        }
+
+        const runningBackup = backupScheduler.getRunningBackup(backupId) || backupScheduler.getQueuedBackup(backupId);
+        if (!runningBackup) {
+            return res.status(404).json({ error: 'Backup en cours non trouvé' });
+        }
+
+        // Vérifier les permissions client
+        const clientPermissions = await permissionManager.getClientPermissions(req.user.id);
+        if (req.user.role !== 'admin' && !clientPermissions.canViewAll) {
+            if (!clientPermissions.allowedClients.includes(runningBackup.clientName)) {
+                return res.status(403).json({ error: 'Accès non autorisé à ce client' });
+            }
+        }
+
+        if (!backupScheduler.cancelBackup(backupId, req.user.username)) {
+            return res.status(409).json({ error: `Le backup ne peut plus être annulé (statut: ${runningBackup.status})` });
+        }
+
+        logger.info(`Backup annulé par ${req.user.username}`, {
+            backupId,
+            clientName: runningBackup.clientName,
+            userId: req.user.id
+        });
+
+        res.json({
+            success: true,
+            data: {
+                backupId,
+                clientName: runningBackup.clientName,
+                status: runningBackup.status === 'queued' ? 'cancelled' : 'cancelling',
+                message: runningBackup.status === 'queued' ? 'Backup retiré de la file d\'attente' : 'Annulation du backup en cours'
+            }
+        });
+
+    } catch (error) {
+        logger.error('Erreur annulation backup:', error);
+        res.status(500).json({ error: 'Erreur lors de l\'annulation du backup' });
+    }
+});
+
+// Route pour lister les chaînes de backups cassées (maillon manquant, échoué ou absent du disque)
+router.get('/backups/chains/broken', AuthMiddleware.authenticateToken, async (req, res) => {
+    try {
+        const { permissionManager } = require('../utils/permissions');
+        const { backupChain } = require('../utils/backup-chain');
+
+        const hasPermission = await permissionManager.hasPermission(req.user.id, 'backups_view');
+        if (!hasPermission) {
+            return res.status(403).json({ error: 'Permission insuffisante pour consulter les backups' });
+        }
+
+        const clientPermissions = await permissionManager.getClientPermissions(req.user.id);
+        const canViewAll = req.user.role === 'admin' || clientPermissions.canViewAll;
+        
+        if (!canViewAll && req.query.client_name && !clientPermissions.allowedClients.includes(req.query.client_name)) {
+            return res.status(403).json({ error: 'Accès non autorisé à ce client' });
+        }
+
+        let chains = await backupChain.findBrokenChains({ client_name: req.query.client_name });
+        if (!canViewAll) {
+            chains = chains.filter(chain => clientPermissions.allowedClients.includes(chain.client_name));
+        }
+
+        res.json({
+            success: true,
+            data: {
+                brokenChains: chains,
+                count: chains.length
+            }
+        });
+
+    } catch (error) {
+        logger.error('Erreur validation des chaînes de backups:', error);
+        res.status(500).json({ error: 'Erreur lors de la validation des chaînes de backups' });
+    }
+});
+
+// Route pour valider la chaîne d'un backup (backups nécessaires à sa restauration)
+router.get('/backups/chain/:backupId', AuthMiddleware.authenticateToken, async (req, res) => {
+    try {
+        const { permissionManager } = require('../utils/permissions');
+        const { backupChain } = require('../utils/backup-chain');
+        const backupId = req.params.backupId;
+
+        const hasPermission = await permissionManager.hasPermission(req.user.id, 'backups_view');
+        if (!hasPermission) {
+            return res.status(403).json({ error: 'Permission insuffisante pour consulter les backups' });
+        }
+
+        const backup = await getBackup(backupId);
+        if (!backup) {
+            return res.status(404).json({ error: 'Backup non trouvé' });
+        }
+
+        const clientPermissions = await permissionManager.getClientPermissions(req.user.id);
+        if (req.user.role !== 'admin' && !clientPermissions.canViewAll) {
+            if (!clientPermissions.allowedClients.includes(backup.client_name)) {
+                return res.status(403).json({ error: 'Accès non autorisé à ce backup' });
+            }
+        }
+
+        const validation = await backupChain.validateChain(backupId);
+
+        res.json({
+            success: true,
+            data: validation
+        });
+
+    } catch (error) {
+        logger.error('Erreur validation de la chaîne du backup:', error);
+        res.status(500).json({ error: 'Erreur lors de la validation de la chaîne du backup' });
+    }
+});
+
+// Route pour consulter l'état du catalogue des fichiers d'un backup
+router.get('/backups/catalog/:backupId', AuthMiddleware.authenticateToken, async (req, res) => {
+    try {
+        const { permissionManager } = require('../utils/permissions');
+        const { getBackupCatalog } = require('../utils/database');
+        const backupId = req.params.backupId;
+
+        const hasPermission = await permissionManager.hasPermission(req.user.id, 'backups_view');
+        if (!hasPermission) {
+            return res.status(403).json({ error: 'Permission insuffisante pour consulter les backups' });
+        }
+
+        const backup = await getBackup(backupId);
+        if (!backup) {
+            return res.status(404).json({ error: 'Backup non trouvé' });
+        }
+
+        const clientPermissions = await permissionManager.getClientPermissions(req.user.id);
+        if (req.user.role !== 'admin' && !clientPermissions.canViewAll) {
+            if (!clientPermissions.allowedClients.includes(backup.client_name)) {
+                return res.status(403).json({ error: 'Accès non autorisé à ce backup' });
+            }
+        }
+
+        const catalog = await getBackupCatalog(backupId);
+        if (!catalog) {
+            return res.status(404).json({ error: 'Aucun catalogue pour ce backup' });
+        }
+
+        res.json({
+            success: true,
+            data: catalog
+        });
+
+    } catch (error) {
+        logger.error('Erreur récupération du catalogue:', error);
+        res.status(500).json({ error: 'Erreur lors de la récupération du catalogue' });
+    }
+});
+
+// Route pour (re)construire le catalogue d'un backup existant
+router.post('/backups/catalog/:backupId', AuthMiddleware.requireAdmin, async (req, res) => {
+    try {
+        const fs = require('fs');
+        const { fileCatalog } = require('../utils/file-catalog');
+        const backupId = req.params.backupId;
+
+        const backup = await getBackup(backupId);
+        if (!backup) {
+            return res.status(404).json({ error: 'Backup non trouvé' });
+        }
+
+        if (backup.status !== 'completed') {
+            return res.status(400).json({ error: 'Seuls les backups terminés peuvent être catalogués' });
+        }
+
+        if (backup.path && !(await storageManager.exists(backup))) {
+            return res.status(404).json({ error: 'Fichiers du backup introuvables sur leur stockage' });
+        }
+
+        const result = await fileCatalog.catalogBackup(backup);
+
+        logger.info(`Catalogue reconstruit par ${req.user.username}`, { backupId, ...result });
+
+        res.json({
+            success: true,
+            data: {
+                backupId,
+                fileCount: result.fileCount,
+                totalSize: result.totalSize
+            }
+        });
+
+    } catch (error) {
+        logger.error('Erreur construction du catalogue:', error);
+        res.status(500).json({ error: 'Erreur lors de la construction du catalogue' });
+    }
+});
+
+// Route pour parcourir le contenu d'un backup (catalogue des fichiers, sans extraction)
+router.get('/backups/:backupId/tree', AuthMiddleware.requireClientAccess, async (req, res) => {
+    try {
+        const { getBackupCatalog, getBackupTreeEntries } = require('../utils/database');
+        const { fileCatalog } = require('../utils/file-catalog');
+        const backupId = req.params.backupId;
+
+        const backup = await getBackup(backupId);
+        if (!backup) {
+            return res.status(404).json({ error: 'Backup non trouvé' });
+        }
+
+        // requireClientAccess ne connaît pas le client d'un backup: vérifier ici
+        if (req.clientPermissions && !req.clientPermissions.canViewAll &&
+            !req.clientPermissions.allowedClients.includes(backup.client_name)) {
+            return res.status(403).json({ error: 'Accès non autorisé à ce backup' });
+        }
+
+        if (backup.status !== 'completed') {
+            return res.status(400).json({ error: 'Le contenu n\'est disponible que pour un backup terminé' });
+        }
+
+        // Backups antérieurs au catalogue: le construire à la première consultation
+        let catalog = await getBackupCatalog(backupId);
+        if (!catalog) {
+            await fileCatalog.catalogBackup(backup);
+            catalog = await getBackupCatalog(backupId);
+        }
+        if (catalog.status === 'running') {
+            return res.status(409).json({ error: 'Catalogue du backup en cours de construction, réessayez dans quelques instants' });
+        }
+
+        // Chemins du catalogue relatifs à la racine du backup, séparateur '/'
+        const dirPath = String(req.query.path || '')
+            .replace(/\\/g, '/')
+            .split('/')
+            .filter(part => part && part !== '.')
+            .join('/');
+        if (dirPath.split('/').includes('..')) {
+            return res.status(400).json({ error: 'Chemin invalide' });
+        }
+
+        const limit = Math.min(parseInt(req.query.limit) || 1000, 5000);
+        const offset = parseInt(req.query.offset) || 0;
+        const rows = await getBackupTreeEntries(backupId, dirPath, { limit, offset });
+
+        if (rows.length === 0 && dirPath && offset === 0) {
+            return res.status(404).json({ error: `Dossier introuvable dans le backup: /${dirPath}` });
+        }
+
+        const entries = rows.map(row => ({
+            name: row.name,
+            path: '/' + (dirPath ? `${dirPath}/${row.name}` : row.name),
+            type: row.is_dir ? 'directory' : row.type,
+            size: row.size || 0,
+            mtime: row.mtime,
+            fileCount: row.is_dir ? row.file_count : undefined
+        }));
+
+        res.json({
+            success: true,
+            data: {
+                backupId,
+                clientName: backup.client_name,
+                path: '/' + dirPath,
+                parent: dirPath ? '/' + dirPath.split('/').slice(0, -1).join('/') : null,
+                entries,
+                truncated: entries.length === limit,
+                catalog: {
+                    status: catalog.status,
+                    fileCount: catalog.file_count,
+                    totalSize: catalog.total_size,
+                    error: catalog.error_message
+                }
+            }
+        });
+
+    } catch (error) {
+        logger.error('Erreur parcours du backup:', error);
+        res.status(500).json({ error: 'Erreur lors du parcours du contenu du backup' });
+    }
+});
+
+// Route pour lister les dumps de bases de données d'un backup (section databases/ de l'archive)
+router.get('/backups/:backupId/databases', AuthMiddleware.requireClientAccess, async (req, res) => {
+    try {
+        const { clientRestore } = require('../backup/clientRestore');
+        const backup = await getBackup(req.params.backupId);
+        if (!backup) {
+            return res.status(404).json({ error: 'Backup non trouvé' });
+        }
+
+        // requireClientAccess ne connaît pas le client d'un backup: vérifier ici
+        if (req.clientPermissions && !req.clientPermissions.canViewAll &&
+            !req.clientPermissions.allowedClients.includes(backup.client_name)) {
+            return res.status(403).json({ error: 'Accès non autorisé à ce backup' });
+        }
+
+        if (backup.status !== 'completed') {
+            return res.status(400).json({ error: 'Le contenu n\'est disponible que pour un backup terminé' });
+        }
+
+        // Résultat des dumps enregistré au backup (y compris les échecs, absents de l'archive)
+        const { backupChain } = require('../utils/backup-chain');
+        const metadata = backupChain.parseMetadata(backup.metadata);
+
+        res.json({
+            backup_id: backup.backup_id,
+            client_name: backup.client_name,
+            dumps: await clientRestore.listDatabaseDumps(backup),
+            jobs: metadata.databases || []
+        });
+    } catch (error) {
+        logger.error('Erreur liste des dumps de bases de données:', error);
+        res.status(500).json({ error: 'Erreur lors de la lecture des dumps du backup' });
+    }
+});
+
+// Route pour rechercher un fichier dans tous les backups (toutes les versions sauvegardées)
+router.get('/search/files', AuthMiddleware.authenticateToken, async (req, res) => {
+    try {
+        const { permissionManager } = require('../utils/permissions');
+        const { fileSearch } = require('../utils/file-search');
+        const { normalizeRestorePath } = require('../utils/restore-selection');
+        const q = (req.query.q || '').trim();
+        const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+
+        if (!q) {
+            return res.status(400).json({ error: 'Motif de recherche requis (q)' });
+        }
+        if (q.replace(/\\/g, '/').split('/').includes('..')) {
+            return res.status(400).json({ error: 'Le motif de recherche ne peut pas contenir ".."' });
+        }
+        // Motif fait uniquement de séparateurs ('/', '\\', '.')
+        if (!normalizeRestorePath(q)) {
+            return res.status(400).json({ error: 'Motif de recherche invalide: nom ou chemin de fichier requis' });
+        }
+
+        // Bornes de date (date de début du backup)
+        const range = {};
+        for (const key of ['from', 'to']) {
+            if (!req.query[key]) continue;
+            const date = new Date(req.query[key]);
+            if (isNaN(date.getTime())) {
+                return res.status(400).json({ error: `Date invalide: ${key}=${req.query[key]}` });
+            }
+            range[key] = date.toISOString();
+        }
+
+        const hasPermission = await permissionManager.hasPermission(req.user.id, 'backups_view');
+        if (!hasPermission) {
+            return res.status(403).json({ error: 'Permission insuffisante pour consulter les backups' });
+        }
+
+        // Un utilisateur client ne voit que ses propres machines
+        const clientPermissions = await permissionManager.getClientPermissions(req.user.id);
+        const canViewAll = req.user.role === 'admin' || clientPermissions.canViewAll;
+        let clientNames = canViewAll ? null : clientPermissions.allowedClients;
+
+        if (req.query.client) {
+            if (!canViewAll && !clientPermissions.allowedClients.includes(req.query.client)) {
+                return res.status(403).json({ error: 'Accès non autorisé à ce client' });
+            }
+            clientNames = [req.query.client];
+        }
+
+        const result = await fileSearch.search({ q, clientNames, from: range.from, to: range.to, limit });
+
+        res.json({
+            success: true,
+            data: {
+                query: q,
+                client: req.query.client || null,
+                from: range.from || null,
+                to: range.to || null,
+                ...result
+            }
+        });
+
+    } catch (error) {
+        logger.error('Erreur recherche de fichiers:', error);
+        res.status(500).json({ error: 'Erreur lors de la recherche de fichiers' });
+    }
+});
+
 // Route pour télécharger un backup
 router.get('/backups/download/:backupId', AuthMiddleware.authenticateToken, async (req, res) => {
     try {
@@ -990,42 +1727,95 @@ router.get('/backups/download/:backupId', AuthMiddleware.authenticateToken, asyn
             return res.status(404).json({ error: 'Chemin du fichier backup non trouvé' });
         }
         
-        // Si le chemin n'est pas absolu, l'ajouter au dossier de backup par défaut
-        if (!path.isAbsolute(filePath)) {
+        // Si le chemin local n'est pas absolu, l'ajouter au dossier de backup par défaut
+        if (!storageManager.isRemote(backup) && !path.isAbsolute(filePath)) {
             const backupDir = process.env.BACKUP_PATH || '/tmp';
             filePath = path.join(backupDir, filePath);
         }
+        const source = { ...backup, path: filePath };
+        
+        if (!(await storageManager.exists(source))) {
+            return res.status(404).json({ error: 'Fichier backup non trouvé sur son stockage' });
+        }
         
-        if (!fs.existsSync(filePath)) {
-            return res.status(404).json({ error: 'Fichier backup non trouvé sur le disque' });
+        const isDirectory = storageManager.isRemote(source)
+            ? storageManager.isDirectoryKey(source.path)
+            : fs.statSync(filePath).isDirectory();
+        
+        // Dossier (Windows, snapshot): archive tar à la volée avec la compression du client
+        // (dossier rangé sur une destination distante: recopié temporairement)
+        if (isDirectory) {
+            const local = await storageManager.materialize(source);
+            const client = await getClientByName(backup.client_name);
+            const settings = await compressionService.resolveForServer(client && client.compression);
+            const archiveName = `${backup.client_name}_${backup.backup_id}${compressionService.getArchiveExtension(settings)}`;
+            logger.info(`Téléchargement backup ${backupId} par ${req.user.username} (${compressionService.describe(settings)})`);
+            
+            res.setHeader('Content-Disposition', `attachment; filename="${archiveName}"`);
+            res.setHeader('Content-Type', compressionService.getCodec(settings.codec).contentType);
+            
+            const tar = compressionService.spawnDirectoryArchive(local.path, settings);
+            tar.on('error', (error) => {
+                logger.error('Erreur archive backup:', error);
+                if (!res.headersSent) {
+                    res.status(500).json({ error: 'Erreur lors de la création de l\'archive' });
+                }
+            });
+            tar.on('close', (code) => {
+                if (code !== 0 && code !== null) {
+                    logger.error(`Archive de téléchargement incomplète pour ${backupId} (code ${code})`);
+                    res.destroy();
+                }
+            });
+            res.on('close', () => {
+                if (tar.exitCode === null) tar.kill();
+                local.release().catch(() => {});
+            });
+            tar.stdout.pipe(res);
+            return;
         }
         
-        // Obtenir les informations du fichier
-        const stats = fs.statSync(filePath);
-        const fileName = path.basename(filePath);
+        // Archive d'un seul tenant, ou volumes d'une archive découpée envoyés bout à bout
+        let archive;
+        try {
+            archive = await storageManager.openArchiveStream(source);
+        } catch (error) {
+            if (error.code === 'VOLUMES_INCOMPLETE') {
+                logger.warn(`Téléchargement backup ${backupId} impossible: ${error.message}`);
+                return res.status(409).json({ error: error.message, missing: error.missing, corrupt: error.corrupt });
+            }
+            throw error;
+        }
         
         logger.info(`Téléchargement backup ${backupId} par ${req.user.username}`, {
             backupId,
             clientName: backup.client_name,
-            fileName,
-            filePath,
-            fileSize: stats.size,
+            fileName: archive.name,
+            filePath: storageManager.describeBackupLocation(source),
+            fileSize: archive.size,
+            volumes: archive.manifest ? archive.manifest.volumes.length : undefined,
             userId: req.user.id
         });
         
         // Définir les headers pour le téléchargement
-        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
-        res.setHeader('Content-Type', 'application/octet-stream');
-        res.setHeader('Content-Length', stats.size);
+        res.setHeader('Content-Disposition', `attachment; filename="${archive.name}"`);
+        res.setHeader('Content-Type', archive.codec ? compressionService.getCodec(archive.codec).contentType : 'application/octet-stream');
+        res.setHeader('Content-Length', archive.size);
         
-        // Créer un stream de lecture et l'envoyer
-        const readStream = fs.createReadStream(filePath);
+        // Envoyer le stream de lecture
+        const readStream = archive.stream;
         readStream.pipe(res);
+        // Téléchargement interrompu: lecture arrêtée (connexion à la destination et copie temporaire libérées)
+        res.on('close', () => {
+            if (!readStream.destroyed) readStream.destroy();
+        });
         
         readStream.on('error', (error) => {
             logger.error('Erreur lecture fichier backup:', error);
             if (!res.headersSent) {
                 res.status(500).json({ error: 'Erreur lors de la lecture du fichier' });
+            } else {
+                res.destroy();
             }
         });
         
@@ -1035,13 +1825,133 @@ router.get('/backups/download/:backupId', AuthMiddleware.authenticateToken, asyn
     }
 });
 
+// Export d'un backup vers un dossier du serveur (NAS secondaire, disque amovible), découpé en volumes si demandé
+router.post('/backups/:backupId/export', AuthMiddleware.requireAdmin, async (req, res) => {
+    try {
+        const fs = require('fs');
+        const path = require('path');
+        const { backupExport } = require('../backup/backupExport');
+        const { destination, split_size_mb } = req.body;
+
+        const backup = await getBackup(req.params.backupId);
+        if (!backup) {
+            return res.status(404).json({ error: 'Backup non trouvé' });
+        }
+        if (backup.status !== 'completed' || !backup.path || !(await storageManager.exists(backup))) {
+            return res.status(400).json({ error: 'Le backup n\'est pas disponible pour export' });
+        }
+
+        if (!destination || typeof destination !== 'string' || !path.isAbsolute(destination)) {
+            return res.status(400).json({ error: 'Dossier de destination absolu requis (destination)' });
+        }
+        if (!fs.existsSync(destination) || !fs.statSync(destination).isDirectory()) {
+            return res.status(400).json({ error: `Dossier de destination introuvable: ${destination}` });
+        }
+
+        // Taille des volumes: demandée, sinon celle du client (ou ARCHIVE_SPLIT_SIZE_MB)
+        const splitSize = prepareSplitSize(split_size_mb);
+        if (splitSize.error) {
+            return res.status(400).json({ error: splitSize.error });
+        }
+        const client = await getClientByName(backup.client_name);
+
+        const result = await backupExport.exportBackup(backup, destination, {
+            client,
+            splitSize: archiveVolumes.resolveSplitSize(splitSize.value !== null ? splitSize.value : client && client.split_size_mb)
+        });
+
+        logger.info(`Export du backup ${backup.backup_id} vers ${result.path} par ${req.user.username}`);
+        res.json({ backup_id: backup.backup_id, ...result, exported_at: new Date().toISOString(), exported_by: req.user.username });
+    } catch (error) {
+        if (error.code === 'EEXIST') {
+            return res.status(409).json({ error: error.message });
+        }
+        if (error.code === 'VOLUMES_INCOMPLETE') {
+            return res.status(409).json({ error: error.message, missing: error.missing, corrupt: error.corrupt });
+        }
+        logger.error('Erreur export backup:', error);
+        res.status(500).json({ error: `Export du backup impossible: ${error.message}` });
+    }
+});
+
+// Exécute tar sur une archive ouverte par archiveVolumes.openArchive (volumes envoyés sur l'entrée standard)
+function runArchiveTar(args, archive) {
+    const { spawn } = require('child_process');
+    return new Promise((resolve, reject) => {
+        const tar = spawn('tar', args);
+        let stdout = '';
+        let stderr = '';
+        tar.stdout.on('data', (data) => {
+            stdout += data.toString();
+        });
+        tar.stderr.on('data', (data) => {
+            stderr += data.toString();
+        });
+        tar.on('error', reject);
+        tar.on('close', (code) => {
+            if (code !== 0) {
+                reject(new Error(`tar a échoué (code ${code}): ${stderr.trim().slice(-500)}`));
+                return;
+            }
+            resolve({ stdout, stderr });
+        });
+        archive.attach(tar);
+    });
+}
+
+// Copie une arborescence (snapshot) avec tar -c | tar -x, chemins passés en arguments (jamais via un shell)
+function copyTreeWithTar(sourceDir, destinationDir, excludes = []) {
+    const { spawn } = require('child_process');
+    return new Promise((resolve, reject) => {
+        const source = spawn('tar', ['-C', sourceDir, ...excludes.map(pattern => `--exclude=${pattern}`), '-cf', '-', '.']);
+        const target = spawn('tar', ['-C', destinationDir, '-xvf', '-']);
+        let stdout = '';
+        let stderr = '';
+        const codes = {};
+
+        // Résultat une fois les deux tar terminés
+        const finish = (name, code) => {
+            codes[name] = code;
+            if (!('source' in codes) || !('target' in codes)) return;
+            // tar -c: code 1 = fichiers modifiés pendant la lecture (avertissement)
+            const failed = codes.target !== 0 ? codes.target : (codes.source > 1 ? codes.source : 0);
+            if (failed !== 0) {
+                reject(new Error(`tar a échoué (code ${failed}): ${stderr.trim().slice(-500)}`));
+                return;
+            }
+            resolve({ stdout, stderr });
+        };
+
+        source.stdout.pipe(target.stdin);
+        // tar d'extraction arrêté: l'erreur est signalée par son code de sortie
+        target.stdin.on('error', () => {});
+        source.stderr.on('data', (data) => {
+            stderr += data.toString();
+        });
+        target.stdout.on('data', (data) => {
+            stdout += data.toString();
+        });
+        target.stderr.on('data', (data) => {
+            stderr += data.toString();
+        });
+        source.on('error', reject);
+        target.on('error', reject);
+        source.on('close', code => finish('source', code));
+        target.on('close', (code) => {
+            // Extraction interrompue: inutile de continuer l'archivage
+            if (code !== 0) source.kill();
+            finish('target', code);
+        });
+    });
+}
+
 // Fonction pour effectuer la restauration d'un backup
-async function performRestore(backup, destinationDir, verifyRestore) {
+async function performRestore(backup, destinationDir, verifyRestore, options = {}) {
     const fs = require('fs');
     const path = require('path');
-    const { exec } = require('child_process');
-    const { promisify } = require('util');
-    const execAsync = promisify(exec);
+    const { resolveSelection, restoreSelection } = require('../utils/restore-selection');
+    const paths = options.paths || [];
+    const conflictPolicy = options.conflictPolicy || 'overwrite';
     
     const result = {
         success: false,
@@ -1057,19 +1967,79 @@ async function performRestore(backup, destinationDir, verifyRestore) {
         }
     };
     
+    let local = null;
     try {
         logger.info(`Début restauration: ${backup.backup_id} vers ${destinationDir}`);
         
-        // Déterminer le type de backup (tar.gz pour Linux)
-        const backupPath = backup.path;
-        const isLinuxBackup = backup.client_name.includes('Linux') || backupPath.endsWith('.tar.gz');
-        
-        if (isLinuxBackup) {
-            // Restauration Linux avec tar
-            const tarCommand = `tar -xzf "${backupPath}" -C "${destinationDir}" --verbose`;
-            logger.info(`Exécution commande: ${tarCommand}`);
+        // Backup rangé sur une destination de stockage: copie locale le temps de la restauration
+        local = await storageManager.materialize(backup);
+        const localBackup = { ...backup, path: local.path, storage: null };
+        
+        // Déterminer le type de backup (snapshot ou archive tar pour Linux, codec détecté)
+        const backupPath = local.path;
+        const { isSnapshotPath, METADATA_FILE } = require('../utils/snapshots');
+        const isSnapshot = await isSnapshotPath(backupPath);
+        const isDirectoryBackup = fs.statSync(backupPath).isDirectory();
+        const isSplitArchive = archiveVolumes.isManifestPath(backupPath);
+        const archiveCodec = isDirectoryBackup || isSplitArchive ? null : await compressionService.detect(backupPath);
+        const isLinuxBackup = isSplitArchive || archiveCodec !== null || backup.client_name.includes('Linux') || compressionService.isArchivePath(backupPath);
+        
+        if (paths.length > 0 || conflictPolicy !== 'overwrite' || (isDirectoryBackup && !isSnapshot)) {
+            // Restauration sélective (ou complète avec politique de conflit) à partir du catalogue
+            const { files, unmatched } = await resolveSelection(localBackup, paths.length > 0 ? paths : ['**']);
+            if (unmatched.length > 0) {
+                result.errors.push(`Aucun fichier ne correspond à: ${unmatched.join(', ')}`);
+            }
+            if (files.length === 0) {
+                throw new Error('Aucun fichier du backup ne correspond à la sélection');
+            }
+            
+            logger.info(`Restauration de ${files.length} fichier(s) sélectionné(s), politique de conflit: ${conflictPolicy}`);
+            const outcome = await restoreSelection(localBackup, files, destinationDir, { conflictPolicy });
+            
+            result.errors.push(...outcome.errors);
+            result.extractedFiles = outcome.restored;
+            result.stats.filesExtracted = outcome.restored.length;
+            result.stats.totalSize = files.reduce((sum, file) => sum + (file.size || 0), 0);
+            result.selection = {
+                paths,
+                conflictPolicy,
+                matchedFiles: files.length,
+                unmatched,
+                skipped: outcome.skipped,
+                renamed: outcome.renamed
+            };
+            
+            if (outcome.errors.length > 0 && outcome.restored.length === 0 && outcome.skipped.length === 0) {
+                throw new Error(`Aucun fichier restauré: ${outcome.errors[0]}`);
+            }
+            
+        } else if (isSnapshot) {
+            // Snapshot: arborescence complète, copie avec préservation des droits et des liens
+            logger.info(`Copie du snapshot ${backup.backup_id} vers la destination de restauration`);
+            
+            const { stdout, stderr } = await copyTreeWithTar(backupPath, destinationDir, [`./${METADATA_FILE}`]);
+            
+            if (stderr) {
+                result.errors.push(`Avertissements tar: ${stderr}`);
+                logger.warn(`Avertissements lors de la copie du snapshot:`, stderr);
+            }
+            
+            // Ne garder que les fichiers (les dossiers se terminent par /)
+            const extractedLines = stdout.split('\n')
+                .map(line => line.trim().replace(/^\.\//, ''))
+                .filter(line => line && !line.endsWith('/') && line !== '.');
+            result.extractedFiles = extractedLines;
+            result.stats.filesExtracted = extractedLines.length;
+            logger.info(`${result.stats.filesExtracted} fichiers restaurés depuis le snapshot`);
+            
+        } else if (isLinuxBackup) {
+            // Restauration Linux avec tar (archive découpée: volumes vérifiés puis lus bout à bout)
+            const archive = await archiveVolumes.openArchive(backupPath);
+            const tarArgs = ['-x', ...archive.readArgs, '-f', archive.file, '-C', destinationDir, '--verbose'];
+            logger.info(`Exécution commande: tar ${tarArgs.join(' ')}${isSplitArchive ? ` < volumes de ${backupPath}` : ''}`);
             
-            const { stdout, stderr } = await execAsync(tarCommand);
+            const { stdout, stderr } = await runArchiveTar(tarArgs, archive);
             
             if (stderr && !stderr.includes('Removing leading')) {
                 result.errors.push(`Avertissements tar: ${stderr}`);
@@ -1085,7 +2055,6 @@ async function performRestore(backup, destinationDir, verifyRestore) {
             }
             
         } else {
-            // Pour les backups Windows, implémenter l'extraction ZIP si nécessaire
             throw new Error('Type de backup non supporté pour la restauration automatique');
         }
         
@@ -1107,6 +2076,8 @@ async function performRestore(backup, destinationDir, verifyRestore) {
         result.stats.endTime = new Date().toISOString();
         result.stats.duration = new Date(result.stats.endTime) - new Date(result.stats.startTime);
         logger.error('Erreur lors de la restauration:', error);
+    } finally {
+        if (local) await local.release();
     }
     
     return result;
@@ -1161,12 +2132,143 @@ async function verifyRestoredFiles(destinationDir, extractedFilesList) {
     return verification;
 }
 
+// Route pour restaurer des chemins tels qu'ils étaient à une date donnée (backup complet + incrémentiels)
+router.post('/backups/restore/point-in-time', AuthMiddleware.authenticateToken, async (req, res) => {
+    try {
+        const { permissionManager } = require('../utils/permissions');
+        const { CONFLICT_POLICIES } = require('../utils/restore-selection');
+        const { pointInTime } = require('../utils/point-in-time');
+        const { client_name: clientName, at, destinationPath, verifyRestore = true, conflictPolicy = 'overwrite', dryRun = false } = req.body;
+        
+        const paths = (Array.isArray(req.body.paths) ? req.body.paths : [req.body.paths])
+            .filter(p => typeof p === 'string' && p.trim())
+            .map(p => p.trim());
+        
+        if (!clientName || !at) {
+            return res.status(400).json({ error: 'Client (client_name) et date (at) requis' });
+        }
+        
+        const pointInTimeDate = new Date(at);
+        if (isNaN(pointInTimeDate.getTime())) {
+            return res.status(400).json({ error: `Date invalide: ${at}` });
+        }
+        
+        if (!CONFLICT_POLICIES.includes(conflictPolicy)) {
+            return res.status(400).json({ error: `Politique de conflit invalide: ${conflictPolicy} (${CONFLICT_POLICIES.join(', ')})` });
+        }
+        
+        if (paths.some(p => p.replace(/\\/g, '/').split('/').includes('..'))) {
+            return res.status(400).json({ error: 'Les chemins à restaurer ne peuvent pas contenir ".."' });
+        }
+        
+        const hasPermission = await permissionManager.hasPermission(req.user.id, 'backups_restore');
+        if (!hasPermission) {
+            return res.status(403).json({ error: 'Permission insuffisante pour restaurer un backup' });
+        }
+        
+        const clientPermissions = await permissionManager.getClientPermissions(req.user.id);
+        if (req.user.role !== 'admin' && !clientPermissions.canViewAll && !clientPermissions.allowedClients.includes(clientName)) {
+            return res.status(403).json({ error: 'Accès non autorisé à ce client' });
+        }
+        
+        if (!dryRun && !destinationPath) {
+            return res.status(400).json({ error: 'Chemin de destination requis' });
+        }
+        
+        const fs = require('fs');
+        const path = require('path');
+        const destinationDir = destinationPath ? path.resolve(destinationPath) : null;
+        if (destinationDir && !dryRun && !fs.existsSync(destinationDir)) {
+            fs.mkdirSync(destinationDir, { recursive: true });
+        }
+        
+        const startTime = new Date();
+        let outcome;
+        try {
+            outcome = await pointInTime.restoreAt({
+                clientName,
+                at: pointInTimeDate,
+                paths,
+                destinationDir,
+                conflictPolicy,
+                dryRun
+            });
+        } catch (error) {
+            logger.warn(`Restauration à date impossible pour ${clientName}: ${error.message}`);
+            return res.status(400).json({ error: error.message });
+        }
+        
+        if (dryRun) {
+            return res.json({ success: true, plan: outcome.plan });
+        }
+        
+        const endTime = new Date();
+        logger.info(`Restauration à date effectuée: ${clientName} au ${pointInTimeDate.toISOString()} vers ${destinationDir} par ${req.user.username}`);
+        
+        res.json({
+            client_name: clientName,
+            at: pointInTimeDate.toISOString(),
+            destination: destinationDir,
+            plan: outcome.plan,
+            restore_result: {
+                success: outcome.restored.length > 0 || outcome.skipped.length > 0,
+                extractedFiles: outcome.restored,
+                errors: [
+                    ...(outcome.plan.unmatched.length > 0 ? [`Aucun fichier ne correspond à: ${outcome.plan.unmatched.join(', ')}`] : []),
+                    ...outcome.errors
+                ],
+                verification: verifyRestore ? await verifyRestoredFiles(destinationDir, outcome.restored) : null,
+                stats: {
+                    startTime: startTime.toISOString(),
+                    endTime: endTime.toISOString(),
+                    duration: endTime - startTime,
+                    filesExtracted: outcome.restored.length,
+                    totalSize: outcome.totalSize
+                },
+                selection: {
+                    paths,
+                    conflictPolicy,
+                    matchedFiles: outcome.plan.files,
+                    unmatched: outcome.plan.unmatched,
+                    skipped: outcome.skipped,
+                    renamed: outcome.renamed
+                }
+            },
+            restored_at: endTime.toISOString(),
+            restored_by: req.user.username
+        });
+        
+    } catch (error) {
+        logger.error('Erreur restauration à date:', error);
+        res.status(500).json({ error: 'Erreur lors de la restauration à date' });
+    }
+});
+
 // Route pour restaurer un backup
 router.post('/backups/restore/:backupId', AuthMiddleware.authenticateToken, async (req, res) => {
     try {
         const { permissionManager } = require('../utils/permissions');
+        const { CONFLICT_POLICIES } = require('../utils/restore-selection');
         const backupId = req.params.backupId;
-        const { destinationPath, verifyRestore = true } = req.body;
+        const { destinationPath, verifyRestore = true, conflictPolicy = 'overwrite', target = 'server', targetClientId, remotePath } = req.body;
+        
+        // Restauration sélective: chemins (fichiers ou dossiers) ou motifs glob, tout le backup si absent
+        const paths = (Array.isArray(req.body.paths) ? req.body.paths : [req.body.paths])
+            .filter(p => typeof p === 'string' && p.trim())
+            .map(p => p.trim());
+        
+        if (!CONFLICT_POLICIES.includes(conflictPolicy)) {
+            return res.status(400).json({ error: `Politique de conflit invalide: ${conflictPolicy} (${CONFLICT_POLICIES.join(', ')})` });
+        }
+        
+        if (paths.some(p => p.replace(/\\/g, '/').split('/').includes('..'))) {
+            return res.status(400).json({ error: 'Les chemins à restaurer ne peuvent pas contenir ".."' });
+        }
+        
+        // Cible: dossier du serveur de backup ou client (d'origine ou autre client enregistré)
+        if (!['server', 'client'].includes(target)) {
+            return res.status(400).json({ error: `Cible de restauration invalide: ${target} (server, client)` });
+        }
         
         // Vérifier les permissions de restauration
         logger.info(`Vérification permission backups_restore pour utilisateur ${req.user.id} (${req.user.username}) - rôle: ${req.user.role}`);
@@ -1211,8 +2313,78 @@ router.post('/backups/restore/:backupId', AuthMiddleware.authenticateToken, asyn
             return res.status(404).json({ error: 'Chemin du fichier backup non trouvé' });
         }
         
-        if (!fs.existsSync(filePath)) {
-            return res.status(404).json({ error: 'Fichier backup non trouvé sur le disque' });
+        if (!(await storageManager.exists(backup))) {
+            return res.status(404).json({ error: 'Fichier backup non trouvé sur son stockage' });
+        }
+        
+        if (target === 'client') {
+            const { clientRestore } = require('../backup/clientRestore');
+            const sourceClient = await getClientByName(backup.client_name);
+            const targetClient = targetClientId ? await getClient(targetClientId) : sourceClient;
+            if (!targetClient) {
+                return res.status(404).json({ error: 'Client de destination non trouvé' });
+            }
+            
+            if (req.user.role !== 'admin' && !clientPermissions.canViewAll && !clientPermissions.allowedClients.includes(targetClient.name)) {
+                logger.warn(`Accès refusé - client ${targetClient.name} non autorisé pour ${req.user.username}`);
+                return res.status(403).json({ error: 'Accès non autorisé au client de destination' });
+            }
+            
+            // Sans dossier distant, les fichiers reprennent leurs emplacements d'origine: même OS obligatoire
+            if (remotePath) {
+                const absolute = targetClient.os_type === 'linux' ? remotePath.startsWith('/') : /^([a-zA-Z]:[\\/]|\\\\)/.test(remotePath);
+                if (!absolute || remotePath.replace(/\\/g, '/').split('/').includes('..')) {
+                    return res.status(400).json({ error: 'Le dossier distant doit être un chemin absolu sans ".."' });
+                }
+            } else if (!sourceClient || sourceClient.os_type !== targetClient.os_type) {
+                return res.status(400).json({ error: 'Dossier distant requis pour restaurer vers un client d\'un autre système' });
+            }
+            
+            const startTime = new Date();
+            try {
+                const outcome = await clientRestore.restoreToClient(backup, targetClient, { paths, conflictPolicy, remotePath, sourceClient });
+                const endTime = new Date();
+                
+                logger.info(`Restauration effectuée: ${backupId} vers le client ${targetClient.name} par ${req.user.username}`);
+                
+                return res.json({
+                    backup_id: backupId,
+                    destination: `${targetClient.name}:${remotePath || '(emplacements d\'origine)'}`,
+                    target: 'client',
+                    target_client: targetClient.name,
+                    restore_result: {
+                        success: outcome.restored.length > 0 || outcome.skipped.length > 0,
+                        extractedFiles: outcome.restored,
+                        errors: [
+                            ...(outcome.unmatched.length > 0 ? [`Aucun fichier ne correspond à: ${outcome.unmatched.join(', ')}`] : []),
+                            ...(outcome.unmapped.length > 0 ? [`${outcome.unmapped.length} fichier(s) hors des dossiers sauvegardés ignorés`] : []),
+                            ...outcome.errors
+                        ],
+                        verification: null,
+                        stats: {
+                            startTime: startTime.toISOString(),
+                            endTime: endTime.toISOString(),
+                            duration: endTime - startTime,
+                            filesExtracted: outcome.restored.length,
+                            totalSize: outcome.files.reduce((sum, file) => sum + (file.size || 0), 0)
+                        },
+                        selection: {
+                            paths,
+                            conflictPolicy,
+                            matchedFiles: outcome.files.length,
+                            unmatched: outcome.unmatched,
+                            unmapped: outcome.unmapped,
+                            skipped: outcome.skipped,
+                            renamed: outcome.renamed
+                        }
+                    },
+                    restored_at: endTime.toISOString(),
+                    restored_by: req.user.username
+                });
+            } catch (error) {
+                logger.error(`Erreur restauration vers le client ${targetClient.name}:`, error);
+                return res.status(500).json({ error: `Restauration vers ${targetClient.name} impossible: ${error.message}` });
+            }
         }
         
         // Valider le chemin de destination
@@ -1227,7 +2399,7 @@ router.post('/backups/restore/:backupId', AuthMiddleware.authenticateToken, asyn
         }
         
         // Effectuer la restauration
-        const restoreResult = await performRestore(backup, destinationDir, verifyRestore);
+        const restoreResult = await performRestore(backup, destinationDir, verifyRestore, { paths, conflictPolicy });
         
         logger.info(`Restauration effectuée: ${backupId} vers ${destinationDir} par ${req.user.username}`);
         
@@ -1245,6 +2417,65 @@ router.post('/backups/restore/:backupId', AuthMiddleware.authenticateToken, asyn
     }
 });
 
+// Route pour recharger un dump de base de données d'un backup sur un client Linux
+router.post('/backups/restore/:backupId/database', AuthMiddleware.authenticateToken, async (req, res) => {
+    try {
+        const { permissionManager } = require('../utils/permissions');
+        const { clientRestore } = require('../backup/clientRestore');
+        const { name, targetClientId, targetDatabase } = req.body;
+
+        if (!name) {
+            return res.status(400).json({ error: 'Nom du dump requis (name)' });
+        }
+
+        const hasPermission = await permissionManager.hasPermission(req.user.id, 'backups_restore');
+        if (!hasPermission) {
+            logger.warn(`Accès refusé - permission backups_restore manquante pour ${req.user.username} (rôle: ${req.user.role})`);
+            return res.status(403).json({ error: 'Permission insuffisante pour restaurer un backup' });
+        }
+
+        const backup = await getBackup(req.params.backupId);
+        if (!backup) {
+            return res.status(404).json({ error: 'Backup non trouvé' });
+        }
+        if (backup.status !== 'completed') {
+            return res.status(400).json({ error: 'Le backup n\'est pas disponible pour restauration' });
+        }
+
+        const sourceClient = await getClientByName(backup.client_name);
+        const targetClient = targetClientId ? await getClient(targetClientId) : sourceClient;
+        if (!targetClient) {
+            return res.status(404).json({ error: 'Client de destination non trouvé' });
+        }
+
+        const clientPermissions = await permissionManager.getClientPermissions(req.user.id);
+        if (req.user.role !== 'admin' && !clientPermissions.canViewAll &&
+            (!clientPermissions.allowedClients.includes(backup.client_name) || !clientPermissions.allowedClients.includes(targetClient.name))) {
+            logger.warn(`Accès refusé - restauration de base ${backup.client_name} -> ${targetClient.name} non autorisée pour ${req.user.username}`);
+            return res.status(403).json({ error: 'Accès non autorisé à ce backup ou au client de destination' });
+        }
+
+        try {
+            const result = await clientRestore.restoreDatabase(backup, targetClient, { name, targetDatabase, sourceClient });
+            logger.info(`Base ${result.database} restaurée depuis ${backup.backup_id} sur ${targetClient.name} par ${req.user.username}`);
+
+            res.json({
+                backup_id: backup.backup_id,
+                target_client: targetClient.name,
+                restore_result: result,
+                restored_at: new Date().toISOString(),
+                restored_by: req.user.username
+            });
+        } catch (error) {
+            logger.error(`Erreur restauration du dump ${name} vers ${targetClient.name}:`, error);
+            res.status(500).json({ error: `Restauration du dump ${name} impossible: ${error.message}` });
+        }
+    } catch (error) {
+        logger.error('Erreur restauration de base de données:', error);
+        res.status(500).json({ error: 'Erreur lors de la restauration de la base de données' });
+    }
+});
+
 // ========================================
 // ROUTES NOTIFICATIONS EMAIL
 // ========================================
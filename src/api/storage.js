@@ -0,0 +1,297 @@
+const express = require('express');
+const { logger } = require('../utils/logger');
+const AuthMiddleware = require('../middleware/auth');
+const { storageManager, LOCAL_DESTINATION } = require('../storage/storageManager');
+const { replication } = require('../storage/replication');
+const {
+    addStorageDestination,
+    getStorageDestinations,
+    getStorageDestination,
+    getStorageDestinationByName,
+    updateStorageDestination,
+    deleteStorageDestination,
+    getBackup,
+    getBackupReplicas,
+    getReplicationStats,
+    db
+} = require('../utils/database');
+
+const router = express.Router();
+
+const DESTINATION_NAME = /^[\w.-]{1,64}$/;
+// Champs qui désignent l'emplacement des données: figés tant que la destination est utilisée
+const LOCATION_FIELDS = ['bucket', 'prefix', 'endpoint', 'host', 'path'];
+
+// Middleware pour les logs d'API et sécurité
+router.use(AuthMiddleware.securityLogger);
+
+// Destination renvoyée par l'API: secrets masqués
+function formatDestination(destination) {
+    return { ...destination, config: storageManager.maskConfig(destination.config) };
+}
+
+// Clients et backups rangés sur une destination (copies comprises)
+async function getDestinationUsage(name) {
+    const clients = await db.get(
+        'SELECT COUNT(*) as count FROM clients WHERE storage_destination = ? OR replication_destinations LIKE ?',
+        [name, `%${JSON.stringify(name)}%`]
+    );
+    const backups = await db.get('SELECT COUNT(*) as count FROM backups WHERE storage = ? AND status = \'completed\'', [name]);
+    const replicas = await db.get('SELECT COUNT(*) as count FROM backup_replicas WHERE destination = ? AND status != \'expired\'', [name]);
+    return { clients: clients.count, backups: backups.count, replicas: replicas.count };
+}
+
+function isDestinationUsed(usage) {
+    return usage.clients > 0 || usage.backups > 0 || usage.replicas > 0;
+}
+
+// Rétention propre à la destination en jours (vide = RETENTION_DAYS)
+function prepareRetentionDays(value) {
+    if (value === undefined || value === null || value === '') return { value: null };
+
+    const days = Number(value);
+    if (!Number.isInteger(days) || days < 1) {
+        return { error: 'retention_days doit être un nombre entier de jours (1 minimum)' };
+    }
+    return { value: days };
+}
+
+// Route pour lister les destinations de stockage (admin seulement)
+router.get('/destinations', AuthMiddleware.requireAdmin, async (req, res) => {
+    try {
+        const destinations = await getStorageDestinations();
+        const result = [];
+        for (const destination of destinations) {
+            result.push({ ...formatDestination(destination), usage: await getDestinationUsage(destination.name) });
+        }
+        res.json({
+            destinations: result,
+            default_destination: process.env.DEFAULT_STORAGE_DESTINATION || LOCAL_DESTINATION
+        });
+    } catch (error) {
+        logger.error('Erreur lors de la récupération des destinations de stockage:', error);
+        res.status(500).json({ error: 'Erreur interne du serveur' });
+    }
+});
+
+// Route pour créer une destination de stockage (admin seulement)
+router.post('/destinations', AuthMiddleware.requireAdmin, async (req, res) => {
+    try {
+        const { name, type, config = {}, active = true } = req.body;
+        // Destination hors site par défaut, sauf un dossier local (autre disque du serveur)
+        const offsite = 'offsite' in req.body ? !!req.body.offsite : type !== 'local';
+
+        if (!name || !DESTINATION_NAME.test(name)) {
+            return res.status(400).json({ error: 'Nom de destination requis (lettres, chiffres, . _ -, 64 caractères max)' });
+        }
+        if (name === LOCAL_DESTINATION) {
+            return res.status(400).json({ error: `Nom réservé au disque local du serveur: ${LOCAL_DESTINATION}` });
+        }
+
+        const configError = storageManager.validate(type, config);
+        if (configError) {
+            return res.status(400).json({ error: configError });
+        }
+
+        const retentionDays = prepareRetentionDays(req.body.retention_days);
+        if (retentionDays.error) {
+            return res.status(400).json({ error: retentionDays.error });
+        }
+
+        const result = await addStorageDestination({ name, type, config, retention_days: retentionDays.value, offsite, active });
+        logger.info(`Destination de stockage ${name} (${type}) créée par ${req.user.username}`);
+        res.status(201).json({ message: 'Destination de stockage créée', id: result.id });
+    } catch (error) {
+        if (error.message.includes('UNIQUE constraint')) {
+            return res.status(409).json({ error: 'Une destination avec ce nom existe déjà' });
+        }
+        logger.error('Erreur lors de la création de la destination de stockage:', error);
+        res.status(500).json({ error: 'Erreur interne du serveur' });
+    }
+});
+
+// Route pour modifier une destination (secrets absents de la requête conservés)
+router.put('/destinations/:id', AuthMiddleware.requireAdmin, async (req, res) => {
+    try {
+        const destination = await getStorageDestination(req.params.id);
+        if (!destination) {
+            return res.status(404).json({ error: 'Destination de stockage non trouvée' });
+        }
+
+        const updates = {};
+        if ('name' in req.body && req.body.name !== destination.name) {
+            if (!DESTINATION_NAME.test(req.body.name || '') || req.body.name === LOCAL_DESTINATION) {
+                return res.status(400).json({ error: 'Nom de destination invalide' });
+            }
+            // Les clients, backups et copies désignent leur destination par son nom
+            const usage = await getDestinationUsage(destination.name);
+            if (isDestinationUsed(usage)) {
+                return res.status(409).json({ error: 'Destination utilisée: renommage impossible', usage });
+            }
+            updates.name = req.body.name;
+        }
+
+        if ('type' in req.body || 'config' in req.body) {
+            const type = req.body.type || destination.type;
+            const config = type === destination.type
+                ? storageManager.mergeConfig(destination.config, req.body.config || destination.config)
+                : (req.body.config || {});
+            const configError = storageManager.validate(type, config);
+            if (configError) {
+                return res.status(400).json({ error: configError });
+            }
+
+            // Backups et copies déjà rangés: seuls les identifiants restent modifiables
+            const movedFields = LOCATION_FIELDS.filter(field => (config[field] || null) !== (destination.config[field] || null));
+            if (type !== destination.type || movedFields.length > 0) {
+                const usage = await getDestinationUsage(destination.name);
+                if (isDestinationUsed(usage)) {
+                    return res.status(409).json({
+                        error: `Destination utilisée: ${type !== destination.type ? 'type' : movedFields.join(', ')} non modifiable (seuls les identifiants peuvent changer)`,
+                        usage
+                    });
+                }
+            }
+            updates.type = type;
+            updates.config = config;
+        }
+
+        if ('retention_days' in req.body) {
+            const retentionDays = prepareRetentionDays(req.body.retention_days);
+            if (retentionDays.error) {
+                return res.status(400).json({ error: retentionDays.error });
+            }
+            updates.retention_days = retentionDays.value;
+        }
+
+        if ('offsite' in req.body) {
+            updates.offsite = !!req.body.offsite;
+        }
+
+        if ('active' in req.body) {
+            updates.active = !!req.body.active;
+        }
+
+        await updateStorageDestination(destination.id, updates);
+        logger.info(`Destination de stockage ${destination.name} modifiée par ${req.user.username}`);
+        res.json({ message: 'Destination de stockage modifiée' });
+    } catch (error) {
+        if (error.message.includes('UNIQUE constraint')) {
+            return res.status(409).json({ error: 'Une destination avec ce nom existe déjà' });
+        }
+        logger.error('Erreur lors de la modification de la destination de stockage:', error);
+        res.status(500).json({ error: 'Erreur interne du serveur' });
+    }
+});
+
+// Route pour supprimer une destination inutilisée
+router.delete('/destinations/:id', AuthMiddleware.requireAdmin, async (req, res) => {
+    try {
+        const destination = await getStorageDestination(req.params.id);
+        if (!destination) {
+            return res.status(404).json({ error: 'Destination de stockage non trouvée' });
+        }
+
+        const usage = await getDestinationUsage(destination.name);
+        if (isDestinationUsed(usage)) {
+            return res.status(409).json({
+                error: `Destination utilisée par ${usage.clients} client(s), ${usage.backups} backup(s) et ${usage.replicas} copie(s)`,
+                usage
+            });
+        }
+
+        await deleteStorageDestination(destination.id);
+        logger.info(`Destination de stockage ${destination.name} supprimée par ${req.user.username}`);
+        res.json({ message: 'Destination de stockage supprimée' });
+    } catch (error) {
+        logger.error('Erreur lors de la suppression de la destination de stockage:', error);
+        res.status(500).json({ error: 'Erreur interne du serveur' });
+    }
+});
+
+// Route pour tester une destination: envoi, relecture et suppression d'un fichier témoin
+router.post('/destinations/:id/test', AuthMiddleware.requireAdmin, async (req, res) => {
+    try {
+        const destination = await getStorageDestination(req.params.id);
+        if (!destination) {
+            return res.status(404).json({ error: 'Destination de stockage non trouvée' });
+        }
+
+        try {
+            const result = await storageManager.testDestination(destination);
+            logger.info(`Test de la destination ${destination.name} réussi (${result.duration_ms}ms)`);
+            res.json({ success: true, name: destination.name, ...result });
+        } catch (error) {
+            logger.warn(`Test de la destination ${destination.name} échoué: ${error.message}`);
+            res.json({ success: false, name: destination.name, error: error.message });
+        }
+    } catch (error) {
+        logger.error('Erreur lors du test de la destination de stockage:', error);
+        res.status(500).json({ error: 'Erreur interne du serveur' });
+    }
+});
+
+// Route pour l'état de la réplication: copies par état et par destination, file des copies
+router.get('/replication', AuthMiddleware.authenticateToken, async (req, res) => {
+    try {
+        const stats = await getReplicationStats();
+        res.json({ ...stats, queue: replication.getStatus() });
+    } catch (error) {
+        logger.error('Erreur lors de la récupération de l\'état de la réplication:', error);
+        res.status(500).json({ error: 'Erreur interne du serveur' });
+    }
+});
+
+// Route pour lister les copies (filtres: backup_id, destination, status)
+router.get('/replicas', AuthMiddleware.filterClientData, async (req, res) => {
+    try {
+        const { backup_id, destination, status } = req.query;
+        let replicas = await getBackupReplicas({ backup_id, destination, status });
+
+        if (!req.dataFilter.canViewAll) {
+            replicas = replicas.filter(replica => req.dataFilter.allowedClients.includes(replica.client_name));
+        }
+
+        res.json(replicas);
+    } catch (error) {
+        logger.error('Erreur lors de la récupération des copies:', error);
+        res.status(500).json({ error: 'Erreur interne du serveur' });
+    }
+});
+
+// Route pour copier un backup vers une destination, ou relancer une copie échouée (admin seulement)
+router.post('/replicas', AuthMiddleware.requireAdmin, async (req, res) => {
+    try {
+        const { backup_id, destination } = req.body;
+
+        const backup = backup_id ? await getBackup(backup_id) : null;
+        if (!backup) {
+            return res.status(404).json({ error: 'Backup non trouvé' });
+        }
+        if (backup.status !== 'completed' || !backup.path) {
+            return res.status(400).json({ error: 'Seul un backup terminé peut être copié' });
+        }
+
+        const target = destination ? await getStorageDestinationByName(destination) : null;
+        if (!target || !target.active) {
+            return res.status(400).json({ error: `Destination de stockage inconnue ou désactivée: ${destination}` });
+        }
+        if (destination === backup.storage) {
+            return res.status(400).json({ error: 'Le backup est déjà rangé sur cette destination' });
+        }
+
+        const [existing] = await getBackupReplicas({ backup_id, destination });
+        if (existing && ['pending', 'copied', 'verified'].includes(existing.status)) {
+            return res.status(409).json({ error: `Copie déjà ${existing.status === 'pending' ? 'en cours' : 'présente'} sur ${destination}`, replica: existing });
+        }
+
+        await replication.requestReplica(backup, destination);
+        logger.info(`Copie du backup ${backup_id} vers ${destination} demandée par ${req.user.username}`);
+        res.status(202).json({ message: 'Copie planifiée', backup_id, destination });
+    } catch (error) {
+        logger.error('Erreur lors de la planification de la copie:', error);
+        res.status(500).json({ error: 'Erreur interne du serveur' });
+    }
+});
+
+module.exports = router;
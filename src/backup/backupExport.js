@@ -0,0 +1,136 @@
+/**
+ * Export d'un backup vers un dossier du serveur (NAS secondaire, disque amovible monté)
+ * Dossier (Windows, snapshot): archive tar à la volée avec la compression du client. Archive: copie,
+ * volumes d'une archive découpée réassemblés. Avec une taille de volume, l'export est écrit en volumes
+ * numérotés suivis de leur manifeste (voir utils/archive-volumes).
+ * Un backup rangé sur une destination de stockage est lu depuis celle-ci (dossier recopié temporairement).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { logger } = require('../utils/logger');
+const { compression } = require('../utils/compression');
+const archiveVolumes = require('../utils/archive-volumes');
+const { storageManager } = require('../storage/storageManager');
+
+class BackupExportService {
+    /**
+     * Source de l'export: flux de l'archive et processus tar éventuel
+     * @returns {Promise<{input: Readable, archiveName: string, settings: Object|null, child: ChildProcess|null, release: function(): Promise}>}
+     */
+    async openSource(backup, client) {
+        const baseName = `${backup.client_name}_${backup.backup_id}`;
+        const isDirectory = storageManager.isRemote(backup)
+            ? storageManager.isDirectoryKey(backup.path)
+            : (await fs.promises.stat(backup.path)).isDirectory();
+
+        if (isDirectory) {
+            const local = await storageManager.materialize(backup);
+            const settings = await compression.resolveForServer(client && client.compression);
+            const child = compression.spawnDirectoryArchive(local.path, settings);
+            return { input: child.stdout, archiveName: `${baseName}${compression.getArchiveExtension(settings)}`, settings, child, release: local.release };
+        }
+
+        const archive = await storageManager.openArchiveStream(backup);
+        const extension = archive.codec ? compression.getCodec(archive.codec).extension : '.backup';
+        return { input: archive.stream, archiveName: `${baseName}${extension}`, settings: archive.codec ? { codec: archive.codec } : null, child: null, release: async () => {} };
+    }
+
+    /**
+     * Fin du processus tar d'un dossier exporté
+     */
+    waitForArchive(child) {
+        if (!child) return Promise.resolve();
+
+        return new Promise((resolve, reject) => {
+            let stderr = '';
+            child.stderr.on('data', (data) => {
+                stderr += data.toString();
+            });
+            child.on('error', reject);
+            child.on('close', (code) => {
+                if (code !== 0) {
+                    reject(new Error(`Archive tar échouée (code ${code}): ${stderr.trim().slice(-500)}`));
+                    return;
+                }
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Exporte un backup dans un dossier existant du serveur
+     * @param {Object} backup - Ligne de la table backups
+     * @param {string} destination - Dossier de destination (absolu)
+     * @param {Object} options - { client, splitSize (octets, 0: un seul fichier) }
+     * @returns {Promise<Object>} { path, archive, size, compression, volumes }
+     */
+    async exportBackup(backup, destination, options = {}) {
+        const splitSize = options.splitSize || 0;
+        const source = await this.openSource(backup, options.client);
+        const targetPath = path.join(destination, source.archiveName);
+
+        for (const existing of [targetPath, `${targetPath}${archiveVolumes.MANIFEST_SUFFIX}`]) {
+            if (fs.existsSync(existing)) {
+                if (source.child) source.child.kill();
+                source.input.destroy();
+                await source.release();
+                const error = new Error(`Un export existe déjà: ${existing}`);
+                error.code = 'EEXIST';
+                throw error;
+            }
+        }
+
+        const startTime = Date.now();
+        const archiveDone = this.waitForArchive(source.child);
+        // Erreur du tar traitée après l'écriture (await plus bas)
+        archiveDone.catch(() => {});
+
+        let outputPath = null;
+        try {
+            if (splitSize > 0) {
+                outputPath = await archiveVolumes.writeVolumes(source.input, {
+                    directory: destination,
+                    archiveName: source.archiveName,
+                    splitSize,
+                    compression: source.settings
+                });
+            } else {
+                await pipeline(source.input, fs.createWriteStream(targetPath, { flags: 'wx' }));
+                outputPath = targetPath;
+            }
+            await archiveDone;
+        } catch (error) {
+            if (source.child && source.child.exitCode === null) source.child.kill();
+            if (outputPath && archiveVolumes.isManifestPath(outputPath)) {
+                await archiveVolumes.removeSplitArchive(outputPath);
+            } else {
+                await fs.promises.rm(targetPath, { force: true });
+            }
+            throw error;
+        } finally {
+            await source.release();
+        }
+
+        const manifest = archiveVolumes.isManifestPath(outputPath) ? await archiveVolumes.readManifest(outputPath) : null;
+        const size = manifest ? manifest.total_size : (await fs.promises.stat(outputPath)).size;
+        logger.info(`Backup ${backup.backup_id} exporté vers ${outputPath}: ${Math.round(size / (1024 * 1024))} MB${manifest ? ` en ${manifest.volumes.length} volumes` : ''} (${Math.round((Date.now() - startTime) / 1000)}s)`);
+
+        return {
+            path: outputPath,
+            archive: source.archiveName,
+            size,
+            compression: source.settings,
+            volumes: manifest ? manifest.volumes : null
+        };
+    }
+}
+
+// Instance singleton
+const backupExport = new BackupExportService();
+
+module.exports = {
+    backupExport,
+    BackupExportService
+};
@@ -0,0 +1,280 @@
+/**
+ * Restauration vers un client: les fichiers sélectionnés d'un backup sont extraits sur le serveur
+ * puis renvoyés par SSH au client d'origine (ou à un autre client enregistré).
+ * Linux: archive tar extraite à distance. Windows: envoi fichier par fichier en SFTP.
+ * Les dumps de bases de données (section databases/) peuvent aussi être rechargés un par un dans leur moteur.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { logger } = require('../utils/logger');
+const { backupChain } = require('../utils/backup-chain');
+const { resolveSelection, restoreSelection } = require('../utils/restore-selection');
+const { storageManager } = require('../storage/storageManager');
+const { DUMPS_SECTION, DUMP_PLUGINS, parseDatabaseJobs, parseDumpPath, shellQuote } = require('../utils/database-dumps');
+const WindowsBackupClient = require('./windowsBackup');
+const LinuxBackupClient = require('./linuxBackup');
+
+class ClientRestoreService {
+    /**
+     * Dossiers configurés d'un client (JSON de chaînes ou d'objets {path, enabled}, ou liste séparée par des virgules)
+     */
+    parseClientFolders(folders) {
+        if (!folders || typeof folders !== 'string') return [];
+        try {
+            if (folders.startsWith('[')) {
+                return JSON.parse(folders)
+                    .filter(folder => typeof folder === 'string' || folder.enabled !== false)
+                    .map(folder => typeof folder === 'string' ? folder : folder.path)
+                    .filter(Boolean);
+            }
+            return folders.split(',').map(folder => folder.trim()).filter(Boolean);
+        } catch (error) {
+            logger.warn(`Dossiers du client illisibles: ${error.message}`);
+            return [];
+        }
+    }
+
+    /**
+     * Correspondance dossier du backup -> dossier d'origine sur le client
+     * Linux: /var/www est stocké sous var_www. Windows: <client>/<nom du dossier>.
+     * @returns {Array<{prefix: string, remoteBase: string}>} préfixes les plus longs en premier
+     */
+    getFolderMappings(backup, sourceClient) {
+        const metadata = backupChain.parseMetadata(backup.metadata);
+        const recorded = [...(metadata.folders || []), ...(metadata.results || [])]
+            .filter(entry => entry && entry.folder);
+        const configured = this.parseClientFolders(sourceClient && sourceClient.folders)
+            .map(folder => ({ folder }));
+
+        const mappings = new Map();
+        for (const entry of [...recorded, ...configured]) {
+            let prefix;
+            let remoteBase;
+
+            if (sourceClient && sourceClient.os_type === 'linux') {
+                remoteBase = entry.folder.trim().replace(/\/+$/, '');
+                prefix = remoteBase.replace(/\//g, '_').replace(/^_/, '');
+            } else {
+                remoteBase = entry.folder.trim().replace(/[\\/]+$/, '');
+                prefix = entry.destination && path.isAbsolute(entry.destination)
+                    ? this.getRelativeToBackup(backup, entry.destination)
+                    : `${backup.client_name}/${path.basename(remoteBase)}`;
+            }
+
+            if (prefix && !prefix.startsWith('..') && !mappings.has(prefix)) {
+                mappings.set(prefix, { prefix, remoteBase });
+            }
+        }
+
+        return Array.from(mappings.values()).sort((a, b) => b.prefix.length - a.prefix.length);
+    }
+
+    /**
+     * Chemin d'un dossier enregistré à la création du backup, relatif à la racine du backup
+     * Un backup envoyé vers une destination de stockage n'a plus son chemin local: sa clé se termine
+     * par le nom du dossier d'origine, retrouvé dans le chemin enregistré.
+     */
+    getRelativeToBackup(backup, recordedPath) {
+        if (!storageManager.isRemote(backup)) {
+            return path.relative(backup.path, recordedPath).split(path.sep).join('/');
+        }
+        const segments = recordedPath.split(/[\\/]+/);
+        const index = segments.lastIndexOf(path.posix.basename(backup.path));
+        return index === -1 ? '..' : segments.slice(index + 1).join('/');
+    }
+
+    /**
+     * Chemin de destination sur le client d'un fichier du catalogue
+     * @returns {string|null} null si le fichier n'appartient à aucun dossier connu (config système, registre...)
+     */
+    getRemotePath(filePath, mappings, targetClient, remotePath) {
+        const windows = targetClient.os_type !== 'linux';
+
+        if (remotePath) {
+            // Dossier alternatif: l'arborescence du backup est conservée sous ce dossier
+            const base = remotePath.replace(/[\\/]+$/, '');
+            return windows ? `${base}\\${filePath.split('/').join('\\')}` : path.posix.join(base, filePath);
+        }
+
+        const mapping = mappings.find(m => filePath === m.prefix || filePath.startsWith(`${m.prefix}/`));
+        if (!mapping) return null;
+
+        const rest = filePath.slice(mapping.prefix.length).replace(/^\//, '');
+        if (windows) {
+            return rest ? `${mapping.remoteBase}\\${rest.split('/').join('\\')}` : mapping.remoteBase;
+        }
+        return rest ? path.posix.join(mapping.remoteBase, rest) : mapping.remoteBase;
+    }
+
+    createBackupClient(client) {
+        const BackupClientClass = client.os_type === 'linux' ? LinuxBackupClient : WindowsBackupClient;
+        return new BackupClientClass({
+            name: client.name,
+            host: client.host,
+            port: client.port || 22,
+            username: client.username,
+            password: client.password,
+            auth_method: client.auth_method,
+            private_key: client.private_key,
+            passphrase: client.passphrase,
+            backup_mode: client.backup_mode,
+            folders: client.folders,
+            database_jobs: client.database_jobs
+        });
+    }
+
+    /**
+     * Restaure une sélection de fichiers d'un backup sur un client
+     * @param {Object} backup - Ligne de la table backups
+     * @param {Object} targetClient - Client de destination (ligne de la table clients, secrets déchiffrés)
+     * @param {Object} options - { paths, conflictPolicy, remotePath, sourceClient }
+     * @returns {Promise<Object>} { files, unmatched, unmapped, restored, skipped, renamed, errors }
+     */
+    async restoreToClient(backup, targetClient, options = {}) {
+        const paths = options.paths || [];
+        const conflictPolicy = options.conflictPolicy || 'overwrite';
+        const sourceClient = options.sourceClient || targetClient;
+
+        const { files, unmatched } = await resolveSelection(backup, paths.length > 0 ? paths : ['**']);
+        if (files.length === 0) {
+            throw new Error('Aucun fichier du backup ne correspond à la sélection');
+        }
+
+        // Destination de chaque fichier sur le client
+        const mappings = this.getFolderMappings(backup, sourceClient);
+        const mapped = [];
+        const unmapped = [];
+        for (const file of files) {
+            const remotePath = this.getRemotePath(file.path, mappings, targetClient, options.remotePath);
+            if (remotePath) {
+                mapped.push({ file, remotePath });
+            } else {
+                unmapped.push(file.path);
+            }
+        }
+
+        if (unmapped.length > 0) {
+            logger.warn(`${unmapped.length} fichier(s) hors des dossiers sauvegardés ignorés (indiquer un dossier distant pour les restaurer)`);
+        }
+        if (mapped.length === 0) {
+            throw new Error('Aucun fichier sélectionné ne correspond à un dossier du client: indiquer un dossier distant');
+        }
+
+        const stagingDir = path.join(process.env.TEMP_PATH || os.tmpdir(), `efc-client-restore-${Date.now()}`);
+        await fs.promises.mkdir(stagingDir, { recursive: true });
+        const backupClient = this.createBackupClient(targetClient);
+
+        try {
+            // 1. Extraction locale des fichiers sélectionnés
+            const extracted = await restoreSelection(backup, mapped.map(m => m.file), stagingDir, { conflictPolicy: 'overwrite' });
+            const extractedPaths = new Set(extracted.restored);
+            const entries = mapped
+                .filter(m => extractedPaths.has(m.file.path))
+                .map(m => ({ path: m.file.path, localPath: path.join(stagingDir, m.file.path), remotePath: m.remotePath }));
+
+            // 2. Envoi vers le client
+            logger.info(`Restauration de ${entries.length} fichier(s) du backup ${backup.backup_id} vers ${targetClient.name} (${targetClient.host})`);
+            await backupClient.connect();
+            const outcome = await backupClient.restoreFiles(entries, { conflictPolicy, workDir: stagingDir });
+
+            return {
+                files,
+                unmatched,
+                unmapped,
+                restored: outcome.restored,
+                skipped: outcome.skipped,
+                renamed: outcome.renamed,
+                errors: [...extracted.errors, ...outcome.errors]
+            };
+        } finally {
+            await backupClient.disconnect().catch(() => {});
+            await fs.promises.rm(stagingDir, { recursive: true, force: true });
+        }
+    }
+
+    /**
+     * Dumps de bases de données contenus dans un backup
+     * @returns {Promise<Array<{name, engine, path, size}>>}
+     */
+    async listDatabaseDumps(backup) {
+        const { files } = await resolveSelection(backup, [`${DUMPS_SECTION}/**`]);
+        return files
+            .map(file => ({ file, dump: parseDumpPath(file.path) }))
+            .filter(entry => entry.dump)
+            .map(entry => ({ ...entry.dump, path: entry.file.path, size: entry.file.size }));
+    }
+
+    /**
+     * Recharge un dump du backup dans sa base sur un client Linux
+     * Les identifiants sont ceux de la tâche du même nom sur le client de destination (sinon le client d'origine).
+     * @param {Object} backup - Ligne de la table backups
+     * @param {Object} targetClient - Client de destination (secrets déchiffrés)
+     * @param {Object} options - { name, targetDatabase, sourceClient }
+     * @returns {Promise<{name, engine, database, file, size, duration}>}
+     */
+    async restoreDatabase(backup, targetClient, options = {}) {
+        if (targetClient.os_type !== 'linux') {
+            throw new Error('La restauration de bases de données est réservée aux clients Linux');
+        }
+
+        const dump = (await this.listDatabaseDumps(backup)).find(entry => entry.name === options.name);
+        if (!dump) {
+            throw new Error(`Aucun dump "${options.name}" dans le backup ${backup.backup_id}`);
+        }
+
+        const findJob = client => parseDatabaseJobs(client && client.database_jobs)
+            .find(job => job.name === dump.name && job.engine === dump.engine);
+        const job = findJob(targetClient) || findJob(options.sourceClient) || { name: dump.name, engine: dump.engine };
+        const database = options.targetDatabase || job.database;
+        if (!database) {
+            throw new Error(`Base de destination requise: aucune tâche "${dump.name}" sur ${targetClient.name}`);
+        }
+
+        const stagingDir = path.join(process.env.TEMP_PATH || os.tmpdir(), `efc-db-restore-${Date.now()}`);
+        await fs.promises.mkdir(stagingDir, { recursive: true });
+        const backupClient = this.createBackupClient(targetClient);
+        const remoteFile = `/tmp/efc-restore-${Date.now()}-${path.posix.basename(dump.path)}`;
+        const startTime = new Date();
+
+        try {
+            const extracted = await restoreSelection(backup, [{ path: dump.path, size: dump.size }], stagingDir, { conflictPolicy: 'overwrite' });
+            if (extracted.errors.length > 0 || extracted.restored.length === 0) {
+                throw new Error(`Extraction du dump impossible: ${extracted.errors.join(', ') || dump.path}`);
+            }
+
+            logger.info(`Restauration du dump ${dump.name} (${dump.engine}) du backup ${backup.backup_id} dans ${database} sur ${targetClient.name}`);
+            await backupClient.connect();
+            await backupClient.uploadFile(path.join(stagingDir, dump.path), remoteFile);
+            await backupClient.executeWithInput(
+                DUMP_PLUGINS[dump.engine].buildRestoreCommand(job, remoteFile, database),
+                `${job.password || ''}\n`,
+                parseInt(process.env.DATABASE_DUMP_TIMEOUT) || 3600000
+            );
+
+            return {
+                name: dump.name,
+                engine: dump.engine,
+                database,
+                file: dump.path,
+                size: dump.size,
+                duration: (new Date() - startTime) / 1000
+            };
+        } finally {
+            if (backupClient.isConnected) {
+                await backupClient.executeCommand(`rm -f ${shellQuote(remoteFile)}`).catch(() => {});
+            }
+            await backupClient.disconnect().catch(() => {});
+            await fs.promises.rm(stagingDir, { recursive: true, force: true });
+        }
+    }
+}
+
+// Instance singleton
+const clientRestore = new ClientRestoreService();
+
+module.exports = {
+    clientRestore,
+    ClientRestoreService
+};
@@ -0,0 +1,206 @@
+/**
+ * Comparaison des codecs de compression sur un échantillon des données d'un client
+ * L'échantillon (début d'un tar des dossiers sauvegardés) est copié sur le serveur puis compressé
+ * avec chaque codec: taux de compression et débit mesurés avec les programmes du serveur.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { logger } = require('../utils/logger');
+const { compression, COMPRESSION_CODECS } = require('../utils/compression');
+const { clientRestore } = require('./clientRestore');
+
+class CompressionBenchmarkService {
+    /**
+     * Taille de l'échantillon par défaut (COMPRESSION_BENCHMARK_SAMPLE_MB, 64 Mo)
+     */
+    getDefaultSampleBytes() {
+        return (parseInt(process.env.COMPRESSION_BENCHMARK_SAMPLE_MB) || 64) * 1024 * 1024;
+    }
+
+    /**
+     * Durée maximale d'un benchmark (COMPRESSION_BENCHMARK_TIMEOUT en ms, 10 minutes par défaut)
+     */
+    getTimeout() {
+        return parseInt(process.env.COMPRESSION_BENCHMARK_TIMEOUT) || 10 * 60 * 1000;
+    }
+
+    /**
+     * Niveau testé pour chaque codec: demandé, sinon celui du client pour son codec, sinon le niveau par défaut
+     * @param {Object} current - Réglage du client ({ codec, level })
+     * @param {Object} levels - Niveaux demandés ({ zstd: 9, ... })
+     */
+    getCandidates(current, levels = {}) {
+        return COMPRESSION_CODECS.map(codec => compression.resolve({
+            codec,
+            level: levels[codec] !== undefined ? levels[codec] : (codec === current.codec ? current.level : undefined)
+        }));
+    }
+
+    /**
+     * Compresse l'échantillon avec un codec
+     * @returns {Promise<{compressedBytes: number, durationMs: number}>}
+     */
+    compressSample(samplePath, settings, signal = null) {
+        const command = compression.getCompressCommand(settings);
+        if (!command) {
+            return fs.promises.stat(samplePath).then(stats => ({ compressedBytes: stats.size, durationMs: 0 }));
+        }
+
+        return new Promise((resolve, reject) => {
+            const [program, ...args] = command.split(' ');
+            const startTime = process.hrtime.bigint();
+            const child = spawn(program, [...args, '-c'], { stdio: ['pipe', 'pipe', 'pipe'], ...(signal ? { signal } : {}) });
+            let compressedBytes = 0;
+            let stderr = '';
+
+            child.stdout.on('data', (chunk) => {
+                compressedBytes += chunk.length;
+            });
+            child.stderr.on('data', (data) => {
+                stderr += data.toString();
+            });
+            child.on('error', reject);
+            // Programme arrêté avant la fin de l'échantillon: l'erreur est signalée par son code de sortie
+            child.stdin.on('error', () => {});
+            child.on('close', (code) => {
+                if (code !== 0) {
+                    reject(new Error(`${program} a échoué (code ${code}): ${stderr.trim().slice(-500)}`));
+                    return;
+                }
+                resolve({ compressedBytes, durationMs: Number(process.hrtime.bigint() - startTime) / 1e6 });
+            });
+
+            fs.createReadStream(samplePath)
+                .on('error', (error) => {
+                    child.kill();
+                    reject(error);
+                })
+                .pipe(child.stdin);
+        });
+    }
+
+    /**
+     * Échantillonne les données d'un client et compare les codecs
+     * @param {Object} client - Ligne de la table clients (secrets déchiffrés)
+     * @param {Object} options - { sampleBytes, levels: { <codec>: niveau }, timeout (ms) }
+     * @returns {Promise<Object>} { client, current, sample, results }
+     * @throws {Error} code BENCHMARK_TIMEOUT au-delà de timeout: connexion SSH fermée, compressions arrêtées
+     */
+    async run(client, options = {}) {
+        const sampleBytes = options.sampleBytes || this.getDefaultSampleBytes();
+        const current = compression.resolve(client.compression);
+        const workDir = path.join(process.env.TEMP_PATH || os.tmpdir(), `efc-compression-benchmark-${Date.now()}`);
+        const samplePath = path.join(workDir, 'sample.tar');
+        await fs.promises.mkdir(workDir, { recursive: true });
+
+        const backupClient = clientRestore.createBackupClient(client);
+        const folders = clientRestore.parseClientFolders(client.folders);
+
+        const timeout = options.timeout || this.getTimeout();
+        const abort = new AbortController();
+        let timer = null;
+        const deadline = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                const error = new Error(`Benchmark interrompu après ${Math.round(timeout / 1000)}s`);
+                error.code = 'BENCHMARK_TIMEOUT';
+                abort.abort();
+                backupClient.disconnect().catch(() => {});
+                reject(error);
+            }, timeout);
+        });
+
+        const measure = async () => {
+            // 1. Échantillon: tar lu sur le client (Linux) ou fichiers copiés puis archivés sur le serveur (Windows)
+            const sampleStart = Date.now();
+            await backupClient.connect();
+            let sample;
+            if (client.os_type === 'linux') {
+                sample = await backupClient.collectCompressionSample(samplePath, folders, sampleBytes);
+            } else {
+                const sampleDir = path.join(workDir, 'files');
+                await fs.promises.mkdir(sampleDir, { recursive: true });
+                sample = await backupClient.collectCompressionSample(sampleDir, folders, sampleBytes);
+                await this.archiveDirectory(sampleDir, samplePath);
+                await fs.promises.rm(sampleDir, { recursive: true, force: true });
+            }
+
+            const sampleSize = (await fs.promises.stat(samplePath)).size;
+            if (sampleSize === 0) {
+                throw new Error('Aucune donnée lisible dans les dossiers du client');
+            }
+            logger.info(`Échantillon de compression pour ${client.name}: ${(sampleSize / 1024 / 1024).toFixed(2)} MB en ${Math.round((Date.now() - sampleStart) / 1000)}s`);
+
+            // 2. Compression de l'échantillon avec chaque codec, l'un après l'autre
+            const results = [];
+            for (const settings of this.getCandidates(current, options.levels)) {
+                if (abort.signal.aborted) break;
+                const result = { codec: settings.codec, level: settings.level, available: await compression.isAvailable(settings.codec) };
+                if (!result.available) {
+                    results.push({ ...result, error: `${settings.codec} n'est pas installé sur le serveur` });
+                    continue;
+                }
+
+                try {
+                    const { compressedBytes, durationMs } = await this.compressSample(samplePath, settings, abort.signal);
+                    results.push({
+                        ...result,
+                        compressed_bytes: compressedBytes,
+                        ratio: Math.round((sampleSize / Math.max(compressedBytes, 1)) * 100) / 100,
+                        duration_ms: Math.round(durationMs),
+                        speed_mbps: durationMs > 0 ? Math.round((sampleSize / 1024 / 1024) / (durationMs / 1000) * 10) / 10 : null
+                    });
+                } catch (error) {
+                    logger.warn(`Benchmark ${compression.describe(settings)} échoué pour ${client.name}: ${error.message}`);
+                    results.push({ ...result, error: error.message });
+                }
+            }
+
+            return {
+                client: client.name,
+                current,
+                sample: { bytes: sampleSize, files: sample.files, requested_bytes: sampleBytes },
+                results
+            };
+        };
+
+        const work = measure();
+        // Échec après le délai: déjà signalé par le timeout
+        work.catch(() => {});
+        try {
+            return await Promise.race([work, deadline]);
+        } finally {
+            clearTimeout(timer);
+            await backupClient.disconnect().catch(() => {});
+            await fs.promises.rm(workDir, { recursive: true, force: true });
+        }
+    }
+
+    archiveDirectory(dirPath, archivePath) {
+        return new Promise((resolve, reject) => {
+            const tar = spawn('tar', ['-cf', archivePath, '-C', dirPath, '.']);
+            let stderr = '';
+            tar.stderr.on('data', (data) => {
+                stderr += data.toString();
+            });
+            tar.on('error', reject);
+            tar.on('close', (code) => {
+                if (code !== 0) {
+                    reject(new Error(`Archive de l'échantillon échouée (code ${code}): ${stderr.trim()}`));
+                    return;
+                }
+                resolve();
+            });
+        });
+    }
+}
+
+// Instance singleton
+const compressionBenchmark = new CompressionBenchmarkService();
+
+module.exports = {
+    compressionBenchmark,
+    CompressionBenchmarkService
+};
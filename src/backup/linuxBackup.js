@@ -4,7 +4,26 @@ const fs = require('fs');
 const { createClientLogger, createBackupLogger } = require('../utils/logger');
 const { addNetworkStats } = require('../utils/database');
 const backupExclusions = require('../utils/backup-exclusions');
-const { retrySshOperation, retryBackupOperation } = require('../utils/retry-helper');
+const { retrySshOperation, retryBackupOperation, createCancelledError } = require('../utils/retry-helper');
+const { buildSshAuthOptions, buildRsyncTransport, getAuthMethod, getAuthLabel } = require('../utils/ssh-auth');
+const { SNAPSHOT_MODE, METADATA_FILE, getSnapshotRoot, findLatestSnapshot } = require('../utils/snapshots');
+const { DUMPS_SECTION, DUMP_PLUGINS, parseDatabaseJobs, getDumpPath } = require('../utils/database-dumps');
+const { throttling } = require('../utils/throttling');
+const { compression } = require('../utils/compression');
+const { TrackedSet } = require('../utils/job-artifacts');
+const transferCheckpoint = require('../utils/transfer-checkpoint');
+const archiveVolumes = require('../utils/archive-volumes');
+const { spawn } = require('child_process');
+
+// Échappe une valeur pour la ligne de commande sh distante
+function shellQuote(value) {
+    return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+// Échappe une valeur pour une expression --transform de tar
+function escapeRegex(value) {
+    return value.replace(/[.*+?^${}()|[\]\\,]/g, '\\$&');
+}
 
 class LinuxBackupClient {
     constructor(clientConfig) {
@@ -13,12 +32,31 @@ class LinuxBackupClient {
         this.backupLogger = null; // Sera initialisé lors du backup
         this.sshClient = null;
         this.isConnected = false;
+        
+        // Annulation: opérations en cours à interrompre et fichiers partiels à supprimer
+        this.cancelled = false;
+        this.cancelHandlers = new Set();
+        this.remoteTempPaths = new TrackedSet();
+        this.localTempPaths = new TrackedSet();
+        
+        // Archive d'une tentative précédente dont le téléchargement reprend (voir prepareResume)
+        this.archiveCheckpoint = null;
+        
+        // Limitation de débit et de priorité (profil actif au démarrage du backup)
+        this.throttle = throttling.resolve(null);
+        this.limiter = null;
+        this.priorityPrefix = '';
+        
+        // Compression des archives (réglage du client, vérifié sur le client au démarrage du backup)
+        this.compression = compression.resolve(null);
     }
 
     async connect() {
         return await retrySshOperation(async () => {
             this.logger.info(`🔄 Tentative de connexion SSH vers ${this.config.host}:${this.config.port || 22}`);
-            this.logger.info(`👤 Utilisateur: ${this.config.username}`);
+            this.logger.info(`👤 Utilisateur: ${this.config.username} (auth: ${getAuthMethod(this.config)})`);
+            
+            const authOptions = buildSshAuthOptions(this.config);
             
             return new Promise((resolve, reject) => {
                 this.sshClient = new Client();
@@ -49,7 +87,7 @@ class LinuxBackupClient {
                     host: this.config.host,
                     port: this.config.port || 22,
                     username: this.config.username,
-                    password: this.config.password,
+                    ...authOptions,
                     keepaliveInterval: 30000,
                     keepaliveCountMax: 3
                 });
@@ -65,9 +103,11 @@ class LinuxBackupClient {
         } else if (error.code === 'ETIMEDOUT') {
             return `Timeout de connexion (host inaccessible ou pare-feu)`;
         } else if (error.level === 'authentication') {
-            return `Authentification échouée (vérifier utilisateur/mot de passe)`;
+            return `Authentification échouée (vérifier utilisateur/${getAuthLabel(this.config)})`;
         } else if (error.message && error.message.includes('Authentication')) {
-            return `Authentification échouée (vérifier utilisateur/mot de passe)`;
+            return `Authentification échouée (vérifier utilisateur/${getAuthLabel(this.config)})`;
+        } else if (error.message && error.message.includes('passphrase')) {
+            return `Clé privée chiffrée: passphrase manquante ou incorrecte`;
         } else if (error.message && error.message.includes('Host key')) {
             return `Vérification de clé d'hôte échouée`;
         } else {
@@ -83,14 +123,20 @@ class LinuxBackupClient {
         }
     }
 
-    async executeCommand(command, timeout = 30000) {
+    async executeCommand(command, timeout = 30000, { ignoreCancel = false } = {}) {
         if (!this.isConnected) {
             throw new Error('Client SSH non connecté');
         }
+        if (!ignoreCancel) {
+            this.throwIfCancelled();
+        }
 
         return new Promise((resolve, reject) => {
+            let cancelHandler = null;
+            
             // Timeout de sécurité
             const timeoutId = setTimeout(() => {
+                this.cancelHandlers.delete(cancelHandler);
                 this.logger.warn(`Timeout lors de l'exécution de la commande: ${command}`);
                 reject(new Error(`Command timeout after ${timeout}ms: ${command}`));
             }, timeout);
@@ -105,12 +151,30 @@ class LinuxBackupClient {
                 let stdout = '';
                 let stderr = '';
 
+                // En cas d'annulation: tuer le processus distant et fermer le canal
+                if (!ignoreCancel) {
+                    cancelHandler = () => {
+                        clearTimeout(timeoutId);
+                        try {
+                            stream.signal('KILL');
+                        } catch (signalError) {
+                            // Signal non supporté par le serveur SSH, la fermeture du canal suffit
+                        }
+                        stream.close();
+                        reject(createCancelledError());
+                    };
+                    this.cancelHandlers.add(cancelHandler);
+                }
+
                 stream.on('close', (code, signal) => {
                     clearTimeout(timeoutId);
+                    this.cancelHandlers.delete(cancelHandler);
                     if (code === 0) {
                         resolve(stdout);
                     } else {
-                        reject(new Error(`Command failed with exit code ${code}: ${stderr}`));
+                        const error = new Error(`Command failed with exit code ${code}: ${stderr}`);
+                        Object.assign(error, { exitCode: code, stdout, stderr });
+                        reject(error);
                     }
                 });
 
@@ -125,6 +189,85 @@ class LinuxBackupClient {
         });
     }
 
+    /**
+     * Ouvre la connexion SSH si nécessaire
+     * @returns {Promise<boolean>} true si une connexion a été ouverte
+     */
+    async ensureConnected() {
+        if (this.isConnected) return false;
+        await this.connect();
+        return true;
+    }
+
+    /**
+     * Exécute une commande de hook avant/après backup (voir utils/backup-hooks)
+     * La sortie d'erreur est fusionnée dans la sortie standard; les hooks post s'exécutent même après une annulation.
+     * @returns {Promise<{code: number, stdout: string, stderr: string}>}
+     */
+    async runHookCommand(command, timeout, { stage } = {}) {
+        try {
+            const stdout = await this.executeCommand(`{ ${command}\n} 2>&1`, timeout, { ignoreCancel: stage === 'post' });
+            return { code: 0, stdout, stderr: '' };
+        } catch (error) {
+            // Timeout, connexion perdue ou annulation: pas de code de sortie
+            if (error.exitCode === undefined) throw error;
+            return { code: error.exitCode, stdout: error.stdout, stderr: error.stderr };
+        }
+    }
+
+    /**
+     * Applique le profil de limitation actif: débit des transferts vers le serveur et
+     * priorité (nice/ionice) des commandes qui lisent les données sur le client
+     */
+    async applyThrottleProfile() {
+        this.throttle = throttling.resolve(this.config.throttle_profiles);
+        this.limiter = throttling.createLimiter(this.throttle.bandwidthMbps);
+        this.priorityPrefix = '';
+        
+        if (this.throttle.priority !== 'normal') {
+            let hasIonice = true;
+            try {
+                await this.executeCommand('command -v ionice');
+            } catch (error) {
+                this.throwIfCancelled();
+                hasIonice = false;
+            }
+            this.priorityPrefix = throttling.getLinuxPriorityPrefix(this.throttle.priority, hasIonice);
+        }
+        
+        this.logger.info(`Limitation: ${throttling.describe(this.throttle)}`);
+        if (this.backupLogger) {
+            this.backupLogger.info(`🚦 Limitation: ${throttling.describe(this.throttle)}`);
+        }
+    }
+
+    /**
+     * Compression des archives du backup: codec et niveau du client, gzip si le programme
+     * du codec choisi n'est pas installé sur le client
+     */
+    async applyCompressionSettings() {
+        this.compression = compression.resolve(this.config.compression);
+        const program = compression.getCodec(this.compression.codec).program;
+        
+        if (program && program !== 'gzip') {
+            try {
+                await this.executeCommand(`command -v ${program}`);
+            } catch (error) {
+                this.throwIfCancelled();
+                this.logger.warn(`${program} absent du client, compression gzip utilisée`);
+                if (this.backupLogger) {
+                    this.backupLogger.warn(`⚠️ ${program} absent du client, compression gzip utilisée`);
+                }
+                this.compression = compression.resolve({ codec: 'gzip' });
+            }
+        }
+        
+        this.logger.info(`Compression: ${compression.describe(this.compression)}`);
+        if (this.backupLogger) {
+            this.backupLogger.info(`🗜️ Compression: ${compression.describe(this.compression)}`);
+        }
+    }
+
     async getSystemInfo() {
         try {
             const [hostname, osInfo, uptime, diskSpace, memory] = await Promise.all([
@@ -186,7 +329,36 @@ class LinuxBackupClient {
             
             this.logger.info(`Dossiers à sauvegarder: ${JSON.stringify(foldersToBackup)}`);
 
+            // Mode snapshot: arborescence complète sur le serveur, fichiers inchangés en liens physiques
+            if (this.getBackupMode() === 'snapshot') {
+                return await this.createSnapshotBackup({
+                    backupId,
+                    backupType,
+                    backupStartTime,
+                    foldersToBackup,
+                    progressCallback
+                });
+            }
+
+            // Mode streaming: tar est envoyé directement dans le canal SSH, sans copie sur le client
+            if (this.getBackupMode() === 'stream') {
+                return await this.createStreamingBackup({
+                    backupId,
+                    backupType,
+                    backupStartTime,
+                    timestamp,
+                    foldersToBackup,
+                    progressCallback
+                });
+            }
+
+            // Archive d'une tentative précédente restée sur le client: reprise de son téléchargement
+            if (this.archiveCheckpoint) {
+                return await this.resumeArchiveBackup(backupId, progressCallback);
+            }
+
             // Créer le dossier de backup temporaire
+            this.remoteTempPaths.add(backupDir);
             await this.executeCommand(`mkdir -p ${backupDir}`);
             this.logger.info(`Dossier de backup créé: ${backupDir}`);
 
@@ -202,6 +374,12 @@ class LinuxBackupClient {
                 }
             }
 
+            // Dumps des bases de données, inclus dans l'archive sous databases/
+            if (progressCallback) {
+                progressCallback('Dump des bases de données', 38);
+            }
+            const databaseResults = await this.dumpDatabases(backupDir);
+
             let totalSize = 0;
             let totalFilesCount = 0;
             const backupResults = [];
@@ -241,7 +419,7 @@ class LinuxBackupClient {
                         command = `cp -rf "${folder}" "${targetDir}"`;
                     }
                     
-                    await this.executeCommand(command);
+                    await this.executeCommand(`${this.priorityPrefix}${command}`);
                     
                     // Calculer la taille et le nombre de fichiers du backup
                     const sizeOutput = await this.executeCommand(`du -sb "${targetDir}" | cut -f1`);
@@ -272,6 +450,7 @@ class LinuxBackupClient {
                     });
                     
                 } catch (error) {
+                    this.throwIfCancelled();
                     this.logger.error(`Erreur lors du backup de ${folder}:`, error);
                     backupResults.push({
                         folder,
@@ -321,11 +500,12 @@ class LinuxBackupClient {
                 this.logger.info('Backup des configurations système terminé');
                 
             } catch (error) {
+                this.throwIfCancelled();
                 this.logger.warn('Erreur lors du backup des configurations système:', error);
             }
 
-            // Créer une archive tar.gz
-            const archiveName = `efc-backup-${this.config.name}-${timestamp}.tar.gz`;
+            // Créer une archive tar (codec du client)
+            const archiveName = `efc-backup-${this.config.name}-${timestamp}${compression.getArchiveExtension(this.compression)}`;
             const permanentBackupDir = process.env.BACKUP_PATH || '/var/backups/efc-backup';
             const archivePath = `${permanentBackupDir}/${archiveName}`;
             
@@ -346,14 +526,21 @@ class LinuxBackupClient {
             
             // Créer l'archive temporaire sur le client distant
             const tempArchivePath = `/tmp/${archiveName}`;
-            await this.executeCommand(`cd /tmp && tar -czf ${tempArchivePath} -C ${backupDir} .`);
+            this.remoteTempPaths.add(tempArchivePath);
+            await this.executeCommand(`cd /tmp && ${this.priorityPrefix}tar -c ${compression.getTarCreateOption(this.compression)} -f ${tempArchivePath} -C ${backupDir} .`);
             
-            // Télécharger l'archive vers le serveur local
+            // Télécharger l'archive vers le serveur local (point de reprise en cas de coupure)
             this.logger.info(`Téléchargement de l'archive vers ${archivePath}...`);
-            await this.downloadBackup(tempArchivePath, archivePath);
+            await this.downloadArchive(tempArchivePath, archivePath, {
+                flow: 'full',
+                timestamp,
+                backupDir,
+                state: { backupType, backupStartTime, foldersToBackup, backupResults, totalSize, totalFilesCount, databaseResults, compression: this.compression }
+            });
             
             // Supprimer l'archive temporaire sur le client distant
             await this.executeCommand(`rm -f ${tempArchivePath}`);
+            this.remoteTempPaths.delete(tempArchivePath);
             
             // Mettre à jour la progression après création de l'archive
             if (progressCallback) {
@@ -387,68 +574,22 @@ class LinuxBackupClient {
 
             // Nettoyer le dossier temporaire
             await this.executeCommand(`rm -rf ${backupDir}`);
+            this.remoteTempPaths.delete(backupDir);
+            this.localTempPaths.delete(archivePath);
             
-            // Calculer les statistiques réseau globales
-            const backupEndTime = new Date();
-            const totalDuration = (backupEndTime - backupStartTime) / 1000; // en secondes
-            const avgSpeedMbps = totalSize > 0 ? (totalSize * 8) / (totalDuration * 1024 * 1024) : 0;
-
-            // Sauvegarder les statistiques réseau
-            if (totalSize > 0) {
-                try {
-                    await addNetworkStats({
-                        backup_id: backupId,
-                        client_name: this.config.name,
-                        bytes_transferred: totalSize,
-                        transfer_speed_mbps: Math.round(avgSpeedMbps * 100) / 100,
-                        duration_seconds: Math.round(totalDuration),
-                        files_count: totalFilesCount,
-                        started_at: backupStartTime.toISOString(),
-                        completed_at: backupEndTime.toISOString()
-                    });
-                    
-                    this.logger.info(`Statistiques réseau sauvegardées: ${Math.round(totalSize / (1024 * 1024))} MB, ${Math.round(avgSpeedMbps)} Mbps, ${Math.round(totalDuration)}s, ${totalFilesCount} fichiers`);
-                } catch (error) {
-                    this.logger.warn(`Erreur lors de la sauvegarde des statistiques réseau:`, error);
-                }
-            }
-            
-            const result = {
+            return await this.finalizeBackupResult({
                 backupId,
-                type: backupType,
-                client: this.config.name,
-                status: 'completed',
-                startTime: backupStartTime,
-                endTime: backupEndTime,
-                size: finalSize,
-                archivePath: archivePath,
-                results: backupResults,
-                totalFolders: foldersToBackup.length,
-                successfulFolders: backupResults.filter(r => r.status === 'success').length,
-                // Ajouter les statistiques réseau au résultat
-                networkStats: {
-                    bytesTransferred: totalSize,
-                    transferSpeedMbps: Math.round(avgSpeedMbps * 100) / 100,
-                    durationSeconds: Math.round(totalDuration),
-                    filesCount: totalFilesCount
-                }
-            };
-
-            // Callback final de progression - TOUJOURS appelé
-            if (progressCallback) {
-                try {
-                    progressCallback('Backup terminé avec succès', 100, { 
-                        totalSize: finalSize,
-                        avgSpeed: Math.round(avgSpeedMbps),
-                        duration: Math.round(totalDuration)
-                    });
-                } catch (callbackError) {
-                    this.logger.warn('Erreur lors du callback de progression final:', callbackError);
-                }
-            }
-            
-            this.logger.info(`Backup terminé avec succès: ${(finalSize / 1024 / 1024).toFixed(2)} MB, vitesse moyenne: ${Math.round(avgSpeedMbps)} Mbps`);
-            return result;
+                backupType,
+                backupStartTime,
+                foldersToBackup,
+                backupResults,
+                totalSize,
+                totalFilesCount,
+                finalSize,
+                archivePath,
+                databaseResults,
+                progressCallback
+            });
 
         } catch (error) {
             this.logger.error('Erreur lors du backup:', error);
@@ -471,93 +612,1157 @@ class LinuxBackupClient {
         }
     }
 
-    async downloadBackup(remotePath, localPath) {
-        if (!this.isConnected) {
-            throw new Error('Client SSH non connecté');
+    /**
+     * Tâches de dump actives du client (colonne database_jobs)
+     */
+    getDatabaseJobs() {
+        return parseDatabaseJobs(this.config.database_jobs).filter(job => job.enabled !== false);
+    }
+
+    /**
+     * Dumps des bases de données configurées pour le client, lancés avant la copie des dossiers
+     * Chaque dump est écrit sur le client dans <targetDir>/databases/<moteur>/<nom>.<extension>;
+     * l'échec d'un dump est consigné sans interrompre le backup des dossiers.
+     * @param {string} targetDir - Dossier distant inclus dans l'archive
+     * @returns {Promise<Array>} [{ name, engine, database, file, size, duration, status, error }]
+     */
+    async dumpDatabases(targetDir) {
+        const jobs = this.getDatabaseJobs();
+        const results = [];
+        if (jobs.length === 0) return results;
+
+        this.logger.info(`Dump de ${jobs.length} base(s) de données...`);
+        if (this.backupLogger) {
+            this.backupLogger.info(`🗄️ Dump des bases de données: ${jobs.map(job => `${job.name} (${job.engine})`).join(', ')}`);
         }
 
-        return new Promise((resolve, reject) => {
-            this.sshClient.sftp((err, sftp) => {
-                if (err) {
-                    reject(err);
-                    return;
-                }
+        for (const job of jobs) {
+            const file = getDumpPath(job);
+            const remotePath = `${targetDir}/${file}`;
+            const startTime = new Date();
 
-                const readStream = sftp.createReadStream(remotePath);
-                const writeStream = fs.createWriteStream(localPath);
+            try {
+                this.throwIfCancelled();
+                await this.executeCommand(`mkdir -p ${shellQuote(path.posix.dirname(remotePath))}`);
+                await this.executeWithInput(
+                    DUMP_PLUGINS[job.engine].buildDumpCommand(job, remotePath),
+                    `${job.password || ''}\n`,
+                    parseInt(process.env.DATABASE_DUMP_TIMEOUT) || 3600000
+                );
+                const size = parseInt((await this.executeCommand(`stat -c%s ${shellQuote(remotePath)}`)).trim()) || 0;
+                const duration = (new Date() - startTime) / 1000;
 
-                let totalBytes = 0;
-                
-                readStream.on('data', (chunk) => {
-                    totalBytes += chunk.length;
-                });
+                this.logger.info(`Dump ${job.name} terminé: ${(size / 1024 / 1024).toFixed(2)} MB en ${Math.round(duration)}s`);
+                results.push({ name: job.name, engine: job.engine, database: job.database, file, size, duration, status: 'success' });
+            } catch (error) {
+                this.throwIfCancelled();
+                this.logger.error(`Erreur lors du dump de ${job.name} (${job.engine}): ${error.message}`);
+                if (this.backupLogger) {
+                    this.backupLogger.error(`❌ Dump ${job.name} échoué: ${error.message}`);
+                }
+                await this.executeCommand(`rm -f ${shellQuote(remotePath)} ${shellQuote(remotePath.replace(/\.gz$/, ''))}`).catch(() => {});
+                results.push({ name: job.name, engine: job.engine, database: job.database, file, size: 0, duration: 0, status: 'error', error: error.message });
+            }
+        }
 
-                readStream.on('end', () => {
-                    this.logger.info(`Téléchargement terminé: ${(totalBytes / 1024 / 1024).toFixed(2)} MB`);
-                    resolve(totalBytes);
-                });
+        return results;
+    }
 
-                readStream.on('error', (err) => {
-                    this.logger.error('Erreur lors du téléchargement:', err);
-                    reject(err);
-                });
+    /**
+     * Mode snapshot: dumps écrits dans un dossier temporaire du client puis téléchargés dans <snapshotDir>/databases/
+     * @returns {Promise<Array>} Résultats de dumpDatabases (en erreur si le téléchargement échoue)
+     */
+    async downloadDatabaseDumps(snapshotDir, progressCallback = null) {
+        if (this.getDatabaseJobs().length === 0) {
+            return [];
+        }
 
-                writeStream.on('error', (err) => {
-                    this.logger.error('Erreur lors de l\'écriture locale:', err);
-                    reject(err);
-                });
+        if (progressCallback) {
+            progressCallback('Dump des bases de données', 38);
+        }
+        const dumpDir = `/tmp/efc-backup-${this.config.name}-${Date.now()}-databases`;
+        this.remoteTempPaths.add(dumpDir);
 
-                readStream.pipe(writeStream);
-            });
-        });
+        try {
+            const results = await this.dumpDatabases(dumpDir);
+            for (const result of results.filter(entry => entry.status === 'success')) {
+                const localPath = path.join(snapshotDir, ...result.file.split('/'));
+                try {
+                    await fs.promises.mkdir(path.dirname(localPath), { recursive: true });
+                    await this.downloadBackup(`${dumpDir}/${result.file}`, localPath);
+                } catch (error) {
+                    this.throwIfCancelled();
+                    this.logger.error(`Téléchargement du dump ${result.name} impossible: ${error.message}`);
+                    Object.assign(result, { status: 'error', error: error.message });
+                }
+            }
+            return results;
+        } finally {
+            await this.executeCommand(`rm -rf ${shellQuote(dumpDir)}`, 60000, { ignoreCancel: true }).catch(() => {});
+            this.remoteTempPaths.delete(dumpDir);
+        }
     }
 
-    async cleanupRemoteBackup(remotePath) {
+    /**
+     * Mode de backup Linux: 'stream' (défaut, aucun espace requis sur le client),
+     * 'staging' (copie rsync dans /tmp puis archive, ancien comportement)
+     * ou 'snapshot' (arborescence navigable sur le serveur, rsync --link-dest)
+     */
+    getBackupMode() {
+        const mode = this.config.backup_mode || process.env.LINUX_BACKUP_MODE || 'stream';
+        return ['staging', SNAPSHOT_MODE].includes(mode) ? mode : 'stream';
+    }
+
+    /**
+     * Backup en mode snapshot: rsync (lancé sur le serveur) copie chaque dossier dans
+     * <BACKUP_PATH>/<client>/snapshots/<backupId>/ ; les fichiers inchangés depuis le
+     * snapshot précédent sont des liens physiques, chaque exécution est donc un backup complet.
+     */
+    async createSnapshotBackup({ backupId, backupType, backupStartTime, foldersToBackup, progressCallback }) {
+        const fsPromises = require('fs').promises;
+        const snapshotDir = path.join(getSnapshotRoot(this.config.name), backupId);
+        const previousSnapshot = await findLatestSnapshot(this.config.name);
+        
+        if (previousSnapshot) {
+            this.logger.info(`Snapshot de référence (liens physiques): ${previousSnapshot.metadata.backupId}`);
+        } else {
+            this.logger.info('Aucun snapshot précédent: copie complète');
+        }
+        
+        this.localTempPaths.add(snapshotDir);
+        await fsPromises.mkdir(snapshotDir, { recursive: true });
+        
+        // Dumps des bases de données: écrits sur le client puis téléchargés dans le snapshot
+        const databaseResults = await this.downloadDatabaseDumps(snapshotDir, progressCallback);
+        
+        const transport = buildRsyncTransport(this.config);
+        let totalSize = 0;
+        let totalFilesCount = 0;
+        let transferredSize = 0;
+        const backupResults = [];
+        
         try {
-            await this.executeCommand(`rm -f "${remotePath}"`);
-            this.logger.info(`Fichier de backup distant supprimé: ${remotePath}`);
+            for (let i = 0; i < foldersToBackup.length; i++) {
+                const folder = foldersToBackup[i].trim().replace(/\/+$/, '');
+                if (!folder) continue;
+                
+                const folderProgress = 40 + (i / foldersToBackup.length) * 40; // 40% à 80%
+                if (progressCallback) {
+                    progressCallback(`Snapshot: ${folder}`, folderProgress, {
+                        currentFolder: folder,
+                        folderIndex: i + 1,
+                        totalFolders: foldersToBackup.length
+                    });
+                }
+                
+                try {
+                    this.logger.info(`Snapshot du dossier: ${folder}`);
+                    await this.executeCommand(`test -d ${shellQuote(folder)}`);
+                    
+                    const folderName = folder.replace(/\//g, '_').replace(/^_/, '');
+                    const targetDir = path.join(snapshotDir, folderName);
+                    const folderStartTime = new Date();
+                    
+                    const args = ['-a', '--delete', '--numeric-ids', '--stats', '--exclude=*.tmp', '--exclude=*.swap'];
+                    if (previousSnapshot) {
+                        args.push(`--link-dest=${path.join(previousSnapshot.path, folderName)}`);
+                    }
+                    if (this.throttle.bandwidthMbps > 0) {
+                        args.push(`--bwlimit=${throttling.getRsyncBwLimit(this.throttle.bandwidthMbps)}`);
+                    }
+                    if (this.priorityPrefix) {
+                        args.push(`--rsync-path=${this.priorityPrefix}rsync`);
+                    }
+                    args.push('-e', transport.rsh, `${this.config.username}@${this.config.host}:${folder}/`, `${targetDir}/`);
+                    
+                    const output = await this.runLocalRsync(args, transport.env);
+                    const stats = this.parseRsyncStats(output);
+                    
+                    const folderDuration = (new Date() - folderStartTime) / 1000;
+                    const folderSpeedMbps = stats.transferredFileSize > 0 && folderDuration > 0
+                        ? (stats.transferredFileSize * 8) / (folderDuration * 1024 * 1024)
+                        : 0;
+                    
+                    totalSize += stats.totalFileSize;
+                    totalFilesCount += stats.regularFiles;
+                    transferredSize += stats.transferredFileSize;
+                    
+                    this.logger.info(`Snapshot terminé pour ${folder}: ${stats.regularFiles} fichiers, ${stats.filesTransferred} transférés, ${(stats.transferredFileSize / 1024 / 1024).toFixed(2)} MB nouveaux`);
+                    backupResults.push({
+                        folder,
+                        size: stats.totalFileSize,
+                        filesCount: stats.regularFiles,
+                        filesTransferred: stats.filesTransferred,
+                        bytesTransferred: stats.transferredFileSize,
+                        duration: folderDuration,
+                        speedMbps: Math.round(folderSpeedMbps * 100) / 100,
+                        status: 'success'
+                    });
+                } catch (error) {
+                    this.throwIfCancelled();
+                    this.logger.error(`Erreur lors du snapshot de ${folder}:`, error);
+                    backupResults.push({
+                        folder,
+                        size: 0,
+                        filesCount: 0,
+                        duration: 0,
+                        speedMbps: 0,
+                        status: 'error',
+                        error: error.message
+                    });
+                }
+            }
+        } finally {
+            transport.cleanup();
+        }
+        
+        if (!backupResults.some(result => result.status === 'success')) {
+            throw new Error('Aucun dossier n\'a pu être sauvegardé en snapshot');
+        }
+        
+        // Configurations système (petits fichiers, lus directement via SSH)
+        if (progressCallback) {
+            progressCallback('Backup configurations système', 80);
+        }
+        const configDir = path.join(snapshotDir, 'system_config');
+        await fsPromises.mkdir(configDir, { recursive: true });
+        for (const configFile of ['/etc/passwd', '/etc/group', '/etc/fstab', '/etc/hosts', '/etc/crontab']) {
+            try {
+                const content = await this.executeCommand(`cat ${configFile}`);
+                await fsPromises.writeFile(path.join(configDir, path.basename(configFile)), content);
+            } catch (error) {
+                this.throwIfCancelled();
+                this.logger.warn(`Impossible de copier ${configFile}: ${error.message}`);
+            }
+        }
+        try {
+            const packages = await this.executeCommand('dpkg -l 2>/dev/null || rpm -qa 2>/dev/null || true', 60000);
+            await fsPromises.writeFile(path.join(configDir, 'installed_packages.txt'), packages);
         } catch (error) {
-            this.logger.warn(`Impossible de supprimer le fichier distant: ${error.message}`);
+            this.throwIfCancelled();
+            this.logger.warn('Impossible de créer la liste des packages installés');
+        }
+        
+        // Les métadonnées sont écrites en dernier: un snapshot sans métadonnées est incomplet
+        await fsPromises.writeFile(path.join(snapshotDir, METADATA_FILE), JSON.stringify({
+            backupId,
+            clientName: this.config.name,
+            clientHost: this.config.host,
+            timestamp: backupStartTime.toISOString(),
+            type: backupType,
+            mode: SNAPSHOT_MODE,
+            previousSnapshot: previousSnapshot ? previousSnapshot.metadata.backupId : null,
+            folders: backupResults,
+            databases: databaseResults
+        }, null, 2));
+        this.localTempPaths.delete(snapshotDir);
+        
+        if (progressCallback) {
+            progressCallback('Snapshot créé avec succès', 90);
         }
+        this.logger.info(`Snapshot créé: ${snapshotDir} (${(transferredSize / 1024 / 1024).toFixed(2)} MB nouveaux sur ${(totalSize / 1024 / 1024).toFixed(2)} MB)`);
+        
+        return await this.finalizeBackupResult({
+            backupId,
+            backupType,
+            backupStartTime,
+            foldersToBackup,
+            backupResults,
+            totalSize: transferredSize,
+            totalFilesCount,
+            finalSize: transferredSize,
+            archivePath: snapshotDir,
+            databaseResults,
+            compression: null,
+            progressCallback
+        });
     }
 
-    async performFullBackup(options = {}) {
-        const backupId = options.backupId || `backup_${this.config.name}_${Date.now()}`;
-        const progressCallback = options.progressCallback || (() => {});
+    /**
+     * Lance rsync sur le serveur de backup (mode snapshot)
+     * @param {Array<string>} args - Arguments rsync
+     * @param {Object} env - Variables d'environnement d'authentification
+     * @returns {Promise<string>} Sortie standard de rsync
+     */
+    async runLocalRsync(args, env = {}) {
+        this.throwIfCancelled();
+
+        return new Promise((resolve, reject) => {
+            const child = spawn('rsync', args, { env: { ...process.env, ...env } });
+            let stdout = '';
+            let stderr = '';
+
+            const cancelHandler = () => {
+                child.kill('SIGTERM');
+                reject(createCancelledError());
+            };
+            this.cancelHandlers.add(cancelHandler);
+
+            child.stdout.on('data', (data) => {
+                stdout += data.toString();
+            });
+
+            child.stderr.on('data', (data) => {
+                stderr += data.toString();
+            });
+
+            child.on('error', (error) => {
+                this.cancelHandlers.delete(cancelHandler);
+                reject(error.code === 'ENOENT'
+                    ? new Error('rsync (ou sshpass) introuvable sur le serveur de backup, requis pour le mode snapshot')
+                    : error);
+            });
+
+            child.on('close', (code) => {
+                this.cancelHandlers.delete(cancelHandler);
+                // 23/24: transfert partiel (fichiers illisibles ou disparus pendant la copie)
+                if (code === 0 || code === 23 || code === 24) {
+                    if (code !== 0) {
+                        this.logger.warn(`rsync terminé avec avertissements (code ${code}): ${stderr.trim().slice(-500)}`);
+                    }
+                    resolve(stdout);
+                } else {
+                    reject(new Error(`rsync a échoué (code ${code}): ${stderr.trim().slice(-1000)}`));
+                }
+            });
+        });
+    }
+
+    /**
+     * Backup en streaming: un seul tar compressé est lu depuis le canal SSH et écrit
+     * directement dans l'archive du serveur. Les statistiques par dossier sont calculées
+     * avant le transfert et la progression suit la liste des fichiers émise par tar -v.
+     */
+    async createStreamingBackup({ backupId, backupType, backupStartTime, timestamp, foldersToBackup, progressCallback }) {
+        const archiveName = `efc-backup-${this.config.name}-${timestamp}${compression.getArchiveExtension(this.compression)}`;
+        const permanentBackupDir = process.env.BACKUP_PATH || '/var/backups/efc-backup';
+        const archivePath = `${permanentBackupDir}/${archiveName}`;
         
-        // Initialiser le logger spécifique au backup
-        this.backupLogger = createBackupLogger(this.config.name, backupId);
+        let totalSize = 0;
+        let totalFilesCount = 0;
+        const backupResults = [];
+        const streamedFolders = [];
         
-        try {
-            this.backupLogger.info(`🐧 =================================`);
-            this.backupLogger.info(`🐧 DÉMARRAGE BACKUP LINUX COMPLET`);
-            this.backupLogger.info(`🐧 =================================`);
-            this.backupLogger.info(`📋 Client: ${this.config.name}`);
-            this.backupLogger.info(`🆔 Backup ID: ${backupId}`);
-            this.backupLogger.info(`🖥️ Host: ${this.config.host}:${this.config.port || 22}`);
-            this.backupLogger.info(`👤 Utilisateur: ${this.config.username}`);
-            this.backupLogger.info(`📂 Dossiers: ${options.folders || 'Auto-détection Linux'}`);
+        // Analyse des dossiers (lecture seule sur le client)
+        for (let i = 0; i < foldersToBackup.length; i++) {
+            const folder = foldersToBackup[i].trim().replace(/\/+$/, '');
+            if (!folder) continue;
             
-            this.backupLogger.info(`🔌 Étape 1/3: Connexion SSH`);
-            progressCallback('Connexion SSH...', 30);
-            await this.connect();
+            if (progressCallback) {
+                progressCallback(`Analyse: ${folder}`, 35 + (i / foldersToBackup.length) * 5, {
+                    currentFolder: folder,
+                    folderIndex: i + 1,
+                    totalFolders: foldersToBackup.length
+                });
+            }
             
-            this.backupLogger.info(`📦 Étape 2/3: Création du backup`);
-            progressCallback('Démarrage du backup', 35);
-            const result = await this.createBackup('full', options.folders, backupId, progressCallback);
+            try {
+                await this.executeCommand(`test -d ${shellQuote(folder)}`);
+                
+                const sizeOutput = await this.executeCommand(`du -sb ${shellQuote(folder)} 2>/dev/null | cut -f1`, 300000);
+                const filesOutput = await this.executeCommand(`find ${shellQuote(folder)} -type f 2>/dev/null | wc -l`, 300000);
+                
+                const entry = {
+                    folder,
+                    relativePath: folder.replace(/^\/+/, ''),
+                    folderName: folder.replace(/\//g, '_').replace(/^_/, ''),
+                    size: parseInt(sizeOutput.trim()) || 0,
+                    filesCount: parseInt(filesOutput.trim()) || 0,
+                    filesSeen: 0,
+                    startTime: null,
+                    endTime: null
+                };
+                streamedFolders.push(entry);
+                totalSize += entry.size;
+                totalFilesCount += entry.filesCount;
+            } catch (error) {
+                this.throwIfCancelled();
+                this.logger.error(`Erreur lors du backup de ${folder}:`, error);
+                backupResults.push({
+                    folder,
+                    size: 0,
+                    filesCount: 0,
+                    duration: 0,
+                    speedMbps: 0,
+                    status: 'error',
+                    error: error.message
+                });
+            }
+        }
+        
+        if (streamedFolders.length === 0) {
+            throw new Error('Aucun dossier accessible à sauvegarder');
+        }
+        
+        const fsPromises = require('fs').promises;
+        await fsPromises.mkdir(permanentBackupDir, { recursive: true });
+        
+        // Les configurations système sont préparées dans un petit dossier supprimé par la même commande
+        const configDir = `/tmp/efc-backup-${this.config.name}-${timestamp}-config`;
+        
+        // Les dumps des bases de données sont écrits dans ce même dossier avant le streaming
+        this.remoteTempPaths.add(configDir);
+        if (progressCallback) {
+            progressCallback('Dump des bases de données', 38);
+        }
+        const databaseResults = await this.dumpDatabases(configDir);
+        const databaseMembers = databaseResults.some(result => result.status === 'success') ? ` ${DUMPS_SECTION}` : '';
+        const configFiles = ['/etc/passwd', '/etc/group', '/etc/fstab', '/etc/hosts', '/etc/crontab'];
+        const prepareConfig = [
+            `mkdir -p ${shellQuote(configDir + '/system_config')}`,
+            `for f in ${configFiles.join(' ')}; do [ -f "$f" ] && cp "$f" ${shellQuote(configDir + '/system_config/')}; done`,
+            `(dpkg -l || rpm -qa) > ${shellQuote(configDir + '/system_config/installed_packages.txt')} 2>/dev/null`
+        ].join('; ');
+        
+        // Conserver la même arborescence qu'en mode staging (ex: /var/www -> var_www)
+        const transforms = streamedFolders
+            .filter(entry => entry.relativePath !== entry.folderName)
+            .flatMap(entry => {
+                const source = escapeRegex(entry.relativePath);
+                return [
+                    `--transform=${shellQuote(`s,^${source}/,${entry.folderName}/,`)}`,
+                    `--transform=${shellQuote(`s,^${source}$,${entry.folderName},`)}`
+                ];
+            });
+        
+        const tarCommand = [
+            `${this.priorityPrefix}tar -cv ${compression.getTarCreateOption(this.compression)} -f - --ignore-failed-read --warning=no-file-changed`,
+            "--exclude='*.tmp' --exclude='*.swap'",
+            ...transforms,
+            '-C /',
+            ...streamedFolders.map(entry => shellQuote(entry.relativePath)),
+            `-C ${shellQuote(configDir)} system_config${databaseMembers}`
+        ].join(' ');
+        const streamCommand = `${prepareConfig}; ${tarCommand}; code=$?; rm -rf ${shellQuote(configDir)}; exit $code`;
+        
+        if (progressCallback) {
+            progressCallback('Transfert de l\'archive en streaming', 40);
+        }
+        this.logger.info(`Streaming de l'archive vers ${archivePath}...`);
+        
+        this.localTempPaths.add(archivePath);
+        
+        let currentEntry = null;
+        let filesStreamed = 0;
+        const { bytes, code, stderr } = await this.streamCommandToFile(streamCommand, archivePath, (line) => {
+            if (line.startsWith('tar: ')) return;
             
-            this.backupLogger.info(`🔌 Étape 3/3: Fermeture connexion`);
-            await this.disconnect();
+            const entry = streamedFolders.find(candidate =>
+                line === candidate.relativePath || line.startsWith(`${candidate.relativePath}/`)
+            );
+            if (!entry) return;
             
-            // Statistiques finales
-            const sizeMB = Math.round(result.size / (1024 * 1024));
-            const fileCount = result.networkStats?.filesCount || 0;
-            const duration = result.networkStats?.durationSeconds || 0;
-            const speed = result.networkStats?.transferSpeedMbps || 0;
+            const folderChanged = entry !== currentEntry;
+            if (folderChanged) {
+                const now = new Date();
+                if (currentEntry) currentEntry.endTime = now;
+                if (!entry.startTime) entry.startTime = now;
+                currentEntry = entry;
+            }
             
-            this.backupLogger.info(`🎉 =================================`);
-            this.backupLogger.info(`🎉 BACKUP LINUX TERMINÉ AVEC SUCCÈS`);
-            this.backupLogger.info(`🎉 =================================`);
+            const isFile = !line.endsWith('/');
+            if (isFile) {
+                entry.filesSeen++;
+                filesStreamed++;
+            }
+            
+            if (progressCallback && (folderChanged || (isFile && filesStreamed % 100 === 0))) {
+                const ratio = totalFilesCount > 0 ? Math.min(filesStreamed / totalFilesCount, 1) : 0;
+                progressCallback(`Sauvegarde: ${entry.folder}`, Math.round(40 + ratio * 45), {
+                    currentFolder: entry.folder,
+                    folderIndex: streamedFolders.indexOf(entry) + 1,
+                    totalFolders: streamedFolders.length,
+                    filesStreamed
+                });
+            }
+        });
+        if (currentEntry) currentEntry.endTime = new Date();
+        this.remoteTempPaths.delete(configDir);
+        
+        // tar: 0 = succès, 1 = fichiers modifiés pendant la lecture (archive valide)
+        if (code !== 0 && code !== 1) {
+            throw new Error(`Streaming tar échoué (code ${code}): ${stderr.slice(-1000)}`);
+        }
+        
+        for (const entry of streamedFolders) {
+            const duration = entry.startTime ? (entry.endTime - entry.startTime) / 1000 : 0;
+            const speedMbps = entry.size > 0 && duration > 0 ? (entry.size * 8) / (duration * 1024 * 1024) : 0;
+            
+            this.logger.info(`Backup terminé pour ${entry.folder}: ${(entry.size / 1024 / 1024).toFixed(2)} MB, ${entry.filesCount} fichiers, ${Math.round(speedMbps)} Mbps`);
+            backupResults.push({
+                folder: entry.folder,
+                size: entry.size,
+                filesCount: entry.filesCount,
+                duration,
+                speedMbps: Math.round(speedMbps * 100) / 100,
+                status: 'success'
+            });
+        }
+        
+        if (progressCallback) {
+            progressCallback('Archive créée avec succès', 90);
+        }
+        
+        this.logger.info(`Archive créée: ${archiveName} (${(bytes / 1024 / 1024).toFixed(2)} MB)`);
+        this.logger.info(`Backup sauvegardé dans: ${archivePath}`);
+        this.localTempPaths.delete(archivePath);
+        
+        return await this.finalizeBackupResult({
+            backupId,
+            backupType,
+            backupStartTime,
+            foldersToBackup,
+            backupResults,
+            totalSize,
+            totalFilesCount,
+            finalSize: bytes,
+            archivePath,
+            databaseResults,
+            progressCallback
+        });
+    }
+
+    /**
+     * Exécute une commande distante et écrit sa sortie standard dans un fichier local
+     * @param {string} command - Commande à exécuter
+     * @param {string} localPath - Fichier local de destination
+     * @param {Function} onStderrLine - Callback appelé pour chaque ligne de stderr
+     * @param {Object} options - { input }: données envoyées sur l'entrée standard de la commande
+     * @returns {Promise<{bytes: number, code: number, stderr: string}>}
+     */
+    async streamCommandToFile(command, localPath, onStderrLine = () => {}, { input = null } = {}) {
+        if (!this.isConnected) {
+            throw new Error('Client SSH non connecté');
+        }
+        this.throwIfCancelled();
+
+        return new Promise((resolve, reject) => {
+            this.sshClient.exec(command, (err, stream) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+
+                const writeStream = fs.createWriteStream(localPath);
+                let bytes = 0;
+                let exitCode = null;
+                let stderr = '';
+                let pendingLine = '';
+
+                const cancelHandler = () => {
+                    try {
+                        stream.signal('KILL');
+                    } catch (signalError) {
+                        // Signal non supporté par le serveur SSH, la fermeture du canal suffit
+                    }
+                    stream.close();
+                    writeStream.destroy();
+                    reject(createCancelledError());
+                };
+                this.cancelHandlers.add(cancelHandler);
+
+                stream.on('data', (chunk) => {
+                    bytes += chunk.length;
+                });
+
+                stream.stderr.on('data', (data) => {
+                    const lines = (pendingLine + data.toString()).split('\n');
+                    pendingLine = lines.pop();
+                    for (const line of lines) {
+                        if (line.startsWith('tar: ')) {
+                            // Conserver les avertissements pour le diagnostic (sans la liste des fichiers)
+                            stderr += line + '\n';
+                        }
+                        onStderrLine(line);
+                    }
+                });
+
+                let channelClosed = false;
+                let fileWritten = false;
+
+                // Résoudre quand le canal est fermé (code de sortie connu) et l'archive écrite sur le disque
+                const settle = () => {
+                    if (!channelClosed || !fileWritten) return;
+                    this.cancelHandlers.delete(cancelHandler);
+                    if (pendingLine) onStderrLine(pendingLine);
+                    this.logger.info(`Streaming terminé: ${(bytes / 1024 / 1024).toFixed(2)} MB reçus`);
+                    resolve({ bytes, code: exitCode, stderr });
+                };
+
+                stream.on('exit', (code) => {
+                    exitCode = code;
+                });
+
+                stream.on('close', (code) => {
+                    if (exitCode === null && code !== undefined) exitCode = code;
+                    channelClosed = true;
+                    settle();
+                });
+
+                stream.on('error', (error) => {
+                    this.cancelHandlers.delete(cancelHandler);
+                    writeStream.destroy();
+                    reject(error);
+                });
+
+                writeStream.on('error', (error) => {
+                    this.cancelHandlers.delete(cancelHandler);
+                    this.logger.error('Erreur lors de l\'écriture locale:', error);
+                    stream.close();
+                    reject(error);
+                });
+
+                writeStream.on('finish', () => {
+                    fileWritten = true;
+                    settle();
+                });
+
+                // Avec une limite de débit, la contre-pression ralentit le tar distant
+                const source = this.limiter ? stream.pipe(this.limiter.createStream()) : stream;
+                source.pipe(writeStream);
+
+                if (input !== null) {
+                    stream.end(input);
+                }
+            });
+        });
+    }
+
+    /**
+     * Échantillon des données du client pour comparer les codecs de compression: début d'un tar
+     * non compressé des dossiers sauvegardés, limité à maxBytes
+     * @param {string} localPath - Fichier local de l'échantillon
+     * @param {Array<string>} folders - Dossiers configurés (vide = dossiers par défaut)
+     * @returns {Promise<{bytes: number, files: null}>}
+     */
+    async collectCompressionSample(localPath, folders, maxBytes) {
+        const members = (folders.length > 0 ? folders : ['/home', '/etc', '/var/www', '/opt'])
+            .map(folder => folder.trim().replace(/^\/+|\/+$/g, ''))
+            .filter(Boolean);
+        const command = `${this.priorityPrefix}tar -cf - --ignore-failed-read -C / ${members.map(shellQuote).join(' ')} 2>/dev/null | head -c ${maxBytes}`;
+
+        const { bytes } = await this.streamCommandToFile(command, localPath);
+        return { bytes, files: null };
+    }
+
+    /**
+     * Découpe l'archive terminée en volumes si le client (ou ARCHIVE_SPLIT_SIZE_MB) le demande
+     * En cas d'échec l'archive d'un seul tenant est conservée
+     * @returns {Promise<{archivePath: string, volumes: number|null}>} Manifeste si l'archive a été découpée
+     */
+    async splitArchiveVolumes(archivePath, archiveCompression) {
+        const splitSize = archiveVolumes.resolveSplitSize(this.config.split_size_mb);
+        if (!splitSize || !archivePath) {
+            return { archivePath, volumes: null };
+        }
+
+        try {
+            const manifestPath = await archiveVolumes.splitFile(archivePath, splitSize, { compression: archiveCompression });
+            if (manifestPath === archivePath) {
+                return { archivePath, volumes: null };
+            }
+
+            const manifest = await archiveVolumes.readManifest(manifestPath);
+            this.logger.info(`Archive découpée en ${manifest.volumes.length} volumes de ${splitSize / (1024 * 1024)} MB: ${manifestPath}`);
+            if (this.backupLogger) {
+                this.backupLogger.info(`✂️ Archive découpée en ${manifest.volumes.length} volumes de ${splitSize / (1024 * 1024)} MB`);
+            }
+            return { archivePath: manifestPath, volumes: manifest.volumes.length };
+        } catch (error) {
+            this.logger.warn(`Découpage de l'archive en volumes impossible, archive conservée d'un seul tenant: ${error.message}`);
+            if (this.backupLogger) {
+                this.backupLogger.warn(`⚠️ Découpage en volumes impossible: ${error.message}`);
+            }
+            return { archivePath, volumes: null };
+        }
+    }
+
+    /**
+     * Enregistre les statistiques réseau et construit le résultat final d'un backup complet
+     */
+    async finalizeBackupResult({ backupId, backupType, backupStartTime, foldersToBackup, backupResults, totalSize, totalFilesCount, finalSize, archivePath, databaseResults = [], compression: archiveCompression = this.compression, progressCallback }) {
+        // Dossier de snapshot (compression null): rien à découper
+        const split = archiveCompression ? await this.splitArchiveVolumes(archivePath, archiveCompression) : { archivePath, volumes: null };
+
+        // Calculer les statistiques réseau globales
+        const backupEndTime = new Date();
+        const totalDuration = (backupEndTime - backupStartTime) / 1000; // en secondes
+        const avgSpeedMbps = totalSize > 0 ? (totalSize * 8) / (totalDuration * 1024 * 1024) : 0;
+
+        // Sauvegarder les statistiques réseau
+        if (totalSize > 0) {
+            try {
+                await addNetworkStats({
+                    backup_id: backupId,
+                    client_name: this.config.name,
+                    bytes_transferred: totalSize,
+                    transfer_speed_mbps: Math.round(avgSpeedMbps * 100) / 100,
+                    duration_seconds: Math.round(totalDuration),
+                    files_count: totalFilesCount,
+                    started_at: backupStartTime.toISOString(),
+                    completed_at: backupEndTime.toISOString(),
+                    ...throttling.toNetworkStats(this.throttle)
+                });
+                
+                this.logger.info(`Statistiques réseau sauvegardées: ${Math.round(totalSize / (1024 * 1024))} MB, ${Math.round(avgSpeedMbps)} Mbps, ${Math.round(totalDuration)}s, ${totalFilesCount} fichiers`);
+            } catch (error) {
+                this.logger.warn(`Erreur lors de la sauvegarde des statistiques réseau:`, error);
+            }
+        }
+        
+        const result = {
+            backupId,
+            type: backupType,
+            client: this.config.name,
+            status: 'completed',
+            startTime: backupStartTime,
+            endTime: backupEndTime,
+            size: finalSize,
+            archivePath: split.archivePath,
+            volumes: split.volumes,
+            results: backupResults,
+            databases: databaseResults,
+            compression: archiveCompression,
+            totalFolders: foldersToBackup.length,
+            successfulFolders: backupResults.filter(r => r.status === 'success').length,
+            // Ajouter les statistiques réseau au résultat
+            networkStats: {
+                bytesTransferred: totalSize,
+                transferSpeedMbps: Math.round(avgSpeedMbps * 100) / 100,
+                durationSeconds: Math.round(totalDuration),
+                filesCount: totalFilesCount
+            }
+        };
+
+        // Callback final de progression - TOUJOURS appelé
+        if (progressCallback) {
+            try {
+                progressCallback('Backup terminé avec succès', 100, { 
+                    totalSize: finalSize,
+                    avgSpeed: Math.round(avgSpeedMbps),
+                    duration: Math.round(totalDuration)
+                });
+            } catch (callbackError) {
+                this.logger.warn('Erreur lors du callback de progression final:', callbackError);
+            }
+        }
+        
+        this.logger.info(`Backup terminé avec succès: ${(finalSize / 1024 / 1024).toFixed(2)} MB, vitesse moyenne: ${Math.round(avgSpeedMbps)} Mbps`);
+        return result;
+    }
+
+    /**
+     * Télécharge un fichier du client (SFTP)
+     * @param {Object} options - start: octets déjà reçus, le téléchargement complète alors le fichier local
+     * @returns {Promise<number>} Octets reçus
+     */
+    async downloadBackup(remotePath, localPath, { start = 0 } = {}) {
+        if (!this.isConnected) {
+            throw new Error('Client SSH non connecté');
+        }
+        this.throwIfCancelled();
+
+        return new Promise((resolve, reject) => {
+            this.sshClient.sftp((err, sftp) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+
+                if (start > 0) {
+                    this.logger.info(`Reprise du téléchargement de ${remotePath} à ${(start / 1024 / 1024).toFixed(2)} MB`);
+                }
+                const readStream = sftp.createReadStream(remotePath, start > 0 ? { start } : {});
+                const writeStream = fs.createWriteStream(localPath, start > 0 ? { flags: 'a' } : {});
+
+                let totalBytes = 0;
+                
+                // En cas d'annulation: interrompre le transfert
+                const cancelHandler = () => {
+                    readStream.destroy();
+                    writeStream.destroy();
+                    sftp.end();
+                    reject(createCancelledError());
+                };
+                this.cancelHandlers.add(cancelHandler);
+                
+                readStream.on('data', (chunk) => {
+                    totalBytes += chunk.length;
+                });
+
+                readStream.on('error', (err) => {
+                    this.cancelHandlers.delete(cancelHandler);
+                    this.logger.error('Erreur lors du téléchargement:', err);
+                    // Octets déjà écrits conservés: la tentative suivante reprend à cette taille
+                    writeStream.destroy();
+                    sftp.end();
+                    reject(err);
+                });
+
+                writeStream.on('error', (err) => {
+                    this.logger.error('Erreur lors de l\'écriture locale:', err);
+                    reject(err);
+                });
+
+                // Fichier local complet (écritures terminées) avant une éventuelle vérification
+                writeStream.on('finish', () => {
+                    this.cancelHandlers.delete(cancelHandler);
+                    this.logger.info(`Téléchargement terminé: ${(totalBytes / 1024 / 1024).toFixed(2)} MB`);
+                    sftp.end();
+                    resolve(totalBytes);
+                });
+
+                const source = this.limiter ? readStream.pipe(this.limiter.createStream()) : readStream;
+                source.pipe(writeStream);
+            });
+        });
+    }
+
+    /**
+     * Taille et date de modification (secondes) d'un fichier du client
+     * @returns {Promise<{size: number, mtime: number}>}
+     */
+    async statRemoteFile(remotePath) {
+        const output = await this.executeCommand(`stat -c '%s %Y' ${shellQuote(remotePath)}`, 10000);
+        const [size, mtime] = output.trim().split(/\s+/).map(value => parseInt(value, 10));
+        if (isNaN(size) || isNaN(mtime)) {
+            throw new Error(`Attributs illisibles pour ${remotePath}: ${output.trim()}`);
+        }
+        return { size, mtime };
+    }
+
+    /**
+     * Téléchargement d'une archive avec point de reprise: après une coupure, l'archive distante,
+     * l'archive partielle et le point de reprise restent en place pour la tentative suivante (prepareResume)
+     * @param {Object} checkpoint - { flow, timestamp, backupDir, state }: de quoi terminer le backup sans recréer l'archive
+     * @param {number} start - Octets déjà reçus (reprise)
+     */
+    async downloadArchive(remoteArchive, archivePath, checkpoint, start = 0) {
+        const checkpointPath = transferCheckpoint.getCheckpointPath(archivePath);
+        const remote = await this.statRemoteFile(remoteArchive);
+        
+        this.localTempPaths.add(archivePath);
+        this.localTempPaths.add(checkpointPath);
+        await transferCheckpoint.writeCheckpoint(checkpointPath, {
+            ...checkpoint,
+            remoteArchive,
+            archivePath,
+            size: remote.size,
+            mtime: remote.mtime
+        });
+
+        await this.downloadBackup(remoteArchive, archivePath, { start });
+        
+        // Archive reprise: contrôle de l'ensemble par somme SHA-256, nouveau téléchargement complet en cas d'écart
+        if (start > 0 && !(await this.verifyDownloadedArchive(remoteArchive, archivePath, remote.size))) {
+            this.logger.warn(`Archive reprise différente de l'original, nouveau téléchargement complet: ${archivePath}`);
+            await this.downloadBackup(remoteArchive, archivePath);
+        }
+
+        await fs.promises.rm(checkpointPath, { force: true });
+        this.localTempPaths.delete(checkpointPath);
+    }
+
+    /**
+     * Compare l'archive reçue à l'original (SHA-256, ou taille si sha256sum n'est pas disponible sur le client)
+     */
+    async verifyDownloadedArchive(remotePath, localPath, expectedSize) {
+        try {
+            const output = await this.executeCommand(`sha256sum ${shellQuote(remotePath)}`, 3600000);
+            const remoteHash = output.trim().split(/\s+/)[0];
+            const valid = remoteHash === await transferCheckpoint.hashFile(localPath);
+            this.logger.info(`Contrôle SHA-256 de l'archive reprise: ${valid ? 'identique' : 'différente'}`);
+            return valid;
+        } catch (error) {
+            this.throwIfCancelled();
+            this.logger.warn(`Contrôle SHA-256 impossible (${error.message}), contrôle de la taille seulement`);
+            return await transferCheckpoint.getLocalSize(localPath) === expectedSize;
+        }
+    }
+
+    /**
+     * Reprise d'une tentative précédente au démarrage d'un backup (après la connexion)
+     * Fichiers temporaires laissés par l'essai précédent du même backup (retryBackupOperation) ou transmis par
+     * le planificateur (resumeFrom d'un backup échoué ou interrompu, voir restoreArtifacts): une archive de backup complet
+     * (mode staging) en cours de téléchargement dont l'original n'a pas changé sur le client est reprise (archiveCheckpoint), un snapshot
+     * partiel est complété par rsync; le reste est supprimé.
+     * @param {Object} target - { flow: 'full'|'incremental', backupType, backupId, baseBackupId }
+     */
+    async prepareResume({ flow, backupType, backupId, baseBackupId = null }) {
+        const fsPromises = require('fs').promises;
+        const mode = this.getBackupMode();
+        const snapshotDir = path.join(getSnapshotRoot(this.config.name), backupId);
+        const keep = new Set([snapshotDir]);
+        this.archiveCheckpoint = null;
+
+        const previousLocal = [...this.localTempPaths].filter(localPath => !keep.has(localPath));
+        if (previousLocal.length === 0 && this.remoteTempPaths.size === 0) return;
+
+        if (mode === SNAPSHOT_MODE) {
+            const previousSnapshot = previousLocal.find(localPath => path.dirname(localPath) === path.dirname(snapshotDir));
+            if (previousSnapshot && !fs.existsSync(snapshotDir)) {
+                await fsPromises.rename(previousSnapshot, snapshotDir);
+                this.localTempPaths.delete(previousSnapshot);
+                this.localTempPaths.add(snapshotDir);
+                this.logger.info(`♻️ Reprise du snapshot partiel ${path.basename(previousSnapshot)}`);
+            }
+        } else if (flow === 'full' && mode === 'staging') {
+            const checkpointPath = previousLocal.find(localPath => transferCheckpoint.isCheckpointPath(localPath));
+            const checkpoint = checkpointPath ? await this.loadArchiveCheckpoint(checkpointPath, { flow, backupType, baseBackupId }) : null;
+            if (checkpoint) {
+                [checkpointPath, checkpoint.archivePath, checkpoint.remoteArchive, checkpoint.backupDir].forEach(kept => keep.add(kept));
+                this.archiveCheckpoint = { ...checkpoint, checkpointPath };
+            }
+        } else {
+            // Archive produite à la volée (mode stream, incrémentiels et différentiels): rien à reprendre
+            const reason = flow === 'full' ? 'mode stream' : `backup ${backupType} en streaming`;
+            this.logger.warn(`Reprise impossible (${reason}): le backup repart de zéro, LINUX_BACKUP_MODE=staging permet de reprendre les backups complets`);
+            if (this.backupLogger) {
+                this.backupLogger.warn(`⚠️ Reprise impossible (${reason}): le backup repart de zéro`);
+            }
+        }
+
+        for (const localPath of [...this.localTempPaths]) {
+            if (keep.has(localPath)) continue;
+            await fsPromises.rm(localPath, { recursive: true, force: true }).catch(error => {
+                this.logger.warn(`Impossible de supprimer ${localPath}: ${error.message}`);
+            });
+            this.localTempPaths.delete(localPath);
+        }
+        for (const remotePath of [...this.remoteTempPaths]) {
+            if (keep.has(remotePath)) continue;
+            try {
+                await this.executeCommand(`rm -rf ${shellQuote(remotePath)}`, 60000);
+            } catch (error) {
+                this.throwIfCancelled();
+                this.logger.warn(`Impossible de supprimer le staging distant ${remotePath}: ${error.message}`);
+            }
+            this.remoteTempPaths.delete(remotePath);
+        }
+    }
+
+    /**
+     * Point de reprise utilisable: même type de backup (et même référence pour un incrémentiel),
+     * archive distante toujours présente avec la même taille et la même date
+     * @returns {Promise<Object|null>}
+     */
+    async loadArchiveCheckpoint(checkpointPath, { flow, backupType, baseBackupId }) {
+        const checkpoint = await transferCheckpoint.readCheckpoint(checkpointPath);
+        if (!checkpoint || checkpoint.flow !== flow || checkpoint.state.backupType !== backupType
+            || (checkpoint.state.baseBackupId || null) !== (baseBackupId || null)) {
+            this.logger.info(`Point de reprise ${checkpointPath} ignoré: autre type de backup`);
+            return null;
+        }
+
+        try {
+            const remote = await this.statRemoteFile(checkpoint.remoteArchive);
+            if (remote.size !== checkpoint.size || remote.mtime !== checkpoint.mtime) {
+                this.logger.info(`Point de reprise ${checkpointPath} ignoré: ${checkpoint.remoteArchive} a changé`);
+                return null;
+            }
+        } catch (error) {
+            this.throwIfCancelled();
+            this.logger.info(`Point de reprise ${checkpointPath} ignoré: ${checkpoint.remoteArchive} introuvable`);
+            return null;
+        }
+        return checkpoint;
+    }
+
+    /**
+     * Termine un backup à partir de l'archive d'une tentative précédente: téléchargement repris à la taille
+     * déjà reçue, sans nouvelle copie rsync ni nouvelle archive sur le client
+     */
+    async resumeArchiveBackup(backupId, progressCallback) {
+        const { checkpointPath, ...checkpoint } = this.archiveCheckpoint;
+        this.archiveCheckpoint = null;
+
+        const start = await transferCheckpoint.getLocalSize(checkpoint.archivePath);
+        this.logger.info(`♻️ Reprise de l'archive ${checkpoint.remoteArchive}: ${(start / 1024 / 1024).toFixed(2)} / ${(checkpoint.size / 1024 / 1024).toFixed(2)} MB déjà reçus`);
+        if (this.backupLogger) {
+            this.backupLogger.info(`♻️ Reprise du téléchargement: ${(start / 1024 / 1024).toFixed(2)} / ${(checkpoint.size / 1024 / 1024).toFixed(2)} MB déjà reçus`);
+        }
+        if (progressCallback) {
+            progressCallback('Reprise du téléchargement de l\'archive', 85);
+        }
+
+        await this.downloadArchive(checkpoint.remoteArchive, checkpoint.archivePath, {
+            flow: checkpoint.flow,
+            timestamp: checkpoint.timestamp,
+            backupDir: checkpoint.backupDir,
+            state: checkpoint.state
+        }, start);
+
+        await this.executeCommand(`rm -rf ${shellQuote(checkpoint.remoteArchive)} ${shellQuote(checkpoint.backupDir)}`, 60000);
+        this.remoteTempPaths.delete(checkpoint.remoteArchive);
+        this.remoteTempPaths.delete(checkpoint.backupDir);
+        this.localTempPaths.delete(checkpoint.archivePath);
+        this.localTempPaths.delete(checkpointPath);
+
+        const result = {
+            ...checkpoint.state,
+            backupId,
+            backupStartTime: new Date(checkpoint.state.backupStartTime),
+            finalSize: await transferCheckpoint.getLocalSize(checkpoint.archivePath),
+            archivePath: checkpoint.archivePath,
+            progressCallback
+        };
+        return await this.finalizeBackupResult(result);
+    }
+
+    /**
+     * Envoie un fichier local vers le client (SFTP)
+     */
+    async uploadFile(localPath, remotePath) {
+        if (!this.isConnected) {
+            throw new Error('Client SSH non connecté');
+        }
+
+        return new Promise((resolve, reject) => {
+            this.sshClient.sftp((err, sftp) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+
+                sftp.fastPut(localPath, remotePath, (putError) => {
+                    sftp.end();
+                    if (putError) {
+                        reject(putError);
+                    } else {
+                        resolve();
+                    }
+                });
+            });
+        });
+    }
+
+    /**
+     * Demande l'annulation du backup en cours: interrompt la commande SSH ou le transfert actif
+     */
+    cancel() {
+        if (this.cancelled) return;
+        
+        this.cancelled = true;
+        this.logger.warn(`🛑 Annulation du backup demandée pour ${this.config.name}`);
+        if (this.backupLogger) {
+            this.backupLogger.warn(`🛑 ANNULATION DEMANDÉE`);
+        }
+        
+        for (const handler of this.cancelHandlers) {
+            handler();
+        }
+        this.cancelHandlers.clear();
+    }
+
+    throwIfCancelled() {
+        if (this.cancelled) {
+            throw createCancelledError();
+        }
+    }
+
+    /**
+     * Suivi des fichiers temporaires du backup, enregistrés par le planificateur avec le job
+     * @param {Function} onChange - Appelée à chaque ajout ou suppression
+     */
+    trackArtifacts(onChange) {
+        this.remoteTempPaths.onChange = onChange;
+        this.localTempPaths.onChange = onChange;
+    }
+
+    getArtifacts() {
+        return { local: [...this.localTempPaths], remote: [...this.remoteTempPaths], vss: [] };
+    }
+
+    /**
+     * Reprend les fichiers temporaires d'un backup interrompu par un redémarrage du serveur,
+     * pour les supprimer avec cleanupCancelledBackup() ou les reprendre au démarrage du backup (prepareResume)
+     */
+    restoreArtifacts({ local = [], remote = [] }) {
+        local.forEach(localPath => this.localTempPaths.add(localPath));
+        remote.forEach(remotePath => this.remoteTempPaths.add(remotePath));
+    }
+
+    /**
+     * Supprime l'archive locale partielle et les dossiers de staging distants d'un backup annulé
+     */
+    async cleanupCancelledBackup() {
+        const fsPromises = require('fs').promises;
+        
+        for (const localPath of this.localTempPaths) {
+            try {
+                await fsPromises.rm(localPath, { recursive: true, force: true });
+                this.logger.info(`🧹 Archive locale partielle supprimée: ${localPath}`);
+            } catch (error) {
+                this.logger.warn(`Impossible de supprimer ${localPath}: ${error.message}`);
+            }
+        }
+        this.localTempPaths.clear();
+        
+        if (this.isConnected) {
+            for (const remotePath of this.remoteTempPaths) {
+                try {
+                    await this.executeCommand(`rm -rf "${remotePath}"`, 60000, { ignoreCancel: true });
+                    this.logger.info(`🧹 Staging distant supprimé: ${remotePath}`);
+                } catch (error) {
+                    this.logger.warn(`Impossible de supprimer le staging distant ${remotePath}: ${error.message}`);
+                }
+            }
+            await this.disconnect();
+        } else if (this.remoteTempPaths.size > 0) {
+            this.logger.warn(`Connexion SSH fermée, staging distant non nettoyé: ${[...this.remoteTempPaths].join(', ')}`);
+        }
+        this.remoteTempPaths.clear();
+    }
+
+    async cleanupRemoteBackup(remotePath) {
+        try {
+            await this.executeCommand(`rm -f "${remotePath}"`);
+            this.logger.info(`Fichier de backup distant supprimé: ${remotePath}`);
+        } catch (error) {
+            this.logger.warn(`Impossible de supprimer le fichier distant: ${error.message}`);
+        }
+    }
+
+    async performFullBackup(options = {}) {
+        const backupId = options.backupId || `backup_${this.config.name}_${Date.now()}`;
+        const progressCallback = options.progressCallback || (() => {});
+        
+        // Initialiser le logger spécifique au backup
+        this.backupLogger = createBackupLogger(this.config.name, backupId);
+        
+        try {
+            this.backupLogger.info(`🐧 =================================`);
+            this.backupLogger.info(`🐧 DÉMARRAGE BACKUP LINUX COMPLET`);
+            this.backupLogger.info(`🐧 =================================`);
+            this.backupLogger.info(`📋 Client: ${this.config.name}`);
+            this.backupLogger.info(`🆔 Backup ID: ${backupId}`);
+            this.backupLogger.info(`🖥️ Host: ${this.config.host}:${this.config.port || 22}`);
+            this.backupLogger.info(`👤 Utilisateur: ${this.config.username}`);
+            this.backupLogger.info(`📂 Dossiers: ${options.folders || 'Auto-détection Linux'}`);
+            
+            this.backupLogger.info(`🔌 Étape 1/3: Connexion SSH`);
+            progressCallback('Connexion SSH...', 30);
+            await this.connect();
+            await this.applyThrottleProfile();
+            await this.applyCompressionSettings();
+            await this.prepareResume({ flow: 'full', backupType: 'full', backupId });
+            
+            this.backupLogger.info(`📦 Étape 2/3: Création du backup`);
+            progressCallback('Démarrage du backup', 35);
+            const result = await this.createBackup('full', options.folders, backupId, progressCallback);
+            
+            this.backupLogger.info(`🔌 Étape 3/3: Fermeture connexion`);
+            await this.disconnect();
+            
+            // Statistiques finales
+            const sizeMB = Math.round(result.size / (1024 * 1024));
+            const fileCount = result.networkStats?.filesCount || 0;
+            const duration = result.networkStats?.durationSeconds || 0;
+            const speed = result.networkStats?.transferSpeedMbps || 0;
+            
+            this.backupLogger.info(`🎉 =================================`);
+            this.backupLogger.info(`🎉 BACKUP LINUX TERMINÉ AVEC SUCCÈS`);
+            this.backupLogger.info(`🎉 =================================`);
             this.backupLogger.info(`📊 Taille archive: ${sizeMB} MB`);
             this.backupLogger.info(`📁 Nombre de fichiers: ${fileCount}`);
             this.backupLogger.info(`⏱️ Durée: ${duration}s`);
@@ -571,7 +1776,11 @@ class LinuxBackupClient {
                     size_mb: sizeMB,
                     file_count: fileCount,
                     duration_seconds: duration,
-                    speed_mbps: speed
+                    speed_mbps: speed,
+                    databases: result.databases,
+                    compression: result.compression,
+                    volumes: result.volumes,
+                    throttle: this.throttle
                 },
                 path: result.archivePath,
                 results: result.results
@@ -589,44 +1798,86 @@ class LinuxBackupClient {
         }
     }
 
+    /**
+     * Backup différentiel: fichiers modifiés depuis le dernier backup complet,
+     * une restauration n'a besoin que du complet et du dernier différentiel
+     * @param {string} fullBackupPath - Chemin du backup complet de référence
+     * @param {Object} options - Mêmes options que performIncrementalBackup
+     */
+    async performDifferentialBackup(fullBackupPath, options = {}) {
+        return this.performIncrementalBackup(fullBackupPath, { ...options, type: 'differential' });
+    }
+
     async performIncrementalBackup(lastBackupPath, options = {}) {
         const backupId = options.backupId || `backup_${this.config.name}_${Date.now()}`;
         const progressCallback = options.progressCallback || (() => {});
+        const backupType = options.type === 'differential' ? 'differential' : 'incremental';
         
         try {
             progressCallback('Connexion SSH...', 30);
             await this.connect();
+            await this.applyThrottleProfile();
+            
+            // En mode snapshot, chaque backup est un snapshot complet lié au précédent (liens physiques)
+            if (this.getBackupMode() === SNAPSHOT_MODE) {
+                await this.prepareResume({ flow: 'full', backupType, backupId });
+                const result = await this.createBackup(backupType, options.folders, backupId, progressCallback);
+                await this.disconnect();
+                
+                return {
+                    success: true,
+                    backupId: backupId,
+                    type: backupType,
+                    metadata: {
+                        size_mb: Math.round(result.size / (1024 * 1024)),
+                        file_count: result.networkStats?.filesCount || 0,
+                        duration_seconds: result.networkStats?.durationSeconds || 0,
+                        speed_mbps: result.networkStats?.transferSpeedMbps || 0,
+                        storage_mode: SNAPSHOT_MODE,
+                        databases: result.databases,
+                        throttle: this.throttle
+                    },
+                    path: result.archivePath,
+                    results: result.results
+                };
+            }
             
-            this.logger.info(`Démarrage du backup incrémentiel pour ${this.config.name}`);
+            this.logger.info(`Démarrage du backup ${backupType === 'differential' ? 'différentiel' : 'incrémentiel'} pour ${this.config.name}`);
             this.logger.info(`Backup de référence: ${lastBackupPath}`);
             
-            // Lire les métadonnées du dernier backup pour obtenir le timestamp
+            // Date de référence: fournie par le planificateur (historique des backups),
+            // sinon lue dans les métadonnées du backup de référence stocké sur le serveur
             let lastBackupTime = null;
             let baseBackupId = null;
             
-            try {
-                const metadataPath = `${lastBackupPath}/backup_metadata.json`;
-                const metadataResult = await this.executeCommand(`cat ${metadataPath}`);
-                const metadata = JSON.parse(metadataResult);
-                lastBackupTime = new Date(metadata.timestamp);
-                baseBackupId = metadata.backupId;
-                this.logger.info(`Référence backup: ${baseBackupId} du ${lastBackupTime.toISOString()}`);
-            } catch (error) {
-                this.logger.warn('Impossible de lire les métadonnées du backup précédent, utilisation du timestamp du dossier');
-                const statResult = await this.executeCommand(`stat -c %Y ${lastBackupPath}`);
-                const timestamp = parseInt(statResult.trim()) * 1000;
-                lastBackupTime = new Date(timestamp);
+            if (options.baseBackup && options.baseBackup.timestamp) {
+                lastBackupTime = new Date(options.baseBackup.timestamp);
+                baseBackupId = options.baseBackup.backupId;
+            } else {
+                const fsPromises = require('fs').promises;
+                try {
+                    const metadata = JSON.parse(await fsPromises.readFile(path.join(lastBackupPath, METADATA_FILE), 'utf8'));
+                    lastBackupTime = new Date(metadata.timestamp);
+                    baseBackupId = metadata.backupId;
+                } catch (error) {
+                    this.logger.warn('Impossible de lire les métadonnées du backup de référence, utilisation de sa date de modification');
+                    const stats = await fsPromises.stat(lastBackupPath);
+                    lastBackupTime = stats.mtime;
+                }
             }
+            this.logger.info(`Référence backup: ${baseBackupId || lastBackupPath} du ${lastBackupTime.toISOString()}`);
             
-            // Créer le vrai backup incrémentiel avec rsync
-            const result = await this.createIncrementalBackup(backupId, lastBackupTime, baseBackupId, options.folders, { progressCallback });
+            // Créer le backup des fichiers modifiés (tar en streaming)
+            await this.applyCompressionSettings();
+            await this.prepareResume({ flow: 'incremental', backupType, backupId, baseBackupId });
+            const result = await this.createIncrementalBackup(backupId, lastBackupTime, baseBackupId, options.folders, { progressCallback, backupType });
             
             await this.disconnect();
             
             return {
                 success: true,
                 backupId: backupId,
-                type: 'incremental',
+                type: backupType,
                 baseBackup: baseBackupId,
                 metadata: {
                     size_mb: Math.round(result.size / (1024 * 1024)),
@@ -634,10 +1885,16 @@ class LinuxBackupClient {
                     duration_seconds: result.networkStats?.durationSeconds || 0,
                     speed_mbps: result.networkStats?.transferSpeedMbps || 0,
                     files_changed: result.filesChanged || 0,
-                    files_skipped: result.filesSkipped || 0
+                    files_skipped: result.filesSkipped || 0,
+                    base_backup_time: lastBackupTime.toISOString(),
+                    databases: result.databases,
+                    compression: result.compression,
+                    volumes: result.volumes,
+                    throttle: this.throttle
                 },
                 path: result.archivePath,
-                results: result.results
+                results: result.results,
+                manifest: result.manifest
             };
         } catch (error) {
             this.logger.error('Erreur lors du backup incrémentiel:', error);
@@ -645,14 +1902,20 @@ class LinuxBackupClient {
         }
     }
 
+    /**
+     * Backup incrémentiel ou différentiel: la liste des fichiers modifiés est envoyée à tar (-T -) par le
+     * canal SSH et l'archive est écrite directement sur le serveur, sans copie des fichiers sur le client
+     */
     async createIncrementalBackup(backupId, lastBackupTime, baseBackupId, customFolders = null, options = {}) {
         const progressCallback = options.progressCallback || (() => {});
+        const backupType = options.backupType || 'incremental';
         try {
-            this.logger.info(`Création du backup incrémentiel ${backupId}`);
+            this.logger.info(`Création du backup ${backupType === 'differential' ? 'différentiel' : 'incrémentiel'} ${backupId}`);
             
             const backupStartTime = new Date();
             const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-            const backupDir = `/tmp/efc-backup-incremental-${this.config.name}-${timestamp}`;
+            // Les dumps des bases de données sont écrits dans ce petit dossier, supprimé par la commande de streaming
+            const dumpDir = `/tmp/efc-backup-${backupType}-${this.config.name}-${timestamp}-databases`;
             
             // Dossiers par défaut à sauvegarder
             const defaultFolders = ['/home', '/etc', '/var/www', '/opt'];
@@ -687,23 +1950,29 @@ class LinuxBackupClient {
             this.logger.info(`Fichiers modifiés depuis: ${lastBackupTime.toISOString()}`);
             this.logger.info(`Exclusions actives: ${exclusionStats.totalFolderExclusions} dossiers, ${exclusionStats.totalFileExtensionExclusions} extensions, économie estimée: ${exclusionStats.estimatedSpaceSavedPercent}%`);
 
-            // Créer le dossier de backup temporaire
-            await this.executeCommand(`mkdir -p ${backupDir}`);
-            
-            // S'assurer que rsync est installé
-            await this.ensureRsyncInstalled();
+            // Un dump change à chaque exécution: il est inclus dans chaque backup de la chaîne
+            this.remoteTempPaths.add(dumpDir);
+            if (progressCallback) {
+                progressCallback('Dump des bases de données', 38);
+            }
+            const databaseResults = await this.dumpDatabases(dumpDir);
+            const hasDumps = databaseResults.some(result => result.status === 'success');
 
             let totalSize = 0;
             let totalFilesCount = 0;
             let totalFilesChanged = 0;
             let totalFilesSkipped = 0;
-            let totalFilesExcluded = 0;
             const backupResults = [];
+            // Fichiers présents sur le client (chemins du catalogue): permet de détecter les suppressions
+            const manifest = { roots: [], paths: [] };
+            // Fichiers modifiés (chemins relatifs à /) transmis à tar, et dossiers renommés dans l'archive
+            const changedPaths = [];
+            const streamedFolders = [];
 
             // Calculer les jours depuis le dernier backup pour find
             const daysSinceLastBackup = Math.ceil((new Date() - lastBackupTime) / (1000 * 60 * 60 * 24));
             
-            // Backup incrémentiel de chaque dossier avec rsync
+            // Recherche des fichiers modifiés dans chaque dossier
             for (let i = 0; i < foldersToBackup.length; i++) {
                 const folder = foldersToBackup[i];
                 if (!folder.trim()) continue;
@@ -721,32 +1990,55 @@ class LinuxBackupClient {
                 try {
                     this.logger.info(`Backup incrémentiel du dossier: ${folder}`);
                     
+                    const baseFolder = folder.replace(/\/+$/, '');
+                    
                     // Vérifier si le dossier existe
-                    await this.executeCommand(`test -d "${folder}"`);
+                    await this.executeCommand(`test -d ${shellQuote(baseFolder)}`);
                     
                     const folderName = folder.replace(/\//g, '_').replace(/^_/, '');
-                    const targetDir = `${backupDir}/${folderName}`;
                     
                     const folderStartTime = new Date();
                     
-                    // Trouver les fichiers modifiés avec exclusions appliquées
+                    // Inventaire complet du dossier (sans exclusions: un fichier exclu n'est jamais restauré)
+                    // Inventaire partiel (sous-dossier illisible...): find échoue et aucune suppression n'est enregistrée,
+                    // sinon chaque fichier non listé serait compté comme supprimé
+                    try {
+                        const listing = await this.executeCommand(`find ${shellQuote(baseFolder)} \\( -type f -o -type l \\)`, 600000);
+                        for (const file of listing.split('\n')) {
+                            if (file.startsWith(`${baseFolder}/`)) {
+                                manifest.paths.push(`${folderName}/${file.substring(baseFolder.length + 1)}`);
+                            }
+                        }
+                        manifest.roots.push(folderName);
+                    } catch (error) {
+                        this.throwIfCancelled();
+                        this.logger.warn(`Inventaire de ${folder} impossible, suppressions non détectées: ${error.message}`);
+                    }
+                    
+                    // Trouver les fichiers modifiés avec exclusions appliquées (taille et chemin de chaque fichier)
                     let modifiedFiles = [];
                     let excludedFiles = 0;
+                    const parseModifiedFiles = (output) => output.split('\n')
+                        .filter(line => line.trim())
+                        .map(line => {
+                            const separator = line.indexOf(' ');
+                            return { size: parseInt(line.substring(0, separator)) || 0, path: line.substring(separator + 1) };
+                        });
                     
                     try {
                         // Construire la commande find avec exclusions
                         const exclusionArgs = backupExclusions.getFindExclusions(exclusions);
                         const baseTimeFilter = `"${lastBackupTime.toISOString().split('T')[0]} ${lastBackupTime.toISOString().split('T')[1].split('.')[0]}"`;
                         
-                        let findCommand = `find "${folder}" -type f -newermt ${baseTimeFilter} ${exclusionArgs} 2>/dev/null | head -10000`;
+                        let findCommand = `find ${shellQuote(baseFolder)} -type f -newermt ${baseTimeFilter} ${exclusionArgs} -printf '%s %p\\n' 2>/dev/null | head -10000`;
                         
                         this.logger.info(`Find avec exclusions: ${findCommand.substring(0, 100)}...`);
                         const findResult = await this.executeCommand(findCommand);
-                        modifiedFiles = findResult.split('\n').filter(f => f.trim());
+                        modifiedFiles = parseModifiedFiles(findResult);
                         
                         // Compter aussi les fichiers exclus pour statistiques
                         try {
-                            const allModifiedCommand = `find "${folder}" -type f -newermt ${baseTimeFilter} 2>/dev/null | wc -l`;
+                            const allModifiedCommand = `find ${shellQuote(baseFolder)} -type f -newermt ${baseTimeFilter} 2>/dev/null | wc -l`;
                             const allModifiedResult = await this.executeCommand(allModifiedCommand);
                             const allModified = parseInt(allModifiedResult.trim()) || 0;
                             excludedFiles = Math.max(0, allModified - modifiedFiles.length);
@@ -759,11 +2051,11 @@ class LinuxBackupClient {
                         // Fallback: utiliser -mtime avec jours et exclusions
                         try {
                             const exclusionArgs = backupExclusions.getFindExclusions(exclusions);
-                            const findCommand = `find "${folder}" -type f -mtime -${daysSinceLastBackup + 1} ${exclusionArgs} 2>/dev/null | head -10000`;
+                            const findCommand = `find ${shellQuote(baseFolder)} -type f -mtime -${daysSinceLastBackup + 1} ${exclusionArgs} -printf '%s %p\\n' 2>/dev/null | head -10000`;
                             
                             this.logger.info(`Find fallback avec exclusions: ${findCommand.substring(0, 100)}...`);
                             const findResult = await this.executeCommand(findCommand);
-                            modifiedFiles = findResult.split('\n').filter(f => f.trim());
+                            modifiedFiles = parseModifiedFiles(findResult);
                             this.logger.info(`${modifiedFiles.length} fichiers récents détectés dans ${folder} (fallback avec exclusions)`);
                         } catch (fallbackError) {
                             this.logger.warn(`Impossible de détecter les fichiers modifiés dans ${folder}:`, fallbackError);
@@ -773,50 +2065,15 @@ class LinuxBackupClient {
                     
                     let folderSize = 0;
                     let filesChanged = 0;
-                    let filesSkipped = 0;
                     
-                    if (modifiedFiles.length > 0) {
-                        // Créer le dossier cible
-                        await this.executeCommand(`mkdir -p "${targetDir}"`);
-                        
-                        // Utiliser rsync avec --files-from pour ne copier que les fichiers modifiés
-                        const tempFileList = `/tmp/modified-files-${Date.now()}.txt`;
-                        
-                        // Créer la liste des fichiers modifiés (chemins relatifs)
-                        const relativePaths = modifiedFiles
-                            .filter(file => file.startsWith(folder))
-                            .map(file => file.substring(folder.length + (folder.endsWith('/') ? 0 : 1)))
-                            .filter(path => path.length > 0);
-                        
-                        if (relativePaths.length > 0) {
-                            // Écrire la liste dans un fichier temporaire
-                            await this.executeCommand(`cat > ${tempFileList} << 'EOF'\n${relativePaths.join('\n')}\nEOF`);
-                            
-                            // Utiliser rsync avec la liste de fichiers
-                            const rsyncCommand = `rsync -avR --files-from="${tempFileList}" "${folder}/" "${targetDir}/" --stats 2>/dev/null || true`;
-                            
-                            this.logger.info(`Exécution: rsync pour ${relativePaths.length} fichiers modifiés`);
-                            const rsyncResult = await this.executeCommand(rsyncCommand);
-                            
-                            // Parser les statistiques rsync
-                            const stats = this.parseRsyncStats(rsyncResult);
-                            filesChanged = stats.filesTransferred || relativePaths.length;
-                            filesSkipped = stats.filesSkipped || 0;
-                            
-                            // Nettoyer le fichier temporaire
-                            await this.executeCommand(`rm -f ${tempFileList}`).catch(err => {
-                                this.logger.debug(`Impossible de supprimer le fichier temporaire ${tempFileList}:`, err.message);
-                            });
-                            
-                            // Calculer la taille du dossier copié
-                            try {
-                                const sizeOutput = await this.executeCommand(`du -sb "${targetDir}" 2>/dev/null | cut -f1`);
-                                folderSize = parseInt(sizeOutput.trim()) || 0;
-                            } catch (error) {
-                                this.logger.warn(`Impossible de calculer la taille de ${targetDir}`);
-                                folderSize = 0;
-                            }
+                    const folderFiles = modifiedFiles.filter(file => file.path.startsWith(`${baseFolder}/`));
+                    if (folderFiles.length > 0) {
+                        for (const file of folderFiles) {
+                            changedPaths.push(file.path.replace(/^\/+/, ''));
+                            folderSize += file.size;
                         }
+                        filesChanged = folderFiles.length;
+                        streamedFolders.push({ relativePath: baseFolder.replace(/^\/+/, ''), folderName });
                     } else {
                         this.logger.info(`Aucun changement détecté dans ${folder} depuis le dernier backup`);
                     }
@@ -824,24 +2081,24 @@ class LinuxBackupClient {
                     totalSize += folderSize;
                     totalFilesCount += filesChanged;
                     totalFilesChanged += filesChanged;
-                    totalFilesSkipped += filesSkipped;
                     
                     const folderDuration = (new Date() - folderStartTime) / 1000;
                     const folderSpeedMbps = folderSize > 0 ? (folderSize * 8) / (folderDuration * 1024 * 1024) : 0;
                     
-                    this.logger.info(`Backup incrémentiel terminé pour ${folder}: ${filesChanged} fichiers modifiés (${filesSkipped} ignorés), ${(folderSize / 1024 / 1024).toFixed(2)} MB`);
+                    this.logger.info(`Backup incrémentiel terminé pour ${folder}: ${filesChanged} fichiers modifiés, ${(folderSize / 1024 / 1024).toFixed(2)} MB`);
                     
                     backupResults.push({
                         folder,
                         size: folderSize,
                         filesCount: filesChanged,
-                        filesSkipped: filesSkipped,
+                        filesSkipped: 0,
                         duration: folderDuration,
                         speedMbps: Math.round(folderSpeedMbps * 100) / 100,
                         status: filesChanged > 0 ? 'success' : 'no_changes'
                     });
                     
                 } catch (error) {
+                    this.throwIfCancelled();
                     this.logger.error(`Erreur lors du backup incrémentiel de ${folder}:`, error);
                     backupResults.push({
                         folder,
@@ -856,61 +2113,54 @@ class LinuxBackupClient {
                 }
             }
 
-            // Créer une archive tar.gz seulement si des changements ont été détectés
+            // Créer une archive tar seulement si des changements ont été détectés
             let archivePath = null;
             let finalSize = 0;
             
-            if (totalFilesChanged > 0) {
-                const archiveName = `efc-backup-incremental-${this.config.name}-${timestamp}.tar.gz`;
+            if (totalFilesChanged > 0 || hasDumps) {
+                const archiveName = `efc-backup-${backupType}-${this.config.name}-${timestamp}${compression.getArchiveExtension(this.compression)}`;
                 const permanentBackupDir = process.env.BACKUP_PATH || '/var/backups/efc-backup';
                 archivePath = `${permanentBackupDir}/${archiveName}`;
                 
-                if (progressCallback) {
-                    progressCallback('Création de l\'archive incrémentielle', 85);
-                }
-                this.logger.info('Création de l\'archive incrémentielle...');
+                const fsPromises = require('fs').promises;
+                await fsPromises.mkdir(permanentBackupDir, { recursive: true });
                 
-                // Créer le dossier permanent LOCAL s'il n'existe pas
-                const fs = require('fs').promises;
-                try {
-                    await fs.mkdir(permanentBackupDir, { recursive: true });
-                } catch (error) {
-                    if (error.code !== 'EEXIST') {
-                        this.logger.warn(`Erreur lors de la création du dossier local: ${error.message}`);
-                    }
-                }
+                // Même arborescence que les backups complets (ex: /var/www -> var_www)
+                const transforms = streamedFolders
+                    .filter(entry => entry.relativePath !== entry.folderName)
+                    .flatMap(entry => {
+                        const source = escapeRegex(entry.relativePath);
+                        return [
+                            `--transform=${shellQuote(`s,^${source}/,${entry.folderName}/,`)}`,
+                            `--transform=${shellQuote(`s,^${source}$,${entry.folderName},`)}`
+                        ];
+                    });
                 
-                // Créer l'archive temporaire sur le client distant
-                const tempArchivePath = `/tmp/${archiveName}`;
-                await this.executeCommand(`cd /tmp && tar -czf ${tempArchivePath} -C ${backupDir} . 2>/dev/null`);
+                // --verbatim-files-from: un nom de fichier commençant par « - » n'est pas lu comme une option
+                const tarCommand = [
+                    `${this.priorityPrefix}tar -c ${compression.getTarCreateOption(this.compression)} -f - --ignore-failed-read --warning=no-file-changed`,
+                    ...transforms,
+                    '-C / --verbatim-files-from -T -',
+                    ...(hasDumps ? [`-C ${shellQuote(dumpDir)} ${DUMPS_SECTION}`] : [])
+                ].join(' ');
+                const streamCommand = `${tarCommand}; code=$?; rm -rf ${shellQuote(dumpDir)}; exit $code`;
                 
-                // Télécharger l'archive vers le serveur local
-                this.logger.info(`Téléchargement de l'archive incrémentielle vers ${archivePath}...`);
-                await this.downloadBackup(tempArchivePath, archivePath);
+                if (progressCallback) {
+                    progressCallback('Transfert de l\'archive incrémentielle en streaming', 85);
+                }
+                this.logger.info(`Streaming de l'archive incrémentielle vers ${archivePath} (${changedPaths.length} fichiers)...`);
                 
-                // Supprimer l'archive temporaire sur le client distant
-                await this.executeCommand(`rm -f ${tempArchivePath}`);
+                this.localTempPaths.add(archivePath);
+                const { bytes, code, stderr } = await this.streamCommandToFile(streamCommand, archivePath, () => {}, {
+                    input: changedPaths.length > 0 ? `${changedPaths.join('\n')}\n` : ''
+                });
+                this.remoteTempPaths.delete(dumpDir);
                 
-                // Calculer la taille finale de l'archive avec protection d'erreur
-                try {
-                    // Vérifier d'abord que l'archive existe
-                    await this.executeCommand(`test -f ${archivePath}`, 5000);
-                    
-                    // Obtenir la taille avec timeout court
-                    const archiveSize = await this.executeCommand(`stat -c%s ${archivePath}`, 10000);
-                    finalSize = parseInt(archiveSize.trim());
-                    
-                    if (isNaN(finalSize) || finalSize <= 0) {
-                        this.logger.warn(`Taille d'archive incrémentielle invalide, utilisation de la commande de fallback`);
-                        // Fallback: utiliser ls pour obtenir la taille
-                        const lsOutput = await this.executeCommand(`ls -l ${archivePath} | awk '{print $5}'`, 5000);
-                        finalSize = parseInt(lsOutput.trim()) || 0;
-                    }
-                } catch (error) {
-                    this.logger.error(`Erreur lors du calcul de la taille de l'archive incrémentielle: ${error.message}`);
-                    this.logger.warn(`Utilisation d'une estimation de taille basée sur le contenu`);
-                    finalSize = Math.max(totalSize, 1024); // Estimation minimale
+                // tar: 0 = succès, 1 = fichiers modifiés pendant la lecture (archive valide)
+                if (code !== 0 && code !== 1) {
+                    throw new Error(`Streaming tar échoué (code ${code}): ${stderr.slice(-1000)}`);
                 }
+                finalSize = bytes;
                 
                 if (progressCallback) {
                     progressCallback('Archive incrémentielle créée', 90);
@@ -918,80 +2168,30 @@ class LinuxBackupClient {
                 
                 this.logger.info(`Archive incrémentielle créée: ${archiveName} (${(finalSize / 1024 / 1024).toFixed(2)} MB)`);
                 this.logger.info(`Backup sauvegardé dans: ${archivePath}`);
+                this.localTempPaths.delete(archivePath);
             } else {
                 this.logger.info('Aucun changement détecté, pas d\'archive créée');
-                archivePath = null;
-                finalSize = 0;
-            }
-
-            // Nettoyer le dossier temporaire
-            await this.executeCommand(`rm -rf ${backupDir}`);
-            
-            // Calculer les statistiques réseau globales
-            const backupEndTime = new Date();
-            const totalDuration = (backupEndTime - backupStartTime) / 1000;
-            const avgSpeedMbps = totalSize > 0 ? (totalSize * 8) / (totalDuration * 1024 * 1024) : 0;
-
-            // Sauvegarder les statistiques réseau si des données ont été transférées
-            if (totalSize > 0) {
-                try {
-                    await addNetworkStats({
-                        backup_id: backupId,
-                        client_name: this.config.name,
-                        bytes_transferred: totalSize,
-                        transfer_speed_mbps: Math.round(avgSpeedMbps * 100) / 100,
-                        duration_seconds: Math.round(totalDuration),
-                        files_count: totalFilesChanged,
-                        started_at: backupStartTime.toISOString(),
-                        completed_at: backupEndTime.toISOString()
-                    });
-                    
-                    this.logger.info(`Statistiques incrémentiel sauvegardées: ${totalFilesChanged} fichiers modifiés, ${Math.round(totalSize / (1024 * 1024))} MB`);
-                } catch (error) {
-                    this.logger.warn(`Erreur lors de la sauvegarde des statistiques réseau:`, error);
-                }
-            }
-            
-            // Callback final de progression - TOUJOURS appelé
-            if (progressCallback) {
-                try {
-                    const statusMessage = totalFilesChanged > 0 
-                        ? `Backup incrémentiel terminé: ${totalFilesChanged} fichiers modifiés`
-                        : 'Backup incrémentiel terminé: aucun changement';
-                        
-                    progressCallback(statusMessage, 100, { 
-                        totalSize: finalSize,
-                        filesChanged: totalFilesChanged,
-                        avgSpeed: Math.round(avgSpeedMbps),
-                        duration: Math.round(totalDuration)
-                    });
-                } catch (callbackError) {
-                    this.logger.warn('Erreur lors du callback de progression incrémentiel final:', callbackError);
-                }
+                // Dumps échoués: dossier éventuellement créé sur le client
+                await this.executeCommand(`rm -rf ${shellQuote(dumpDir)}`, 60000);
+                this.remoteTempPaths.delete(dumpDir);
             }
             
-            return {
+            return await this.finalizeIncrementalResult({
                 backupId,
-                type: 'incremental',
-                baseBackup: baseBackupId,
-                client: this.config.name,
-                status: 'completed',
-                startTime: backupStartTime,
-                endTime: backupEndTime,
-                size: finalSize,
-                archivePath: archivePath,
-                results: backupResults,
-                totalFolders: foldersToBackup.length,
-                successfulFolders: backupResults.filter(r => r.status === 'success').length,
-                filesChanged: totalFilesChanged,
-                filesSkipped: totalFilesSkipped,
-                networkStats: {
-                    bytesTransferred: totalSize,
-                    transferSpeedMbps: Math.round(avgSpeedMbps * 100) / 100,
-                    durationSeconds: Math.round(totalDuration),
-                    filesCount: totalFilesChanged
-                }
-            };
+                backupType,
+                baseBackupId,
+                backupStartTime,
+                foldersToBackup,
+                backupResults,
+                totalSize,
+                totalFilesChanged,
+                totalFilesSkipped,
+                finalSize,
+                archivePath,
+                databaseResults,
+                manifest,
+                progressCallback
+            });
 
         } catch (error) {
             this.logger.error('Erreur lors du backup incrémentiel:', error);
@@ -1015,6 +2215,270 @@ class LinuxBackupClient {
         }
     }
 
+    /**
+     * Statistiques réseau, progression finale et résultat d'un backup incrémentiel ou différentiel
+     * (backup terminé ou archive reprise d'une tentative précédente)
+     */
+    async finalizeIncrementalResult({ backupId, backupType, baseBackupId, backupStartTime, foldersToBackup, backupResults, totalSize, totalFilesChanged, totalFilesSkipped, finalSize, archivePath, databaseResults = [], manifest, compression: archiveCompression = this.compression, progressCallback }) {
+        const split = archivePath ? await this.splitArchiveVolumes(archivePath, archiveCompression) : { archivePath, volumes: null };
+
+        // Calculer les statistiques réseau globales
+        const backupEndTime = new Date();
+        const totalDuration = (backupEndTime - backupStartTime) / 1000;
+        const avgSpeedMbps = totalSize > 0 ? (totalSize * 8) / (totalDuration * 1024 * 1024) : 0;
+
+        // Sauvegarder les statistiques réseau si des données ont été transférées
+        if (totalSize > 0) {
+            try {
+                await addNetworkStats({
+                    backup_id: backupId,
+                    client_name: this.config.name,
+                    bytes_transferred: totalSize,
+                    transfer_speed_mbps: Math.round(avgSpeedMbps * 100) / 100,
+                    duration_seconds: Math.round(totalDuration),
+                    files_count: totalFilesChanged,
+                    started_at: backupStartTime.toISOString(),
+                    completed_at: backupEndTime.toISOString(),
+                    ...throttling.toNetworkStats(this.throttle)
+                });
+                
+                this.logger.info(`Statistiques incrémentiel sauvegardées: ${totalFilesChanged} fichiers modifiés, ${Math.round(totalSize / (1024 * 1024))} MB`);
+            } catch (error) {
+                this.logger.warn(`Erreur lors de la sauvegarde des statistiques réseau:`, error);
+            }
+        }
+        
+        // Callback final de progression - TOUJOURS appelé
+        if (progressCallback) {
+            try {
+                const statusMessage = totalFilesChanged > 0 
+                    ? `Backup incrémentiel terminé: ${totalFilesChanged} fichiers modifiés`
+                    : 'Backup incrémentiel terminé: aucun changement';
+                    
+                progressCallback(statusMessage, 100, { 
+                    totalSize: finalSize,
+                    filesChanged: totalFilesChanged,
+                    avgSpeed: Math.round(avgSpeedMbps),
+                    duration: Math.round(totalDuration)
+                });
+            } catch (callbackError) {
+                this.logger.warn('Erreur lors du callback de progression incrémentiel final:', callbackError);
+            }
+        }
+        
+        return {
+            backupId,
+            type: backupType,
+            baseBackup: baseBackupId,
+            client: this.config.name,
+            status: 'completed',
+            startTime: backupStartTime,
+            endTime: backupEndTime,
+            size: finalSize,
+            archivePath: split.archivePath,
+            volumes: split.volumes,
+            results: backupResults,
+            totalFolders: foldersToBackup.length,
+            successfulFolders: backupResults.filter(r => r.status === 'success').length,
+            filesChanged: totalFilesChanged,
+            filesSkipped: totalFilesSkipped,
+            databases: databaseResults,
+            manifest,
+            compression: archivePath ? archiveCompression : null,
+            networkStats: {
+                bytesTransferred: totalSize,
+                transferSpeedMbps: Math.round(avgSpeedMbps * 100) / 100,
+                durationSeconds: Math.round(totalDuration),
+                filesCount: totalFilesChanged
+            }
+        };
+    }
+
+    /**
+     * Exécute une commande distante en lui fournissant des données sur l'entrée standard
+     * Comme executeCommand: processus distant tué en cas d'annulation du backup ou de timeout.
+     */
+    async executeWithInput(command, input, timeout = 60000, { ignoreCancel = false } = {}) {
+        if (!this.isConnected) {
+            throw new Error('Client SSH non connecté');
+        }
+        if (!ignoreCancel) {
+            this.throwIfCancelled();
+        }
+
+        return new Promise((resolve, reject) => {
+            let cancelHandler = null;
+            let channel = null;
+            let timedOut = false;
+
+            const killChannel = () => {
+                if (!channel) return;
+                try {
+                    channel.signal('KILL');
+                } catch (signalError) {
+                    // Signal non supporté par le serveur SSH, la fermeture du canal suffit
+                }
+                channel.close();
+            };
+
+            const timeoutId = setTimeout(() => {
+                this.cancelHandlers.delete(cancelHandler);
+                this.logger.warn(`Timeout lors de l'exécution de la commande: ${command}`);
+                timedOut = true;
+                killChannel();
+                reject(new Error(`Command timeout after ${timeout}ms: ${command}`));
+            }, timeout);
+
+            this.sshClient.exec(command, (err, stream) => {
+                if (err) {
+                    clearTimeout(timeoutId);
+                    reject(err);
+                    return;
+                }
+                channel = stream;
+                // Canal ouvert après le timeout: fermé aussitôt
+                if (timedOut) {
+                    killChannel();
+                    return;
+                }
+
+                if (!ignoreCancel) {
+                    cancelHandler = () => {
+                        clearTimeout(timeoutId);
+                        killChannel();
+                        reject(createCancelledError());
+                    };
+                    this.cancelHandlers.add(cancelHandler);
+                }
+
+                let stdout = '';
+                let stderr = '';
+                stream.on('data', (data) => {
+                    stdout += data.toString();
+                });
+                stream.stderr.on('data', (data) => {
+                    stderr += data.toString();
+                });
+                stream.on('close', (code) => {
+                    clearTimeout(timeoutId);
+                    this.cancelHandlers.delete(cancelHandler);
+                    if (code === 0) {
+                        resolve(stdout);
+                    } else {
+                        reject(new Error(`Command failed with exit code ${code}: ${stderr}`));
+                    }
+                });
+
+                stream.end(input);
+            });
+        });
+    }
+
+    /**
+     * Restaure des fichiers sur le client: les fichiers sont placés localement dans une arborescence
+     * miroir des chemins distants, envoyée par tar dans le canal SSH et extraite depuis la racine.
+     * @param {Array} entries - [{ path, localPath, remotePath }] chemins distants absolus
+     * @param {Object} options - { conflictPolicy, workDir }
+     * @returns {Promise<{restored: Array, skipped: Array, renamed: Array, errors: Array}>}
+     */
+    async restoreFiles(entries, options = {}) {
+        const { getRestoreStamp, restoredName } = require('../utils/restore-selection');
+        const policy = options.conflictPolicy || 'overwrite';
+        const outcome = { restored: [], skipped: [], renamed: [], errors: [] };
+
+        // Fichiers déjà présents sur le client
+        const remotePaths = entries.map(entry => entry.remotePath);
+        const existingOutput = await this.executeWithInput(
+            `while IFS= read -r f; do [ -e "$f" ] && printf '%s\\n' "$f"; done; exit 0`,
+            remotePaths.join('\n') + '\n',
+            300000
+        );
+        const existing = new Set(existingOutput.split('\n').filter(Boolean));
+
+        const stamp = getRestoreStamp();
+        const mirrorDir = path.join(options.workDir, '.efc-remote');
+        const uploads = [];
+
+        for (const entry of entries) {
+            let target = entry.remotePath;
+            if (existing.has(target)) {
+                if (policy === 'skip') {
+                    outcome.skipped.push(entry.path);
+                    continue;
+                }
+                if (policy === 'rename') {
+                    target = restoredName(target, stamp);
+                    outcome.renamed.push({ path: entry.path, restoredAs: target });
+                }
+            }
+
+            const mirrorPath = path.join(mirrorDir, target);
+            await fs.promises.mkdir(path.dirname(mirrorPath), { recursive: true });
+            await fs.promises.rename(entry.localPath, mirrorPath);
+            uploads.push({ entry, member: target.replace(/^\/+/, '') });
+        }
+
+        if (uploads.length === 0) {
+            return outcome;
+        }
+
+        const listFile = path.join(options.workDir, '.efc-remote-members');
+        await fs.promises.writeFile(listFile, uploads.map(upload => upload.member).join('\n') + '\n');
+
+        this.logger.info(`📤 Envoi de ${uploads.length} fichier(s) vers ${this.config.host} (politique: ${policy})`);
+
+        // Seuls les fichiers sont archivés: les dossiers existants du client gardent leurs droits
+        const stderr = await new Promise((resolve, reject) => {
+            this.sshClient.exec('tar -xpf - --no-overwrite-dir -C /', (err, stream) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+
+                const tar = spawn('tar', ['-C', mirrorDir, '-cf', '-', '--verbatim-files-from', '-T', listFile]);
+                let remoteErrors = '';
+                let localErrors = '';
+
+                tar.stderr.on('data', (data) => {
+                    localErrors += data.toString();
+                });
+                tar.on('error', reject);
+                tar.on('close', (code) => {
+                    if (code !== 0) {
+                        stream.close();
+                        reject(new Error(`Archive locale impossible (code ${code}): ${localErrors.trim()}`));
+                    }
+                });
+
+                stream.stderr.on('data', (data) => {
+                    remoteErrors += data.toString();
+                });
+                stream.on('close', (code) => {
+                    resolve(code === 0 ? '' : remoteErrors || `tar distant terminé avec le code ${code}`);
+                });
+
+                tar.stdout.pipe(stream);
+            });
+        });
+
+        // tar poursuit après une erreur: seuls les fichiers cités dans ses messages ont échoué
+        const errorLines = stderr.split('\n').map(line => line.trim()).filter(Boolean);
+        for (const upload of uploads) {
+            const failure = errorLines.find(line => line.includes(upload.member));
+            if (failure) {
+                outcome.errors.push(`${upload.entry.remotePath}: ${failure}`);
+            } else {
+                outcome.restored.push(path.posix.join('/', upload.member));
+            }
+        }
+        if (errorLines.length > 0 && outcome.errors.length === 0) {
+            outcome.errors.push(...errorLines);
+        }
+
+        this.logger.info(`✅ ${outcome.restored.length} fichier(s) restauré(s) sur ${this.config.host}, ${outcome.skipped.length} ignoré(s), ${outcome.errors.length} erreur(s)`);
+        return outcome;
+    }
+
     async ensureRsyncInstalled() {
         try {
             await this.executeCommand('which rsync');
@@ -1035,26 +2499,38 @@ class LinuxBackupClient {
         const stats = {
             filesTransferred: 0,
             filesSkipped: 0,
+            regularFiles: 0,
             totalFileSize: 0,
+            transferredFileSize: 0,
             bytesReceived: 0
         };
 
+        // Les versions récentes de rsync séparent les milliers par des virgules
+        const readNumber = (line) => {
+            const match = line.split(':')[1]?.match(/([\d,]+)/);
+            return match ? parseInt(match[1].replace(/,/g, '')) : 0;
+        };
+
         try {
             // Parser la sortie rsync pour extraire les statistiques
             const lines = rsyncOutput.split('\n');
             
             for (const line of lines) {
-                if (line.includes('Number of files transferred:')) {
-                    const match = line.match(/(\d+)/);
-                    if (match) stats.filesTransferred = parseInt(match[1]);
+                if (line.includes('Number of files transferred:') || line.includes('Number of regular files transferred:')) {
+                    stats.filesTransferred = readNumber(line);
+                }
+                if (line.includes('Number of files:')) {
+                    const match = line.match(/reg: ([\d,]+)/);
+                    stats.regularFiles = match ? parseInt(match[1].replace(/,/g, '')) : readNumber(line);
                 }
                 if (line.includes('Total file size:')) {
-                    const match = line.match(/(\d+)/);
-                    if (match) stats.totalFileSize = parseInt(match[1]);
+                    stats.totalFileSize = readNumber(line);
+                }
+                if (line.includes('Total transferred file size:')) {
+                    stats.transferredFileSize = readNumber(line);
                 }
                 if (line.includes('Total bytes received:')) {
-                    const match = line.match(/(\d+)/);
-                    if (match) stats.bytesReceived = parseInt(match[1]);
+                    stats.bytesReceived = readNumber(line);
                 }
             }
         } catch (error) {
@@ -1,18 +1,39 @@
 const cron = require('node-cron');
 const schedule = require('node-schedule');
 const { logger } = require('../utils/logger');
-const { getClients, getClient, updateBackupStatus, addBackup, getCustomSchedules, addCustomSchedule, updateCustomSchedule, deleteCustomSchedule, incrementScheduleRunCount } = require('../utils/database');
+const { getClients, getClient, getBackup, getBackups, updateBackupStatus, addBackup, deleteBackupCatalog, deleteBackupDeletions, getCustomSchedules, addCustomSchedule, updateCustomSchedule, deleteCustomSchedule, incrementScheduleRunCount, logActivity, getSetting, setBackupStorage, getStorageDestinations, getBackupReplicas, REPLICA_LIVE_STATUSES, saveBackupJob, updateBackupJob, deleteBackupJob, getBackupJobs } = require('../utils/database');
 const WindowsBackupClient = require('./windowsBackup');
 const LinuxBackupClient = require('./linuxBackup');
 const { sendNotification } = require('../utils/notification');
 const { retryBackupOperation } = require('../utils/retry-helper');
+const { listSnapshots, isSnapshotPath, SNAPSHOT_MODE } = require('../utils/snapshots');
+const { backupChain } = require('../utils/backup-chain');
+const { fileCatalog } = require('../utils/file-catalog');
+const { pointInTime } = require('../utils/point-in-time');
+const { backupHooks } = require('../utils/backup-hooks');
+const { backupCalendar } = require('../utils/backup-calendar');
+const { BackupJobQueue } = require('../utils/job-queue');
+const { parseArtifacts } = require('../utils/job-artifacts');
+const archiveVolumes = require('../utils/archive-volumes');
+const { storageManager, LOCAL_DESTINATION } = require('../storage/storageManager');
+const { replication } = require('../storage/replication');
 const path = require('path');
 const fs = require('fs').promises;
 
+// Politiques appliquées au démarrage aux backups interrompus par l'arrêt du serveur
+const INTERRUPTED_POLICIES = ['interrupted', 'retry', 'resume'];
+const INTERRUPTED_MESSAGE = 'Backup interrompu par un redémarrage du serveur';
+
 class BackupScheduler {
     constructor() {
         this.runningBackups = new Map();
         this.scheduledJobs = new Map();
+        // Backups planifiés reportés à la prochaine fenêtre (un par client)
+        this.deferredBackups = new Map();
+        // Tous les backups (planifiés, différés, manuels) passent par la file d'attente
+        this.jobQueue = new BackupJobQueue();
+        // Écritures en base de chaque job, enchaînées pour rester dans l'ordre
+        this.jobPersistence = new Map();
         this.isInitialized = false;
     }
 
@@ -28,6 +49,22 @@ class BackupScheduler {
             // Charger les planifications personnalisées depuis la DB
             await this.loadCustomSchedules();
             
+            await this.refreshQueueLimits();
+            
+            // Archive Linux produite à la volée (mode stream par défaut): rien à reprendre pour ces clients
+            if (this.getInterruptedPolicy() === 'resume' && !['staging', 'snapshot'].includes(process.env.LINUX_BACKUP_MODE)) {
+                logger.warn('INTERRUPTED_BACKUP_POLICY=resume: les backups Linux en mode stream, incrémentiels et différentiels Linux repartent de zéro (LINUX_BACKUP_MODE=staging pour reprendre les backups complets)');
+            }
+
+            // Jobs laissés par l'arrêt précédent: file d'attente restaurée, backups interrompus traités
+            await this.recoverBackupJobs();
+
+            // Copies vers les destinations secondaires restées en attente
+            const pendingReplicas = await replication.schedulePending();
+            if (pendingReplicas > 0) {
+                logger.info(`${pendingReplicas} réplication(s) en attente relancée(s)`);
+            }
+            
             this.isInitialized = true;
             logger.info('Planificateur de backups initialisé avec succès');
         } catch (error) {
@@ -150,20 +187,42 @@ class BackupScheduler {
                 return;
             }
 
-            const results = [];
-            const maxParallel = parseInt(process.env.MAX_PARALLEL_BACKUPS || '2');
+            // Fenêtres de backup et périodes de gel: les clients hors fenêtre sont différés ou ignorés
+            const now = new Date();
+            const eligible = [];
+            for (const client of clients) {
+                const windowConfigs = await this.getWindowConfigs(client);
+                const check = backupCalendar.evaluate(windowConfigs, now);
+                if (check.allowed) {
+                    eligible.push({ client, windowConfigs });
+                } else {
+                    await this.handleOutsideWindow(client, type, scheduleName, windowConfigs, check.reason);
+                }
+            }
             
-            // Traitement par lots pour éviter la surcharge
-            for (let i = 0; i < clients.length; i += maxParallel) {
-                const batch = clients.slice(i, i + maxParallel);
-                const batchPromises = batch.map(client => 
-                    this.performClientBackup(client, type, backupId)
-                );
-                
-                const batchResults = await Promise.allSettled(batchPromises);
-                results.push(...batchResults);
+            if (eligible.length === 0) {
+                logger.info(`Backup planifié ${scheduleName}: aucun client dans sa fenêtre de backup`);
+                return;
             }
 
+            // La file d'attente limite le parallélisme (global et par destination)
+            await this.refreshQueueLimits();
+            const queueResults = await Promise.allSettled(eligible.map(({ client, windowConfigs }) =>
+                this.enqueueBackup({
+                    id: `${backupId}_${client.name}`,
+                    client,
+                    type,
+                    priority: scheduleConfig.priority || 'normal',
+                    triggeredBy: 'scheduler',
+                    kind: 'scheduled',
+                    options: { batchId: backupId, scheduleName },
+                    run: () => this.performWindowedClientBackup(client, type, backupId, { scheduleName, windowConfigs })
+                })
+            ));
+
+            // Les backups reportés pendant l'attente ne comptent ni comme réussis ni comme échoués
+            const results = queueResults.filter(r => !(r.status === 'fulfilled' && r.value?.deferred));
+
             // Analyser les résultats
             const successful = results.filter(r => r.status === 'fulfilled' && r.value?.success).length;
             const failed = results.length - successful;
@@ -193,25 +252,597 @@ class BackupScheduler {
         }
     }
 
-    async performClientBackup(client, type, backupId) {
+    /**
+     * Configurations de fenêtres d'un client: globale (paramètre backup_windows) puis celle du client
+     */
+    async getWindowConfigs(client) {
+        let globalConfig = null;
+        try {
+            globalConfig = await getSetting('backup_windows');
+        } catch (error) {
+            logger.warn(`Fenêtres de backup globales illisibles: ${error.message}`);
+        }
+        return [backupCalendar.parseConfig(globalConfig), backupCalendar.parseConfig(client.backup_windows)];
+    }
+
+    /**
+     * Backup planifié hors fenêtre: différé au début de la prochaine fenêtre ou ignoré
+     * @param {string} policy - 'defer' ou 'skip' (défaut: politique on_outside du client)
+     */
+    async handleOutsideWindow(client, type, scheduleName, windowConfigs, reason, policy = null) {
+        const outsidePolicy = policy || backupCalendar.getPolicies(windowConfigs).on_outside;
+        const runAt = outsidePolicy === 'defer'
+            ? backupCalendar.findNextAllowed(windowConfigs, new Date(), backupCalendar.getMaxDefer())
+            : null;
+
+        if (!runAt) {
+            const details = outsidePolicy === 'defer' ? `${reason}, aucune fenêtre dans le délai de report` : reason;
+            logger.info(`Backup ${type} de ${client.name} ignoré (${scheduleName}): ${details}`);
+            await logActivity('BACKUP_SKIPPED', client.name, null, null, { schedule: scheduleName, type, reason: details, policy: outsidePolicy });
+            return;
+        }
+
+        const pending = this.deferredBackups.get(client.name);
+        if (pending) {
+            // Un seul backup différé par client: un backup complet remplace un incrémentiel
+            if (type === 'full') pending.type = 'full';
+            logger.info(`Backup ${type} de ${client.name} fusionné avec le backup différé au ${pending.runAt.toISOString()}`);
+            await logActivity('BACKUP_SKIPPED', client.name, null, null, {
+                schedule: scheduleName, type, reason: `${reason}, backup déjà différé au ${pending.runAt.toISOString()}`, policy: outsidePolicy
+            });
+            return;
+        }
+
+        const job = schedule.scheduleJob(runAt, () => this.runDeferredBackup(client.name));
+        this.deferredBackups.set(client.name, { clientId: client.id, type, scheduleName, runAt, reason, job });
+
+        logger.info(`Backup ${type} de ${client.name} différé au ${runAt.toISOString()} (${scheduleName}): ${reason}`);
+        await logActivity('BACKUP_DEFERRED', client.name, null, null, {
+            schedule: scheduleName, type, reason, deferred_until: runAt.toISOString()
+        });
+    }
+
+    async runDeferredBackup(clientName) {
+        const deferred = this.deferredBackups.get(clientName);
+        if (!deferred) return;
+        this.deferredBackups.delete(clientName);
+
+        try {
+            const client = await getClient(deferred.clientId);
+            if (!client || !client.active) {
+                logger.info(`Backup différé de ${clientName} abandonné: client supprimé ou inactif`);
+                return;
+            }
+
+            // La configuration a pu changer depuis le report: vérifiée au démarrage du backup
+            const windowConfigs = await this.getWindowConfigs(client);
+
+            logger.info(`Exécution du backup différé de ${client.name} (${deferred.scheduleName})`);
+            const backupId = `scheduled_${deferred.scheduleName}_${Date.now()}`;
+            await this.refreshQueueLimits();
+            const result = await this.enqueueBackup({
+                id: `${backupId}_${client.name}`,
+                client,
+                type: deferred.type,
+                triggeredBy: 'scheduler',
+                kind: 'scheduled',
+                options: { batchId: backupId, scheduleName: deferred.scheduleName },
+                run: () => this.performWindowedClientBackup(client, deferred.type, backupId, {
+                    scheduleName: deferred.scheduleName,
+                    windowConfigs
+                })
+            });
+            if (result.deferred) return;
+
+            if (process.env.SEND_SUCCESS_NOTIFICATIONS === 'true' || !result.success) {
+                await this.sendBackupNotification(deferred.scheduleName, result.success ? 1 : 0, result.success ? 0 : 1, [{ status: 'fulfilled', value: result }]);
+            }
+        } catch (error) {
+            logger.error(`Erreur lors du backup différé de ${clientName}:`, error);
+        }
+    }
+
+    /**
+     * Surveille la fin de la fenêtre d'un backup planifié
+     * @returns {Object|null} Timer à annuler à la fin du backup
+     */
+    watchBackupWindow(clientBackupId, client, type, options) {
+        const windowEnd = backupCalendar.findWindowEnd(options.windowConfigs, new Date());
+        if (!windowEnd) return null;
+
+        return setTimeout(() => {
+            this.handleWindowOverrun(clientBackupId, client, type, options, windowEnd).catch(error => {
+                logger.error(`Erreur lors de la fin de fenêtre du backup ${clientBackupId}:`, error);
+            });
+        }, windowEnd.getTime() - Date.now());
+    }
+
+    /**
+     * Backup toujours en cours à la fin de sa fenêtre: arrêté, arrêté puis reprogrammé, ou poursuivi
+     */
+    async handleWindowOverrun(clientBackupId, client, type, options, windowEnd) {
+        const policy = backupCalendar.getPolicies(options.windowConfigs).on_overrun;
+        const reason = `Fin de la fenêtre de backup (${windowEnd.toISOString()})`;
+
+        logger.warn(`Backup ${clientBackupId} de ${client.name} toujours en cours: ${reason}, politique ${policy}`);
+        await logActivity('BACKUP_WINDOW_OVERRUN', client.name, clientBackupId, null, {
+            schedule: options.scheduleName, type, policy, window_end: windowEnd.toISOString()
+        });
+        if (policy === 'continue') return;
+
+        // L'annulation interrompt le transfert et nettoie les fichiers partiels (statut 'cancelled')
+        if (!this.cancelBackup(clientBackupId, 'fenêtre de backup')) return;
+
+        if (policy === 'reschedule') {
+            await this.handleOutsideWindow(client, type, options.scheduleName, options.windowConfigs, reason, 'defer');
+        }
+    }
+
+    /**
+     * Limites de la file d'attente: paramètres max_parallel_backups et destination_parallel_limits
+     * (MAX_PARALLEL_BACKUPS et MAX_PARALLEL_PER_DESTINATION par défaut)
+     */
+    async refreshQueueLimits() {
+        const destinationLimits = {};
+        if (parseInt(process.env.MAX_PARALLEL_PER_DESTINATION) > 0) {
+            destinationLimits.default = parseInt(process.env.MAX_PARALLEL_PER_DESTINATION);
+        }
+
+        let maxParallel = parseInt(process.env.MAX_PARALLEL_BACKUPS) || 2;
+        try {
+            maxParallel = parseInt(await getSetting('max_parallel_backups')) || maxParallel;
+            const configured = await getSetting('destination_parallel_limits');
+            if (configured) {
+                Object.assign(destinationLimits, JSON.parse(configured));
+            }
+        } catch (error) {
+            logger.warn(`Limites de la file d'attente illisibles: ${error.message}`);
+        }
+
+        this.jobQueue.setLimits({ maxParallel, destinationLimits });
+    }
+
+    /**
+     * Destination de stockage des backups d'un client (clé des limites par destination de la file d'attente)
+     */
+    getBackupDestination(client) {
+        return storageManager.getClientDestination(client) || LOCAL_DESTINATION;
+    }
+
+    /**
+     * Ajoute un backup à la file d'attente; le job est enregistré en base jusqu'à la fin du backup
+     * @param {Object} job - { id, client, type, priority, triggeredBy, kind, options, attempts, run }
+     *   kind: 'scheduled', 'batch' (backup manuel de plusieurs clients) ou 'manual'; options: de quoi
+     *   recréer le job après un redémarrage (voir createJobRun)
+     * @returns {Promise} Résultat du backup une fois exécuté (ou { cancelled: true } s'il est retiré de la file)
+     */
+    enqueueBackup({ id, client, type, priority = 'normal', triggeredBy, kind, options = {}, attempts = 0, run }) {
+        const destination = this.getBackupDestination(client);
+        this.persistJob(id, () => saveBackupJob({
+            id,
+            client_id: client.id,
+            client_name: client.name,
+            type,
+            priority,
+            kind,
+            triggered_by: triggeredBy,
+            destination,
+            options,
+            attempts
+        }));
+
+        return this.jobQueue.enqueue({
+            id,
+            clientName: client.name,
+            clientId: client.id,
+            type,
+            priority,
+            destination,
+            triggeredBy,
+            run: () => {
+                this.persistJob(id, () => updateBackupJob(id, { status: 'running', started_at: new Date().toISOString() }));
+                return run();
+            }
+        }).then(result => {
+            // Arrêt du planificateur: le job reste en base pour être remis en file au démarrage
+            if (!(result && result.shutdown)) this.forgetJob(id);
+            return result;
+        }, error => {
+            this.forgetJob(id);
+            throw error;
+        });
+    }
+
+    /**
+     * Enchaîne une écriture en base pour un job (les erreurs sont journalisées sans interrompre le backup)
+     */
+    persistJob(id, operation) {
+        const previous = this.jobPersistence.get(id) || Promise.resolve();
+        const next = previous.then(operation).catch(error => {
+            logger.warn(`Enregistrement du job ${id} impossible: ${error.message}`);
+        });
+        this.jobPersistence.set(id, next);
+        return next;
+    }
+
+    forgetJob(id) {
+        const done = this.persistJob(id, () => deleteBackupJob(id));
+        done.then(() => {
+            if (this.jobPersistence.get(id) === done) {
+                this.jobPersistence.delete(id);
+            }
+        });
+    }
+
+    async removeLocalPaths(localPaths = []) {
+        for (const localPath of localPaths) {
+            try {
+                await fs.rm(localPath, { recursive: true, force: true });
+            } catch (error) {
+                logger.warn(`Impossible de supprimer ${localPath}: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Politique appliquée aux backups interrompus par un redémarrage (INTERRUPTED_BACKUP_POLICY)
+     * 'interrupted': marqués interrompus; 'retry': relancés; 'resume': relancés avec les fichiers déjà
+     * transférés, conservés pour la reprise (resumeFrom)
+     */
+    getInterruptedPolicy() {
+        const policy = process.env.INTERRUPTED_BACKUP_POLICY || 'interrupted';
+        return INTERRUPTED_POLICIES.includes(policy) ? policy : 'interrupted';
+    }
+
+    /**
+     * Fichiers partiels du dernier backup du client (avant celui qui démarre) s'il a échoué ou a été
+     * interrompu (metadata.resume)
+     * @returns {Promise<{backupId: string, type: string, local: Array, remote: Array}|null>}
+     */
+    async findResumableBackup(clientName, backupId) {
+        const backups = await getBackups({ client_name: clientName, limit: 2 });
+        const last = backups.find(backup => backup.backup_id !== backupId);
+        if (!last || !['failed', 'interrupted'].includes(last.status)) return null;
+
+        let metadata = last.metadata || {};
+        if (typeof metadata === 'string') {
+            try {
+                metadata = JSON.parse(metadata);
+            } catch (error) {
+                metadata = {};
+            }
+        }
+        if (!metadata.resume) return null;
+
+        const { local = [], remote = [], type = last.type } = metadata.resume;
+        return { backupId: last.backup_id, type, local, remote };
+    }
+
+    /**
+     * Confie au client de backup les fichiers partiels d'un backup précédent (resumeFrom, sinon ceux du
+     * dernier backup échoué ou interrompu): il reprend ce qui peut l'être et supprime le reste au démarrage
+     * @returns {Promise<Object|null>} resumeFrom transmis au client
+     */
+    async handOverResumableFiles(backupClient, clientName, backupId, resumeFrom) {
+        let source = resumeFrom || null;
+        if (!source) {
+            try {
+                source = await this.findResumableBackup(clientName, backupId);
+            } catch (error) {
+                logger.warn(`Recherche d'un backup à reprendre impossible pour ${clientName}: ${error.message}`);
+            }
+        }
+        if (!source) return null;
+
+        backupClient.restoreArtifacts({ local: source.local || [], remote: source.remote || [] });
+        logger.info(`Fichiers partiels du backup ${source.backupId} confiés au backup de ${clientName} pour reprise`);
+        return source;
+    }
+
+    /**
+     * Fichiers partiels d'un backup échoué, enregistrés dans ses métadonnées pour le backup suivant
+     * @returns {{type: string, local: Array, remote: Array}|null}
+     */
+    getResumableFiles(backupClient, type) {
+        if (!backupClient) return null;
+        const { local, remote } = backupClient.getArtifacts();
+        return local.length > 0 || remote.length > 0 ? { type, local, remote } : null;
+    }
+
+    /**
+     * Reprise après un redémarrage du serveur: les jobs en attente sont remis en file, les backups
+     * interrompus sont nettoyés, marqués 'interrupted' puis relancés ou repris selon la politique
+     */
+    async recoverBackupJobs() {
+        let jobs;
+        try {
+            jobs = await getBackupJobs();
+        } catch (error) {
+            logger.error('Erreur lors de la lecture des jobs enregistrés:', error);
+            return;
+        }
+
+        const interrupted = [];
+        let restored = 0;
+        for (const job of jobs) {
+            try {
+                if (job.status === 'running') {
+                    const recovered = await this.recoverInterruptedJob(job);
+                    if (recovered) interrupted.push(recovered);
+                } else if (await this.restoreQueuedJob(job)) {
+                    restored++;
+                }
+            } catch (error) {
+                logger.error(`Erreur lors de la reprise du job ${job.id}:`, error);
+            }
+        }
+
+        // Backups restés en cours sans job enregistré (serveur arrêté avant leur enregistrement)
+        const jobIds = new Set(jobs.map(job => job.id));
+        let staleBackups = [];
+        try {
+            staleBackups = (await getBackups({ status: 'running' })).filter(backup => !jobIds.has(backup.backup_id));
+        } catch (error) {
+            logger.error('Erreur lors de la lecture des backups restés en cours:', error);
+        }
+        for (const backup of staleBackups) {
+            try {
+                await updateBackupStatus(backup.backup_id, 'interrupted', {
+                    failed_at: new Date().toISOString(),
+                    error_message: INTERRUPTED_MESSAGE
+                });
+                await logActivity('BACKUP_INTERRUPTED', backup.client_name, backup.backup_id, null, { policy: 'interrupted', relaunched: false });
+                interrupted.push({ client: backup.client_name, backupId: backup.backup_id, action: 'marqué interrompu' });
+            } catch (error) {
+                logger.error(`Erreur lors du marquage du backup interrompu ${backup.backup_id}:`, error);
+            }
+        }
+
+        if (restored > 0) {
+            logger.info(`${restored} backup(s) remis en file d'attente après le redémarrage`);
+        }
+        if (interrupted.length === 0) return;
+
+        logger.warn(`${interrupted.length} backup(s) interrompu(s) par l'arrêt du serveur`);
+        const details = interrupted.map(entry => `⚠️ ${entry.client}: ${entry.backupId} (${entry.action})`).join('\n');
+        await sendNotification(
+            'Backups interrompus par un redémarrage',
+            `Les backups suivants étaient en cours lors de l'arrêt du serveur:\n\n${details}\n\nServeur: ${process.env.HOSTNAME || 'EFC-Backup-Server'}`,
+            'warning'
+        ).catch(error => logger.error('Erreur lors de l\'envoi de notification:', error));
+    }
+
+    /**
+     * Remet en file un job qui n'avait pas démarré
+     * @returns {Promise<boolean>} false si le client n'existe plus ou est inactif
+     */
+    async restoreQueuedJob(job) {
+        const client = job.client_id ? await getClient(job.client_id) : null;
+        if (!client || !client.active) {
+            logger.info(`Job ${job.id} abandonné: client ${job.client_name} supprimé ou inactif`);
+            await deleteBackupJob(job.id);
+            return false;
+        }
+
+        this.enqueuePersistedJob(job, client);
+        return true;
+    }
+
+    /**
+     * Backup en cours lors de l'arrêt: fichiers partiels et staging distant supprimés, backup marqué
+     * interrompu, puis relancé selon la politique (dans la limite de INTERRUPTED_BACKUP_MAX_ATTEMPTS)
+     * @returns {Promise<{client: string, backupId: string, action: string}|null>} null si le backup s'était terminé
+     */
+    async recoverInterruptedJob(job) {
+        // Arrêt entre la fin du backup et la suppression du job: rien à reprendre
+        const backup = await getBackup(job.id);
+        if (backup && backup.status !== 'running') {
+            await deleteBackupJob(job.id);
+            return null;
+        }
+
+        const policy = this.getInterruptedPolicy();
+        const maxAttempts = parseInt(process.env.INTERRUPTED_BACKUP_MAX_ATTEMPTS) || 3;
+        const client = job.client_id ? await getClient(job.client_id) : null;
+        const artifacts = parseArtifacts(job.artifacts);
+        const relaunch = policy !== 'interrupted' && !!client && !!client.active && job.attempts + 1 < maxAttempts;
+        // Reprise: fichiers partiels (et archive restée sur le client) transmis au backup relancé
+        const resume = relaunch && policy === 'resume'
+            ? { backupId: job.id, type: job.type, local: artifacts.local, remote: artifacts.remote }
+            : null;
+
+        if (client) {
+            await this.cleanupJobArtifacts(client, resume ? { ...artifacts, local: [], remote: [] } : artifacts, job.id);
+        } else if (artifacts.local.length > 0) {
+            await this.removeLocalPaths(artifacts.local);
+        }
+
+        await this.markBackupInterrupted(job, backup, policy, resume);
+        await logActivity('BACKUP_INTERRUPTED', job.client_name, job.id, null, {
+            policy,
+            attempt: job.attempts + 1,
+            relaunched: relaunch
+        });
+        await deleteBackupJob(job.id);
+
+        if (!relaunch) {
+            return { client: job.client_name, backupId: job.id, action: 'marqué interrompu' };
+        }
+
+        const retryJob = this.createRetryJob(job, client, resume);
+        this.enqueuePersistedJob(retryJob, client);
+        logger.info(`Backup ${job.id} de ${job.client_name} ${resume ? 'repris' : 'relancé'}: ${retryJob.id} (tentative ${retryJob.attempts + 1}/${maxAttempts})`);
+        return { client: job.client_name, backupId: job.id, action: `${resume ? 'repris' : 'relancé'} sous ${retryJob.id}` };
+    }
+
+    /**
+     * Supprime ce qu'un backup interrompu a laissé: archives locales partielles, staging distant, clichés VSS
+     */
+    async cleanupJobArtifacts(client, artifacts, backupId) {
+        if (artifacts.local.length === 0 && artifacts.remote.length === 0 && artifacts.vss.length === 0) return;
+
+        const BackupClientClass = client.os_type === 'linux' ? LinuxBackupClient : WindowsBackupClient;
+        const backupClient = new BackupClientClass(client);
+        backupClient.restoreArtifacts(artifacts);
+
+        if (artifacts.remote.length > 0 || artifacts.vss.length > 0) {
+            try {
+                await backupClient.ensureConnected();
+            } catch (error) {
+                logger.warn(`Connexion impossible à ${client.name}: fichiers distants du backup ${backupId} non nettoyés (${error.message})`);
+            }
+        }
+
+        await backupClient.cleanupCancelledBackup();
+        await backupClient.disconnect().catch(() => {});
+        logger.info(`Fichiers partiels du backup interrompu ${backupId} nettoyés (${client.name})`);
+    }
+
+    async markBackupInterrupted(job, backup, policy, resume = null) {
+        if (backup) {
+            await updateBackupStatus(job.id, 'interrupted', {
+                failed_at: new Date().toISOString(),
+                error_message: INTERRUPTED_MESSAGE,
+                ...(resume ? { metadata: { ...backup.metadata, resume } } : {})
+            });
+            return;
+        }
+
+        // Les backups manuels ne sont enregistrés qu'à leur fin
+        await addBackup({
+            backup_id: job.id,
+            client_name: job.client_name,
+            type: job.type,
+            status: 'interrupted',
+            started_at: job.started_at,
+            failed_at: new Date().toISOString(),
+            error_message: INTERRUPTED_MESSAGE,
+            metadata: {
+                manual: job.kind === 'manual',
+                triggered_by: job.triggered_by,
+                interrupted_policy: policy,
+                ...(resume ? { resume } : {})
+            }
+        });
+    }
+
+    /**
+     * Nouveau job pour relancer un backup interrompu (nouvel identifiant de backup)
+     */
+    createRetryJob(job, client, resumeFrom) {
+        const now = Date.now();
+        const options = { ...job.options };
+        delete options.resumeFrom;
+        if (resumeFrom) {
+            options.resumeFrom = resumeFrom;
+        }
+
+        let id;
+        if (job.kind === 'manual') {
+            id = `manual_${client.id}_${now}`;
+        } else {
+            options.batchId = job.kind === 'batch' ? `manual_${now}` : `scheduled_${options.scheduleName}_${now}`;
+            id = `${options.batchId}_${client.name}`;
+        }
+
+        return { ...job, id, options, attempts: job.attempts + 1 };
+    }
+
+    enqueuePersistedJob(job, client) {
+        this.enqueueBackup({
+            id: job.id,
+            client,
+            type: job.type,
+            priority: job.priority,
+            triggeredBy: job.triggered_by,
+            kind: job.kind,
+            options: job.options,
+            attempts: job.attempts,
+            run: this.createJobRun(job, client)
+        }).then(result => {
+            if (result && result.success === false && !result.cancelled && !result.deferred) {
+                return this.sendBackupNotification(job.options.scheduleName || 'reprise', 0, 1, [{ status: 'fulfilled', value: result }]);
+            }
+        }).catch(error => {
+            logger.error(`Erreur lors du backup ${job.id}:`, error);
+        });
+    }
+
+    /**
+     * Exécution d'un job recréé depuis la base (file d'attente restaurée ou backup relancé)
+     */
+    createJobRun(job, client) {
+        const { options } = job;
+        const resume = options.resumeFrom ? { resumeFrom: options.resumeFrom } : {};
+
+        if (job.kind === 'manual') {
+            return () => this.runManualBackupForClient(client, job.id, { ...options, type: job.type, ...resume });
+        }
+        if (job.kind === 'batch') {
+            return () => this.performClientBackup(client, job.type, options.batchId, resume);
+        }
+        return async () => this.performWindowedClientBackup(client, job.type, options.batchId, {
+            scheduleName: options.scheduleName,
+            windowConfigs: await this.getWindowConfigs(client),
+            ...resume
+        });
+    }
+
+    /**
+     * Backup planifié sorti de la file d'attente: sa fenêtre a pu se fermer pendant l'attente
+     */
+    async performWindowedClientBackup(client, type, backupId, options) {
+        const check = backupCalendar.evaluate(options.windowConfigs, new Date());
+        if (!check.allowed) {
+            await this.handleOutsideWindow(client, type, options.scheduleName, options.windowConfigs, check.reason);
+            return { success: false, deferred: true, client: client.name, error: check.reason };
+        }
+        return this.performClientBackup(client, type, backupId, options);
+    }
+
+    async performClientBackup(client, type, backupId, options = {}) {
         const clientBackupId = `${backupId}_${client.name}`;
+        let backupClient = null;
+        
+        // Enregistrer le backup comme en cours (permet son annulation)
+        this.runningBackups.set(clientBackupId, {
+            clientName: client.name,
+            clientId: client.id,
+            type: type,
+            startTime: new Date(),
+            status: 'running',
+            progress: 0,
+            currentStep: 'Backup planifié',
+            triggeredBy: 'scheduler'
+        });
+        const windowTimer = options.windowConfigs ? this.watchBackupWindow(clientBackupId, client, type, options) : null;
         
         try {
-            // Marquer le backup comme démarré
-            await updateBackupStatus(clientBackupId, 'running', {
+            // Enregistrer le backup comme démarré (l'historique sert de référence aux différentiels)
+            await addBackup({
+                backup_id: clientBackupId,
                 client_name: client.name,
                 type: type,
+                status: 'running',
                 started_at: new Date().toISOString()
             });
 
             // Choisir le bon client selon le type d'OS
             const BackupClientClass = client.os_type === 'linux' ? LinuxBackupClient : WindowsBackupClient;
-            const backupClient = new BackupClientClass({
+            backupClient = new BackupClientClass({
                 name: client.name,
                 host: client.host,
                 port: client.port || 22,
                 username: client.username,
                 password: client.password,
+                auth_method: client.auth_method,
+                private_key: client.private_key,
+                passphrase: client.passphrase,
+                backup_mode: client.backup_mode,
+                database_jobs: client.database_jobs,
+                throttle_profiles: client.throttle_profiles,
+                compression: client.compression,
+                split_size_mb: client.split_size_mb,
                 folders: (() => {
                     try {
                         if (typeof client.folders === 'string') {
@@ -229,6 +860,8 @@ class BackupScheduler {
                     }
                 })()
             });
+            this.attachBackupClient(clientBackupId, backupClient);
+            const resumeFrom = await this.handOverResumableFiles(backupClient, client.name, clientBackupId, options.resumeFrom);
 
             const backupOptions = {
                 type: type,
@@ -236,6 +869,7 @@ class BackupScheduler {
                 backupPath: process.env.BACKUP_PATH || '/backup',
                 useVSS: process.env.USE_VSS !== 'false',
                 createImage: (options && options.createImage) || (type === 'full' && process.env.CREATE_SYSTEM_IMAGE === 'true'),
+                resumeFrom,
                 folders: (() => {
                     try {
                         if (typeof client.folders === 'string') {
@@ -254,66 +888,273 @@ class BackupScheduler {
                 })()
             };
 
-            // Exécuter le backup avec retry automatique
-            const result = await retryBackupOperation(async () => {
-                let backupResult;
-                if (type === 'incremental' || type === 'differential') {
-                    // Trouver le dernier backup complet
-                    const lastFullBackup = await this.findLastFullBackup(client.name);
-                    if (lastFullBackup) {
-                        backupResult = await backupClient.performIncrementalBackup(lastFullBackup, backupOptions);
-                    } else {
-                        logger.warn(`Aucun backup complet trouvé pour ${client.name}, backup complet forcé`);
-                        backupResult = await backupClient.performFullBackup(backupOptions);
-                    }
-                } else {
-                    backupResult = await backupClient.performFullBackup(backupOptions);
-                }
-                return backupResult;
+            // Exécuter le backup avec retry automatique, entre les hooks pré et post du client
+            let baseBackup = null;
+            const { result, hooks } = await backupHooks.runAround(backupClient, client, clientBackupId, () => retryBackupOperation(async () => {
+                backupClient.throwIfCancelled();
+                const run = await this.runBackupOfType(backupClient, client, type, backupOptions);
+                baseBackup = run.baseBackup;
+                return run.result;
             }, client, {
                 maxRetries: 2, // Moins de retries pour les backups (opérations longues)
                 operation: `backup ${type} pour ${client.name}`
-            });
+            }));
 
             // Marquer le backup comme réussi
+            const lineage = this.buildBackupLineage(clientBackupId, baseBackup, result);
             await updateBackupStatus(clientBackupId, 'completed', {
-                ...result.metadata,
+                type: baseBackup ? type : 'full', // un backup complet a pu être forcé
                 completed_at: new Date().toISOString(),
-                size_mb: await this.calculateBackupSize(result.path)
+                size_mb: await this.calculateBackupSize(result.path),
+                file_count: result.metadata?.file_count || result.metadata?.totalFiles || 0,
+                path: result.path || null,
+                parent_backup_id: lineage.base_backup_id || null,
+                chain_id: lineage.full_backup_id,
+                metadata: {
+                    ...result.metadata,
+                    ...lineage,
+                    ...(hooks.length > 0 ? { hooks } : {})
+                }
             });
 
+            await this.catalogBackup(clientBackupId, client.name, result.path, result.manifest);
+            await this.storeBackup(clientBackupId, client, result.path);
+            this.replicateBackup(clientBackupId, client);
+
             logger.info(`Backup réussi pour ${client.name}: ${result.backupId}`);
             return { success: true, client: client.name, result };
 
         } catch (error) {
+            if (backupClient && backupClient.cancelled) {
+                const { cancelledBy } = this.runningBackups.get(clientBackupId) || {};
+                await backupClient.cleanupCancelledBackup();
+                
+                await updateBackupStatus(clientBackupId, 'cancelled', {
+                    cancelled_at: new Date().toISOString(),
+                    cancelled_by: cancelledBy,
+                    error_message: `Backup annulé par ${cancelledBy || 'un utilisateur'}`
+                });
+                
+                logger.info(`Backup planifié annulé pour ${client.name} par ${cancelledBy || 'un utilisateur'}`);
+                return { success: false, cancelled: true, client: client.name, error: 'Backup annulé' };
+            }
+            
             logger.error(`Backup échoué pour ${client.name}:`, error);
             
-            // Marquer le backup comme échoué
+            // Marquer le backup comme échoué (fichiers partiels conservés pour le backup suivant)
+            const resume = this.getResumableFiles(backupClient, type);
             await updateBackupStatus(clientBackupId, 'failed', {
                 client_name: client.name,
                 type: type,
                 error: error.message,
-                failed_at: new Date().toISOString()
+                failed_at: new Date().toISOString(),
+                ...(error.hookResults || resume ? {
+                    metadata: {
+                        ...(error.hookResults ? { hooks: error.hookResults } : {}),
+                        ...(resume ? { resume } : {})
+                    }
+                } : {})
             });
 
             return { success: false, client: client.name, error: error.message };
+        } finally {
+            clearTimeout(windowTimer);
+            this.runningBackups.delete(clientBackupId);
+        }
+    }
+
+    /**
+     * Lance un backup complet, incrémentiel ou différentiel
+     * Incrémentiel: fichiers modifiés depuis le dernier backup terminé, quel que soit son type.
+     * Différentiel: fichiers modifiés depuis le dernier backup complet.
+     * Sans backup de référence, un backup complet est forcé.
+     * @returns {Promise<{result: Object, baseBackup: Object|null}>}
+     */
+    async runBackupOfType(backupClient, client, type, backupOptions) {
+        if (type === 'incremental' || type === 'differential') {
+            const baseBackup = await this.findBaseBackup(client.name, type);
+            if (baseBackup) {
+                const options = { ...backupOptions, type, baseBackup };
+                const result = type === 'differential'
+                    ? await backupClient.performDifferentialBackup(baseBackup.path, options)
+                    : await backupClient.performIncrementalBackup(baseBackup.path, options);
+                return { result, baseBackup };
+            }
+            logger.warn(`Aucun backup de référence trouvé pour ${client.name}, backup complet forcé`);
+        }
+        
+        const result = await backupClient.performFullBackup({ ...backupOptions, type: 'full' });
+        return { result, baseBackup: null };
+    }
+
+    /**
+     * Trouve le backup de référence d'un incrémentiel ou d'un différentiel
+     * L'historique en base est prioritaire; les anciens backups sans historique sont
+     * recherchés sur le disque (backups complets uniquement).
+     * @param {string} clientName - Nom du client
+     * @param {string} type - 'incremental' ou 'differential'
+     * @returns {Promise<{backupId, type, path, timestamp, fullBackupId, restoreChain}|null>}
+     */
+    async findBaseBackup(clientName, type) {
+        try {
+            const completedBackups = await getBackups({ client_name: clientName, status: 'completed' });
+            const candidates = completedBackups.filter(backup =>
+                backup.path && ['full', 'incremental', 'differential'].includes(backup.type)
+            );
+            const base = type === 'differential'
+                ? candidates.find(backup => backup.type === 'full')
+                : candidates[0];
+
+            if (base) {
+                const metadata = backupChain.parseMetadata(base.metadata);
+                return {
+                    backupId: base.backup_id,
+                    type: base.type,
+                    path: base.path,
+                    // Date de début: les fichiers modifiés pendant le backup de référence sont repris
+                    timestamp: this.parseDbDate(base.started_at || base.created_at),
+                    fullBackupId: base.type === 'full' ? base.backup_id : (metadata.full_backup_id || null),
+                    restoreChain: base.type === 'full' ? [base.backup_id] : (metadata.restore_chain || [base.backup_id])
+                };
+            }
+        } catch (error) {
+            logger.warn(`Historique des backups indisponible pour ${clientName}: ${error.message}`);
+        }
+
+        const lastFullBackup = await this.findLastFullBackup(clientName);
+        if (!lastFullBackup) return null;
+        
+        return {
+            backupId: path.basename(lastFullBackup),
+            type: 'full',
+            path: lastFullBackup,
+            timestamp: null, // lu dans les métadonnées du backup par le client
+            fullBackupId: path.basename(lastFullBackup),
+            restoreChain: [path.basename(lastFullBackup)]
+        };
+    }
+
+    /**
+     * Relation d'un backup avec son backup de référence, enregistrée dans ses métadonnées
+     * restore_chain liste les backups à restaurer dans l'ordre: le complet puis,
+     * pour un différentiel, lui seul; pour un incrémentiel, toute la chaîne.
+     * Un snapshot (liens physiques) est complet et ne dépend d'aucun autre backup.
+     */
+    buildBackupLineage(backupId, baseBackup, result = {}) {
+        if (!baseBackup || result.metadata?.storage_mode === SNAPSHOT_MODE) {
+            return { full_backup_id: backupId, restore_chain: [backupId] };
+        }
+        
+        const fullBackupId = baseBackup.fullBackupId || baseBackup.backupId;
+        return {
+            base_backup_id: baseBackup.backupId,
+            base_backup_type: baseBackup.type,
+            base_backup_time: baseBackup.timestamp,
+            full_backup_id: fullBackupId,
+            restore_chain: baseBackup.type === 'full' || !baseBackup.restoreChain
+                ? [fullBackupId, backupId]
+                : [...baseBackup.restoreChain, backupId]
+        };
+    }
+
+    parseDbDate(value) {
+        if (!value) return null;
+        // CURRENT_TIMESTAMP SQLite: "YYYY-MM-DD HH:MM:SS" en UTC
+        const normalized = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value) ? value.replace(' ', 'T') + 'Z' : value;
+        const date = new Date(normalized);
+        return isNaN(date.getTime()) ? null : date.toISOString();
+    }
+
+    /**
+     * Catalogue les fichiers d'un backup terminé; un échec n'invalide pas le backup
+     */
+    async catalogBackup(backupId, clientName, backupPath, manifest = null) {
+        if (process.env.CATALOG_ENABLED === 'false') return;
+        
+        try {
+            await fileCatalog.catalogBackup({ backup_id: backupId, client_name: clientName, path: backupPath });
+        } catch (error) {
+            logger.warn(`Catalogue indisponible pour le backup ${backupId}: ${error.message}`);
+        }
+        
+        // Inventaire du client (incrémentiels, différentiels): fichiers supprimés depuis le backup parent
+        if (manifest) {
+            try {
+                await pointInTime.recordDeletions(await getBackup(backupId), manifest);
+            } catch (error) {
+                logger.warn(`Suppressions non enregistrées pour le backup ${backupId}: ${error.message}`);
+            }
         }
     }
 
+    /**
+     * Envoie un backup terminé vers la destination de stockage du client
+     * En cas d'échec le backup reste utilisable sur le disque local (BACKUP_PATH).
+     * Les snapshots restent locaux: le snapshot suivant y lie ses fichiers inchangés (rsync --link-dest).
+     */
+    async storeBackup(backupId, client, backupPath) {
+        const destination = storageManager.getClientDestination(client);
+        if (!destination || !backupPath) return;
+
+        if (await isSnapshotPath(backupPath)) {
+            logger.info(`Snapshot ${backupId} conservé sur le disque local (destination ${destination} ignorée)`);
+            return;
+        }
+
+        try {
+            const stored = await storageManager.storeBackup(backupPath, destination, { clientName: client.name, backupId });
+            await setBackupStorage(backupId, stored.storage, stored.path);
+            await logActivity('BACKUP_STORED', client.name, backupId, null, {
+                destination: stored.storage,
+                path: stored.path,
+                files: stored.files,
+                bytes: stored.bytes
+            });
+        } catch (error) {
+            logger.error(`Envoi du backup ${backupId} vers ${destination} échoué, conservé localement: ${error.message}`);
+            await logActivity('BACKUP_STORAGE_FAILED', client.name, backupId, null, { destination, error: error.message });
+        }
+    }
+
+    /**
+     * Copies d'un backup terminé vers les destinations de réplication du client
+     * Les copies tournent dans leur propre file: le backup est terminé sans les attendre.
+     */
+    replicateBackup(backupId, client) {
+        replication.replicateBackup(backupId, client).catch((error) => {
+            logger.error(`Réplication du backup ${backupId} non planifiée: ${error.message}`);
+        });
+    }
+
     async findLastFullBackup(clientName) {
         try {
             const backupDir = path.join(process.env.BACKUP_PATH || '/var/backups/efc');
-            const entries = await fs.readdir(backupDir);
+            const entries = await fs.readdir(backupDir).catch(() => []);
             
             const clientBackups = entries
                 .filter(entry => entry.startsWith(`backup_${clientName}_`))
                 .map(entry => ({
                     path: path.join(backupDir, entry),
                     timestamp: parseInt(entry.split('_').pop())
-                }))
-                .sort((a, b) => b.timestamp - a.timestamp);
+                }));
+
+            // Chaque snapshot (mode snapshot Linux) est une arborescence complète
+            const snapshots = await listSnapshots(clientName);
+            for (const snapshot of snapshots) {
+                clientBackups.push({
+                    path: snapshot.path,
+                    timestamp: new Date(snapshot.metadata.timestamp).getTime(),
+                    snapshot: true
+                });
+            }
+            
+            clientBackups.sort((a, b) => b.timestamp - a.timestamp);
 
             for (const backup of clientBackups) {
+                if (backup.snapshot) {
+                    return backup.path;
+                }
+                
                 const metadataPath = path.join(backup.path, 'backup_metadata.json');
                 try {
                     const metadata = JSON.parse(await fs.readFile(metadataPath, 'utf8'));
@@ -339,8 +1180,11 @@ class BackupScheduler {
             const stat = await fs.stat(backupPath);
             let size = 0;
             
-            if (stat.isFile()) {
-                // Fichier unique (ex: .tar.gz)
+            if (archiveVolumes.isManifestPath(backupPath)) {
+                // Archive découpée: somme des volumes
+                size = await archiveVolumes.getSplitArchiveSize(backupPath);
+            } else if (stat.isFile()) {
+                // Fichier unique (ex: .tar.gz, .tar.zst)
                 size = stat.size;
             } else if (stat.isDirectory()) {
                 // Dossier
@@ -379,23 +1223,95 @@ class BackupScheduler {
             const cutoffDate = new Date();
             cutoffDate.setDate(cutoffDate.getDate() - retentionDays);
 
-            logger.info(`Nettoyage des backups antérieurs au ${cutoffDate.toISOString()}`);
+            // Rétention propre à chaque destination (retention_days), RETENTION_DAYS sinon
+            const destinationCutoffs = new Map();
+            for (const destination of await getStorageDestinations()) {
+                if (!destination.retention_days) continue;
+                const destinationCutoff = new Date();
+                destinationCutoff.setDate(destinationCutoff.getDate() - destination.retention_days);
+                destinationCutoffs.set(destination.name, destinationCutoff);
+            }
+            const getCutoff = backup => destinationCutoffs.get(backup.storage) || cutoffDate;
 
-            const backupDir = process.env.BACKUP_PATH || '/var/backups/efc';
-            const entries = await fs.readdir(backupDir);
+            logger.info(`Nettoyage des backups antérieurs au ${cutoffDate.toISOString()}`);
 
             let deletedCount = 0;
             let freedSpace = 0;
 
+            // Backups enregistrés: un backup expiré reste tant qu'un backup conservé en dépend
+            const backups = await getBackups();
+            const expiredBackups = backupChain.planRetention(backups, getCutoff);
+            const expiredIds = new Set(expiredBackups.map(backup => backup.backup_id));
+            const protectedCount = backups.filter(backup =>
+                backup.status === 'completed' && !expiredIds.has(backup.backup_id) &&
+                (backupChain.getBackupDate(backup) || new Date()) < getCutoff(backup)
+            ).length;
+
+            for (const backup of expiredBackups) {
+                const replicas = await getBackupReplicas({ backup_id: backup.backup_id, status: REPLICA_LIVE_STATUSES });
+                // Emplacement principal déjà remplacé par une copie: rétention de la copie
+                if (replicas.some(replica => replica.destination === backup.storage)) continue;
+                // Copie en cours depuis cet emplacement: suppression au prochain nettoyage
+                if (await replication.isReplicating(backup.backup_id)) {
+                    logger.info(`Backup ${backup.backup_id} conservé: réplication en cours`);
+                    continue;
+                }
+
+                if (backup.path) {
+                    try {
+                        const size = await storageManager.getSize(backup);
+                        await storageManager.removeBackup(backup);
+                        freedSpace += size;
+                    } catch (error) {
+                        // Destination injoignable: nouvelle tentative au prochain nettoyage
+                        logger.warn(`Suppression du backup ${backup.backup_id} impossible (${storageManager.describeBackupLocation(backup)}): ${error.message}`);
+                        continue;
+                    }
+                }
+
+                // Copies encore conservées ailleurs: le backup reste restaurable depuis l'une d'elles
+                if (await replication.promoteReplica(backup, replicas)) {
+                    deletedCount++;
+                    continue;
+                }
+
+                await this.expireBackup(backup);
+                deletedCount++;
+            }
+
+            if (protectedCount > 0) {
+                logger.info(`${protectedCount} backup(s) expiré(s) conservé(s): requis par des backups plus récents de leur chaîne`);
+            }
+
+            // Copies sur les destinations secondaires, selon la rétention de chacune
+            const replicaRetention = await replication.applyRetention(await getBackups());
+            deletedCount += replicaRetention.removed;
+            freedSpace += replicaRetention.freedSpace;
+            for (const backup of replicaRetention.orphaned) {
+                await this.expireBackup(backup);
+            }
+            await replication.retryFailed();
+
+            // Anciens dossiers backup_* non enregistrés en base
+            const backupDir = process.env.BACKUP_PATH || '/var/backups/efc';
+            const entries = await fs.readdir(backupDir).catch(() => []);
+            const knownPaths = new Set(backups.map(backup => backup.path).filter(Boolean));
+            const referencedIds = new Set(backups
+                .filter(backup => !expiredIds.has(backup.backup_id))
+                .flatMap(backup => [backup.parent_backup_id, backup.chain_id])
+                .filter(Boolean));
+
             for (const entry of entries) {
                 if (!entry.startsWith('backup_')) continue;
 
                 const backupPath = path.join(backupDir, entry);
+                if (knownPaths.has(backupPath) || referencedIds.has(entry)) continue;
+
                 const stats = await fs.stat(backupPath);
 
                 if (stats.mtime < cutoffDate) {
-                    const size = await this.getDirSize(backupPath);
-                    await fs.rmdir(backupPath, { recursive: true });
+                    const size = await storageManager.getLocalSize(backupPath);
+                    await fs.rm(backupPath, { recursive: true, force: true });
                     deletedCount++;
                     freedSpace += size;
                     logger.info(`Backup supprimé: ${entry} (${Math.round(size / (1024 * 1024))} MB)`);
@@ -413,6 +1329,13 @@ class BackupScheduler {
         }
     }
 
+    async expireBackup(backup) {
+        await updateBackupStatus(backup.backup_id, 'expired');
+        await deleteBackupCatalog(backup.backup_id);
+        await deleteBackupDeletions(backup.backup_id);
+        logger.info(`Backup supprimé: ${backup.backup_id} (${backup.type})`);
+    }
+
     async sendBackupNotification(scheduleName, successful, failed, results) {
         try {
             const subject = failed > 0 ? 
@@ -462,19 +1385,20 @@ Serveur: ${process.env.HOSTNAME || 'EFC-Backup-Server'}
                 throw new Error('Aucun client trouvé pour le backup manuel');
             }
 
-            const results = [];
-            
-            // Exécuter les backups en parallèle (limité)
-            const maxParallel = parseInt(process.env.MAX_PARALLEL_BACKUPS || '2');
-            for (let i = 0; i < clients.length; i += maxParallel) {
-                const batch = clients.slice(i, i + maxParallel);
-                const batchPromises = batch.map(client => 
-                    this.performClientBackup(client, type, backupId)
-                );
-                
-                const batchResults = await Promise.allSettled(batchPromises);
-                results.push(...batchResults);
-            }
+            // Exécuter les backups en parallèle (limité par la file d'attente, avant les backups planifiés)
+            await this.refreshQueueLimits();
+            const results = await Promise.allSettled(clients.map(client =>
+                this.enqueueBackup({
+                    id: `${backupId}_${client.name}`,
+                    client,
+                    type,
+                    priority: 'high',
+                    triggeredBy: 'manual',
+                    kind: 'batch',
+                    options: { batchId: backupId },
+                    run: () => this.performClientBackup(client, type, backupId)
+                })
+            ));
 
             const successful = results.filter(r => r.status === 'fulfilled' && r.value?.success).length;
             const failed = results.length - successful;
@@ -562,11 +1486,21 @@ Serveur: ${process.env.HOSTNAME || 'EFC-Backup-Server'}
             });
         }
         
+        const deferredBackups = Array.from(this.deferredBackups.entries()).map(([clientName, deferred]) => ({
+            clientName,
+            type: deferred.type,
+            scheduleName: deferred.scheduleName,
+            runAt: deferred.runAt.toISOString(),
+            reason: deferred.reason
+        }));
+        
         return {
             totalSchedules: schedules.length,
             activeSchedules: schedules.filter(s => s.active).length,
             runningBackups: this.runningBackups.size,
-            schedules
+            queuedBackups: this.jobQueue.queued.length,
+            schedules,
+            deferredBackups
         };
     }
 
@@ -609,12 +1543,89 @@ Serveur: ${process.env.HOSTNAME || 'EFC-Backup-Server'}
                 progress: backup.progress || 0,
                 status: backup.status || 'running',
                 currentStep: backup.currentStep || 'Initialisation',
-                estimatedTimeRemaining: backup.estimatedTimeRemaining || null
+                estimatedTimeRemaining: backup.estimatedTimeRemaining || null,
+                cancelledBy: backup.cancelledBy || null
             });
         }
         return runningList;
     }
 
+    getRunningBackup(backupId) {
+        return this.runningBackups.get(backupId) || null;
+    }
+
+    // Récupérer les backups en file d'attente, dans leur ordre de passage
+    getQueuedBackups() {
+        return this.jobQueue.getQueuedJobs().map(job => ({
+            backupId: job.id,
+            clientName: job.clientName,
+            clientId: job.clientId,
+            type: job.type,
+            priority: job.priority,
+            destination: job.destination,
+            queuedAt: job.queuedAt,
+            position: job.position,
+            progress: 0,
+            status: 'queued',
+            currentStep: `En file d'attente (position ${job.position})`,
+            triggeredBy: job.triggeredBy
+        }));
+    }
+
+    getQueuedBackup(backupId) {
+        return this.getQueuedBackups().find(backup => backup.backupId === backupId) || null;
+    }
+
+    // Associer l'instance du client de backup à son entrée en cours, pour pouvoir l'annuler
+    attachBackupClient(backupId, backupClient) {
+        const backup = this.runningBackups.get(backupId);
+        if (!backup) return;
+        
+        // Fichiers temporaires enregistrés avec le job: nettoyés au démarrage si le serveur s'arrête entre-temps
+        backupClient.trackArtifacts(() => {
+            this.persistJob(backupId, () => updateBackupJob(backupId, { artifacts: backupClient.getArtifacts() }));
+        });
+        
+        backup.backupClient = backupClient;
+        if (backup.status === 'cancelling') {
+            backupClient.cancel();
+        }
+    }
+
+    /**
+     * Annule un backup en cours: interrompt la commande SSH ou le transfert actif.
+     * Le nettoyage et le passage au statut 'cancelled' sont faits par la tâche de backup elle-même.
+     * @param {string} backupId - ID du backup en cours
+     * @param {string} cancelledBy - Utilisateur à l'origine de l'annulation
+     * @returns {boolean} false si le backup n'est pas (ou plus) annulable
+     */
+    cancelBackup(backupId, cancelledBy = null) {
+        // Backup encore en file d'attente: retiré sans avoir démarré
+        if (this.jobQueue.remove(backupId, `Backup annulé par ${cancelledBy || 'un utilisateur'}`)) {
+            logger.info(`Backup ${backupId} retiré de la file d'attente par ${cancelledBy || 'inconnu'}`);
+            return true;
+        }
+        
+        const backup = this.runningBackups.get(backupId);
+        if (!backup || ['completing', 'completed', 'failed', 'cancelling', 'cancelled'].includes(backup.status)) {
+            return false;
+        }
+        
+        this.runningBackups.set(backupId, {
+            ...backup,
+            status: 'cancelling',
+            currentStep: 'Annulation en cours',
+            cancelledBy
+        });
+        
+        if (backup.backupClient) {
+            backup.backupClient.cancel();
+        }
+        
+        logger.info(`Annulation du backup ${backupId} (${backup.clientName}) demandée par ${cancelledBy || 'inconnu'}`);
+        return true;
+    }
+
     // Démarrer un backup manuel pour un client spécifique
     async startManualBackupForClient(clientId, options = {}) {
         const backupId = `manual_${clientId}_${Date.now()}`;
@@ -632,42 +1643,21 @@ Serveur: ${process.env.HOSTNAME || 'EFC-Backup-Server'}
 
             logger.info(`Démarrage du backup manuel pour client ${client.name} (ID: ${clientId})`);
             
-            // Enregistrer le backup comme en cours
-            this.runningBackups.set(backupId, {
-                clientName: client.name,
-                clientId: clientId,
+            // Le backup démarre dès qu'une place se libère dans la file d'attente (priorité haute par défaut)
+            await this.refreshQueueLimits();
+            this.enqueueBackup({
+                id: backupId,
+                client,
                 type: options.type || 'full',
-                startTime: new Date(),
-                status: 'starting',
-                progress: 0,
-                currentStep: 'Initialisation du backup',
-                triggeredBy: options.triggered_by || 'manual'
+                priority: options.priority || 'high',
+                triggeredBy: options.triggered_by || 'manual',
+                kind: 'manual',
+                options: { createImage: options.createImage || false, triggered_by: options.triggered_by || 'manual' },
+                run: () => this.runManualBackupForClient(client, backupId, options)
+            }).catch((error) => {
+                logger.error(`Erreur backup manuel pour ${client.name}:`, error);
             });
 
-            // Démarrer le backup de façon asynchrone avec les options
-            this.performClientBackupWithProgress(client, options.type || 'full', backupId, options)
-                .then(() => {
-                    // Laisser le backup visible dans l'interface pendant 10 secondes
-                    setTimeout(() => {
-                        this.runningBackups.delete(backupId);
-                        logger.info(`Backup manuel terminé pour ${client.name}`);
-                    }, 10000); // 10 secondes pour voir le 100%
-                })
-                .catch((error) => {
-                    this.runningBackups.set(backupId, {
-                        ...this.runningBackups.get(backupId),
-                        status: 'failed',
-                        error: error.message,
-                        progress: 0
-                    });
-                    logger.error(`Erreur backup manuel pour ${client.name}:`, error);
-                    
-                    // Supprimer après 5 minutes pour éviter l'accumulation
-                    setTimeout(() => {
-                        this.runningBackups.delete(backupId);
-                    }, 5 * 60 * 1000);
-                });
-
             return backupId;
 
         } catch (error) {
@@ -677,10 +1667,49 @@ Serveur: ${process.env.HOSTNAME || 'EFC-Backup-Server'}
         }
     }
 
+    // Backup manuel d'un client sorti de la file d'attente
+    async runManualBackupForClient(client, backupId, options = {}) {
+        // Enregistrer le backup comme en cours
+        this.runningBackups.set(backupId, {
+            clientName: client.name,
+            clientId: client.id,
+            type: options.type || 'full',
+            startTime: new Date(),
+            status: 'starting',
+            progress: 0,
+            currentStep: 'Initialisation du backup',
+            triggeredBy: options.triggered_by || 'manual'
+        });
+
+        try {
+            await this.performClientBackupWithProgress(client, options.type || 'full', backupId, options);
+            
+            // Laisser le backup visible dans l'interface pendant 10 secondes
+            setTimeout(() => {
+                this.runningBackups.delete(backupId);
+                logger.info(`Backup manuel terminé pour ${client.name}`);
+            }, 10000); // 10 secondes pour voir le 100%
+        } catch (error) {
+            this.runningBackups.set(backupId, {
+                ...this.runningBackups.get(backupId),
+                status: 'failed',
+                error: error.message,
+                progress: 0
+            });
+            logger.error(`Erreur backup manuel pour ${client.name}:`, error);
+            
+            // Supprimer après 5 minutes pour éviter l'accumulation
+            setTimeout(() => {
+                this.runningBackups.delete(backupId);
+            }, 5 * 60 * 1000);
+        }
+    }
+
     // Version améliorée de performClientBackup avec suivi de progression
     async performClientBackupWithProgress(client, type, backupId, options = {}) {
         const backupData = this.runningBackups.get(backupId);
         if (!backupData) return;
+        let backupClient = null;
 
         try {
             // Mettre à jour le statut
@@ -693,7 +1722,9 @@ Serveur: ${process.env.HOSTNAME || 'EFC-Backup-Server'}
 
             // Choisir le bon client selon l'OS
             const BackupClient = client.os_type === 'windows' ? WindowsBackupClient : LinuxBackupClient;
-            const backupClient = new BackupClient(client);
+            backupClient = new BackupClient(client);
+            this.attachBackupClient(backupId, backupClient);
+            const resumeFrom = await this.handOverResumableFiles(backupClient, client.name, backupId, options.resumeFrom);
             
             // Mettre à jour la progression
             this.runningBackups.set(backupId, {
@@ -702,10 +1733,14 @@ Serveur: ${process.env.HOSTNAME || 'EFC-Backup-Server'}
                 progress: 25
             });
 
-            // Utiliser retry helper pour la robustesse
-            const result = await retryBackupOperation(async () => {
+            // Utiliser retry helper pour la robustesse, entre les hooks pré et post du client
+            let baseBackup = null;
+            const { result, hooks } = await backupHooks.runAround(backupClient, client, backupId, () => retryBackupOperation(async () => {
+                backupClient.throwIfCancelled();
+                
                 // Créer un callback de progression
                 const progressCallback = (step, progress, details = {}) => {
+                    if (backupClient.cancelled) return;
                     this.runningBackups.set(backupId, {
                         ...this.runningBackups.get(backupId),
                         currentStep: step,
@@ -718,24 +1753,19 @@ Serveur: ${process.env.HOSTNAME || 'EFC-Backup-Server'}
                 progressCallback('Sauvegarde en cours', 30);
                 
                 // Utiliser les bonnes méthodes selon le type de backup avec callback
+                // Même identifiant à chaque tentative: les fichiers déjà transférés sont retrouvés
                 const backupOptions = { 
                     progressCallback,
+                    backupId,
                     createImage: options.createImage || false,
+                    resumeFrom,
                     type: type
                 };
                 
-                if (type === 'incremental') {
-                    const lastFullBackup = await this.findLastFullBackup(client.name);
-                    if (lastFullBackup) {
-                        return await backupClient.performIncrementalBackup(lastFullBackup, backupOptions);
-                    } else {
-                        logger.warn(`Aucun backup complet trouvé pour ${client.name}, backup complet forcé`);
-                        return await backupClient.performFullBackup(backupOptions);
-                    }
-                } else {
-                    return await backupClient.performFullBackup(backupOptions);
-                }
-            }, 3);
+                const run = await this.runBackupOfType(backupClient, client, type, backupOptions);
+                baseBackup = run.baseBackup;
+                return run.result;
+            }, 3));
 
             // Finaliser
             this.runningBackups.set(backupId, {
@@ -746,23 +1776,45 @@ Serveur: ${process.env.HOSTNAME || 'EFC-Backup-Server'}
             });
 
             // Enregistrer en base avec les détails du résultat
+            const lineage = this.buildBackupLineage(backupId, baseBackup, result);
+            const { manifest, ...resultDetails } = result; // l'inventaire du client n'est pas stocké dans les métadonnées
             await addBackup({
                 backup_id: backupId,
                 client_name: client.name,
-                type: type,
+                type: baseBackup ? type : 'full', // un backup complet a pu être forcé
                 status: 'completed',
                 started_at: backupData.startTime.toISOString(),
                 completed_at: new Date().toISOString(),
                 size_mb: result.metadata?.size_mb || 0,
                 file_count: result.metadata?.file_count || 0,
                 path: result.path || null,
+                parent_backup_id: lineage.base_backup_id || null,
+                chain_id: lineage.full_backup_id,
                 metadata: JSON.stringify({
                     manual: true,
                     triggered_by: backupData.triggeredBy,
-                    ...result
+                    ...resultDetails,
+                    ...lineage,
+                    ...(hooks.length > 0 ? { hooks } : {})
                 })
             });
 
+            this.runningBackups.set(backupId, {
+                ...this.runningBackups.get(backupId),
+                currentStep: 'Catalogue des fichiers'
+            });
+            await this.catalogBackup(backupId, client.name, result.path, manifest);
+
+            const destination = storageManager.getClientDestination(client);
+            if (destination) {
+                this.runningBackups.set(backupId, {
+                    ...this.runningBackups.get(backupId),
+                    currentStep: `Envoi vers ${destination}`
+                });
+            }
+            await this.storeBackup(backupId, client, result.path);
+            this.replicateBackup(backupId, client);
+
             // Succès
             this.runningBackups.set(backupId, {
                 ...this.runningBackups.get(backupId),
@@ -774,6 +1826,37 @@ Serveur: ${process.env.HOSTNAME || 'EFC-Backup-Server'}
             logger.info(`Backup manuel réussi pour ${client.name}`, result);
             
         } catch (error) {
+            if (backupClient && backupClient.cancelled) {
+                const { cancelledBy } = this.runningBackups.get(backupId) || {};
+                await backupClient.cleanupCancelledBackup();
+                
+                await addBackup({
+                    backup_id: backupId,
+                    client_name: client.name,
+                    type: type,
+                    status: 'cancelled',
+                    started_at: backupData.startTime.toISOString(),
+                    cancelled_at: new Date().toISOString(),
+                    cancelled_by: cancelledBy,
+                    error_message: `Backup annulé par ${cancelledBy || 'un utilisateur'}`,
+                    metadata: JSON.stringify({
+                        manual: true,
+                        triggered_by: backupData.triggeredBy,
+                        cancelled_by: cancelledBy
+                    })
+                });
+                
+                this.runningBackups.set(backupId, {
+                    ...this.runningBackups.get(backupId),
+                    currentStep: 'Backup annulé',
+                    status: 'cancelled'
+                });
+                
+                logger.info(`Backup manuel annulé pour ${client.name} par ${cancelledBy || 'un utilisateur'}`);
+                return;
+            }
+            
+            const resume = this.getResumableFiles(backupClient, type);
             await addBackup({
                 backup_id: backupId,
                 client_name: client.name,
@@ -785,7 +1868,9 @@ Serveur: ${process.env.HOSTNAME || 'EFC-Backup-Server'}
                 metadata: JSON.stringify({
                     manual: true,
                     triggered_by: backupData.triggeredBy,
-                    error: error.message
+                    error: error.message,
+                    ...(error.hookResults ? { hooks: error.hookResults } : {}),
+                    ...(resume ? { resume } : {})
                 })
             });
             
@@ -798,6 +1883,11 @@ Serveur: ${process.env.HOSTNAME || 'EFC-Backup-Server'}
             job.destroy();
         }
         this.scheduledJobs.clear();
+        for (const deferred of this.deferredBackups.values()) {
+            deferred.job.cancel();
+        }
+        this.deferredBackups.clear();
+        this.jobQueue.clear();
         this.runningBackups.clear();
         this.isInitialized = false;
         logger.info('Planificateur de backups détruit');
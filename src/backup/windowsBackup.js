@@ -1,10 +1,18 @@
 const { NodeSSH } = require('node-ssh');
 const fs = require('fs').promises;
+const { createWriteStream } = require('fs');
 const path = require('path');
 const { logger, createClientLogger, createBackupLogger } = require('../utils/logger');
 const { addNetworkStats } = require('../utils/database');
 const backupExclusions = require('../utils/backup-exclusions');
-const { retrySshOperation, retryBackupOperation } = require('../utils/retry-helper');
+const { retrySshOperation, retryBackupOperation, createCancelledError } = require('../utils/retry-helper');
+const { buildSshAuthOptions, getAuthMethod, getAuthLabel } = require('../utils/ssh-auth');
+const { throttling } = require('../utils/throttling');
+const { TrackedSet, TrackedMap } = require('../utils/job-artifacts');
+const transferCheckpoint = require('../utils/transfer-checkpoint');
+
+// Dossier du client contenant les liens vers les clichés VSS en cours de lecture
+const VSS_LINK_ROOT = 'C:\\ProgramData\\EFC-Backup\\vss';
 
 class WindowsBackupClient {
     constructor(config) {
@@ -12,19 +20,30 @@ class WindowsBackupClient {
         this.ssh = new NodeSSH();
         this.clientLogger = createClientLogger(config.name);
         this.backupLogger = null; // Sera initialisé lors du backup avec l'ID
+        
+        // Annulation: dossiers de backup locaux partiels à supprimer
+        this.cancelled = false;
+        this.localTempPaths = new TrackedSet();
+        
+        // Clichés VSS créés par le backup en cours, à supprimer même en cas d'échec
+        this.activeShadows = new TrackedMap();
+        
+        // Limitation de débit et de priorité (profil actif au démarrage du backup)
+        this.throttle = throttling.resolve(null);
+        this.limiter = null;
     }
 
     async connect() {
         return await retrySshOperation(async () => {
             this.clientLogger.info(`🔄 Tentative de connexion SSH vers ${this.config.host}:${this.config.port || 22}`);
-            this.clientLogger.info(`👤 Utilisateur: ${this.config.username}`);
+            this.clientLogger.info(`👤 Utilisateur: ${this.config.username} (auth: ${getAuthMethod(this.config)})`);
             
             try {
                 await this.ssh.connect({
                     host: this.config.host,
                     port: this.config.port || 22,
                     username: this.config.username,
-                    password: this.config.password
+                    ...buildSshAuthOptions(this.config)
                 });
                 
                 this.clientLogger.info(`✅ Connexion SSH établie avec succès vers ${this.config.host}`);
@@ -55,8 +74,10 @@ class WindowsBackupClient {
             return `Connexion refusée (port ${this.config.port || 22} fermé ?)`;
         } else if (error.code === 'ETIMEDOUT') {
             return `Timeout de connexion (host inaccessible ou pare-feu)`;
-        } else if (error.message.includes('Authentication failure')) {
-            return `Authentification échouée (vérifier utilisateur/mot de passe)`;
+        } else if (error.message.includes('Authentication failure') || error.message.includes('authentication methods failed')) {
+            return `Authentification échouée (vérifier utilisateur/${getAuthLabel(this.config)})`;
+        } else if (error.message.includes('passphrase')) {
+            return `Clé privée chiffrée: passphrase manquante ou incorrecte`;
         } else if (error.message.includes('Host key verification failed')) {
             return `Vérification de clé d'hôte échouée`;
         } else {
@@ -70,6 +91,108 @@ class WindowsBackupClient {
         logger.info(`Connexion SSH fermée avec ${this.config.host}`);
     }
 
+    /**
+     * Ouvre la connexion SSH si nécessaire
+     * @returns {Promise<boolean>} true si une connexion a été ouverte
+     */
+    async ensureConnected() {
+        if (this.ssh.isConnected()) return false;
+        await this.connect();
+        return true;
+    }
+
+    /**
+     * Exécute une commande de hook avant/après backup (voir utils/backup-hooks)
+     * @returns {Promise<{code: number, stdout: string, stderr: string}>}
+     */
+    async runHookCommand(command, timeout) {
+        let timeoutId;
+        const timer = new Promise((resolve, reject) => {
+            timeoutId = setTimeout(() => reject(new Error(`Timeout après ${Math.round(timeout / 1000)}s`)), timeout);
+        });
+
+        try {
+            const result = await Promise.race([this.ssh.execCommand(command), timer]);
+            return { code: result.code, stdout: result.stdout, stderr: result.stderr };
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    /**
+     * Applique le profil de limitation actif: débit SFTP et robocopy /IPG, priorité de robocopy (start /LOW)
+     */
+    applyThrottleProfile() {
+        this.throttle = throttling.resolve(this.config.throttle_profiles);
+        this.limiter = throttling.createLimiter(this.throttle.bandwidthMbps);
+        
+        logger.info(`Limitation pour ${this.config.name}: ${throttling.describe(this.throttle)}`);
+        if (this.backupLogger) {
+            this.backupLogger.info(`🚦 Limitation: ${throttling.describe(this.throttle)}`);
+        }
+    }
+
+    /**
+     * Demande l'annulation du backup en cours: la fermeture de la connexion SSH
+     * interrompt le transfert SCP ou la commande distante active
+     */
+    cancel() {
+        if (this.cancelled) return;
+        
+        this.cancelled = true;
+        this.clientLogger.warn(`🛑 Annulation du backup demandée pour ${this.config.name}`);
+        if (this.backupLogger) {
+            this.backupLogger.warn(`🛑 ANNULATION DEMANDÉE`);
+        }
+        this.ssh.dispose();
+    }
+
+    throwIfCancelled() {
+        if (this.cancelled) {
+            throw createCancelledError();
+        }
+    }
+
+    /**
+     * Suivi des dossiers partiels et clichés VSS du backup, enregistrés par le planificateur avec le job
+     * @param {Function} onChange - Appelée à chaque ajout ou suppression
+     */
+    trackArtifacts(onChange) {
+        this.localTempPaths.onChange = onChange;
+        this.activeShadows.onChange = onChange;
+    }
+
+    getArtifacts() {
+        return { local: [...this.localTempPaths], remote: [], vss: [...this.activeShadows.values()] };
+    }
+
+    /**
+     * Reprend les dossiers partiels et clichés VSS d'un backup interrompu par un redémarrage du serveur,
+     * pour les supprimer avec cleanupCancelledBackup() ou les reprendre au démarrage du backup (prepareResume)
+     */
+    restoreArtifacts({ local = [], vss = [] }) {
+        local.forEach(localPath => this.localTempPaths.add(localPath));
+        vss.forEach(snapshot => this.activeShadows.set(snapshot.shadowId, snapshot));
+    }
+
+    /**
+     * Supprime le dossier de backup local partiel et les clichés VSS d'un backup annulé
+     */
+    async cleanupCancelledBackup() {
+        await this.releaseVSSSnapshots();
+        
+
+        for (const localPath of this.localTempPaths) {
+            try {
+                await fs.rm(localPath, { recursive: true, force: true });
+                this.clientLogger.info(`🧹 Backup local partiel supprimé: ${localPath}`);
+            } catch (error) {
+                this.clientLogger.warn(`Impossible de supprimer ${localPath}: ${error.message}`);
+            }
+        }
+        this.localTempPaths.clear();
+    }
+
     async createSystemImage(destinationPath) {
         try {
             logger.info(`Création de l'image système pour ${this.config.host}`);
@@ -101,6 +224,7 @@ class WindowsBackupClient {
         let totalBytesTransferred = 0;
         let totalFilesCount = 0;
         let totalFilesExcluded = 0;
+        let totalFilesResumed = 0;
         
         // Obtenir les exclusions pour ce client Windows
         const clientExclusions = this.config.exclusions || {};
@@ -123,9 +247,13 @@ class WindowsBackupClient {
                 let folderBytes = 0;
                 let folderFiles = 0;
 
-                // Utiliser SCP pour copier les fichiers avec tracking et exclusions
-                await this.ssh.getDirectory(destPath, folder, {
-                    recursive: true,
+                // Lecture dans le cliché VSS du volume si disponible (fichiers verrouillés, PST, bases)
+                const sourcePath = this.resolveVSSPath(folder, options.vssSnapshots);
+
+                // Copier les fichiers par SFTP avec tracking, exclusions et reprise des fichiers déjà copiés
+                let folderResumed = 0;
+                let folderResumedBytes = 0;
+                await this.downloadDirectory(destPath, sourcePath, {
                     concurrency: 10,
                     validate: (itemPath) => {
                         // Appliquer les exclusions
@@ -145,11 +273,19 @@ class WindowsBackupClient {
                             folderFiles++;
                             totalFilesCount++;
                         }
+                    },
+                    skip: (localPath, remotePath, size) => {
+                        folderResumed++;
+                        folderResumedBytes += size;
+                        totalFilesResumed++;
                     }
                 });
+                if (folderResumed > 0) {
+                    logger.info(`Reprise de ${folder}: ${folderResumed} fichiers déjà copiés intacts conservés`);
+                }
 
-                // Calculer la taille du dossier copié
-                folderBytes = await this.calculateDirectorySize(destPath);
+                // Calculer la taille du dossier copié (hors fichiers repris d'une tentative précédente)
+                folderBytes = Math.max(0, await this.calculateDirectorySize(destPath) - folderResumedBytes);
                 totalBytesTransferred += folderBytes;
 
                 const folderDuration = (new Date() - folderStartTime) / 1000; // en secondes
@@ -158,15 +294,20 @@ class WindowsBackupClient {
                 backupResults.push({
                     folder,
                     status: 'success',
+                    source: sourcePath === folder ? 'live' : 'vss',
                     destination: destPath,
                     bytesTransferred: folderBytes,
-                    filesCount: folderFiles,
+                    filesCount: folderFiles + folderResumed,
+                    filesResumed: folderResumed,
                     duration: folderDuration,
                     speedMbps: Math.round(folderSpeedMbps * 100) / 100
                 });
                 
                 logger.info(`Backup réussi pour ${folder} - ${Math.round(folderBytes / (1024 * 1024))} MB, ${folderFiles} fichiers transférés, ${Math.round(folderSpeedMbps)} Mbps`);
             } catch (error) {
+                this.throwIfCancelled();
+                // Connexion perdue: le backup est retenté et reprend les fichiers déjà copiés
+                if (!this.ssh.isConnected()) throw error;
                 logger.error(`Erreur lors du backup de ${folder}:`, error);
                 backupResults.push({
                     folder,
@@ -196,7 +337,8 @@ class WindowsBackupClient {
                     duration_seconds: Math.round(totalDuration),
                     files_count: totalFilesCount,
                     started_at: backupStartTime.toISOString(),
-                    completed_at: backupEndTime.toISOString()
+                    completed_at: backupEndTime.toISOString(),
+                    ...throttling.toNetworkStats(this.throttle)
                 });
                 
                 logger.info(`Statistiques réseau sauvegardées pour ${this.config.name}: ${Math.round(totalBytesTransferred / (1024 * 1024))} MB, ${Math.round(avgSpeedMbps)} Mbps, ${Math.round(totalDuration)}s`);
@@ -208,10 +350,179 @@ class WindowsBackupClient {
         if (totalFilesExcluded > 0) {
             logger.info(`Total de fichiers exclus: ${totalFilesExcluded} (économie estimée: ${exclusionStats.estimatedSpaceSavedPercent}%)`);
         }
+        if (totalFilesResumed > 0 && this.backupLogger) {
+            this.backupLogger.info(`♻️ Reprise: ${totalFilesResumed} fichiers déjà copiés non retransférés`);
+        }
 
         return backupResults;
     }
 
+    /**
+     * Copie d'un dossier par SFTP, fichier par fichier: débit limité par le profil de limitation
+     * (getDirectory de node-ssh ne le permet pas) et reprise d'une copie interrompue
+     * Chaque fichier copié reçoit la date de modification de l'original; un fichier local de même taille
+     * et de même date, arrivé intact lors d'une tentative précédente, n'est pas recopié.
+     * @param {string} localDir - Dossier local de destination
+     * @param {string} remoteDir - Dossier Windows à copier
+     * @param {Object} options - { validate, tick } comme getDirectory (validate reçoit aussi les attributs SFTP),
+     *   skip(localPath, remotePath, size)
+     *   pour chaque fichier conservé, concurrency: fichiers d'un même dossier copiés en parallèle
+     */
+    async downloadDirectory(localDir, remoteDir, { validate = () => true, tick = () => {}, skip = () => {}, concurrency = 1 } = {}) {
+        const sftp = await this.ssh.requestSFTP();
+        const readdir = (dir) => new Promise((resolve, reject) => {
+            sftp.readdir(dir, (error, list) => (error ? reject(error) : resolve(list)));
+        });
+        const download = (remotePath, localPath) => new Promise((resolve, reject) => {
+            const readStream = sftp.createReadStream(remotePath);
+            const writeStream = createWriteStream(localPath);
+            readStream.on('error', (error) => {
+                writeStream.destroy();
+                reject(error);
+            });
+            writeStream.on('error', reject);
+            writeStream.on('finish', resolve);
+            const source = this.limiter ? readStream.pipe(this.limiter.createStream()) : readStream;
+            source.pipe(writeStream);
+        });
+
+        const copyFile = async ({ remotePath, localPath, attrs }) => {
+            this.throwIfCancelled();
+            if (await transferCheckpoint.isFileIntact(localPath, attrs)) {
+                skip(localPath, remotePath, attrs.size);
+                return;
+            }
+            try {
+                await download(remotePath, localPath);
+                await transferCheckpoint.markFileComplete(localPath, attrs.mtime);
+                tick(localPath, remotePath, null);
+            } catch (error) {
+                this.throwIfCancelled();
+                if (!this.ssh.isConnected()) {
+                    const lostError = new Error(`Connexion SSH perdue pendant la copie de ${remotePath}: ${error.message}`);
+                    lostError.code = 'ECONNRESET';
+                    throw lostError;
+                }
+                tick(localPath, remotePath, error);
+            }
+        };
+
+        const walk = async (remote, local) => {
+            await fs.mkdir(local, { recursive: true });
+            const files = [];
+            for (const entry of await readdir(remote)) {
+                this.throwIfCancelled();
+                const remotePath = `${remote}/${entry.filename}`;
+                const localPath = path.join(local, entry.filename);
+                if (!validate(remotePath, entry.attrs)) continue;
+
+                if (entry.attrs.isDirectory()) {
+                    await walk(remotePath, localPath);
+                } else {
+                    files.push({ remotePath, localPath, attrs: entry.attrs });
+                }
+            }
+
+            let next = 0;
+            await Promise.all(Array.from({ length: Math.min(concurrency, files.length) }, async () => {
+                while (next < files.length) {
+                    await copyFile(files[next++]);
+                }
+            }));
+        };
+
+        try {
+            await walk(this.toSftpPath(remoteDir).replace(/\/+$/, ''), localDir);
+        } finally {
+            sftp.end();
+        }
+    }
+
+    /**
+     * Échantillon des données du client pour comparer les codecs de compression: fichiers des dossiers
+     * sauvegardés copiés tels quels jusqu'à maxBytes
+     * @param {string} localDir - Dossier local de l'échantillon
+     * @param {Array<string>} folders - Dossiers configurés (vide = détection automatique)
+     * @returns {Promise<{bytes: number, files: number}>}
+     */
+    async collectCompressionSample(localDir, folders, maxBytes) {
+        let remaining = maxBytes;
+        let files = 0;
+
+        for (const folder of await this.getDynamicFolders({ folders })) {
+            if (remaining <= 0) break;
+            try {
+                await this.downloadDirectory(path.join(localDir, folder.replace(/[:\\/]+/g, '_')), folder, {
+                    validate: (remotePath, attrs) => {
+                        if (attrs.isDirectory()) return remaining > 0;
+                        if (attrs.size > remaining) return false;
+                        remaining -= attrs.size;
+                        files++;
+                        return true;
+                    },
+                    concurrency: 4
+                });
+            } catch (error) {
+                this.throwIfCancelled();
+                logger.warn(`Échantillon de ${folder} incomplet: ${error.message}`);
+            }
+        }
+        return { bytes: maxBytes - remaining, files };
+    }
+
+    /**
+     * Reprise d'une tentative précédente au démarrage d'un backup: le dossier partiel transmis par
+     * le planificateur (resumeFrom, backup échoué ou interrompu du même type) devient le dossier du backup,
+     * les autres dossiers partiels sont supprimés. Lors d'une nouvelle tentative du même backup
+     * (retryBackupOperation), backupPath contient déjà les fichiers copiés.
+     * @param {string} backupPath - Dossier du backup qui démarre
+     * @param {string} backupType - Type du backup qui démarre
+     * @param {Object|null} resumeFrom - { backupId, type, local }
+     */
+    async prepareResume(backupPath, backupType, resumeFrom) {
+        const previousPaths = [...this.localTempPaths].filter(localPath => localPath !== backupPath);
+        let adopted = null;
+
+        if (resumeFrom && resumeFrom.type === backupType && !(await this.pathExists(backupPath))) {
+            for (const previousPath of previousPaths) {
+                try {
+                    if (!(await fs.stat(previousPath)).isDirectory()) continue;
+                    await fs.mkdir(path.dirname(backupPath), { recursive: true });
+                    await fs.rename(previousPath, backupPath);
+                    adopted = previousPath;
+                    break;
+                } catch (error) {
+                    logger.warn(`Reprise impossible depuis ${previousPath}: ${error.message}`);
+                }
+            }
+        }
+
+        for (const previousPath of previousPaths) {
+            if (previousPath !== adopted) {
+                await fs.rm(previousPath, { recursive: true, force: true }).catch(error => {
+                    logger.warn(`Impossible de supprimer ${previousPath}: ${error.message}`);
+                });
+            }
+            this.localTempPaths.delete(previousPath);
+        }
+
+        if (adopted) {
+            logger.info(`Reprise du backup ${resumeFrom.backupId} de ${this.config.name}: fichiers déjà copiés repris depuis ${adopted}`);
+            if (this.backupLogger) {
+                this.backupLogger.info(`♻️ Reprise du backup ${resumeFrom.backupId}: fichiers déjà copiés conservés`);
+            }
+        }
+    }
+
+    async pathExists(targetPath) {
+        try {
+            await fs.access(targetPath);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
     async calculateDirectorySize(dirPath) {
         let totalSize = 0;
         
@@ -233,32 +544,155 @@ class WindowsBackupClient {
         return totalSize;
     }
 
-    async createVSSSnapshot() {
+    /**
+     * Crée un cliché VSS d'un volume et l'expose par un lien symbolique lisible par SFTP et robocopy
+     * Le cliché est enregistré dans activeShadows dès sa création pour être supprimé même en cas d'échec.
+     * @param {string} volume - Volume du client (ex: 'C:')
+     * @returns {Promise<{volume: string, shadowId: string, deviceObject: string, linkPath: string}>}
+     */
+    async createVSSSnapshot(volume = 'C:') {
         try {
-            logger.info(`Création d'un snapshot VSS pour ${this.config.host}`);
+            logger.info(`Création d'un snapshot VSS de ${volume} pour ${this.config.host}`);
             
-            // Créer un snapshot VSS (Volume Shadow Copy)
-            const vssCommand = `
-                $shadowId = (vssadmin create shadow /for=C: | Select-String "Shadow Copy ID:" | ForEach-Object { $_.Line.Split("{")[1].Split("}")[0] })
-                Write-Output $shadowId
-            `;
+            // Win32_ShadowCopy.Create renvoie l'ID du cliché, son DeviceObject est le chemin du volume figé
+            const vssCommand = `$r = (Get-WmiObject -List Win32_ShadowCopy).Create('${volume}\\', 'ClientAccessible'); ` +
+                `if ($r.ReturnValue -ne 0) { Write-Error ('Win32_ShadowCopy.Create code ' + $r.ReturnValue); exit 1 }; ` +
+                `$s = Get-WmiObject Win32_ShadowCopy | Where-Object { $_.ID -eq $r.ShadowID }; ` +
+                `Write-Output ($s.ID + '|' + $s.DeviceObject)`;
             
-            const result = await this.ssh.execCommand(`powershell -Command "${vssCommand}"`);
+            const result = await this.ssh.execCommand(`powershell -NoProfile -Command "${vssCommand}"`);
+            const match = /\{?([0-9a-f-]{36})\}?\|(\S+)/i.exec(result.stdout || '');
             
-            if (result.code !== 0) {
-                throw new Error(`Erreur VSS: ${result.stderr}`);
+            if (result.code !== 0 || !match) {
+                throw new Error(`Erreur VSS: ${result.stderr || result.stdout || `code ${result.code}`}`);
             }
 
-            const shadowId = result.stdout.trim();
-            logger.info(`Snapshot VSS créé avec l'ID: ${shadowId}`);
+            const snapshot = {
+                volume,
+                shadowId: match[1],
+                deviceObject: match[2],
+                linkPath: `${VSS_LINK_ROOT}\\${match[1]}`
+            };
+            this.activeShadows.set(snapshot.shadowId, snapshot);
+            logger.info(`Snapshot VSS créé avec l'ID: ${snapshot.shadowId} (${snapshot.deviceObject})`);
             
-            return shadowId;
+            // Le chemin \\?\GLOBALROOT\Device\... n'est pas accepté par SFTP: lien vers la racine du cliché
+            const linkResult = await this.ssh.execCommand(
+                `powershell -NoProfile -Command "New-Item -ItemType Directory -Force -Path '${VSS_LINK_ROOT}' | Out-Null; ` +
+                `cmd /c mklink /d '${snapshot.linkPath}' '${snapshot.deviceObject}\\'"`
+            );
+            if (linkResult.code !== 0) {
+                throw new Error(`Lien vers le snapshot VSS impossible: ${linkResult.stderr || linkResult.stdout}`);
+            }
+            
+            return snapshot;
         } catch (error) {
             logger.error(`Erreur lors de la création du snapshot VSS:`, error);
             throw error;
         }
     }
 
+    /**
+     * Volume d'un dossier Windows ('C:'), null pour un chemin réseau sans cliché possible
+     */
+    getFolderVolume(folder) {
+        const match = /^([A-Za-z]):(?:[\\/]|$)/.exec(folder);
+        return match ? `${match[1].toUpperCase()}:` : null;
+    }
+
+    /**
+     * Chemin de lecture d'un dossier: dans le cliché VSS de son volume s'il existe, sinon le dossier lui-même
+     * @param {string} folder - Dossier Windows (C:\Users)
+     * @param {Array} snapshots - Clichés créés par prepareVSSSnapshots
+     */
+    resolveVSSPath(folder, snapshots = []) {
+        const volume = this.getFolderVolume(folder);
+        const snapshot = volume && snapshots.find(candidate => candidate.volume === volume);
+        if (!snapshot) return folder;
+
+        const relative = folder.substring(2).replace(/\//g, '\\').replace(/^\\+|\\+$/g, '');
+        return relative ? `${snapshot.linkPath}\\${relative}` : snapshot.linkPath;
+    }
+
+    /**
+     * Crée un cliché VSS pour chaque volume des dossiers sauvegardés
+     * Les dossiers sans cliché (volume en échec, lecteur réseau) sont lus en direct: le backup n'est alors pas cohérent.
+     * @returns {Promise<Object>} { used, crashConsistent, snapshots, liveFolders, errors }
+     */
+    async prepareVSSSnapshots(folders, options = {}) {
+        const vss = { used: false, crashConsistent: false, snapshots: [], liveFolders: [], errors: [] };
+        
+        if (options.useVSS !== false) {
+            const volumes = [...new Set(folders.map(folder => this.getFolderVolume(folder)).filter(Boolean))];
+            for (const volume of volumes) {
+                try {
+                    vss.snapshots.push(await this.createVSSSnapshot(volume));
+                } catch (error) {
+                    this.throwIfCancelled();
+                    vss.errors.push({ volume, error: error.message });
+                }
+            }
+        }
+
+        vss.liveFolders = folders.filter(folder => this.resolveVSSPath(folder, vss.snapshots) === folder);
+        vss.used = vss.snapshots.length > 0;
+        vss.crashConsistent = vss.used && vss.liveFolders.length === 0;
+        return vss;
+    }
+
+    /**
+     * Supprime un cliché VSS et son lien
+     */
+    async deleteVSSSnapshot(snapshot) {
+        // rmdir sur le lien ne touche pas au contenu du cliché
+        await this.ssh.execCommand(`cmd /c rmdir "${snapshot.linkPath}"`);
+        
+        const result = await this.ssh.execCommand(`vssadmin delete shadows /shadow={${snapshot.shadowId}} /quiet`);
+        if (result.code !== 0) {
+            throw new Error(result.stderr || result.stdout || `code ${result.code}`);
+        }
+        logger.info(`Snapshot VSS supprimé: ${snapshot.shadowId}`);
+    }
+
+    /**
+     * Supprime les clichés VSS du backup, y compris après un échec ou une annulation (reconnexion si besoin)
+     */
+    async releaseVSSSnapshots() {
+        if (this.activeShadows.size === 0) return;
+        
+        try {
+            await this.ensureConnected();
+        } catch (error) {
+            this.clientLogger.warn(`⚠️ Snapshots VSS non supprimés (connexion impossible): ${[...this.activeShadows.keys()].join(', ')}`);
+            return;
+        }
+
+        for (const snapshot of [...this.activeShadows.values()]) {
+            try {
+                await this.deleteVSSSnapshot(snapshot);
+                this.activeShadows.delete(snapshot.shadowId);
+                if (this.backupLogger) {
+                    this.backupLogger.info(`🧹 Snapshot VSS ${snapshot.volume} supprimé: ${snapshot.shadowId}`);
+                }
+            } catch (error) {
+                this.clientLogger.warn(`⚠️ Impossible de supprimer le snapshot VSS ${snapshot.shadowId}: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Résumé VSS enregistré dans les métadonnées du backup
+     */
+    summarizeVSS(vss) {
+        return {
+            used: vss.used,
+            crashConsistent: vss.crashConsistent,
+            snapshots: vss.snapshots.map(({ volume, shadowId }) => ({ volume, shadowId })),
+            liveFolders: vss.liveFolders,
+            errors: vss.errors
+        };
+    }
+
     async backupRegistry(destinationPath) {
         try {
             logger.info(`Backup du registre Windows pour ${this.config.host}`);
@@ -834,6 +1268,8 @@ class WindowsBackupClient {
         this.backupLogger = createBackupLogger(this.config.name, backupId);
         
         try {
+            await this.prepareResume(backupPath, 'full', options.resumeFrom);
+            this.localTempPaths.add(backupPath);
             await fs.mkdir(backupPath, { recursive: true });
             
             this.backupLogger.info(`🚀 =================================`);
@@ -851,6 +1287,7 @@ class WindowsBackupClient {
             // 1. Connexion SSH
             this.backupLogger.info(`🔌 Étape 1/7: Connexion SSH`);
             await this.connect();
+            this.applyThrottleProfile();
             
             // 2. Obtenir les informations système
             this.backupLogger.info(`ℹ️ Étape 2/7: Collecte des informations système`);
@@ -865,29 +1302,33 @@ class WindowsBackupClient {
             );
             this.backupLogger.info(`✅ Informations système sauvegardées`);
             
-            // 3. Créer un snapshot VSS si possible
+            // 3. Créer un snapshot VSS par volume des dossiers sauvegardés
             this.backupLogger.info(`📷 Étape 3/7: Création snapshot VSS`);
-            let shadowId = null;
-            if (options.useVSS !== false) {
-                try {
-                    shadowId = await this.createVSSSnapshot();
-                    if (shadowId) {
-                        this.backupLogger.info(`✅ Snapshot VSS créé: ${shadowId}`);
-                    }
-                } catch (error) {
-                    this.backupLogger.warn(`⚠️ VSS non disponible: ${error.message}`);
-                    logger.warn('VSS non disponible, backup sans snapshot');
-                }
-            } else {
+            const folders = await this.getDynamicFolders(options);
+            const vss = await this.prepareVSSSnapshots(folders, options);
+            if (options.useVSS === false) {
                 this.backupLogger.info(`🚫 VSS désactivé par configuration`);
             }
+            for (const snapshot of vss.snapshots) {
+                this.backupLogger.info(`✅ Snapshot VSS ${snapshot.volume} créé: ${snapshot.shadowId}`);
+            }
+            for (const failure of vss.errors) {
+                this.backupLogger.warn(`⚠️ VSS non disponible pour ${failure.volume}: ${failure.error}`);
+            }
+            if (!vss.crashConsistent) {
+                this.backupLogger.warn(`⚠️ Lecture directe (fichiers ouverts possiblement incohérents): ${vss.liveFolders.join(', ')}`);
+                logger.warn(`Backup sans snapshot pour ${vss.liveFolders.length} dossier(s) de ${this.config.name}`);
+            }
             
             // 4. Backup des dossiers importants avec détection dynamique
             this.backupLogger.info(`📂 Étape 4/7: Backup des dossiers`);
-            const folders = await this.getDynamicFolders(options);
             this.backupLogger.info(`📋 Dossiers détectés: ${folders.join(', ')}`);
             
-            const folderResults = await this.backupFolders(folders, backupPath, backupId, options);
+            const folderResults = await this.backupFolders(folders, backupPath, backupId, {
+                ...options,
+                vssSnapshots: vss.snapshots
+            });
+            await this.releaseVSSSnapshots();
             
             // 5. Backup du registre
             this.backupLogger.info(`📝 Étape 5/7: Backup du registre Windows`);
@@ -915,7 +1356,8 @@ class WindowsBackupClient {
                 type: options.type || 'full',
                 folders: folderResults,
                 systemInfo,
-                shadowId,
+                vss: this.summarizeVSS(vss),
+                throttle: this.throttle,
                 imageCreated: options.createImage || false
             };
             
@@ -937,6 +1379,7 @@ class WindowsBackupClient {
             this.backupLogger.info(`💾 Chemin: ${backupPath}`);
             
             logger.info(`Backup complet terminé avec succès pour ${this.config.name}`);
+            this.localTempPaths.delete(backupPath);
             
             return {
                 success: true,
@@ -956,6 +1399,7 @@ class WindowsBackupClient {
             logger.error(`Erreur lors du backup complet:`, error);
             throw error;
         } finally {
+            await this.releaseVSSSnapshots();
             if (this.backupLogger) {
                 this.backupLogger.info(`🔌 Fermeture de la connexion SSH`);
             }
@@ -963,26 +1407,42 @@ class WindowsBackupClient {
         }
     }
 
+    /**
+     * Backup différentiel: fichiers modifiés depuis le dernier backup complet,
+     * une restauration n'a besoin que du complet et du dernier différentiel
+     * @param {string} fullBackupPath - Dossier du backup complet de référence
+     * @param {Object} options - Mêmes options que performIncrementalBackup
+     */
+    async performDifferentialBackup(fullBackupPath, options = {}) {
+        return this.performIncrementalBackup(fullBackupPath, { ...options, type: 'differential' });
+    }
+
     async performIncrementalBackup(lastBackupPath, options = {}) {
         const backupId = options.backupId || `backup_${this.config.name}_${Date.now()}`;
         const backupPath = path.join(options.backupPath || '/backup', this.config.name, backupId);
+        const backupType = options.type === 'differential' ? 'differential' : 'incremental';
         
         try {
+            await this.prepareResume(backupPath, backupType, options.resumeFrom);
+            this.localTempPaths.add(backupPath);
             await fs.mkdir(backupPath, { recursive: true });
             
-            logger.info(`Démarrage du backup incrémentiel pour ${this.config.name}`);
+            logger.info(`Démarrage du backup ${backupType === 'differential' ? 'différentiel' : 'incrémentiel'} pour ${this.config.name}`);
             logger.info(`Backup de base: ${lastBackupPath}`);
             
-            // Lire les métadonnées du dernier backup
-            const lastMetadata = JSON.parse(
-                await fs.readFile(path.join(lastBackupPath, 'backup_metadata.json'), 'utf8')
-            );
+            // Référence issue de l'historique; métadonnées du dernier backup lues sur disque à défaut
+            // (un backup envoyé vers une destination de stockage n'est plus dans BACKUP_PATH)
+            const lastMetadata = options.baseBackup && options.baseBackup.timestamp
+                ? { backupId: options.baseBackup.backupId, type: options.baseBackup.type, timestamp: options.baseBackup.timestamp }
+                : JSON.parse(await fs.readFile(path.join(lastBackupPath, 'backup_metadata.json'), 'utf8'));
             
+            // La date de début du backup de référence (historique) couvre aussi les fichiers modifiés pendant celui-ci
             const lastBackupTime = new Date(lastMetadata.timestamp);
             logger.info(`Recherche des fichiers modifiés depuis: ${lastBackupTime.toISOString()}`);
             
             // 1. Connexion SSH
             await this.connect();
+            this.applyThrottleProfile();
             
             // 2. Obtenir les informations système
             const systemInfo = await this.getSystemInfo();
@@ -991,22 +1451,19 @@ class WindowsBackupClient {
                 JSON.stringify(systemInfo, null, 2)
             );
             
-            // 3. Créer un snapshot VSS si possible
-            let shadowId = null;
-            if (options.useVSS !== false) {
-                try {
-                    shadowId = await this.createVSSSnapshot();
-                } catch (error) {
-                    logger.warn('VSS non disponible pour backup incrémentiel');
-                }
+            // 3. Créer un snapshot VSS par volume des dossiers sauvegardés
+            const folders = await this.getDynamicFolders(options);
+            const vss = await this.prepareVSSSnapshots(folders, options);
+            if (options.useVSS !== false && !vss.crashConsistent) {
+                logger.warn(`VSS non disponible pour backup incrémentiel, lecture directe de: ${vss.liveFolders.join(', ')}`);
             }
             
             // 4. Backup incrémentiel des dossiers avec détection dynamique
-            const folders = await this.getDynamicFolders(options);
-            
+            const manifest = { roots: [], paths: [] };
             const folderResults = await this.performIncrementalFolderBackup(
-                folders, backupPath, lastBackupPath, lastBackupTime, backupId
+                folders, backupPath, lastBackupPath, lastBackupTime, backupId, { manifest, vssSnapshots: vss.snapshots }
             );
+            await this.releaseVSSSnapshots();
             
             // 5. Backup du registre (seulement si modifié)
             const registryPath = path.join(backupPath, 'registry');
@@ -1019,12 +1476,14 @@ class WindowsBackupClient {
                 clientName: this.config.name,
                 clientHost: this.config.host,
                 timestamp: new Date().toISOString(),
-                type: 'incremental',
+                type: backupType,
                 baseBackup: lastMetadata.backupId,
+                baseBackupType: lastMetadata.type,
                 baseBackupTime: lastBackupTime.toISOString(),
                 folders: folderResults,
                 systemInfo,
-                shadowId
+                vss: this.summarizeVSS(vss),
+                throttle: this.throttle
             };
             
             await fs.writeFile(
@@ -1036,14 +1495,16 @@ class WindowsBackupClient {
             const totalFiles = folderResults.reduce((sum, f) => sum + (f.filesCount || 0), 0);
             const totalBytes = folderResults.reduce((sum, f) => sum + (f.bytesTransferred || 0), 0);
             
-            logger.info(`Backup incrémentiel terminé: ${totalFiles} fichiers modifiés, ${Math.round(totalBytes / (1024 * 1024))} MB`);
+            logger.info(`Backup ${backupType === 'differential' ? 'différentiel' : 'incrémentiel'} terminé: ${totalFiles} fichiers modifiés, ${Math.round(totalBytes / (1024 * 1024))} MB`);
+            this.localTempPaths.delete(backupPath);
             
             return {
                 success: true,
                 backupId,
                 path: backupPath,
-                type: 'incremental',
+                type: backupType,
                 baseBackup: lastMetadata.backupId,
+                manifest,
                 metadata: {
                     ...metadata,
                     totalFiles,
@@ -1056,6 +1517,7 @@ class WindowsBackupClient {
             logger.error(`Erreur lors du backup incrémentiel:`, error);
             throw error;
         } finally {
+            await this.releaseVSSSnapshots();
             await this.disconnect();
         }
     }
@@ -1096,8 +1558,17 @@ class WindowsBackupClient {
                 // Calculer les jours depuis le dernier backup
                 const daysSinceLastBackup = Math.ceil((new Date() - lastBackupTime) / (1000 * 60 * 60 * 24)) + 1;
                 
-                // Construire la commande robocopy avec exclusions
-                let robocopyCommand = `robocopy "${folder}" "${destPath}" /E /XO /MAXAGE:${daysSinceLastBackup} /R:3 /W:5 /MT:8`;
+                const sourcePath = this.resolveVSSPath(folder, options.vssSnapshots);
+                
+                if (options.manifest) {
+                    await this.listFolderFiles(sourcePath, `${this.config.name}/${folderName}`, options.manifest);
+                }
+                
+                // Construire la commande robocopy avec exclusions (priorité et débit du profil de limitation)
+                let robocopyCommand = `${throttling.getWindowsPriorityPrefix(this.throttle.priority)}robocopy "${sourcePath}" "${destPath}" /E /XO /MAXAGE:${daysSinceLastBackup} /R:3 /W:5 /MT:8`;
+                if (this.throttle.bandwidthMbps > 0) {
+                    robocopyCommand += ` /IPG:${throttling.getRobocopyIpg(this.throttle.bandwidthMbps)}`;
+                }
                 
                 // Ajouter les exclusions robocopy
                 const exclusionArgs = backupExclusions.getRobocopyExclusions(exclusions);
@@ -1152,6 +1623,7 @@ class WindowsBackupClient {
                 backupResults.push({
                     folder,
                     status: folderFiles > 0 ? 'success' : 'no_changes',
+                    source: sourcePath === folder ? 'live' : 'vss',
                     destination: destPath,
                     bytesTransferred: folderBytes,
                     filesCount: folderFiles,
@@ -1168,6 +1640,7 @@ class WindowsBackupClient {
                 }
                 
             } catch (error) {
+                this.throwIfCancelled();
                 logger.error(`Erreur lors du backup incrémentiel de ${folder}:`, error);
                 backupResults.push({
                     folder,
@@ -1196,7 +1669,8 @@ class WindowsBackupClient {
                     duration_seconds: Math.round(totalDuration),
                     files_count: totalFilesCount,
                     started_at: backupStartTime.toISOString(),
-                    completed_at: backupEndTime.toISOString()
+                    completed_at: backupEndTime.toISOString(),
+                    ...throttling.toNetworkStats(this.throttle)
                 });
                 
                 logger.info(`Statistiques incrémentiel sauvegardées: ${totalFilesCount} fichiers, ${Math.round(totalBytesTransferred / (1024 * 1024))} MB`);
@@ -1222,7 +1696,8 @@ class WindowsBackupClient {
                     files_excluded: totalFilesExcluded,
                     exclusions_stats: JSON.stringify(exclusionStats),
                     started_at: backupStartTime.toISOString(),
-                    completed_at: backupEndTime.toISOString()
+                    completed_at: backupEndTime.toISOString(),
+                    ...throttling.toNetworkStats(this.throttle)
                 });
                 
                 logger.info(`Statistiques sauvegardées: ${totalFilesCount} fichiers, ${totalFilesExcluded} exclus, ${Math.round(totalBytesTransferred / (1024 * 1024))} MB`);
@@ -1234,6 +1709,107 @@ class WindowsBackupClient {
         return backupResults;
     }
 
+    /**
+     * Chemin Windows -> chemin SFTP d'OpenSSH (C:\Users\x -> /C:/Users/x)
+     */
+    toSftpPath(windowsPath) {
+        const normalized = windowsPath.replace(/\\/g, '/');
+        return /^[a-zA-Z]:/.test(normalized) ? `/${normalized}` : normalized;
+    }
+
+    sftpStat(sftp, remotePath) {
+        return new Promise((resolve) => {
+            sftp.stat(remotePath, (error, stats) => resolve(error ? null : stats));
+        });
+    }
+
+    /**
+     * Restaure des fichiers sur le client par SFTP
+     * @param {Array} entries - [{ path, localPath, remotePath }] chemins Windows absolus
+     * @param {Object} options - { conflictPolicy }
+     * @returns {Promise<{restored: Array, skipped: Array, renamed: Array, errors: Array}>}
+     */
+    async restoreFiles(entries, options = {}) {
+        const { getRestoreStamp, restoredName } = require('../utils/restore-selection');
+        const policy = options.conflictPolicy || 'overwrite';
+        const outcome = { restored: [], skipped: [], renamed: [], errors: [] };
+        const stamp = getRestoreStamp();
+        const createdDirs = new Set();
+
+        this.clientLogger.info(`📤 Envoi de ${entries.length} fichier(s) vers ${this.config.host} par SFTP (politique: ${policy})`);
+        const sftp = await this.ssh.requestSFTP();
+
+        try {
+            for (const entry of entries) {
+                try {
+                    let target = this.toSftpPath(entry.remotePath);
+                    if (await this.sftpStat(sftp, target)) {
+                        if (policy === 'skip') {
+                            outcome.skipped.push(entry.path);
+                            continue;
+                        }
+                        if (policy === 'rename') {
+                            let attempt = 0;
+                            let candidate = restoredName(target, stamp);
+                            while (await this.sftpStat(sftp, candidate)) {
+                                candidate = restoredName(target, stamp, ++attempt);
+                            }
+                            target = candidate;
+                            outcome.renamed.push({ path: entry.path, restoredAs: target.replace(/^\//, '') });
+                        }
+                    }
+
+                    const remoteDir = path.posix.dirname(target);
+                    if (!createdDirs.has(remoteDir)) {
+                        await this.ssh.mkdir(remoteDir, 'sftp', sftp);
+                        createdDirs.add(remoteDir);
+                    }
+
+                    await this.ssh.putFile(entry.localPath, target, sftp);
+                    outcome.restored.push(target.replace(/^\//, ''));
+                } catch (error) {
+                    outcome.errors.push(`${entry.remotePath}: ${error.message}`);
+                }
+            }
+        } finally {
+            sftp.end();
+        }
+
+        this.clientLogger.info(`✅ ${outcome.restored.length} fichier(s) restauré(s) sur ${this.config.host}, ${outcome.skipped.length} ignoré(s), ${outcome.errors.length} erreur(s)`);
+        return outcome;
+    }
+
+    /**
+     * Inventaire complet d'un dossier du client (chemins du catalogue): permet de détecter les suppressions
+     * @param {string} folder - Dossier Windows
+     * @param {string} prefix - Dossier correspondant dans le backup
+     * @param {Object} manifest - { roots, paths } complété par l'inventaire
+     */
+    async listFolderFiles(folder, prefix, manifest) {
+        const baseFolder = folder.replace(/[\\/]+$/, '');
+        try {
+            // Inventaire partiel (dossier inaccessible...): échec, aucune suppression enregistrée pour ce dossier
+            const result = await this.ssh.execCommand(
+                `powershell -Command "$files = Get-ChildItem -LiteralPath '${baseFolder}' -Recurse -File -Force -ErrorAction SilentlyContinue -ErrorVariable listErrors; ` +
+                `if ($listErrors.Count -gt 0) { [Console]::Error.WriteLine($listErrors[0].ToString()); exit 1 }; ` +
+                '$files | ForEach-Object { $_.FullName }"'
+            );
+            if (result.code !== 0) {
+                throw new Error(result.stderr || `code ${result.code}`);
+            }
+
+            for (const line of result.stdout.split(/\r?\n/)) {
+                if (line.toLowerCase().startsWith(`${baseFolder.toLowerCase()}\\`)) {
+                    manifest.paths.push(`${prefix}/${line.substring(baseFolder.length + 1).replace(/\\/g, '/')}`);
+                }
+            }
+            manifest.roots.push(prefix);
+        } catch (error) {
+            this.throwIfCancelled();
+            logger.warn(`Inventaire de ${folder} impossible, suppressions non détectées: ${error.message}`);
+        }
+    }
+
     /**
      * Parser la sortie robocopy pour extraire les statistiques
      */
@@ -21,6 +21,7 @@ const backupVerifyRoutes = require('./api/backup-verify');
 const messagingRoutes = require('./api/messaging');
 const sslRoutes = require('./api/ssl');
 const usersRoutes = require('./api/users');
+const storageRoutes = require('./api/storage');
 const { notificationService } = require('./utils/notification');
 const { messagingService } = require('./utils/messaging');
 
@@ -122,6 +123,9 @@ app.use('/api/ssl', sslRoutes);
 // Routes de gestion des utilisateurs
 app.use('/api/users', usersRoutes);
 
+// Routes des destinations de stockage des backups (disque, SFTP, S3)
+app.use('/api/storage', storageRoutes);
+
 // Middleware global de gestion d'erreurs
 app.use((err, req, res, next) => {
     logger.error('Erreur serveur:', err);
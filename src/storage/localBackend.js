@@ -0,0 +1,107 @@
+/**
+ * Destination de stockage sur un disque du serveur (disque secondaire, NAS monté, disque amovible)
+ * Configuration: { path } (dossier racine absolu)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class LocalStorageBackend {
+    constructor(config = {}, name = 'local') {
+        this.name = name;
+        this.root = path.resolve(config.path || process.env.BACKUP_PATH || '/var/backups/efc');
+    }
+
+    static validate(config) {
+        if (!config.path || !path.isAbsolute(config.path)) {
+            return 'path doit être un chemin absolu sur le serveur';
+        }
+        return null;
+    }
+
+    describe() {
+        return `local:${this.root}`;
+    }
+
+    /**
+     * Chemin d'une clé, sans sortir du dossier racine
+     */
+    resolve(key) {
+        const target = path.resolve(this.root, key);
+        if (target !== this.root && !target.startsWith(`${this.root}${path.sep}`)) {
+            throw new Error(`Clé de stockage invalide: ${key}`);
+        }
+        return target;
+    }
+
+    async upload(localFile, key) {
+        const target = this.resolve(key);
+        await fs.promises.mkdir(path.dirname(target), { recursive: true });
+        await fs.promises.copyFile(localFile, target);
+    }
+
+    async download(key, localFile) {
+        await fs.promises.copyFile(this.resolve(key), localFile);
+    }
+
+    async openReadStream(key) {
+        const target = this.resolve(key);
+        const stats = await fs.promises.stat(target);
+        return { stream: fs.createReadStream(target), size: stats.size };
+    }
+
+    async stat(key) {
+        try {
+            const stats = await fs.promises.stat(this.resolve(key));
+            return stats.isFile() ? { size: stats.size, mtime: stats.mtime } : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async list(prefix) {
+        const objects = [];
+        const walk = async (dirPath) => {
+            let entries;
+            try {
+                entries = await fs.promises.readdir(dirPath, { withFileTypes: true });
+            } catch (error) {
+                return;
+            }
+            for (const entry of entries) {
+                const fullPath = path.join(dirPath, entry.name);
+                if (entry.isDirectory()) {
+                    await walk(fullPath);
+                } else if (entry.isFile()) {
+                    const stats = await fs.promises.stat(fullPath);
+                    objects.push({ key: path.relative(this.root, fullPath).split(path.sep).join('/'), size: stats.size, mtime: stats.mtime });
+                }
+            }
+        };
+
+        // Préfixe d'un dossier (terminé par /) ou début de nom de fichier
+        const base = prefix.endsWith('/') ? this.resolve(prefix) : path.dirname(this.resolve(prefix));
+        await walk(base);
+        return objects.filter(object => object.key.startsWith(prefix));
+    }
+
+    async remove(key) {
+        const target = this.resolve(key);
+        await fs.promises.rm(target, { force: true });
+
+        // Dossiers devenus vides jusqu'à la racine
+        let dirPath = path.dirname(target);
+        while (dirPath !== this.root && dirPath.startsWith(this.root)) {
+            try {
+                await fs.promises.rmdir(dirPath);
+            } catch (error) {
+                break;
+            }
+            dirPath = path.dirname(dirPath);
+        }
+    }
+
+    async close() {}
+}
+
+module.exports = LocalStorageBackend;
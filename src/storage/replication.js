@@ -0,0 +1,316 @@
+/**
+ * Réplication des backups vers des destinations secondaires (règle 3-2-1: trois copies, deux supports, une hors site)
+ * Un backup terminé est copié en arrière-plan vers les destinations de réplication de son client
+ * (colonne replication_destinations, sinon REPLICATION_DESTINATIONS). Chaque copie a son état dans backup_replicas:
+ * pending (en attente ou en cours), copied (envoyée), verified (taille de chaque fichier relue sur la destination),
+ * failed (nouvelle tentative au nettoyage suivant, REPLICATION_MAX_ATTEMPTS fois au plus) et expired.
+ * Rétention propre à chaque destination (retention_days, sinon RETENTION_DAYS). Quand l'emplacement principal
+ * d'un backup expire, une copie restante devient son emplacement: le backup reste restaurable depuis celle-ci.
+ */
+
+const { logger } = require('../utils/logger');
+const {
+    getBackup,
+    getStorageDestinationByName,
+    queueBackupReplica,
+    updateBackupReplica,
+    getBackupReplica,
+    getBackupReplicas,
+    setBackupStorage,
+    logActivity,
+    REPLICA_LIVE_STATUSES
+} = require('../utils/database');
+const { BackupJobQueue } = require('../utils/job-queue');
+const { backupChain } = require('../utils/backup-chain');
+const { storageManager, LOCAL_DESTINATION } = require('./storageManager');
+
+class ReplicationService {
+    constructor() {
+        // Copies exécutées une à une par destination, en parallèle de REPLICATION_CONCURRENCY au plus
+        this.queue = new BackupJobQueue();
+        this.queue.setLimits({
+            maxParallel: parseInt(process.env.REPLICATION_CONCURRENCY) || 1,
+            destinationLimits: { default: 1 }
+        });
+        this.scheduled = new Set();
+    }
+
+    getMaxAttempts() {
+        return parseInt(process.env.REPLICATION_MAX_ATTEMPTS) || 3;
+    }
+
+    /**
+     * Liste de destinations: tableau JSON ou noms séparés par des virgules
+     */
+    parseDestinations(value) {
+        if (!value) return [];
+        if (Array.isArray(value)) return value;
+        try {
+            if (value.trim().startsWith('[')) {
+                return JSON.parse(value);
+            }
+        } catch (error) {
+            logger.warn(`Destinations de réplication illisibles: ${error.message}`);
+            return [];
+        }
+        return value.split(',').map(name => name.trim()).filter(Boolean);
+    }
+
+    /**
+     * Destinations de réplication d'un client, hors destination principale du backup
+     */
+    getTargets(client, backup = null) {
+        const configured = client && client.replication_destinations !== null && client.replication_destinations !== undefined
+            ? this.parseDestinations(client.replication_destinations)
+            : this.parseDestinations(process.env.REPLICATION_DESTINATIONS || '');
+
+        return [...new Set(configured)].filter(name =>
+            name !== LOCAL_DESTINATION && (!backup || name !== backup.storage)
+        );
+    }
+
+    /**
+     * Crée les copies en attente d'un backup terminé et les lance en arrière-plan
+     * @returns {Promise<Array<string>>} Destinations ciblées
+     */
+    async replicateBackup(backupId, client) {
+        const backup = await getBackup(backupId);
+        if (!backup || backup.status !== 'completed' || !backup.path) return [];
+
+        const targets = this.getTargets(client, backup);
+        for (const destination of targets) {
+            await queueBackupReplica(backup.backup_id, backup.client_name, destination);
+        }
+        if (targets.length > 0) {
+            logger.info(`Réplication du backup ${backupId} prévue vers: ${targets.join(', ')}`);
+            await this.schedulePending({ backup_id: backupId });
+        }
+        return targets;
+    }
+
+    /**
+     * Relance une copie (nouvelle destination, copie échouée ou expirée)
+     */
+    async requestReplica(backup, destination) {
+        await queueBackupReplica(backup.backup_id, backup.client_name, destination);
+        await this.schedulePending({ backup_id: backup.backup_id, destination });
+    }
+
+    /**
+     * Met dans la file les copies en attente (démarrage du serveur, nouveau backup)
+     */
+    async schedulePending(filters = {}) {
+        const replicas = await getBackupReplicas({ ...filters, status: 'pending' });
+        for (const replica of replicas) {
+            this.schedule(replica);
+        }
+        return replicas.length;
+    }
+
+    schedule(replica) {
+        if (this.scheduled.has(replica.id)) return;
+        this.scheduled.add(replica.id);
+
+        this.queue.enqueue({
+            id: `replica_${replica.id}`,
+            clientName: `${replica.client_name} -> ${replica.destination}`,
+            type: 'replication',
+            priority: 'low',
+            destination: replica.destination,
+            triggeredBy: 'replication',
+            run: () => this.copyReplica(replica.id)
+        }).catch((error) => {
+            logger.error(`Réplication ${replica.backup_id} -> ${replica.destination} interrompue: ${error.message}`);
+        }).finally(() => {
+            this.scheduled.delete(replica.id);
+        });
+    }
+
+    /**
+     * Copie un backup vers une destination secondaire puis relit la copie
+     */
+    async copyReplica(replicaId) {
+        const replica = await getBackupReplica(replicaId);
+        if (!replica || replica.status !== 'pending') return;
+
+        const attempts = (replica.attempts || 0) + 1;
+        const backup = await getBackup(replica.backup_id);
+        if (!backup || backup.status !== 'completed' || !backup.path) {
+            await updateBackupReplica(replica.id, { status: 'failed', attempts, error_message: 'Backup indisponible (non terminé ou expiré)' });
+            return;
+        }
+
+        const startTime = Date.now();
+        let local = null;
+        let stored = null;
+        try {
+            await updateBackupReplica(replica.id, { attempts });
+            local = await storageManager.materialize(backup);
+
+            const target = { clientName: backup.client_name, backupId: backup.backup_id };
+            stored = await storageManager.uploadBackup(local.path, replica.destination, target);
+            await updateBackupReplica(replica.id, {
+                status: 'copied',
+                path: stored.path,
+                size_bytes: stored.bytes,
+                error_message: null,
+                copied_at: new Date().toISOString()
+            });
+
+            if (process.env.REPLICATION_VERIFY !== 'false') {
+                const problems = await storageManager.verifyUpload(local.path, replica.destination, target);
+                if (problems.length > 0) {
+                    throw new Error(`Copie non conforme: ${problems.slice(0, 5).join(', ')}`);
+                }
+                await updateBackupReplica(replica.id, { status: 'verified', verified_at: new Date().toISOString() });
+            }
+
+            logger.info(`Backup ${backup.backup_id} répliqué vers ${replica.destination} en ${Math.round((Date.now() - startTime) / 1000)}s`);
+            await logActivity('BACKUP_REPLICATED', backup.client_name, backup.backup_id, null, {
+                destination: replica.destination,
+                path: stored.path,
+                bytes: stored.bytes,
+                verified: process.env.REPLICATION_VERIFY !== 'false'
+            });
+        } catch (error) {
+            logger.error(`Réplication du backup ${backup.backup_id} vers ${replica.destination} échouée (tentative ${attempts}/${this.getMaxAttempts()}): ${error.message}`);
+            // Copie non conforme: objets envoyés supprimés (rien ne les récupère si les tentatives s'épuisent)
+            if (stored) {
+                await storageManager.removeBackup({ backup_id: backup.backup_id, storage: replica.destination, path: stored.path })
+                    .catch(removeError => logger.warn(`Suppression de la copie non conforme ${backup.backup_id} sur ${replica.destination} impossible: ${removeError.message}`));
+            }
+            await updateBackupReplica(replica.id, { status: 'failed', path: null, size_bytes: null, error_message: error.message });
+            await logActivity('BACKUP_REPLICATION_FAILED', backup.client_name, backup.backup_id, null, {
+                destination: replica.destination,
+                attempts,
+                error: error.message
+            });
+        } finally {
+            if (local) await local.release();
+        }
+    }
+
+    /**
+     * Copie du backup en cours (ou en file): ses fichiers sont lus, la rétention doit l'attendre
+     */
+    async isReplicating(backupId) {
+        const replicas = await getBackupReplicas({ backup_id: backupId });
+        return replicas.some(replica => this.scheduled.has(replica.id));
+    }
+
+    /**
+     * Remet en attente les copies échouées qui n'ont pas épuisé leurs tentatives
+     */
+    async retryFailed() {
+        const failed = await getBackupReplicas({ status: 'failed' });
+        let retried = 0;
+        for (const replica of failed) {
+            if ((replica.attempts || 0) >= this.getMaxAttempts()) continue;
+            await queueBackupReplica(replica.backup_id, replica.client_name, replica.destination);
+            retried++;
+        }
+        if (retried > 0) {
+            logger.info(`${retried} réplication(s) échouée(s) relancée(s)`);
+            await this.schedulePending();
+        }
+        return retried;
+    }
+
+    async getRetentionDays(destinationName) {
+        const destination = await getStorageDestinationByName(destinationName);
+        return (destination && destination.retention_days) || parseInt(process.env.RETENTION_DAYS || '30');
+    }
+
+    /**
+     * Copie restante la plus sûre (vérifiée d'abord) pour remplacer l'emplacement principal d'un backup
+     */
+    pickReplica(replicas) {
+        return replicas.find(replica => replica.status === 'verified') || replicas[0] || null;
+    }
+
+    /**
+     * Emplacement principal expiré: le backup est rattaché à l'une de ses copies
+     * @returns {Promise<Object|null>} Copie retenue, null si le backup n'a aucune copie
+     */
+    async promoteReplica(backup, replicas) {
+        const replica = this.pickReplica(replicas.filter(candidate => candidate.destination !== backup.storage));
+        if (!replica) return null;
+
+        await setBackupStorage(backup.backup_id, replica.destination, replica.path);
+        logger.info(`Backup ${backup.backup_id}: emplacement principal expiré, conservé sur ${replica.destination}`);
+        return replica;
+    }
+
+    /**
+     * Rétention des copies, destination par destination
+     * Une copie expirée reste tant qu'une copie conservée sur la même destination en dépend (chaîne incrémentale).
+     * @param {Array} backups - Lignes de la table backups
+     * @returns {Promise<{removed: number, freedSpace: number, orphaned: Array}>} orphaned: backups sans plus aucun emplacement
+     */
+    async applyRetention(backups) {
+        const replicas = await getBackupReplicas({ status: REPLICA_LIVE_STATUSES });
+        const byDestination = new Map();
+        for (const replica of replicas) {
+            if (!byDestination.has(replica.destination)) byDestination.set(replica.destination, []);
+            byDestination.get(replica.destination).push(replica);
+        }
+
+        const result = { removed: 0, freedSpace: 0, orphaned: [] };
+        for (const [destination, destinationReplicas] of byDestination) {
+            const retentionDays = await this.getRetentionDays(destination);
+            const cutoffDate = new Date();
+            cutoffDate.setDate(cutoffDate.getDate() - retentionDays);
+
+            const replicaByBackup = new Map(destinationReplicas.map(replica => [replica.backup_id, replica]));
+            const replicatedBackups = backups.filter(backup => replicaByBackup.has(backup.backup_id));
+            const expiredBackups = backupChain.planRetention(replicatedBackups, cutoffDate);
+
+            for (const backup of expiredBackups) {
+                const replica = replicaByBackup.get(backup.backup_id);
+                // Copie en cours de vérification, ou source d'une réplication en cours
+                if (this.scheduled.has(replica.id)) continue;
+                if (backup.storage === destination && await this.isReplicating(backup.backup_id)) continue;
+
+                const location = { backup_id: backup.backup_id, storage: destination, path: replica.path };
+                try {
+                    const size = await storageManager.getSize(location);
+                    await storageManager.removeBackup(location);
+                    await updateBackupReplica(replica.id, { status: 'expired', expired_at: new Date().toISOString() });
+                    result.freedSpace += size;
+                    result.removed++;
+                    logger.info(`Copie du backup ${backup.backup_id} supprimée de ${destination} (rétention ${retentionDays} jours)`);
+                } catch (error) {
+                    logger.warn(`Suppression de la copie ${backup.backup_id} sur ${destination} impossible: ${error.message}`);
+                    continue;
+                }
+
+                // Copie devenue emplacement principal: rattachement à une autre copie, sinon backup expiré
+                if (backup.storage === destination) {
+                    const others = replicas.filter(candidate =>
+                        candidate.backup_id === backup.backup_id && candidate.destination !== destination
+                    );
+                    if (!(await this.promoteReplica(backup, others))) {
+                        result.orphaned.push(backup);
+                    }
+                }
+            }
+        }
+
+        return result;
+    }
+
+    getStatus() {
+        return {
+            running: this.queue.running.size,
+            queued: this.queue.getQueuedJobs().length
+        };
+    }
+}
+
+// Instance singleton
+const replication = new ReplicationService();
+
+module.exports = {
+    replication,
+    ReplicationService
+};
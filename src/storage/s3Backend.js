@@ -0,0 +1,79 @@
+/**
+ * Destination de stockage objet compatible S3 (AWS S3, MinIO...)
+ * Configuration: { endpoint, region, bucket, access_key_id, secret_access_key, prefix, force_path_style, part_size_mb }
+ * Les dossiers de backup sont stockés comme un objet par fichier sous le préfixe du backup.
+ */
+
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+const { S3Client } = require('./s3Client');
+
+class S3StorageBackend {
+    constructor(config = {}, name = 's3') {
+        this.name = name;
+        this.config = config;
+        this.prefix = (config.prefix || '').replace(/^\/+|\/+$/g, '');
+        this.client = new S3Client(config);
+    }
+
+    static validate(config) {
+        if (!config.bucket) return 'bucket requis';
+        if (!config.access_key_id || !config.secret_access_key) return 'access_key_id et secret_access_key requis';
+        if (config.endpoint) {
+            try {
+                const url = new URL(config.endpoint);
+                if (!['http:', 'https:'].includes(url.protocol)) {
+                    return 'endpoint doit être une URL http(s)';
+                }
+            } catch (error) {
+                return `endpoint invalide: ${config.endpoint}`;
+            }
+        }
+        if (config.part_size_mb !== undefined && (!Number.isInteger(config.part_size_mb) || config.part_size_mb < 5)) {
+            return 'part_size_mb doit être un entier d\'au moins 5 (Mo)';
+        }
+        return null;
+    }
+
+    describe() {
+        return `s3://${this.config.bucket}/${this.prefix}${this.config.endpoint ? ` (${this.config.endpoint})` : ''}`;
+    }
+
+    resolve(key) {
+        return this.prefix ? `${this.prefix}/${key}` : key;
+    }
+
+    relative(objectKey) {
+        return this.prefix ? objectKey.slice(this.prefix.length + 1) : objectKey;
+    }
+
+    async upload(localFile, key) {
+        await this.client.putFile(this.resolve(key), localFile);
+    }
+
+    async download(key, localFile) {
+        const { stream } = await this.client.getObjectStream(this.resolve(key));
+        await pipeline(stream, fs.createWriteStream(localFile));
+    }
+
+    async openReadStream(key) {
+        return await this.client.getObjectStream(this.resolve(key));
+    }
+
+    async stat(key) {
+        return await this.client.headObject(this.resolve(key));
+    }
+
+    async list(prefix) {
+        const objects = await this.client.listObjects(this.resolve(prefix));
+        return objects.map(object => ({ ...object, key: this.relative(object.key) }));
+    }
+
+    async remove(key) {
+        await this.client.deleteObject(this.resolve(key));
+    }
+
+    async close() {}
+}
+
+module.exports = S3StorageBackend;
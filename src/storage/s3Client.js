@@ -0,0 +1,298 @@
+/**
+ * Client S3 minimal (signature AWS v4) pour les stockages compatibles: AWS S3, MinIO, Ceph RGW, Wasabi...
+ * Opérations utilisées par le stockage des backups uniquement: envoi (multipart au-delà d'une partie),
+ * lecture en flux, métadonnées, liste par préfixe et suppression.
+ * Adressage par chemin (http://hôte/bucket/clé) par défaut, requis par MinIO; virtual-host en option.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+
+const EMPTY_PAYLOAD_HASH = crypto.createHash('sha256').update('').digest('hex');
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+
+// Taille minimale d'une partie imposée par S3 (sauf la dernière): 5 Mo
+const MIN_PART_SIZE = 5 * 1024 * 1024;
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function hmac(key, value) {
+    return crypto.createHmac('sha256', key).update(value).digest();
+}
+
+// Encodage RFC 3986 exigé par la signature v4
+function encodeRfc3986(value) {
+    return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function decodeXml(value) {
+    return value
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, '\'')
+        .replace(/&amp;/g, '&');
+}
+
+function readXmlTag(xml, tag) {
+    const match = xml.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`));
+    return match ? decodeXml(match[1]) : null;
+}
+
+function readBody(response) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        response.on('data', chunk => chunks.push(chunk));
+        response.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        response.on('error', reject);
+    });
+}
+
+class S3Client {
+    /**
+     * @param {Object} config - { endpoint, region, bucket, access_key_id, secret_access_key, force_path_style, part_size_mb }
+     */
+    constructor(config) {
+        this.endpoint = new URL(config.endpoint || `https://s3.${config.region || 'us-east-1'}.amazonaws.com`);
+        this.region = config.region || 'us-east-1';
+        this.bucket = config.bucket;
+        this.accessKeyId = config.access_key_id;
+        this.secretAccessKey = config.secret_access_key;
+        this.forcePathStyle = config.force_path_style !== false;
+        this.partSize = Math.max((parseInt(config.part_size_mb) || 64) * 1024 * 1024, MIN_PART_SIZE);
+    }
+
+    /**
+     * Hôte et chemin d'un objet selon le mode d'adressage
+     */
+    getLocation(key) {
+        const encodedKey = key ? key.split('/').map(encodeRfc3986).join('/') : '';
+        if (this.forcePathStyle) {
+            return { host: this.endpoint.host, path: `/${this.bucket}/${encodedKey}` };
+        }
+        return { host: `${this.bucket}.${this.endpoint.host}`, path: `/${encodedKey}` };
+    }
+
+    /**
+     * En-têtes signés (AWS Signature Version 4) d'une requête
+     * @param {Object} request - { method, host, path, query, headers, payloadHash }
+     * @param {Date} date - Date de la requête
+     * @returns {Object} En-têtes à envoyer, Authorization compris
+     */
+    sign({ method, host, path, query = {}, headers = {}, payloadHash }, date = new Date()) {
+        const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+        const dateStamp = amzDate.slice(0, 8);
+        const scope = `${dateStamp}/${this.region}/s3/aws4_request`;
+
+        const signedHeaders = {
+            ...headers,
+            host,
+            'x-amz-content-sha256': payloadHash,
+            'x-amz-date': amzDate
+        };
+        const headerNames = Object.keys(signedHeaders).map(name => name.toLowerCase()).sort();
+        const lowerHeaders = Object.fromEntries(Object.entries(signedHeaders).map(([name, value]) => [name.toLowerCase(), String(value).trim()]));
+
+        const canonicalRequest = [
+            method,
+            path,
+            this.buildQuery(query),
+            headerNames.map(name => `${name}:${lowerHeaders[name]}\n`).join(''),
+            headerNames.join(';'),
+            payloadHash
+        ].join('\n');
+
+        const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+        const signingKey = ['aws4_request'].reduce(
+            (key, value) => hmac(key, value),
+            hmac(hmac(hmac(`AWS4${this.secretAccessKey}`, dateStamp), this.region), 's3')
+        );
+        const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+        return {
+            ...signedHeaders,
+            Authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${headerNames.join(';')}, Signature=${signature}`
+        };
+    }
+
+    buildQuery(query) {
+        return Object.keys(query).sort()
+            .map(name => `${encodeRfc3986(name)}=${encodeRfc3986(String(query[name]))}`)
+            .join('&');
+    }
+
+    /**
+     * Envoie une requête signée
+     * @param {string} method - Méthode HTTP
+     * @param {string} key - Clé de l'objet ('' pour le bucket)
+     * @param {Object} options - { query, headers, body (Buffer ou flux), payloadHash }
+     * @returns {Promise<IncomingMessage>} Réponse (corps non lu)
+     */
+    request(method, key, options = {}) {
+        const { host, path } = this.getLocation(key);
+        const query = options.query || {};
+        const body = options.body || null;
+        const payloadHash = options.payloadHash || (Buffer.isBuffer(body) ? sha256(body) : (body ? UNSIGNED_PAYLOAD : EMPTY_PAYLOAD_HASH));
+        const headers = this.sign({ method, host, path, query, headers: options.headers || {}, payloadHash });
+        if (Buffer.isBuffer(body)) {
+            headers['Content-Length'] = body.length;
+        }
+
+        const queryString = this.buildQuery(query);
+        const transport = this.endpoint.protocol === 'http:' ? http : https;
+
+        return new Promise((resolve, reject) => {
+            const request = transport.request({
+                method,
+                protocol: this.endpoint.protocol,
+                hostname: this.forcePathStyle ? this.endpoint.hostname : `${this.bucket}.${this.endpoint.hostname}`,
+                port: this.endpoint.port || undefined,
+                path: queryString ? `${path}?${queryString}` : path,
+                headers
+            }, resolve);
+
+            request.on('error', reject);
+            if (body && typeof body.pipe === 'function') {
+                body.on('error', (error) => request.destroy(error));
+                body.pipe(request);
+            } else {
+                request.end(body || undefined);
+            }
+        });
+    }
+
+    /**
+     * Requête dont le corps de réponse est lu; erreur S3 levée pour un statut >= 300
+     * @returns {Promise<{statusCode: number, headers: Object, body: string}>}
+     */
+    async send(method, key, options = {}) {
+        const response = await this.request(method, key, options);
+        const body = await readBody(response);
+        if (response.statusCode >= 300) {
+            throw this.createError(method, key, response.statusCode, body);
+        }
+        return { statusCode: response.statusCode, headers: response.headers, body };
+    }
+
+    createError(method, key, statusCode, body) {
+        const code = (body && readXmlTag(body, 'Code')) || `HTTP ${statusCode}`;
+        const message = (body && readXmlTag(body, 'Message')) || '';
+        const error = new Error(`S3 ${method} ${this.bucket}/${key}: ${code}${message ? ` (${message})` : ''}`);
+        error.code = code;
+        error.statusCode = statusCode;
+        return error;
+    }
+
+    /**
+     * Envoie un fichier local (multipart au-delà d'une partie)
+     */
+    async putFile(key, filePath) {
+        const { size } = await fs.promises.stat(filePath);
+        if (size <= this.partSize) {
+            await this.send('PUT', key, {
+                body: fs.createReadStream(filePath),
+                headers: { 'Content-Length': size }
+            });
+            return;
+        }
+
+        const { body } = await this.send('POST', key, { query: { uploads: '' } });
+        const uploadId = readXmlTag(body, 'UploadId');
+        if (!uploadId) {
+            throw new Error(`S3 ${this.bucket}/${key}: envoi multipart refusé (UploadId absent)`);
+        }
+
+        try {
+            const parts = [];
+            for (let start = 0, partNumber = 1; start < size; start += this.partSize, partNumber++) {
+                const end = Math.min(start + this.partSize, size) - 1;
+                const response = await this.send('PUT', key, {
+                    query: { partNumber, uploadId },
+                    body: fs.createReadStream(filePath, { start, end }),
+                    headers: { 'Content-Length': end - start + 1 }
+                });
+                parts.push({ partNumber, etag: response.headers.etag });
+            }
+
+            const completion = Buffer.from(
+                `<CompleteMultipartUpload>${parts.map(part => `<Part><PartNumber>${part.partNumber}</PartNumber><ETag>${part.etag}</ETag></Part>`).join('')}</CompleteMultipartUpload>`
+            );
+            const result = await this.send('POST', key, { query: { uploadId }, body: completion });
+            // Erreur possible avec un statut 200: le corps de la réponse fait foi
+            if (result.body.includes('<Error>')) {
+                throw this.createError('POST', key, 200, result.body);
+            }
+        } catch (error) {
+            await this.send('DELETE', key, { query: { uploadId } }).catch(() => {});
+            throw error;
+        }
+    }
+
+    /**
+     * Flux de lecture d'un objet
+     * @returns {Promise<{stream: IncomingMessage, size: number}>}
+     */
+    async getObjectStream(key) {
+        const response = await this.request('GET', key);
+        if (response.statusCode >= 300) {
+            throw this.createError('GET', key, response.statusCode, await readBody(response));
+        }
+        return { stream: response, size: parseInt(response.headers['content-length']) || 0 };
+    }
+
+    /**
+     * @returns {Promise<{size: number, mtime: Date}|null>} null si l'objet n'existe pas
+     */
+    async headObject(key) {
+        const response = await this.request('HEAD', key);
+        response.resume();
+        if (response.statusCode === 404) return null;
+        if (response.statusCode >= 300) {
+            throw this.createError('HEAD', key, response.statusCode, '');
+        }
+        return {
+            size: parseInt(response.headers['content-length']) || 0,
+            mtime: new Date(response.headers['last-modified'])
+        };
+    }
+
+    async deleteObject(key) {
+        await this.send('DELETE', key);
+    }
+
+    /**
+     * Objets dont la clé commence par le préfixe (toutes les pages de ListObjectsV2)
+     * @returns {Promise<Array<{key: string, size: number, mtime: Date}>>}
+     */
+    async listObjects(prefix) {
+        const objects = [];
+        let continuationToken = null;
+
+        do {
+            const query = { 'list-type': 2, prefix };
+            if (continuationToken) query['continuation-token'] = continuationToken;
+
+            const { body } = await this.send('GET', '', { query });
+            for (const [, content] of body.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+                objects.push({
+                    key: readXmlTag(content, 'Key'),
+                    size: parseInt(readXmlTag(content, 'Size')) || 0,
+                    mtime: new Date(readXmlTag(content, 'LastModified'))
+                });
+            }
+            continuationToken = readXmlTag(body, 'IsTruncated') === 'true' ? readXmlTag(body, 'NextContinuationToken') : null;
+        } while (continuationToken);
+
+        return objects;
+    }
+}
+
+module.exports = {
+    S3Client,
+    UNSIGNED_PAYLOAD,
+    EMPTY_PAYLOAD_HASH
+};
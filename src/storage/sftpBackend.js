@@ -0,0 +1,188 @@
+/**
+ * Destination de stockage sur un serveur SFTP
+ * Configuration: { host, port, username, auth_method, password | private_key (+ passphrase), path }
+ * Authentification identique à celle des clients (mot de passe, clé privée ou ssh-agent).
+ * Une connexion est ouverte à la première opération et réutilisée jusqu'à close().
+ */
+
+const path = require('path').posix;
+const { Client } = require('ssh2');
+const { buildSshAuthOptions, AUTH_METHODS } = require('../utils/ssh-auth');
+
+// Codes SFTP (ssh2): fichier inexistant
+const SFTP_NO_SUCH_FILE = 2;
+
+class SftpStorageBackend {
+    constructor(config = {}, name = 'sftp') {
+        this.name = name;
+        this.config = config;
+        this.root = config.path || '.';
+        this.connection = null;
+        this.sftp = null;
+    }
+
+    static validate(config) {
+        if (!config.host) return 'host requis';
+        if (!config.username) return 'username requis';
+        if (config.port !== undefined && (!Number.isInteger(config.port) || config.port < 1 || config.port > 65535)) {
+            return 'port doit être un entier de 1 à 65535';
+        }
+        if (config.auth_method && !AUTH_METHODS.includes(config.auth_method)) {
+            return `auth_method invalide: ${config.auth_method} (${AUTH_METHODS.join(', ')})`;
+        }
+        if ((config.auth_method || 'password') === 'password' && !config.password) {
+            return 'password requis pour l\'authentification par mot de passe';
+        }
+        if (config.auth_method === 'key' && !config.private_key) {
+            return 'private_key requis pour l\'authentification par clé';
+        }
+        return null;
+    }
+
+    describe() {
+        return `sftp://${this.config.username}@${this.config.host}:${this.config.port || 22}/${this.root.replace(/^\//, '')}`;
+    }
+
+    resolve(key) {
+        return path.join(this.root, key);
+    }
+
+    /**
+     * Session SFTP (connexion SSH ouverte au besoin, partagée par les opérations simultanées)
+     */
+    getSftp() {
+        if (this.sftp) return this.sftp;
+
+        const connection = new Client();
+        this.connection = connection;
+        this.sftp = new Promise((resolve, reject) => {
+            connection.on('ready', () => {
+                connection.sftp((error, sftp) => (error ? reject(error) : resolve(sftp)));
+            });
+            connection.on('error', reject);
+            connection.connect({
+                host: this.config.host,
+                port: this.config.port || 22,
+                username: this.config.username,
+                readyTimeout: 30000,
+                keepaliveInterval: 10000,
+                ...buildSshAuthOptions(this.config)
+            });
+        });
+        connection.on('close', () => {
+            if (this.connection === connection) {
+                this.connection = null;
+                this.sftp = null;
+            }
+        });
+        // Échec de connexion: la prochaine opération retente
+        this.sftp.catch(() => {
+            if (this.connection === connection) {
+                this.connection = null;
+                this.sftp = null;
+            }
+        });
+        return this.sftp;
+    }
+
+    call(method, ...args) {
+        return this.getSftp().then(sftp => new Promise((resolve, reject) => {
+            sftp[method](...args, (error, result) => (error ? reject(error) : resolve(result)));
+        }));
+    }
+
+    async mkdirp(dirPath) {
+        const segments = dirPath.split('/').filter(Boolean);
+        let current = dirPath.startsWith('/') ? '/' : '';
+        for (const segment of segments) {
+            current = current ? path.join(current, segment) : segment;
+            try {
+                await this.call('stat', current);
+            } catch (error) {
+                if (error.code !== SFTP_NO_SUCH_FILE) throw error;
+                await this.call('mkdir', current);
+            }
+        }
+    }
+
+    async upload(localFile, key) {
+        const target = this.resolve(key);
+        await this.mkdirp(path.dirname(target));
+        await this.call('fastPut', localFile, target);
+    }
+
+    async download(key, localFile) {
+        await this.call('fastGet', this.resolve(key), localFile);
+    }
+
+    async openReadStream(key) {
+        const target = this.resolve(key);
+        const stats = await this.call('stat', target);
+        const sftp = await this.getSftp();
+        return { stream: sftp.createReadStream(target), size: stats.size };
+    }
+
+    async stat(key) {
+        try {
+            const stats = await this.call('stat', this.resolve(key));
+            return stats.isFile() ? { size: stats.size, mtime: new Date(stats.mtime * 1000) } : null;
+        } catch (error) {
+            if (error.code === SFTP_NO_SUCH_FILE) return null;
+            throw error;
+        }
+    }
+
+    async list(prefix) {
+        const objects = [];
+        const walk = async (dirPath) => {
+            let entries;
+            try {
+                entries = await this.call('readdir', dirPath);
+            } catch (error) {
+                if (error.code === SFTP_NO_SUCH_FILE) return;
+                throw error;
+            }
+            for (const entry of entries) {
+                const fullPath = path.join(dirPath, entry.filename);
+                if (entry.attrs.isDirectory()) {
+                    await walk(fullPath);
+                } else if (entry.attrs.isFile()) {
+                    objects.push({ key: path.relative(this.root, fullPath), size: entry.attrs.size, mtime: new Date(entry.attrs.mtime * 1000) });
+                }
+            }
+        };
+
+        await walk(prefix.endsWith('/') ? this.resolve(prefix) : path.dirname(this.resolve(prefix)));
+        return objects.filter(object => object.key.startsWith(prefix));
+    }
+
+    async remove(key) {
+        const target = this.resolve(key);
+        try {
+            await this.call('unlink', target);
+        } catch (error) {
+            if (error.code !== SFTP_NO_SUCH_FILE) throw error;
+        }
+
+        // Dossiers devenus vides jusqu'à la racine
+        let dirPath = path.dirname(target);
+        while (dirPath !== path.normalize(this.root) && dirPath !== '.' && dirPath !== '/') {
+            try {
+                await this.call('rmdir', dirPath);
+            } catch (error) {
+                break;
+            }
+            dirPath = path.dirname(dirPath);
+        }
+    }
+
+    async close() {
+        if (this.connection) {
+            this.connection.end();
+        }
+        this.connection = null;
+        this.sftp = null;
+    }
+}
+
+module.exports = SftpStorageBackend;
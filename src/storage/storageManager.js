@@ -0,0 +1,455 @@
+/**
+ * Destinations de stockage des backups: disque du serveur, serveur SFTP ou stockage objet S3 (MinIO...)
+ * Les backups sont toujours produits dans BACKUP_PATH; un client rattaché à une destination (colonne
+ * storage_destination, sinon DEFAULT_STORAGE_DESTINATION) y voit ses backups envoyés une fois terminés,
+ * puis supprimés du disque local. La colonne storage du backup indique la destination et path la clé
+ * sous laquelle il est rangé (<client>/<backup_id>/<nom>, terminée par / pour un dossier).
+ * Sans destination, le backup reste dans BACKUP_PATH et path est un chemin local (comportement historique).
+ * Restauration, vérification et catalogue travaillent sur une copie locale temporaire (materialize);
+ * le téléchargement d'une archive est lu en flux depuis la destination.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { logger } = require('../utils/logger');
+const { getStorageDestinationByName } = require('../utils/database');
+const archiveVolumes = require('../utils/archive-volumes');
+const { compression } = require('../utils/compression');
+const LocalStorageBackend = require('./localBackend');
+const SftpStorageBackend = require('./sftpBackend');
+const S3StorageBackend = require('./s3Backend');
+
+const BACKENDS = {
+    local: LocalStorageBackend,
+    sftp: SftpStorageBackend,
+    s3: S3StorageBackend
+};
+
+const STORAGE_TYPES = Object.keys(BACKENDS);
+
+// Champs de configuration jamais renvoyés par l'API
+const SECRET_CONFIG_FIELDS = ['password', 'private_key', 'passphrase', 'secret_access_key'];
+
+// Nom réservé: disque local du serveur (BACKUP_PATH), pas d'envoi
+const LOCAL_DESTINATION = 'local';
+
+class StorageManager {
+    /**
+     * Vérifie une destination { type, config }
+     * @returns {string|null} Message d'erreur ou null si la destination est valide
+     */
+    validate(type, config) {
+        if (!BACKENDS[type]) {
+            return `Type de stockage invalide: ${type} (${STORAGE_TYPES.join(', ')})`;
+        }
+        if (!config || typeof config !== 'object' || Array.isArray(config)) {
+            return 'config doit être un objet';
+        }
+        return BACKENDS[type].validate(config);
+    }
+
+    /**
+     * Configuration renvoyée par l'API: secrets remplacés par has_<champ>
+     */
+    maskConfig(config = {}) {
+        const masked = { ...config };
+        for (const field of SECRET_CONFIG_FIELDS) {
+            if (field in masked) {
+                masked[`has_${field}`] = !!masked[field];
+                delete masked[field];
+            }
+        }
+        return masked;
+    }
+
+    /**
+     * Modification d'une configuration: les secrets absents de la requête sont conservés
+     */
+    mergeConfig(current = {}, updates = {}) {
+        const merged = { ...updates };
+        for (const field of SECRET_CONFIG_FIELDS) {
+            if (!merged[field] && current[field]) {
+                merged[field] = current[field];
+            }
+        }
+        return merged;
+    }
+
+    /**
+     * Destination d'un client (null: disque local)
+     */
+    getClientDestination(client) {
+        const name = (client && client.storage_destination) || process.env.DEFAULT_STORAGE_DESTINATION || null;
+        return name && name !== LOCAL_DESTINATION ? name : null;
+    }
+
+    isRemote(backup) {
+        return !!(backup && backup.storage);
+    }
+
+    isDirectoryKey(key) {
+        return typeof key === 'string' && key.endsWith('/');
+    }
+
+    createBackend(destination) {
+        return new BACKENDS[destination.type](destination.config, destination.name);
+    }
+
+    /**
+     * Ouvre une destination enregistrée, exécute fn puis ferme les connexions
+     */
+    async withBackend(name, fn) {
+        const destination = await getStorageDestinationByName(name);
+        if (!destination) {
+            throw new Error(`Destination de stockage inconnue: ${name}`);
+        }
+        if (!destination.active) {
+            throw new Error(`Destination de stockage désactivée: ${name}`);
+        }
+
+        const backend = this.createBackend(destination);
+        try {
+            return await fn(backend);
+        } finally {
+            await backend.close().catch(() => {});
+        }
+    }
+
+    /**
+     * Test d'une destination: envoi, lecture, liste et suppression d'un fichier témoin
+     * @returns {Promise<{location: string, duration_ms: number}>}
+     */
+    async testDestination(destination) {
+        const backend = this.createBackend(destination);
+        const probeKey = `.efc-storage-test/${Date.now()}.txt`;
+        const probeFile = path.join(process.env.TEMP_PATH || os.tmpdir(), `efc-storage-test-${Date.now()}.txt`);
+        const startTime = Date.now();
+
+        try {
+            await fs.promises.mkdir(path.dirname(probeFile), { recursive: true });
+            await fs.promises.writeFile(probeFile, `EFC Backup ${new Date().toISOString()}\n`);
+            const { size } = await fs.promises.stat(probeFile);
+
+            await backend.upload(probeFile, probeKey);
+            const stats = await backend.stat(probeKey);
+            if (!stats || stats.size !== size) {
+                throw new Error(`Fichier témoin relu avec une taille inattendue (${stats ? stats.size : 'absent'} au lieu de ${size})`);
+            }
+            const objects = await backend.list('.efc-storage-test/');
+            if (!objects.some(object => object.key === probeKey)) {
+                throw new Error('Fichier témoin absent de la liste de la destination');
+            }
+            await backend.remove(probeKey);
+
+            return { location: backend.describe(), duration_ms: Date.now() - startTime };
+        } finally {
+            await fs.promises.rm(probeFile, { force: true });
+            await backend.close().catch(() => {});
+        }
+    }
+
+    /**
+     * Préfixe des objets d'un backup sur sa destination
+     */
+    getBackupPrefix(clientName, backupId) {
+        return `${String(clientName).replace(/[^\w.-]/g, '_')}/${backupId}/`;
+    }
+
+    getStoredPrefix(key) {
+        return `${key.split('/').slice(0, 2).join('/')}/`;
+    }
+
+    /**
+     * Fichiers locaux d'un backup: arborescence d'un dossier, volumes et manifeste, ou archive seule
+     * @returns {Promise<Array<{file: string, relative: string}>>} relative: chemin sous le nom du backup
+     */
+    async collectLocalFiles(localPath) {
+        const name = path.basename(localPath);
+
+        if (archiveVolumes.isManifestPath(localPath)) {
+            const manifest = await archiveVolumes.readManifest(localPath);
+            return [
+                ...archiveVolumes.getVolumePaths(localPath, manifest).map(file => ({ file, relative: path.basename(file) })),
+                { file: localPath, relative: name }
+            ];
+        }
+
+        const stats = await fs.promises.stat(localPath);
+        if (!stats.isDirectory()) {
+            return [{ file: localPath, relative: name }];
+        }
+
+        const files = [];
+        const walk = async (dirPath) => {
+            for (const entry of await fs.promises.readdir(dirPath, { withFileTypes: true })) {
+                const fullPath = path.join(dirPath, entry.name);
+                if (entry.isDirectory()) {
+                    await walk(fullPath);
+                } else if (entry.isFile()) {
+                    files.push({ file: fullPath, relative: `${name}/${path.relative(localPath, fullPath).split(path.sep).join('/')}` });
+                }
+            }
+        };
+        await walk(localPath);
+        return files;
+    }
+
+    /**
+     * Envoie un backup terminé vers une destination puis le supprime du disque local
+     * @returns {Promise<{storage: string, path: string, files: number, bytes: number}>}
+     */
+    async storeBackup(localPath, destinationName, { clientName, backupId }) {
+        const stored = await this.uploadBackup(localPath, destinationName, { clientName, backupId });
+        await this.removeLocalPath(localPath);
+        return stored;
+    }
+
+    /**
+     * Copie les fichiers locaux d'un backup sous <client>/<backup_id>/ sur une destination
+     * Le manifeste d'une archive découpée est envoyé en dernier: sa présence atteste un envoi complet.
+     * @returns {Promise<{storage: string, path: string, files: number, bytes: number}>}
+     */
+    async uploadBackup(localPath, destinationName, { clientName, backupId }) {
+        const prefix = this.getBackupPrefix(clientName, backupId);
+        const files = await this.collectLocalFiles(localPath);
+        const isDirectory = (await fs.promises.stat(localPath)).isDirectory();
+        const startTime = Date.now();
+        let bytes = 0;
+
+        await this.withBackend(destinationName, async (backend) => {
+            logger.info(`Envoi du backup ${backupId} vers ${destinationName} (${backend.describe()}): ${files.length} fichier(s)`);
+            const uploaded = [];
+            try {
+                for (const { file, relative } of files) {
+                    await backend.upload(file, `${prefix}${relative}`);
+                    uploaded.push(`${prefix}${relative}`);
+                    bytes += (await fs.promises.stat(file)).size;
+                }
+            } catch (error) {
+                // Envoi partiel supprimé: le backup reste sur le disque local
+                for (const key of uploaded) {
+                    await backend.remove(key).catch(() => {});
+                }
+                throw error;
+            }
+        });
+
+        const key = `${prefix}${path.basename(localPath)}${isDirectory ? '/' : ''}`;
+        logger.info(`Backup ${backupId} envoyé vers ${destinationName}: ${Math.round(bytes / (1024 * 1024))} MB en ${Math.round((Date.now() - startTime) / 1000)}s`);
+        return { storage: destinationName, path: key, files: files.length, bytes };
+    }
+
+    /**
+     * Compare les fichiers locaux d'un backup aux objets envoyés (présence et taille de chaque fichier)
+     * @returns {Promise<Array<string>>} Problèmes constatés (vide: copie conforme)
+     */
+    async verifyUpload(localPath, destinationName, { clientName, backupId }) {
+        const prefix = this.getBackupPrefix(clientName, backupId);
+        const files = await this.collectLocalFiles(localPath);
+
+        return await this.withBackend(destinationName, async (backend) => {
+            const objects = new Map((await backend.list(prefix)).map(object => [object.key, object.size]));
+            const problems = [];
+            for (const { file, relative } of files) {
+                const { size } = await fs.promises.stat(file);
+                const stored = objects.get(`${prefix}${relative}`);
+                if (stored === undefined) {
+                    problems.push(`${relative}: absent de ${destinationName}`);
+                } else if (stored !== size) {
+                    problems.push(`${relative}: ${stored} octets au lieu de ${size}`);
+                }
+            }
+            return problems;
+        });
+    }
+
+    /**
+     * Copie locale d'un backup pour les outils qui lisent le disque (tar, catalogue, vérification)
+     * Un backup local est utilisé sur place. Les volumes absents de la destination ne sont pas copiés:
+     * la lecture de l'archive les signale comme manquants.
+     * @returns {Promise<{path: string, release: function(): Promise}>}
+     */
+    async materialize(backup) {
+        if (!this.isRemote(backup)) {
+            return { path: backup.path, release: async () => {} };
+        }
+
+        const tempRoot = process.env.TEMP_PATH || os.tmpdir();
+        await fs.promises.mkdir(tempRoot, { recursive: true });
+        const workDir = await fs.promises.mkdtemp(path.join(tempRoot, `efc-storage-${backup.backup_id}-`));
+        const release = () => fs.promises.rm(workDir, { recursive: true, force: true });
+
+        try {
+            const localPath = await this.withBackend(backup.storage, async (backend) => {
+                if (this.isDirectoryKey(backup.path)) {
+                    const root = path.join(workDir, path.posix.basename(backup.path));
+                    const objects = await backend.list(backup.path);
+                    if (objects.length === 0) {
+                        throw new Error(`Backup ${backup.backup_id} absent de ${backup.storage}: ${backup.path}`);
+                    }
+                    for (const object of objects) {
+                        const target = path.join(root, ...object.key.slice(backup.path.length).split('/'));
+                        await fs.promises.mkdir(path.dirname(target), { recursive: true });
+                        await backend.download(object.key, target);
+                    }
+                    await fs.promises.mkdir(root, { recursive: true });
+                    return root;
+                }
+
+                const target = path.join(workDir, path.posix.basename(backup.path));
+                await backend.download(backup.path, target);
+
+                if (archiveVolumes.isManifestPath(target)) {
+                    const manifest = await archiveVolumes.readManifest(target);
+                    const directory = path.posix.dirname(backup.path);
+                    for (const volume of manifest.volumes) {
+                        if (await backend.stat(`${directory}/${volume.name}`)) {
+                            await backend.download(`${directory}/${volume.name}`, path.join(workDir, volume.name));
+                        }
+                    }
+                }
+                return target;
+            });
+
+            logger.info(`Backup ${backup.backup_id} copié depuis ${backup.storage} pour lecture locale`);
+            return { path: localPath, release };
+        } catch (error) {
+            await release();
+            throw error;
+        }
+    }
+
+    /**
+     * Flux d'une archive (fichier, ou volumes d'une archive découpée réassemblés)
+     * Archive distante d'un seul tenant: lue directement depuis la destination.
+     * @returns {Promise<{stream: Readable, size: number, name: string, codec: string|null}>}
+     */
+    async openArchiveStream(backup) {
+        if (!this.isRemote(backup)) {
+            return await archiveVolumes.openReadStream(backup.path);
+        }
+
+        if (archiveVolumes.isManifestPath(backup.path)) {
+            const local = await this.materialize(backup);
+            try {
+                const archive = await archiveVolumes.openReadStream(local.path);
+                archive.stream.on('close', () => local.release());
+                return archive;
+            } catch (error) {
+                await local.release();
+                throw error;
+            }
+        }
+
+        const destination = await getStorageDestinationByName(backup.storage);
+        if (!destination) {
+            throw new Error(`Destination de stockage inconnue: ${backup.storage}`);
+        }
+        const backend = this.createBackend(destination);
+        try {
+            const { stream, size } = await backend.openReadStream(backup.path);
+            stream.on('close', () => backend.close().catch(() => {}));
+            const name = path.posix.basename(backup.path);
+            return { stream, size, name, codec: compression.detectFromName(name) };
+        } catch (error) {
+            await backend.close().catch(() => {});
+            throw error;
+        }
+    }
+
+    /**
+     * Le backup est-il présent (disque local ou destination) ?
+     */
+    async exists(backup) {
+        if (!this.isRemote(backup)) {
+            return fs.promises.access(backup.path).then(() => true, () => false);
+        }
+
+        return await this.withBackend(backup.storage, async (backend) => {
+            if (this.isDirectoryKey(backup.path)) {
+                return (await backend.list(backup.path)).length > 0;
+            }
+            return (await backend.stat(backup.path)) !== null;
+        });
+    }
+
+    /**
+     * Taille occupée par un backup (octets)
+     */
+    async getSize(backup) {
+        if (!this.isRemote(backup)) {
+            return await this.getLocalSize(backup.path);
+        }
+
+        const objects = await this.listStoredObjects(backup);
+        return objects.reduce((sum, object) => sum + object.size, 0);
+    }
+
+    /**
+     * Objets d'un backup distant (fichiers d'un dossier, archive, volumes et manifeste)
+     * @returns {Promise<Array<{key: string, size: number, mtime: Date}>>}
+     */
+    async listStoredObjects(backup) {
+        return await this.withBackend(backup.storage, backend => backend.list(this.getStoredPrefix(backup.path)));
+    }
+
+    async getLocalSize(localPath) {
+        try {
+            if (archiveVolumes.isManifestPath(localPath)) {
+                return await archiveVolumes.getSplitArchiveSize(localPath);
+            }
+            const stats = await fs.promises.stat(localPath);
+            if (!stats.isDirectory()) return stats.size;
+
+            let size = 0;
+            for (const entry of await fs.promises.readdir(localPath, { withFileTypes: true })) {
+                size += await this.getLocalSize(path.join(localPath, entry.name));
+            }
+            return size;
+        } catch (error) {
+            return 0;
+        }
+    }
+
+    /**
+     * Supprime les fichiers d'un backup (rétention)
+     */
+    async removeBackup(backup) {
+        if (!this.isRemote(backup)) {
+            await this.removeLocalPath(backup.path);
+            return;
+        }
+
+        await this.withBackend(backup.storage, async (backend) => {
+            for (const object of await backend.list(this.getStoredPrefix(backup.path))) {
+                await backend.remove(object.key);
+            }
+        });
+    }
+
+    /**
+     * Supprime un backup du disque local (dossier, archive, ou volumes et manifeste d'une archive découpée)
+     */
+    async removeLocalPath(localPath) {
+        if (archiveVolumes.isManifestPath(localPath)) {
+            await archiveVolumes.removeSplitArchive(localPath);
+            return;
+        }
+        await fs.promises.rm(localPath, { recursive: true, force: true });
+    }
+
+    describeBackupLocation(backup) {
+        return this.isRemote(backup) ? `${backup.storage}:${backup.path}` : backup.path;
+    }
+}
+
+// Instance singleton
+const storageManager = new StorageManager();
+
+module.exports = {
+    storageManager,
+    StorageManager,
+    STORAGE_TYPES,
+    LOCAL_DESTINATION
+};
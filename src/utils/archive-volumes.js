@@ -0,0 +1,352 @@
+/**
+ * Découpage des archives en volumes numérotés (<archive>.001, .002, ...) de taille fixe
+ * Un manifeste (<archive>.manifest.json) liste chaque volume avec sa taille et son SHA-256; c'est le
+ * chemin du manifeste qui est enregistré comme chemin du backup. Restauration, vérification et
+ * téléchargement lisent les volumes bout à bout, comme l'archive d'origine.
+ * Taille par client (colonne split_size_mb, en Mo), sinon ARCHIVE_SPLIT_SIZE_MB; 0: pas de découpage.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { PassThrough } = require('stream');
+const { compression } = require('./compression');
+
+const MANIFEST_SUFFIX = '.manifest.json';
+const MANIFEST_VERSION = 1;
+
+// Taille maximale d'un volume: 1 To
+const MAX_SPLIT_SIZE_MB = 1024 * 1024;
+
+function isManifestPath(filePath) {
+    return typeof filePath === 'string' && filePath.endsWith(MANIFEST_SUFFIX);
+}
+
+function getVolumeName(archiveName, index) {
+    return `${archiveName}.${String(index).padStart(3, '0')}`;
+}
+
+/**
+ * Vérifie une taille de volume (Mo)
+ * @returns {string|null} Message d'erreur ou null si la valeur est valide
+ */
+function validateSplitSize(value) {
+    if (!Number.isInteger(value) || value < 0 || value > MAX_SPLIT_SIZE_MB) {
+        return `split_size_mb doit être un entier de 0 à ${MAX_SPLIT_SIZE_MB} (0: pas de découpage)`;
+    }
+    return null;
+}
+
+/**
+ * Taille des volumes applicable (octets): celle du client, sinon ARCHIVE_SPLIT_SIZE_MB
+ * @param {number|null} clientValue - Colonne split_size_mb du client
+ * @returns {number} 0 sans découpage
+ */
+function resolveSplitSize(clientValue) {
+    const megabytes = clientValue !== null && clientValue !== undefined
+        ? clientValue
+        : parseInt(process.env.ARCHIVE_SPLIT_SIZE_MB) || 0;
+    return megabytes > 0 ? megabytes * 1024 * 1024 : 0;
+}
+
+/**
+ * @returns {Promise<Object>} Manifeste d'une archive découpée
+ */
+async function readManifest(manifestPath) {
+    let manifest;
+    try {
+        manifest = JSON.parse(await fs.promises.readFile(manifestPath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Manifeste de volumes illisible (${manifestPath}): ${error.message}`);
+    }
+    if (!manifest || !Array.isArray(manifest.volumes) || manifest.volumes.length === 0) {
+        throw new Error(`Manifeste de volumes invalide: ${manifestPath}`);
+    }
+    return manifest;
+}
+
+function getVolumePaths(manifestPath, manifest) {
+    const directory = path.dirname(manifestPath);
+    return manifest.volumes.map(volume => path.join(directory, volume.name));
+}
+
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')))
+            .on('error', reject);
+    });
+}
+
+/**
+ * Contrôle la présence et la taille de chaque volume (et le SHA-256 si checksums)
+ * @returns {Promise<{manifest: Object, missing: string[], corrupt: Array<{name: string, reason: string}>}>}
+ */
+async function checkVolumes(manifestPath, options = {}) {
+    const manifest = await readManifest(manifestPath);
+    const volumePaths = getVolumePaths(manifestPath, manifest);
+    const missing = [];
+    const corrupt = [];
+
+    for (let i = 0; i < manifest.volumes.length; i++) {
+        const volume = manifest.volumes[i];
+        let stats;
+        try {
+            stats = await fs.promises.stat(volumePaths[i]);
+        } catch (error) {
+            missing.push(volume.name);
+            continue;
+        }
+
+        if (stats.size !== volume.size) {
+            corrupt.push({ name: volume.name, reason: `taille ${stats.size} au lieu de ${volume.size} octets` });
+        } else if (options.checksums && await hashFile(volumePaths[i]) !== volume.sha256) {
+            corrupt.push({ name: volume.name, reason: 'somme de contrôle SHA-256 différente' });
+        }
+    }
+
+    return { manifest, missing, corrupt };
+}
+
+/**
+ * Message d'erreur pour une archive découpée incomplète, null si tous les volumes sont là
+ */
+function describeProblems({ manifest, missing, corrupt }) {
+    const problems = [];
+    if (missing.length > 0) {
+        problems.push(`volume(s) manquant(s): ${missing.join(', ')}`);
+    }
+    if (corrupt.length > 0) {
+        problems.push(`volume(s) endommagé(s): ${corrupt.map(c => `${c.name} (${c.reason})`).join(', ')}`);
+    }
+    if (problems.length === 0) return null;
+    return `Archive ${manifest.archive} incomplète (${manifest.volumes.length} volumes), ${problems.join('; ')}`;
+}
+
+/**
+ * Lève une erreur si un volume manque ou n'a pas la taille attendue
+ * @returns {Promise<Object>} Manifeste
+ */
+async function assertComplete(manifestPath) {
+    const check = await checkVolumes(manifestPath);
+    const problem = describeProblems(check);
+    if (problem) {
+        const error = new Error(problem);
+        error.code = 'VOLUMES_INCOMPLETE';
+        error.missing = check.missing;
+        error.corrupt = check.corrupt;
+        throw error;
+    }
+    return check.manifest;
+}
+
+/**
+ * Flux des volumes lus bout à bout
+ * @returns {PassThrough}
+ */
+function createVolumesStream(manifestPath, manifest) {
+    const output = new PassThrough();
+    const volumePaths = getVolumePaths(manifestPath, manifest);
+    let index = 0;
+
+    const next = () => {
+        if (index >= volumePaths.length) {
+            output.end();
+            return;
+        }
+        const input = fs.createReadStream(volumePaths[index++]);
+        input.on('error', error => output.destroy(error));
+        input.on('end', next);
+        input.pipe(output, { end: false });
+    };
+    next();
+
+    return output;
+}
+
+/**
+ * Flux de lecture d'une archive, découpée ou non (codec détecté sur le premier volume)
+ * @returns {Promise<{stream: Readable, size: number, name: string, codec: string|null, manifest: Object|null}>}
+ */
+async function openReadStream(archivePath) {
+    if (!isManifestPath(archivePath)) {
+        const stats = await fs.promises.stat(archivePath);
+        const codec = await compression.detect(archivePath);
+        return { stream: fs.createReadStream(archivePath), size: stats.size, name: path.basename(archivePath), codec, manifest: null };
+    }
+
+    const manifest = await assertComplete(archivePath);
+    const codec = await compression.detect(getVolumePaths(archivePath, manifest)[0]);
+    return { stream: createVolumesStream(archivePath, manifest), size: manifest.total_size, name: manifest.archive, codec, manifest };
+}
+
+/**
+ * Prépare la lecture d'une archive par tar: fichier direct, ou volumes envoyés sur l'entrée standard
+ * @returns {Promise<{codec: string, readArgs: string[], file: string, attach: function(ChildProcess)}>}
+ *   file à passer à tar -f; attach(child) branche les volumes sur le processus tar lancé
+ */
+async function openArchive(archivePath) {
+    if (!isManifestPath(archivePath)) {
+        const codec = await compression.detect(archivePath);
+        return { codec, readArgs: compression.getTarReadArgs(codec), file: archivePath, attach: () => {} };
+    }
+
+    const manifest = await assertComplete(archivePath);
+    const codec = await compression.detect(getVolumePaths(archivePath, manifest)[0]);
+    return {
+        codec,
+        readArgs: compression.getTarReadArgs(codec),
+        file: '-',
+        attach: (child) => {
+            const stream = createVolumesStream(archivePath, manifest);
+            // tar peut s'arrêter avant la fin des volumes (membres trouvés, erreur): son code de sortie fait foi
+            child.stdin.on('error', () => {});
+            stream.on('error', () => child.kill());
+            stream.pipe(child.stdin);
+        }
+    };
+}
+
+/**
+ * Écrit un flux en volumes numérotés suivis du manifeste
+ * @param {Readable} input - Contenu de l'archive
+ * @param {Object} options - { directory, archiveName, splitSize (octets), compression }
+ * @returns {Promise<string>} Chemin du manifeste
+ */
+async function writeVolumes(input, options) {
+    const { directory, archiveName, splitSize } = options;
+    const volumes = [];
+    const archiveHash = crypto.createHash('sha256');
+    let handle = null;
+    let current = null;
+    let totalSize = 0;
+
+    const closeVolume = async () => {
+        await handle.close();
+        volumes.push({ name: current.name, size: current.size, sha256: current.hash.digest('hex') });
+        handle = null;
+    };
+
+    try {
+        for await (let chunk of input) {
+            archiveHash.update(chunk);
+            totalSize += chunk.length;
+
+            while (chunk.length > 0) {
+                if (!handle) {
+                    const name = getVolumeName(archiveName, volumes.length + 1);
+                    handle = await fs.promises.open(path.join(directory, name), 'w');
+                    current = { name, size: 0, hash: crypto.createHash('sha256') };
+                }
+
+                const part = chunk.subarray(0, splitSize - current.size);
+                await handle.write(part);
+                current.hash.update(part);
+                current.size += part.length;
+                chunk = chunk.subarray(part.length);
+
+                if (current.size === splitSize) {
+                    await closeVolume();
+                }
+            }
+        }
+        if (handle) {
+            await closeVolume();
+        }
+    } catch (error) {
+        if (handle) await handle.close().catch(() => {});
+        await Promise.all(volumes.map(volume => fs.promises.rm(path.join(directory, volume.name), { force: true })));
+        if (current) await fs.promises.rm(path.join(directory, current.name), { force: true });
+        throw error;
+    }
+
+    const manifest = {
+        version: MANIFEST_VERSION,
+        archive: archiveName,
+        compression: options.compression || null,
+        split_size: splitSize,
+        total_size: totalSize,
+        sha256: archiveHash.digest('hex'),
+        created_at: new Date().toISOString(),
+        volumes
+    };
+    const manifestPath = path.join(directory, `${archiveName}${MANIFEST_SUFFIX}`);
+    await fs.promises.writeFile(manifestPath, JSON.stringify(manifest, null, 2));
+    return manifestPath;
+}
+
+/**
+ * Découpe une archive locale en volumes; l'archive d'origine est supprimée une fois le manifeste écrit
+ * @returns {Promise<string>} Chemin du manifeste, ou de l'archive si elle tient dans un seul volume
+ */
+async function splitFile(archivePath, splitSize, options = {}) {
+    const stats = await fs.promises.stat(archivePath);
+    if (stats.size <= splitSize) {
+        return archivePath;
+    }
+
+    const manifestPath = await writeVolumes(fs.createReadStream(archivePath), {
+        directory: path.dirname(archivePath),
+        archiveName: path.basename(archivePath),
+        splitSize,
+        compression: options.compression
+    });
+    await fs.promises.rm(archivePath, { force: true });
+    return manifestPath;
+}
+
+/**
+ * Taille d'une archive découpée (somme des volumes présents)
+ */
+async function getSplitArchiveSize(manifestPath) {
+    const manifest = await readManifest(manifestPath);
+    let total = 0;
+    for (const volumePath of getVolumePaths(manifestPath, manifest)) {
+        try {
+            total += (await fs.promises.stat(volumePath)).size;
+        } catch (error) {
+            // Volume manquant: signalé par la vérification
+        }
+    }
+    return total;
+}
+
+/**
+ * Supprime les volumes puis le manifeste
+ */
+async function removeSplitArchive(manifestPath) {
+    let manifest = null;
+    try {
+        manifest = await readManifest(manifestPath);
+    } catch (error) {
+        // Manifeste illisible: seul le manifeste est supprimé
+    }
+    if (manifest) {
+        for (const volumePath of getVolumePaths(manifestPath, manifest)) {
+            await fs.promises.rm(volumePath, { force: true });
+        }
+    }
+    await fs.promises.rm(manifestPath, { force: true });
+}
+
+module.exports = {
+    MANIFEST_SUFFIX,
+    MAX_SPLIT_SIZE_MB,
+    isManifestPath,
+    validateSplitSize,
+    resolveSplitSize,
+    readManifest,
+    getVolumePaths,
+    checkVolumes,
+    describeProblems,
+    assertComplete,
+    createVolumesStream,
+    openReadStream,
+    openArchive,
+    writeVolumes,
+    splitFile,
+    getSplitArchiveSize,
+    removeSplitArchive
+};
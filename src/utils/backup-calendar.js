@@ -0,0 +1,204 @@
+/**
+ * Fenêtres de backup et périodes de gel (blackouts)
+ * Un backup planifié ne démarre que dans une fenêtre autorisée (configuration globale et du client:
+ * toutes les heures si aucune fenêtre n'est définie) et hors de toute période de gel.
+ * En dehors, il est différé au début de la prochaine fenêtre ou ignoré ('on_outside'); un backup encore
+ * en cours à la fin de sa fenêtre est arrêté, reprogrammé ou laissé se terminer ('on_overrun').
+ */
+
+const { logger } = require('./logger');
+const { throttling } = require('./throttling');
+
+const OUTSIDE_POLICIES = ['defer', 'skip'];
+const OVERRUN_POLICIES = ['stop', 'reschedule', 'continue'];
+const DEFAULT_POLICIES = { on_outside: 'defer', on_overrun: 'stop' };
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const MINUTE = 60 * 1000;
+
+// Recherche de la fin d'une fenêtre: au-delà, le backup n'est pas surveillé
+const WINDOW_END_HORIZON = 7 * 24 * 60 * MINUTE;
+
+class BackupCalendarService {
+    /**
+     * Configuration globale (paramètre backup_windows) ou d'un client (colonne backup_windows)
+     * @returns {{windows: Array, blackouts: Array, on_outside: string|undefined, on_overrun: string|undefined}}
+     */
+    parseConfig(value) {
+        let config = value || {};
+        if (typeof config === 'string') {
+            try {
+                config = JSON.parse(config);
+            } catch (error) {
+                logger.warn(`Fenêtres de backup illisibles: ${error.message}`);
+                config = {};
+            }
+        }
+
+        return {
+            windows: Array.isArray(config.windows) ? config.windows : [],
+            blackouts: Array.isArray(config.blackouts) ? config.blackouts : [],
+            on_outside: config.on_outside,
+            on_overrun: config.on_overrun
+        };
+    }
+
+    /**
+     * Vérifie une configuration de fenêtres
+     * @returns {string|null} Message d'erreur ou null si la configuration est valide
+     */
+    validateConfig(config) {
+        if (!config || typeof config !== 'object' || Array.isArray(config)) {
+            return 'backup_windows doit être un objet { windows: [...], blackouts: [...] }';
+        }
+        if (config.windows !== undefined && !Array.isArray(config.windows)) {
+            return 'Les fenêtres de backup doivent être une liste';
+        }
+        if (config.blackouts !== undefined && !Array.isArray(config.blackouts)) {
+            return 'Les périodes de gel doivent être une liste';
+        }
+
+        for (const window of config.windows || []) {
+            if (!window || typeof window !== 'object') {
+                return 'Fenêtre de backup invalide';
+            }
+            // Sans plage horaire, la fenêtre couvre les journées entières de ses jours
+            const hasRange = window.start !== undefined || window.end !== undefined;
+            if (hasRange && (!TIME_PATTERN.test(window.start) || !TIME_PATTERN.test(window.end))) {
+                return 'Chaque fenêtre de backup doit avoir start et end au format HH:MM';
+            }
+            if (window.days !== undefined && (!Array.isArray(window.days)
+                || !window.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6))) {
+                return `Jours invalides pour la fenêtre ${window.start}-${window.end} (0 = dimanche ... 6 = samedi)`;
+            }
+        }
+
+        for (const blackout of config.blackouts || []) {
+            const start = blackout && this.parseBoundary(blackout.start, false);
+            const end = blackout && this.parseBoundary(blackout.end, true);
+            if (!start || !end) {
+                return 'Chaque période de gel doit avoir start et end (AAAA-MM-JJ ou date ISO)';
+            }
+            if (end <= start) {
+                return `Période de gel ${blackout.start} - ${blackout.end}: la fin précède le début`;
+            }
+        }
+
+        if (config.on_outside !== undefined && !OUTSIDE_POLICIES.includes(config.on_outside)) {
+            return `on_outside invalide: ${config.on_outside} (${OUTSIDE_POLICIES.join(', ')})`;
+        }
+        if (config.on_overrun !== undefined && !OVERRUN_POLICIES.includes(config.on_overrun)) {
+            return `on_overrun invalide: ${config.on_overrun} (${OVERRUN_POLICIES.join(', ')})`;
+        }
+        return null;
+    }
+
+    /**
+     * Borne d'une période de gel: une date seule couvre toute la journée (fin incluse)
+     * @returns {Date|null}
+     */
+    parseBoundary(value, isEnd) {
+        if (typeof value !== 'string') return null;
+
+        const match = DATE_PATTERN.exec(value);
+        if (match) {
+            return new Date(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3]) + (isEnd ? 1 : 0));
+        }
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    findBlackout(config, date) {
+        return config.blackouts.find(blackout => {
+            const start = this.parseBoundary(blackout.start, false);
+            const end = this.parseBoundary(blackout.end, true);
+            return start && end && date >= start && date < end;
+        }) || null;
+    }
+
+    /**
+     * Un backup peut-il tourner à cette date ?
+     * @param {Array} configs - Configurations globale et du client (parseConfig)
+     * @returns {{allowed: boolean, reason: string|null}}
+     */
+    evaluate(configs, date) {
+        for (const config of configs) {
+            const blackout = this.findBlackout(config, date);
+            if (blackout) {
+                return { allowed: false, reason: `Période de gel ${blackout.start} - ${blackout.end}${blackout.reason ? ` (${blackout.reason})` : ''}` };
+            }
+        }
+
+        for (const config of configs) {
+            // Mêmes plages horaires que les profils de limitation (jours, passage de minuit)
+            if (config.windows.length > 0 && !config.windows.some(window => throttling.matches(window, date))) {
+                return { allowed: false, reason: `Hors fenêtre de backup (${config.windows.map(window => this.describeWindow(window)).join(', ')})` };
+            }
+        }
+
+        return { allowed: true, reason: null };
+    }
+
+    describeWindow(window) {
+        const range = window.start ? `${window.start}-${window.end}` : 'toute la journée';
+        return Array.isArray(window.days) ? `${range} jours ${window.days.join(',')}` : range;
+    }
+
+    /**
+     * Début de la prochaine période autorisée
+     * @returns {Date|null} null si aucune dans l'horizon
+     */
+    findNextAllowed(configs, from, horizon) {
+        const start = Math.ceil(from.getTime() / MINUTE) * MINUTE;
+        for (let time = start; time <= from.getTime() + horizon; time += MINUTE) {
+            if (this.evaluate(configs, new Date(time)).allowed) {
+                return new Date(time);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Fin de la période autorisée en cours
+     * @returns {Date|null} null si la période dépasse l'horizon (pas de limite)
+     */
+    findWindowEnd(configs, from) {
+        const start = Math.ceil(from.getTime() / MINUTE) * MINUTE;
+        for (let time = start; time <= from.getTime() + WINDOW_END_HORIZON; time += MINUTE) {
+            if (!this.evaluate(configs, new Date(time)).allowed) {
+                return new Date(time);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Politiques applicables: celles du client, sinon les globales, sinon différer / arrêter
+     */
+    getPolicies(configs) {
+        const policies = { ...DEFAULT_POLICIES };
+        for (const config of configs) {
+            if (config.on_outside) policies.on_outside = config.on_outside;
+            if (config.on_overrun) policies.on_overrun = config.on_overrun;
+        }
+        return policies;
+    }
+
+    /**
+     * Report maximal d'un backup différé (BACKUP_WINDOW_MAX_DEFER_HOURS, 24 h par défaut)
+     */
+    getMaxDefer() {
+        return (parseInt(process.env.BACKUP_WINDOW_MAX_DEFER_HOURS) || 24) * 60 * MINUTE;
+    }
+}
+
+// Instance singleton
+const backupCalendar = new BackupCalendarService();
+
+module.exports = {
+    backupCalendar,
+    BackupCalendarService,
+    OUTSIDE_POLICIES,
+    OVERRUN_POLICIES
+};
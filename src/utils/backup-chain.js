@@ -0,0 +1,227 @@
+/**
+ * Chaînes de backups
+ * Un backup complet ouvre une chaîne (chain_id = son backup_id); chaque incrémentiel
+ * ou différentiel pointe vers le backup dont il dépend (parent_backup_id).
+ * Le service valide les chaînes et calcule ce que la rétention peut supprimer sans les casser.
+ */
+
+const { getBackup, getBackups } = require('./database');
+const { SNAPSHOT_MODE } = require('./snapshots');
+const { storageManager } = require('../storage/storageManager');
+
+const CHAIN_TYPES = ['full', 'incremental', 'differential'];
+
+class BackupChainService {
+    /**
+     * Un backup autonome se restaure seul: backup complet ou snapshot (liens physiques)
+     */
+    isStandalone(backup) {
+        const metadata = this.parseMetadata(backup.metadata);
+        return backup.type === 'full' || metadata.storage_mode === SNAPSHOT_MODE;
+    }
+
+    parseMetadata(metadata) {
+        // Les anciens backups manuels stockaient un JSON encodé deux fois
+        let parsed = metadata;
+        while (typeof parsed === 'string') {
+            try {
+                parsed = JSON.parse(parsed);
+            } catch (error) {
+                return {};
+            }
+        }
+        return parsed || {};
+    }
+
+    /**
+     * Date de référence d'un backup pour la rétention
+     */
+    getBackupDate(backup) {
+        return this.parseDate(backup.completed_at || backup.started_at || backup.created_at);
+    }
+
+    parseDate(value) {
+        if (!value) return null;
+        // CURRENT_TIMESTAMP SQLite: "YYYY-MM-DD HH:MM:SS" en UTC
+        const normalized = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value) ? value.replace(' ', 'T') + 'Z' : value;
+        const date = new Date(normalized);
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    /**
+     * Remonte les parents d'un backup jusqu'au backup complet
+     * @param {string} backupId - Backup à restaurer
+     * @param {Map} cache - Backups déjà chargés (backup_id -> ligne)
+     * @returns {Promise<{links: Array, problems: Array}>} links ordonnés du complet vers le backup demandé
+     */
+    async getChain(backupId, cache = new Map()) {
+        const links = [];
+        const problems = [];
+        const visited = new Set();
+        let currentId = backupId;
+
+        while (currentId) {
+            if (visited.has(currentId)) {
+                problems.push({ backup_id: currentId, reason: 'cycle', message: `Boucle dans la chaîne au backup ${currentId}` });
+                break;
+            }
+            visited.add(currentId);
+
+            if (!cache.has(currentId)) {
+                cache.set(currentId, await getBackup(currentId));
+            }
+            const backup = cache.get(currentId);
+
+            if (!backup) {
+                problems.push({ backup_id: currentId, reason: 'missing', message: `Backup parent ${currentId} introuvable` });
+                break;
+            }
+
+            links.unshift(backup);
+            if (this.isStandalone(backup)) break;
+
+            if (!backup.parent_backup_id) {
+                problems.push({ backup_id: backup.backup_id, reason: 'no_parent', message: `Backup ${backup.type} ${backup.backup_id} sans backup complet de référence` });
+                break;
+            }
+            currentId = backup.parent_backup_id;
+        }
+
+        return { links, problems };
+    }
+
+    /**
+     * Vérifie qu'un backup est restaurable: tous les maillons existent, sont terminés et présents sur leur stockage
+     * @param {string} backupId - Backup à vérifier
+     * @param {Map} cache - Backups déjà chargés
+     * @returns {Promise<Object>} { backup_id, client_name, chain_id, valid, links, problems }
+     */
+    async validateChain(backupId, cache = new Map()) {
+        const { links, problems } = await this.getChain(backupId, cache);
+
+        const checkedLinks = [];
+        for (const link of links) {
+            let exists = null;
+            let storageError = null;
+            if (link.path) {
+                // Disque local ou destination de stockage du backup
+                exists = await storageManager.exists(link).catch((error) => {
+                    storageError = error;
+                    return null;
+                });
+            }
+
+            if (link.status !== 'completed') {
+                problems.push({ backup_id: link.backup_id, reason: link.status === 'failed' ? 'failed' : 'not_completed', message: `Backup ${link.backup_id} au statut ${link.status}` });
+            } else if (storageError) {
+                problems.push({ backup_id: link.backup_id, reason: 'storage_unavailable', message: `Destination ${link.storage} injoignable pour ${link.backup_id}: ${storageError.message}` });
+            } else if (exists === false) {
+                problems.push({ backup_id: link.backup_id, reason: 'file_missing', message: `Fichiers du backup ${link.backup_id} absents: ${link.path}` });
+            } else if (!link.path && link.type === 'full') {
+                problems.push({ backup_id: link.backup_id, reason: 'file_missing', message: `Backup complet ${link.backup_id} sans chemin enregistré` });
+            }
+            // Un incrémentiel sans chemin est valide: aucun fichier modifié, pas d'archive
+
+            checkedLinks.push({
+                backup_id: link.backup_id,
+                type: link.type,
+                status: link.status,
+                path: link.path,
+                parent_backup_id: link.parent_backup_id,
+                created_at: link.created_at,
+                exists
+            });
+        }
+
+        const target = links[links.length - 1] || cache.get(backupId) || {};
+        return {
+            backup_id: backupId,
+            client_name: target.client_name || null,
+            chain_id: target.chain_id || (links[0] && links[0].backup_id) || null,
+            valid: problems.length === 0,
+            links: checkedLinks,
+            problems
+        };
+    }
+
+    /**
+     * Liste les chaînes cassées (maillon manquant, échoué ou absent du disque)
+     * @param {Object} filters - { client_name }
+     * @returns {Promise<Array>} Une entrée par chaîne avec les backups impactés
+     */
+    async findBrokenChains(filters = {}) {
+        const backups = (await getBackups({ client_name: filters.client_name, status: 'completed' }))
+            .filter(backup => CHAIN_TYPES.includes(backup.type));
+
+        const cache = new Map();
+        for (const backup of backups) {
+            cache.set(backup.backup_id, backup);
+        }
+
+        const chains = new Map();
+        for (const backup of backups) {
+            const validation = await this.validateChain(backup.backup_id, cache);
+            if (validation.valid) continue;
+
+            const chainId = validation.chain_id || backup.backup_id;
+            if (!chains.has(chainId)) {
+                chains.set(chainId, {
+                    chain_id: chainId,
+                    client_name: backup.client_name,
+                    affected_backups: [],
+                    problems: []
+                });
+            }
+
+            const chain = chains.get(chainId);
+            chain.affected_backups.push(backup.backup_id);
+            for (const problem of validation.problems) {
+                if (!chain.problems.some(p => p.backup_id === problem.backup_id && p.reason === problem.reason)) {
+                    chain.problems.push(problem);
+                }
+            }
+        }
+
+        return Array.from(chains.values());
+    }
+
+    /**
+     * Backups que la rétention peut supprimer sans casser de chaîne
+     * Un backup plus ancien que la date limite est conservé tant qu'un backup conservé
+     * (récent ou en cours) en dépend, directement ou via ses parents.
+     * @param {Array} backups - Lignes de la table backups
+     * @param {Date|function(Object): Date} cutoffDate - Date limite de rétention, ou date limite propre à chaque backup
+     * @returns {Array} Backups terminés à supprimer
+     */
+    planRetention(backups, cutoffDate) {
+        const getCutoff = typeof cutoffDate === 'function' ? cutoffDate : () => cutoffDate;
+        const byId = new Map(backups.map(backup => [backup.backup_id, backup]));
+        const kept = new Set();
+
+        const keepWithAncestors = (backup) => {
+            let current = backup;
+            while (current && !kept.has(current.backup_id)) {
+                kept.add(current.backup_id);
+                current = current.parent_backup_id ? byId.get(current.parent_backup_id) : null;
+            }
+        };
+
+        for (const backup of backups) {
+            const date = this.getBackupDate(backup);
+            const inProgress = ['running', 'cancelling'].includes(backup.status);
+            if (inProgress || !date || date >= getCutoff(backup)) {
+                keepWithAncestors(backup);
+            }
+        }
+
+        return backups.filter(backup => backup.status === 'completed' && !kept.has(backup.backup_id));
+    }
+}
+
+// Instance singleton
+const backupChain = new BackupChainService();
+
+module.exports = {
+    backupChain,
+    BackupChainService
+};
@@ -0,0 +1,210 @@
+/**
+ * Commandes exécutées sur le client avant et après chaque backup (hooks pré/post)
+ * Exemples: arrêter un service, vider un cache, démonter un volume puis le remonter.
+ * Politique en cas d'échec: 'abort' (arrête les hooks de l'étape; en pré, le backup n'est pas lancé;
+ * en post, le backup est marqué en échec), 'warn' (avertissement dans le journal du backup) ou 'continue'.
+ * Les hooks post sont toujours exécutés, même si le backup ou un hook pré a échoué.
+ */
+
+const { logger, createBackupLogger } = require('./logger');
+
+const HOOK_STAGES = ['pre', 'post'];
+const HOOK_FAILURE_POLICIES = ['abort', 'warn', 'continue'];
+const DEFAULT_POLICIES = { pre: 'abort', post: 'warn' };
+const MAX_OUTPUT_LENGTH = 4000;
+
+class BackupHookService {
+    /**
+     * Hooks d'un client (colonne backup_hooks, JSON { pre: [...], post: [...] })
+     * @returns {{pre: Array, post: Array}}
+     */
+    parseHooks(value) {
+        let hooks = value || {};
+        if (typeof hooks === 'string') {
+            try {
+                hooks = JSON.parse(hooks);
+            } catch (error) {
+                logger.warn(`Hooks de backup illisibles: ${error.message}`);
+                hooks = {};
+            }
+        }
+
+        const result = {};
+        for (const stage of HOOK_STAGES) {
+            result[stage] = (Array.isArray(hooks[stage]) ? hooks[stage] : [])
+                .filter(hook => hook && hook.command && hook.enabled !== false);
+        }
+        return result;
+    }
+
+    /**
+     * Vérifie une configuration de hooks
+     * @returns {string|null} Message d'erreur ou null si la configuration est valide
+     */
+    validateHooks(hooks) {
+        if (!hooks || typeof hooks !== 'object' || Array.isArray(hooks)) {
+            return 'backup_hooks doit être un objet { pre: [...], post: [...] }';
+        }
+
+        for (const stage of Object.keys(hooks)) {
+            if (!HOOK_STAGES.includes(stage)) {
+                return `Étape de hook inconnue: ${stage} (${HOOK_STAGES.join(', ')})`;
+            }
+            if (!Array.isArray(hooks[stage])) {
+                return `Les hooks ${stage} doivent être une liste`;
+            }
+
+            for (const hook of hooks[stage]) {
+                if (!hook || typeof hook.command !== 'string' || !hook.command.trim()) {
+                    return `Commande manquante dans un hook ${stage}`;
+                }
+                if (hook.on_failure && !HOOK_FAILURE_POLICIES.includes(hook.on_failure)) {
+                    return `Politique d'échec invalide pour "${hook.command}": ${hook.on_failure} (${HOOK_FAILURE_POLICIES.join(', ')})`;
+                }
+                if (hook.timeout !== undefined && !(parseInt(hook.timeout) > 0)) {
+                    return `Timeout invalide pour "${hook.command}": ${hook.timeout} (secondes)`;
+                }
+            }
+        }
+        return null;
+    }
+
+    getTimeout(hook) {
+        const seconds = parseInt(hook.timeout) || parseInt(process.env.BACKUP_HOOK_TIMEOUT) || 300;
+        return seconds * 1000;
+    }
+
+    truncate(output) {
+        const text = (output || '').trim();
+        return text.length > MAX_OUTPUT_LENGTH ? `...${text.slice(-MAX_OUTPUT_LENGTH)}` : text;
+    }
+
+    /**
+     * Exécute les hooks d'une étape sur le client
+     * @param {Object} backupClient - LinuxBackupClient ou WindowsBackupClient (ensureConnected, runHookCommand)
+     * @param {string} stage - 'pre' ou 'post'
+     * @param {Array} hooks - Hooks de l'étape
+     * @param {Object} backupLogger - Journal du backup
+     * @returns {Promise<{results: Array, abortError: Error|null}>}
+     */
+    async runStage(backupClient, stage, hooks, backupLogger) {
+        const results = [];
+        if (hooks.length === 0) {
+            return { results, abortError: null };
+        }
+
+        backupLogger.info(`🪝 Hooks ${stage === 'pre' ? 'avant' : 'après'} backup: ${hooks.length} commande(s)`);
+
+        // La connexion ouverte pour les hooks est refermée; une connexion existante est laissée au backup
+        let openedSession = false;
+        try {
+            for (const hook of hooks) {
+                const policy = hook.on_failure || DEFAULT_POLICIES[stage];
+                const startTime = new Date();
+                backupLogger.info(`🪝 [${stage}] ${hook.command}`);
+
+                let outcome;
+                try {
+                    openedSession = (await backupClient.ensureConnected()) || openedSession;
+                    outcome = await backupClient.runHookCommand(hook.command, this.getTimeout(hook), { stage });
+                } catch (error) {
+                    // Connexion impossible ou timeout: même politique qu'un code de sortie en erreur
+                    outcome = { code: null, stdout: '', stderr: '', error: error.message };
+                }
+                const entry = {
+                    stage,
+                    command: hook.command,
+                    code: outcome.code,
+                    duration: (new Date() - startTime) / 1000,
+                    stdout: this.truncate(outcome.stdout),
+                    stderr: this.truncate(outcome.stderr),
+                    status: outcome.code === 0 ? 'success' : 'failed',
+                    policy
+                };
+                results.push(entry);
+
+                if (entry.stdout) backupLogger.info(`🪝 [${stage}] sortie: ${entry.stdout}`);
+                if (entry.stderr) backupLogger.info(`🪝 [${stage}] erreurs: ${entry.stderr}`);
+                if (entry.status === 'success') continue;
+
+                const message = `Hook ${stage} "${hook.command}" en échec (${outcome.error || `code ${outcome.code}`})`;
+                entry.error = outcome.error || null;
+                if (policy === 'abort') {
+                    backupLogger.error(`❌ ${message}: arrêt`);
+                    return { results, abortError: new Error(message) };
+                }
+                if (policy === 'warn') {
+                    backupLogger.warn(`⚠️ ${message}`);
+                } else {
+                    backupLogger.info(`${message}, poursuite`);
+                }
+            }
+        } finally {
+            if (openedSession) {
+                await backupClient.disconnect().catch(() => {});
+            }
+        }
+
+        return { results, abortError: null };
+    }
+
+    /**
+     * Exécute une opération de backup entre les hooks pré et post du client
+     * En cas d'échec, l'erreur reçoit les résultats des hooks (error.hookResults).
+     * @param {Object} backupClient - Client de backup
+     * @param {Object} client - Ligne de la table clients (backup_hooks)
+     * @param {string} backupId - Identifiant du backup (journal)
+     * @param {Function} operation - Backup à exécuter
+     * @returns {Promise<{result: *, hooks: Array}>}
+     */
+    async runAround(backupClient, client, backupId, operation) {
+        const hooks = this.parseHooks(client.backup_hooks);
+        if (hooks.pre.length === 0 && hooks.post.length === 0) {
+            return { result: await operation(), hooks: [] };
+        }
+
+        const backupLogger = createBackupLogger(client.name, backupId);
+        const hookResults = [];
+        let result;
+        let failure = null;
+
+        try {
+            const pre = await this.runStage(backupClient, 'pre', hooks.pre, backupLogger);
+            hookResults.push(...pre.results);
+            if (pre.abortError) {
+                throw pre.abortError;
+            }
+            result = await operation();
+        } catch (error) {
+            failure = error;
+        }
+
+        // Toujours exécuté: remettre le client dans son état normal (service redémarré, volume remonté...)
+        try {
+            const post = await this.runStage(backupClient, 'post', hooks.post, backupLogger);
+            hookResults.push(...post.results);
+            if (post.abortError && !failure) {
+                failure = post.abortError;
+            }
+        } catch (error) {
+            backupLogger.error(`❌ Hooks après backup non exécutés: ${error.message}`);
+            if (!failure) failure = error;
+        }
+
+        if (failure) {
+            failure.hookResults = hookResults;
+            throw failure;
+        }
+        return { result, hooks: hookResults };
+    }
+}
+
+// Instance singleton
+const backupHooks = new BackupHookService();
+
+module.exports = {
+    backupHooks,
+    BackupHookService,
+    HOOK_STAGES,
+    HOOK_FAILURE_POLICIES
+};
@@ -0,0 +1,269 @@
+/**
+ * Compression des archives de backup par client (colonne compression, JSON { codec, level })
+ * Codecs: zstd, xz, gzip ou none (tar seul). Sans réglage sur le client, BACKUP_COMPRESSION et
+ * COMPRESSION_LEVEL s'appliquent (gzip niveau 6 par défaut, comme tar -z; COMPRESSION_ENABLED=false: none).
+ * La restauration, la vérification et le téléchargement ne se fient pas à l'extension: le codec d'une
+ * archive est détecté par ses premiers octets.
+ */
+
+const fs = require('fs');
+const { spawn } = require('child_process');
+const { logger } = require('./logger');
+
+const CODECS = {
+    zstd: {
+        extension: '.tar.zst',
+        levels: [1, 19],
+        defaultLevel: 3,
+        program: 'zstd',
+        compressCommand: level => `zstd -${level} -T0 -q`,
+        tarReadArgs: ['--use-compress-program=zstd'],
+        contentType: 'application/zstd'
+    },
+    xz: {
+        extension: '.tar.xz',
+        levels: [0, 9],
+        defaultLevel: 6,
+        program: 'xz',
+        compressCommand: level => `xz -${level}`,
+        tarReadArgs: ['-J'],
+        contentType: 'application/x-xz'
+    },
+    gzip: {
+        extension: '.tar.gz',
+        levels: [1, 9],
+        defaultLevel: 6,
+        program: 'gzip',
+        compressCommand: level => `gzip -${level}`,
+        tarReadArgs: ['-z'],
+        contentType: 'application/gzip'
+    },
+    none: {
+        extension: '.tar',
+        levels: null,
+        defaultLevel: null,
+        program: null,
+        compressCommand: null,
+        tarReadArgs: [],
+        contentType: 'application/x-tar'
+    }
+};
+
+const CODEC_NAMES = Object.keys(CODECS);
+
+// Signatures des formats (tar: "ustar" à l'octet 257 d'une archive non compressée)
+const MAGIC_BYTES = [
+    { codec: 'gzip', offset: 0, bytes: Buffer.from([0x1f, 0x8b]) },
+    { codec: 'xz', offset: 0, bytes: Buffer.from([0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00]) },
+    { codec: 'zstd', offset: 0, bytes: Buffer.from([0x28, 0xb5, 0x2f, 0xfd]) },
+    { codec: 'none', offset: 257, bytes: Buffer.from('ustar') }
+];
+
+const ARCHIVE_PATTERN = /\.tar(\.(gz|xz|zst))?$/;
+
+class CompressionService {
+    /**
+     * Réglage d'un client (colonne compression, JSON)
+     * @returns {{codec: string, level: number|undefined}|null}
+     */
+    parse(value) {
+        if (!value) return null;
+        if (typeof value === 'object') return value;
+        try {
+            const settings = JSON.parse(value);
+            return settings && typeof settings === 'object' ? settings : null;
+        } catch (error) {
+            logger.warn(`Réglage de compression illisible: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Vérifie un réglage { codec, level }
+     * @returns {string|null} Message d'erreur ou null si le réglage est valide
+     */
+    validate(settings) {
+        if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+            return 'compression doit être un objet { "codec": "...", "level": n }';
+        }
+
+        const codec = CODECS[settings.codec];
+        if (!codec) {
+            return `Codec de compression invalide: ${settings.codec} (${CODEC_NAMES.join(', ')})`;
+        }
+        if (settings.level === undefined || settings.level === null) {
+            return null;
+        }
+        if (!codec.levels) {
+            return `Le codec ${settings.codec} n'a pas de niveau de compression`;
+        }
+
+        const [min, max] = codec.levels;
+        if (!Number.isInteger(settings.level) || settings.level < min || settings.level > max) {
+            return `Niveau invalide pour ${settings.codec}: ${settings.level} (entier de ${min} à ${max})`;
+        }
+        return null;
+    }
+
+    /**
+     * Réglage applicable: celui du client, sinon BACKUP_COMPRESSION / COMPRESSION_LEVEL
+     * @returns {{codec: string, level: number|null}}
+     */
+    resolve(value) {
+        const settings = this.parse(value) || this.getServerDefault();
+
+        const error = this.validate(settings);
+        if (error) {
+            logger.warn(`${error}, compression gzip par défaut`);
+            return { codec: 'gzip', level: CODECS.gzip.defaultLevel };
+        }
+
+        const codec = CODECS[settings.codec];
+        return {
+            codec: settings.codec,
+            level: codec.levels ? (Number.isInteger(settings.level) ? settings.level : codec.defaultLevel) : null
+        };
+    }
+
+    /**
+     * Réglage global (variables d'environnement)
+     */
+    getServerDefault() {
+        const codec = process.env.BACKUP_COMPRESSION || (process.env.COMPRESSION_ENABLED === 'false' ? 'none' : 'gzip');
+        const level = codec !== 'none' && process.env.COMPRESSION_LEVEL ? parseInt(process.env.COMPRESSION_LEVEL) : undefined;
+        return { codec, level };
+    }
+
+    getCodec(name) {
+        return CODECS[name] || null;
+    }
+
+    getArchiveExtension(settings) {
+        return CODECS[settings.codec].extension;
+    }
+
+    /**
+     * Commande de compression (entrée standard -> sortie standard), null sans compression
+     */
+    getCompressCommand(settings) {
+        const codec = CODECS[settings.codec];
+        return codec.compressCommand ? codec.compressCommand(settings.level) : null;
+    }
+
+    /**
+     * Options de tar pour créer une archive (liste d'arguments pour spawn)
+     * gzip au niveau par défaut garde -z, compris par toutes les versions de tar
+     */
+    getTarCreateArgs(settings) {
+        if (settings.codec === 'none') return [];
+        if (settings.codec === 'gzip' && settings.level === CODECS.gzip.defaultLevel) return ['-z'];
+        return ['-I', this.getCompressCommand(settings)];
+    }
+
+    /**
+     * Options de tar pour créer une archive dans une commande sh (client distant)
+     */
+    getTarCreateOption(settings) {
+        return this.getTarCreateArgs(settings)
+            .map(arg => (arg.includes(' ') ? `'${arg}'` : arg))
+            .join(' ');
+    }
+
+    /**
+     * Options de tar pour lire ou extraire une archive du codec donné
+     */
+    getTarReadArgs(codecName) {
+        const codec = CODECS[codecName];
+        if (!codec) {
+            throw new Error(`Format d'archive non reconnu (${CODEC_NAMES.join(', ')} attendus)`);
+        }
+        return codec.tarReadArgs;
+    }
+
+    /**
+     * Codec d'une archive d'après ses premiers octets
+     * @returns {Promise<string|null>} zstd, xz, gzip, none, ou null si ce n'est pas une archive tar connue
+     */
+    async detect(filePath) {
+        const handle = await fs.promises.open(filePath, 'r');
+        try {
+            const header = Buffer.alloc(262);
+            const { bytesRead } = await handle.read(header, 0, header.length, 0);
+            const match = MAGIC_BYTES.find(({ offset, bytes }) =>
+                bytesRead >= offset + bytes.length && header.subarray(offset, offset + bytes.length).equals(bytes)
+            );
+            return match ? match.codec : null;
+        } finally {
+            await handle.close();
+        }
+    }
+
+    /**
+     * Options de tar pour lire une archive, codec détecté
+     */
+    async getTarReadArgsFor(filePath) {
+        return this.getTarReadArgs(await this.detect(filePath));
+    }
+
+    /**
+     * Codec d'après l'extension, quand le contenu n'est pas lisible sur place (archive sur une destination distante)
+     * @returns {string|null}
+     */
+    detectFromName(filePath) {
+        const match = CODEC_NAMES.find(name => filePath.endsWith(CODECS[name].extension));
+        return match || null;
+    }
+
+    isArchivePath(filePath) {
+        return ARCHIVE_PATTERN.test(filePath);
+    }
+
+    /**
+     * Le programme de compression est-il installé sur le serveur ?
+     */
+    isAvailable(codecName) {
+        const program = CODECS[codecName] && CODECS[codecName].program;
+        if (!program) return Promise.resolve(true);
+
+        return new Promise((resolve) => {
+            const child = spawn(program, ['--version'], { stdio: 'ignore' });
+            child.on('error', () => resolve(false));
+            child.on('close', (code) => resolve(code === 0));
+        });
+    }
+
+    /**
+     * Réglage d'un client pour une compression faite sur le serveur (téléchargement d'un dossier),
+     * gzip si le programme du codec n'est pas installé sur le serveur
+     */
+    async resolveForServer(value) {
+        const settings = this.resolve(value);
+        if (await this.isAvailable(settings.codec)) {
+            return settings;
+        }
+
+        logger.warn(`${settings.codec} absent du serveur, compression gzip utilisée`);
+        return this.resolve({ codec: 'gzip' });
+    }
+
+    /**
+     * Archive tar d'un dossier du serveur écrite sur la sortie standard du processus
+     * @returns {ChildProcess}
+     */
+    spawnDirectoryArchive(dirPath, settings) {
+        return spawn('tar', ['-c', ...this.getTarCreateArgs(settings), '-f', '-', '-C', dirPath, '.']);
+    }
+
+    describe(settings) {
+        return settings.codec === 'none' ? 'sans compression' : `${settings.codec} niveau ${settings.level}`;
+    }
+}
+
+// Instance singleton
+const compression = new CompressionService();
+
+module.exports = {
+    compression,
+    CompressionService,
+    COMPRESSION_CODECS: CODEC_NAMES
+};
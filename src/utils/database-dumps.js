@@ -0,0 +1,210 @@
+/**
+ * Dumps de bases de données des clients Linux (mysqldump, pg_dump, sqlite3 .backup)
+ * Chaque moteur est un plugin qui construit la commande de dump et la commande de restauration.
+ * Les dumps sont rangés dans la section databases/<moteur>/<nom>.<extension> de l'archive.
+ * Le mot de passe de la base n'apparaît jamais dans la ligne de commande: il est lu sur l'entrée standard.
+ */
+
+const path = require('path');
+
+const DUMPS_SECTION = 'databases';
+const JOB_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+
+// Échappe une valeur pour la ligne de commande sh distante
+function shellQuote(value) {
+    return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+// Lit le mot de passe sur l'entrée standard et l'exporte dans la variable attendue par le client du moteur
+function readPassword(variable) {
+    return `{ IFS= read -r EFC_DB_PASSWORD || true; }; if [ -n "$EFC_DB_PASSWORD" ]; then export ${variable}="$EFC_DB_PASSWORD"; fi; unset EFC_DB_PASSWORD`;
+}
+
+// Exécution sous un autre compte du client (ex: postgres en authentification peer, sans mot de passe)
+function runAs(job, command) {
+    return job.run_as ? `sudo -n -u ${shellQuote(job.run_as)} ${command}` : command;
+}
+
+// Options de connexion renseignées, précédées d'un espace
+function connectionArgs(job, flags) {
+    let args = '';
+    if (job.host) args += ` ${flags.host} ${shellQuote(job.host)}`;
+    if (job.port) args += ` ${flags.port} ${shellQuote(job.port)}`;
+    if (job.username) args += ` ${flags.user} ${shellQuote(job.username)}`;
+    return args;
+}
+
+const DUMP_PLUGINS = {
+    mysql: {
+        label: 'MySQL / MariaDB',
+        extension: 'sql.gz',
+        buildDumpCommand(job, outputPath) {
+            const sqlPath = outputPath.replace(/\.gz$/, '');
+            const args = connectionArgs(job, { host: '-h', port: '-P', user: '-u' });
+            return [
+                readPassword('MYSQL_PWD'),
+                // Sans --databases: le dump ne contient ni CREATE DATABASE ni USE et peut être restauré dans une autre base
+                `${runAs(job, `mysqldump${args} --single-transaction --routines --triggers --events ${shellQuote(job.database)}`)} > ${shellQuote(sqlPath)}`,
+                `gzip -f ${shellQuote(sqlPath)}`
+            ].join(' && ');
+        },
+        buildRestoreCommand(job, inputPath, database) {
+            const args = connectionArgs(job, { host: '-h', port: '-P', user: '-u' });
+            return [
+                readPassword('MYSQL_PWD'),
+                `gunzip -c ${shellQuote(inputPath)} | ${runAs(job, `mysql${args} ${shellQuote(database)}`)}`
+            ].join(' && ');
+        }
+    },
+
+    postgresql: {
+        label: 'PostgreSQL',
+        extension: 'dump',
+        buildDumpCommand(job, outputPath) {
+            const args = connectionArgs(job, { host: '-h', port: '-p', user: '-U' });
+            return [
+                readPassword('PGPASSWORD'),
+                `${runAs(job, `pg_dump${args} --no-password -Fc ${shellQuote(job.database)}`)} > ${shellQuote(outputPath)}`
+            ].join(' && ');
+        },
+        buildRestoreCommand(job, inputPath, database) {
+            const args = connectionArgs(job, { host: '-h', port: '-p', user: '-U' });
+            return [
+                readPassword('PGPASSWORD'),
+                `${runAs(job, `pg_restore${args} --no-password --clean --if-exists --no-owner -d ${shellQuote(database)}`)} < ${shellQuote(inputPath)}`
+            ].join(' && ');
+        }
+    },
+
+    sqlite: {
+        label: 'SQLite',
+        extension: 'sqlite.gz',
+        buildDumpCommand(job, outputPath) {
+            // .backup: copie cohérente même si la base est en cours d'écriture
+            const copyPath = outputPath.replace(/\.gz$/, '');
+            return [
+                `sqlite3 ${shellQuote(job.database)} ${shellQuote(`.backup '${copyPath}'`)}`,
+                `gzip -f ${shellQuote(copyPath)}`
+            ].join(' && ');
+        },
+        buildRestoreCommand(job, inputPath, database) {
+            // cp sur le fichier existant conserve son propriétaire et ses droits
+            const tempPath = `${database}.efc-restore`;
+            return [
+                `gunzip -c ${shellQuote(inputPath)} > ${shellQuote(tempPath)}`,
+                `cp ${shellQuote(tempPath)} ${shellQuote(database)}`,
+                `rm -f ${shellQuote(tempPath)}`
+            ].join(' && ');
+        }
+    }
+};
+
+/**
+ * Tâches de dump d'un client (colonne database_jobs, JSON)
+ * @returns {Array<Object>} [{ name, engine, database, host, port, username, password, run_as, enabled }]
+ */
+function parseDatabaseJobs(value) {
+    if (!value) return [];
+    if (Array.isArray(value)) return value;
+    try {
+        const jobs = JSON.parse(value);
+        return Array.isArray(jobs) ? jobs : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Vérifie une liste de tâches de dump
+ * @returns {string|null} Message d'erreur ou null si la liste est valide
+ */
+function validateDatabaseJobs(jobs) {
+    if (!Array.isArray(jobs)) {
+        return 'database_jobs doit être une liste';
+    }
+
+    const names = new Set();
+    for (const job of jobs) {
+        if (!job || typeof job !== 'object') {
+            return 'Tâche de base de données invalide';
+        }
+        if (!JOB_NAME_PATTERN.test(job.name || '')) {
+            return `Nom de tâche invalide: ${job.name || '(vide)'} (lettres, chiffres, . _ - uniquement)`;
+        }
+        if (names.has(job.name)) {
+            return `Nom de tâche en double: ${job.name}`;
+        }
+        names.add(job.name);
+
+        if (!DUMP_PLUGINS[job.engine]) {
+            return `Moteur de base de données non supporté pour ${job.name}: ${job.engine} (${Object.keys(DUMP_PLUGINS).join(', ')})`;
+        }
+        if (!job.database) {
+            return `Base de données manquante pour ${job.name}`;
+        }
+        if (job.engine === 'sqlite' && !path.posix.isAbsolute(job.database)) {
+            return `Le fichier SQLite de ${job.name} doit être un chemin absolu`;
+        }
+        if (job.port && !(parseInt(job.port) > 0 && parseInt(job.port) < 65536)) {
+            return `Port invalide pour ${job.name}: ${job.port}`;
+        }
+        if (job.run_as && (job.engine === 'sqlite' || !/^[a-z_][a-z0-9_-]*$/i.test(job.run_as))) {
+            return `Compte d'exécution invalide pour ${job.name}: ${job.run_as}`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Fusionne les tâches envoyées par l'interface avec celles enregistrées:
+ * un mot de passe absent conserve celui de la tâche du même nom
+ */
+function mergeDatabaseJobs(jobs, existingJobs = []) {
+    return jobs.map(job => {
+        const { has_password: _hasPassword, ...data } = job;
+        if (data.password === undefined || data.password === null) {
+            const existing = existingJobs.find(candidate => candidate.name === data.name);
+            data.password = existing ? existing.password || '' : '';
+        }
+        return data;
+    });
+}
+
+/**
+ * Tâches sans les mots de passe, pour les réponses API
+ */
+function maskDatabaseJobs(value) {
+    return parseDatabaseJobs(value).map(({ password, ...job }) => ({ ...job, has_password: !!password }));
+}
+
+/**
+ * Chemin du dump dans l'archive: databases/<moteur>/<nom>.<extension>
+ */
+function getDumpPath(job) {
+    return `${DUMPS_SECTION}/${job.engine}/${job.name}.${DUMP_PLUGINS[job.engine].extension}`;
+}
+
+/**
+ * Retrouve le moteur et le nom de la tâche d'un fichier de la section databases/
+ * @returns {{engine: string, name: string}|null}
+ */
+function parseDumpPath(filePath) {
+    const match = /^databases\/([a-z]+)\/([^/]+)$/.exec(filePath || '');
+    if (!match || !DUMP_PLUGINS[match[1]]) return null;
+
+    const extension = `.${DUMP_PLUGINS[match[1]].extension}`;
+    if (!match[2].endsWith(extension)) return null;
+    return { engine: match[1], name: match[2].slice(0, -extension.length) };
+}
+
+module.exports = {
+    DUMPS_SECTION,
+    DUMP_PLUGINS,
+    parseDatabaseJobs,
+    validateDatabaseJobs,
+    mergeDatabaseJobs,
+    maskDatabaseJobs,
+    getDumpPath,
+    parseDumpPath,
+    shellQuote
+};
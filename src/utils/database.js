@@ -1,6 +1,7 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
+const { vault, SECRET_CLIENT_FIELDS, SECRET_SETTING_KEYS } = require('./vault');
 
 class Database {
     constructor() {
@@ -38,9 +39,21 @@ class Database {
                 port INTEGER DEFAULT 22,
                 username TEXT NOT NULL,
                 password TEXT NOT NULL,
+                auth_method TEXT DEFAULT 'password',
+                private_key TEXT,
+                passphrase TEXT,
                 folders TEXT,
                 backup_type TEXT DEFAULT 'full',
                 os_type TEXT DEFAULT 'windows',
+                backup_mode TEXT,
+                database_jobs TEXT,
+                backup_hooks TEXT,
+                throttle_profiles TEXT,
+                backup_windows TEXT,
+                compression TEXT,
+                split_size_mb INTEGER,
+                storage_destination TEXT,
+                replication_destinations TEXT,
                 active BOOLEAN DEFAULT 1,
                 created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
                 updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
@@ -56,11 +69,16 @@ class Database {
                 started_at DATETIME,
                 completed_at DATETIME,
                 failed_at DATETIME,
+                cancelled_at DATETIME,
+                cancelled_by TEXT,
                 size_mb INTEGER DEFAULT 0,
                 file_count INTEGER DEFAULT 0,
                 path TEXT,
                 error_message TEXT,
                 metadata TEXT,
+                parent_backup_id TEXT,
+                chain_id TEXT,
+                storage TEXT,
                 created_at DATETIME DEFAULT CURRENT_TIMESTAMP
             )`,
 
@@ -116,9 +134,48 @@ class Database {
                 files_count INTEGER DEFAULT 0,
                 started_at DATETIME,
                 completed_at DATETIME,
+                throttle_profile TEXT,
+                bandwidth_limit_mbps REAL DEFAULT 0,
+                priority TEXT,
                 created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
                 FOREIGN KEY (backup_id) REFERENCES backups(backup_id)
             )`,
+
+            // Catalogue des fichiers de chaque backup
+            `CREATE TABLE IF NOT EXISTS backup_files (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                backup_id TEXT NOT NULL,
+                client_name TEXT NOT NULL,
+                path TEXT NOT NULL,
+                type TEXT DEFAULT 'file',
+                size INTEGER DEFAULT 0,
+                mtime DATETIME,
+                hash TEXT,
+                FOREIGN KEY (backup_id) REFERENCES backups(backup_id)
+            )`,
+
+            // Fichiers supprimés sur le client depuis le backup parent (incrémentiels, différentiels)
+            `CREATE TABLE IF NOT EXISTS backup_deletions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                backup_id TEXT NOT NULL,
+                path TEXT NOT NULL,
+                FOREIGN KEY (backup_id) REFERENCES backups(backup_id)
+            )`,
+
+            // État du catalogue de chaque backup
+            `CREATE TABLE IF NOT EXISTS backup_catalogs (
+                backup_id TEXT PRIMARY KEY,
+                client_name TEXT NOT NULL,
+                status TEXT NOT NULL,
+                source TEXT,
+                file_count INTEGER DEFAULT 0,
+                total_size INTEGER DEFAULT 0,
+                hashed INTEGER DEFAULT 0,
+                error_message TEXT,
+                started_at DATETIME,
+                completed_at DATETIME,
+                FOREIGN KEY (backup_id) REFERENCES backups(backup_id)
+            )`,
             
             // Table des utilisateurs pour l'authentification
             `CREATE TABLE IF NOT EXISTS users (
@@ -169,6 +226,57 @@ class Database {
                 next_run DATETIME,
                 run_count INTEGER DEFAULT 0,
                 FOREIGN KEY (created_by) REFERENCES users(id)
+            )`,
+
+            // Table des jobs de backup en file d'attente ou en cours (reprise après un redémarrage)
+            `CREATE TABLE IF NOT EXISTS backup_jobs (
+                id TEXT PRIMARY KEY,
+                client_id INTEGER,
+                client_name TEXT NOT NULL,
+                type TEXT NOT NULL,
+                priority TEXT DEFAULT 'normal',
+                kind TEXT NOT NULL,
+                status TEXT NOT NULL DEFAULT 'queued',
+                triggered_by TEXT,
+                destination TEXT,
+                options TEXT,
+                artifacts TEXT,
+                attempts INTEGER DEFAULT 0,
+                queued_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                started_at DATETIME,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`,
+
+            // Table des destinations de stockage des backups (disque, SFTP, S3), configuration chiffrée
+            `CREATE TABLE IF NOT EXISTS storage_destinations (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT UNIQUE NOT NULL,
+                type TEXT NOT NULL,
+                config TEXT,
+                retention_days INTEGER,
+                offsite BOOLEAN DEFAULT 1,
+                active BOOLEAN DEFAULT 1,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`,
+
+            // Table des copies des backups vers les destinations secondaires (réplication 3-2-1)
+            `CREATE TABLE IF NOT EXISTS backup_replicas (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                backup_id TEXT NOT NULL,
+                client_name TEXT,
+                destination TEXT NOT NULL,
+                status TEXT DEFAULT 'pending',
+                path TEXT,
+                size_bytes INTEGER,
+                attempts INTEGER DEFAULT 0,
+                error_message TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                copied_at DATETIME,
+                verified_at DATETIME,
+                expired_at DATETIME,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(backup_id, destination)
             )`
         ];
 
@@ -184,6 +292,10 @@ class Database {
             'CREATE INDEX IF NOT EXISTS idx_network_stats_backup_id ON network_stats(backup_id)',
             'CREATE INDEX IF NOT EXISTS idx_network_stats_client_name ON network_stats(client_name)',
             'CREATE INDEX IF NOT EXISTS idx_network_stats_created_at ON network_stats(created_at)',
+            'CREATE INDEX IF NOT EXISTS idx_backup_files_backup_path ON backup_files(backup_id, path)',
+            'CREATE INDEX IF NOT EXISTS idx_backup_files_client_path ON backup_files(client_name, path)',
+            'CREATE INDEX IF NOT EXISTS idx_backup_deletions_backup_path ON backup_deletions(backup_id, path)',
+            'CREATE INDEX IF NOT EXISTS idx_backup_replicas_status ON backup_replicas(status)',
             'CREATE INDEX IF NOT EXISTS idx_activity_logs_timestamp ON activity_logs(timestamp)',
             'CREATE INDEX IF NOT EXISTS idx_metrics_timestamp ON metrics(timestamp)',
             'CREATE INDEX IF NOT EXISTS idx_users_username ON users(username)',
@@ -225,9 +337,90 @@ class Database {
             }
         }
 
+        // Migration pour l'authentification SSH par clé / ssh-agent
+        await this.addColumnIfMissing('clients', `auth_method TEXT DEFAULT 'password'`);
+        await this.addColumnIfMissing('clients', 'private_key TEXT');
+        await this.addColumnIfMissing('clients', 'passphrase TEXT');
+
+        // Migration pour le mode de stockage des backups Linux (stream, staging, snapshot)
+        await this.addColumnIfMissing('clients', 'backup_mode TEXT');
+
+        // Migration pour les dumps de bases de données des clients Linux (JSON chiffré, contient les mots de passe)
+        await this.addColumnIfMissing('clients', 'database_jobs TEXT');
+
+        // Migration pour les commandes exécutées avant/après chaque backup (JSON { pre, post })
+        await this.addColumnIfMissing('clients', 'backup_hooks TEXT');
+
+        // Migration pour la limitation de débit et de priorité selon l'heure (JSON, profils)
+        await this.addColumnIfMissing('clients', 'throttle_profiles TEXT');
+        await this.addColumnIfMissing('network_stats', 'throttle_profile TEXT');
+        await this.addColumnIfMissing('network_stats', 'bandwidth_limit_mbps REAL DEFAULT 0');
+        await this.addColumnIfMissing('network_stats', 'priority TEXT');
+
+        // Migration pour les fenêtres de backup et périodes de gel du client (JSON { windows, blackouts })
+        await this.addColumnIfMissing('clients', 'backup_windows TEXT');
+
+        // Migration pour la compression des archives du client (JSON { codec, level })
+        await this.addColumnIfMissing('clients', 'compression TEXT');
+
+        // Migration pour le découpage des archives en volumes (Mo, 0: pas de découpage, NULL: ARCHIVE_SPLIT_SIZE_MB)
+        await this.addColumnIfMissing('clients', 'split_size_mb INTEGER');
+
+        // Migration pour les destinations de stockage (nom de la destination du client, destination du backup)
+        await this.addColumnIfMissing('clients', 'storage_destination TEXT');
+        await this.addColumnIfMissing('backups', 'storage TEXT');
+
+        // Migration pour la réplication (destinations secondaires du client, rétention et emplacement des destinations)
+        await this.addColumnIfMissing('clients', 'replication_destinations TEXT');
+        await this.addColumnIfMissing('storage_destinations', 'retention_days INTEGER');
+        await this.addColumnIfMissing('storage_destinations', 'offsite BOOLEAN DEFAULT 1');
+
+        // Migration pour l'annulation des backups
+        await this.addColumnIfMissing('backups', 'cancelled_at DATETIME');
+        await this.addColumnIfMissing('backups', 'cancelled_by TEXT');
+
+        // Migration pour les chaînes de backups (complet -> incrémentiels/différentiels)
+        await this.addColumnIfMissing('backups', 'parent_backup_id TEXT');
+        await this.addColumnIfMissing('backups', 'chain_id TEXT');
+        await this.run('CREATE INDEX IF NOT EXISTS idx_backups_parent_backup_id ON backups(parent_backup_id)');
+        await this.run('CREATE INDEX IF NOT EXISTS idx_backups_chain_id ON backups(chain_id)');
+        await this.backfillBackupChains();
+
         // Tables de base de données créées/vérifiées
     }
 
+    /**
+     * Rattache les backups antérieurs aux chaînes: un complet est sa propre chaîne,
+     * les anciens incrémentiels/différentiels dépendaient du dernier complet terminé du client
+     */
+    async backfillBackupChains() {
+        await this.run(`UPDATE backups SET chain_id = backup_id WHERE type = 'full' AND chain_id IS NULL`);
+        await this.run(
+            `UPDATE backups SET parent_backup_id = (
+                SELECT f.backup_id FROM backups f
+                WHERE f.client_name = backups.client_name AND f.type = 'full' AND f.status = 'completed'
+                  AND f.created_at <= backups.created_at
+                ORDER BY f.created_at DESC LIMIT 1
+             )
+             WHERE type IN ('incremental', 'differential') AND parent_backup_id IS NULL AND chain_id IS NULL`
+        );
+        await this.run(
+            `UPDATE backups SET chain_id = COALESCE(parent_backup_id, backup_id)
+             WHERE type IN ('incremental', 'differential') AND chain_id IS NULL`
+        );
+    }
+
+    async addColumnIfMissing(table, columnDefinition) {
+        try {
+            await this.run(`ALTER TABLE ${table} ADD COLUMN ${columnDefinition}`);
+        } catch (error) {
+            // La colonne existe déjà, ignorer l'erreur
+            if (!error.message.includes('duplicate column name')) {
+                throw error;
+            }
+        }
+    }
+
     run(sql, params = []) {
         return new Promise((resolve, reject) => {
             this.db.run(sql, params, function(err) {
@@ -283,15 +476,21 @@ const db = new Database();
 
 // Fonctions utilitaires pour les clients
 const addClient = async (clientData) => {
-    const { name, host, port = 22, username, password, folders, backup_type = 'full', os_type = 'windows' } = clientData;
+    const {
+        name, host, port = 22, username, password = '', folders, backup_type = 'full', os_type = 'windows',
+        auth_method = 'password', private_key = null, passphrase = null, backup_mode = null, database_jobs = null, backup_hooks = null,
+        throttle_profiles = null, backup_windows = null, compression = null, split_size_mb = null, storage_destination = null, replication_destinations = null
+    } = clientData;
     
     const result = await db.run(
-        `INSERT INTO clients (name, host, port, username, password, folders, backup_type, os_type) 
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-        [name, host, port, username, password, folders, backup_type, os_type]
+        `INSERT INTO clients (name, host, port, username, password, auth_method, private_key, passphrase, folders, backup_type, os_type, backup_mode, database_jobs, backup_hooks, throttle_profiles, backup_windows, compression, split_size_mb, storage_destination, replication_destinations) 
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [name, host, port, username, vault.encrypt(password || ''), auth_method, vault.encrypt(private_key), vault.encrypt(passphrase), folders, backup_type, os_type, backup_mode, vault.encrypt(database_jobs), backup_hooks, throttle_profiles, backup_windows, compression, split_size_mb, storage_destination, replication_destinations]
     );
     
-    await logActivity('CLIENT_ADDED', name, null, null, { clientData });
+    // Ne jamais journaliser les secrets d'authentification
+    const { password: _password, private_key: _privateKey, passphrase: _passphrase, database_jobs: _databaseJobs, ...loggedData } = clientData;
+    await logActivity('CLIENT_ADDED', name, null, null, { clientData: loggedData });
     return result;
 };
 
@@ -312,15 +511,16 @@ const getClients = async (filters = {}) => {
     
     sql += ' ORDER BY created_at DESC';
     
-    return await db.all(sql, params);
+    const clients = await db.all(sql, params);
+    return clients.map(client => vault.decryptFields(client));
 };
 
 const getClient = async (id) => {
-    return await db.get('SELECT * FROM clients WHERE id = ?', [id]);
+    return vault.decryptFields(await db.get('SELECT * FROM clients WHERE id = ?', [id]));
 };
 
 const getClientByName = async (name) => {
-    return await db.get('SELECT * FROM clients WHERE name = ?', [name]);
+    return vault.decryptFields(await db.get('SELECT * FROM clients WHERE name = ?', [name]));
 };
 
 const updateClient = async (id, clientData) => {
@@ -328,9 +528,9 @@ const updateClient = async (id, clientData) => {
     const params = [];
     
     for (const [key, value] of Object.entries(clientData)) {
-        if (['name', 'host', 'port', 'username', 'password', 'folders', 'backup_type', 'active'].includes(key)) {
+        if (['name', 'host', 'port', 'username', 'password', 'auth_method', 'private_key', 'passphrase', 'folders', 'backup_type', 'os_type', 'backup_mode', 'database_jobs', 'backup_hooks', 'throttle_profiles', 'backup_windows', 'compression', 'split_size_mb', 'storage_destination', 'replication_destinations', 'active'].includes(key)) {
             fields.push(`${key} = ?`);
-            params.push(value);
+            params.push(SECRET_CLIENT_FIELDS.includes(key) ? vault.encrypt(value) : value);
         }
     }
     
@@ -343,7 +543,8 @@ const updateClient = async (id, clientData) => {
     );
     
     const client = await getClient(id);
-    await logActivity('CLIENT_UPDATED', client?.name, null, null, { clientData });
+    const { password: _password, private_key: _privateKey, passphrase: _passphrase, database_jobs: _databaseJobs, ...loggedData } = clientData;
+    await logActivity('CLIENT_UPDATED', client?.name, null, null, { clientData: loggedData });
     
     return result;
 };
@@ -369,17 +570,21 @@ const addBackup = async (backupData) => {
         started_at,
         completed_at,
         failed_at,
+        cancelled_at,
+        cancelled_by,
         size_mb = 0,
         file_count = 0,
         path,
         error_message,
-        metadata
+        metadata,
+        parent_backup_id = null,
+        chain_id = null
     } = backupData;
     
     const result = await db.run(
-        `INSERT INTO backups (backup_id, client_name, type, status, started_at, completed_at, failed_at, size_mb, file_count, path, error_message, metadata)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-        [backup_id, client_name, type, status, started_at, completed_at, failed_at, size_mb, file_count, path, error_message, JSON.stringify(metadata)]
+        `INSERT INTO backups (backup_id, client_name, type, status, started_at, completed_at, failed_at, cancelled_at, cancelled_by, size_mb, file_count, path, error_message, metadata, parent_backup_id, chain_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [backup_id, client_name, type, status, started_at, completed_at, failed_at, cancelled_at, cancelled_by, size_mb, file_count, path, error_message, JSON.stringify(metadata), parent_backup_id, chain_id]
     );
     
     await logActivity('BACKUP_CREATED', client_name, backup_id, null, { type, status });
@@ -397,11 +602,13 @@ const updateBackupStatus = async (backup_id, status, additionalData = {}) => {
         fields.push('completed_at = CURRENT_TIMESTAMP');
     } else if (status === 'failed' && !additionalData.failed_at) {
         fields.push('failed_at = CURRENT_TIMESTAMP');
+    } else if (status === 'cancelled' && !additionalData.cancelled_at) {
+        fields.push('cancelled_at = CURRENT_TIMESTAMP');
     }
     
     // Ajouter les autres champs
     for (const [key, value] of Object.entries(additionalData)) {
-        if (['size_mb', 'file_count', 'path', 'error_message', 'metadata', 'started_at', 'completed_at', 'failed_at'].includes(key)) {
+        if (['type', 'size_mb', 'file_count', 'path', 'error_message', 'metadata', 'started_at', 'completed_at', 'failed_at', 'cancelled_at', 'cancelled_by', 'parent_backup_id', 'chain_id'].includes(key)) {
             fields.push(`${key} = ?`);
             params.push(key === 'metadata' ? JSON.stringify(value) : value);
         }
@@ -462,6 +669,20 @@ const getBackups = async (filters = {}) => {
     }));
 };
 
+const getBackup = async (backup_id) => {
+    const backup = await db.get('SELECT * FROM backups WHERE backup_id = ?', [backup_id]);
+    if (!backup) return null;
+    
+    return {
+        ...backup,
+        metadata: backup.metadata ? JSON.parse(backup.metadata) : null
+    };
+};
+
+const getChildBackups = async (backup_id) => {
+    return await db.all('SELECT * FROM backups WHERE parent_backup_id = ? ORDER BY created_at ASC', [backup_id]);
+};
+
 const getBackupStats = async () => {
     const stats = {
         total: 0,
@@ -551,17 +772,54 @@ const getActivityLogs = async (limit = 100) => {
 // Fonctions utilitaires pour les paramètres
 const getSetting = async (key) => {
     const result = await db.get('SELECT value FROM settings WHERE key = ?', [key]);
-    return result ? result.value : null;
+    if (!result) return null;
+    return SECRET_SETTING_KEYS.includes(key) ? vault.decrypt(result.value) : result.value;
 };
 
 const setSetting = async (key, value) => {
     return await db.run(
         `INSERT OR REPLACE INTO settings (key, value, updated_at) 
          VALUES (?, ?, CURRENT_TIMESTAMP)`,
-        [key, value]
+        [key, SECRET_SETTING_KEYS.includes(key) ? vault.encrypt(value) : value]
     );
 };
 
+// Chiffrer les secrets encore en clair et re-chiffrer ceux d'une ancienne clé (rotation)
+const reencryptSecrets = async () => {
+    let updated = 0;
+    
+    const clients = await db.all(`SELECT id, ${SECRET_CLIENT_FIELDS.join(', ')} FROM clients`);
+    for (const client of clients) {
+        const fields = SECRET_CLIENT_FIELDS.filter(field => vault.needsReencryption(client[field]));
+        if (fields.length === 0) continue;
+        
+        await db.run(
+            `UPDATE clients SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+            [...fields.map(field => vault.reencrypt(client[field])), client.id]
+        );
+        updated++;
+    }
+    
+    const destinations = await db.all('SELECT id, config FROM storage_destinations');
+    for (const destination of destinations) {
+        if (!vault.needsReencryption(destination.config)) continue;
+        
+        await db.run('UPDATE storage_destinations SET config = ? WHERE id = ?', [vault.reencrypt(destination.config), destination.id]);
+        updated++;
+    }
+    
+    const placeholders = SECRET_SETTING_KEYS.map(() => '?').join(',');
+    const settings = await db.all(`SELECT key, value FROM settings WHERE key IN (${placeholders})`, SECRET_SETTING_KEYS);
+    for (const setting of settings) {
+        if (!vault.needsReencryption(setting.value)) continue;
+        
+        await db.run('UPDATE settings SET value = ? WHERE key = ?', [vault.reencrypt(setting.value), setting.key]);
+        updated++;
+    }
+    
+    return updated;
+};
+
 // Fonctions utilitaires pour les métriques
 const addMetric = async (name, value, unit = '', tags = {}) => {
     return await db.run(
@@ -595,6 +853,13 @@ const getMetrics = async (name, since = null, limit = 1000) => {
 const initDatabase = async () => {
     await db.init();
     
+    // Chiffrement au repos des identifiants
+    vault.init();
+    const reencrypted = await reencryptSecrets();
+    if (reencrypted > 0) {
+        await logActivity('VAULT_SECRETS_REENCRYPTED', null, null, null, { rows: reencrypted });
+    }
+    
     // Insérer des paramètres par défaut si nécessaire
     const defaultSettings = [
         ['backup_retention_days', process.env.RETENTION_DAYS || '30'],
@@ -621,17 +886,22 @@ async function addNetworkStats(networkData) {
         duration_seconds,
         files_count,
         started_at,
-        completed_at
+        completed_at,
+        throttle_profile = null,
+        bandwidth_limit_mbps = 0,
+        priority = null
     } = networkData;
 
     return await db.run(`
         INSERT INTO network_stats (
             backup_id, client_name, bytes_transferred, transfer_speed_mbps,
-            duration_seconds, files_count, started_at, completed_at
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            duration_seconds, files_count, started_at, completed_at,
+            throttle_profile, bandwidth_limit_mbps, priority
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `, [
         backup_id, client_name, bytes_transferred, transfer_speed_mbps,
-        duration_seconds, files_count, started_at, completed_at
+        duration_seconds, files_count, started_at, completed_at,
+        throttle_profile, bandwidth_limit_mbps, priority
     ]);
 }
 
@@ -656,6 +926,153 @@ async function getNetworkStatsByClient(clientName, limit = 10) {
     `, [clientName, limit]);
 }
 
+// Fonctions pour le catalogue des fichiers
+const CATALOG_INSERT_BATCH = 500;
+
+async function addBackupFiles(backupId, clientName, files) {
+    // Insertions groupées: un catalogue peut compter des centaines de milliers de fichiers
+    for (let i = 0; i < files.length; i += CATALOG_INSERT_BATCH) {
+        const batch = files.slice(i, i + CATALOG_INSERT_BATCH);
+        const placeholders = batch.map(() => '(?, ?, ?, ?, ?, ?, ?)').join(', ');
+        const params = [];
+        for (const file of batch) {
+            params.push(backupId, clientName, file.path, file.type || 'file', file.size || 0, file.mtime || null, file.hash || null);
+        }
+        await db.run(
+            `INSERT INTO backup_files (backup_id, client_name, path, type, size, mtime, hash) VALUES ${placeholders}`,
+            params
+        );
+    }
+}
+
+async function getBackupFiles(backupId, options = {}) {
+    let sql = 'SELECT path, type, size, mtime, hash FROM backup_files WHERE backup_id = ?';
+    const params = [backupId];
+
+    if (options.prefix) {
+        sql += ' AND path LIKE ? ESCAPE \'\\\'';
+        params.push(options.prefix.replace(/[\\%_]/g, '\\$&') + '%');
+    }
+
+    sql += ' ORDER BY path';
+
+    if (options.limit) {
+        sql += ' LIMIT ? OFFSET ?';
+        params.push(options.limit, options.offset || 0);
+    }
+
+    return await db.all(sql, params);
+}
+
+async function getBackupTreeEntries(backupId, dirPath = '', options = {}) {
+    // Contenu direct d'un dossier: fichiers et sous-dossiers agrégés (taille, nombre de fichiers, date la plus récente)
+    const prefix = dirPath ? dirPath.replace(/\/+$/, '') + '/' : '';
+    const start = [...prefix].length + 1;
+
+    let sql = `
+        SELECT CASE WHEN slash > 0 THEN substr(rest, 1, slash - 1) ELSE rest END AS name,
+               MAX(slash > 0) AS is_dir,
+               MAX(type) AS type,
+               SUM(size) AS size,
+               MAX(mtime) AS mtime,
+               COUNT(*) AS file_count
+        FROM (
+            SELECT substr(path, ?) AS rest, instr(substr(path, ?), '/') AS slash, type, size, mtime
+            FROM backup_files
+            WHERE backup_id = ? AND substr(path, 1, ?) = ?
+        )
+        GROUP BY name
+        ORDER BY is_dir DESC, name COLLATE NOCASE`;
+    const params = [start, start, backupId, start - 1, prefix];
+
+    if (options.limit) {
+        sql += ' LIMIT ? OFFSET ?';
+        params.push(options.limit, options.offset || 0);
+    }
+
+    return await db.all(sql, params);
+}
+
+async function searchBackupFiles(filters = {}) {
+    // Versions d'un fichier dans tous les backups terminés, du plus récent au plus ancien
+    let sql = `
+        SELECT f.backup_id, f.client_name, f.path, f.type, f.size, f.mtime, f.hash,
+               b.type AS backup_type, b.started_at, b.completed_at
+        FROM backup_files f
+        JOIN backups b ON b.backup_id = f.backup_id
+        WHERE b.status = 'completed' AND f.path LIKE ? ESCAPE '\\'`;
+    const params = [filters.like || '%'];
+
+    if (filters.clientNames) {
+        if (filters.clientNames.length === 0) return [];
+        sql += ` AND f.client_name IN (${filters.clientNames.map(() => '?').join(', ')})`;
+        params.push(...filters.clientNames);
+    }
+
+    if (filters.from) {
+        sql += ' AND datetime(b.started_at) >= datetime(?)';
+        params.push(filters.from);
+    }
+
+    if (filters.to) {
+        sql += ' AND datetime(b.started_at) <= datetime(?)';
+        params.push(filters.to);
+    }
+
+    sql += ' ORDER BY f.client_name, f.path, datetime(b.started_at) DESC LIMIT ? OFFSET ?';
+    params.push(filters.limit || 1000, filters.offset || 0);
+
+    return await db.all(sql, params);
+}
+
+async function getBackupCatalog(backupId) {
+    return await db.get('SELECT * FROM backup_catalogs WHERE backup_id = ?', [backupId]);
+}
+
+async function setBackupCatalogStatus(backupId, clientName, status, data = {}) {
+    await db.run(
+        `INSERT INTO backup_catalogs (backup_id, client_name, status, source, file_count, total_size, hashed, error_message, started_at, completed_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+         ON CONFLICT(backup_id) DO UPDATE SET
+            status = excluded.status,
+            source = COALESCE(excluded.source, backup_catalogs.source),
+            file_count = excluded.file_count,
+            total_size = excluded.total_size,
+            hashed = excluded.hashed,
+            error_message = excluded.error_message,
+            started_at = COALESCE(excluded.started_at, backup_catalogs.started_at),
+            completed_at = excluded.completed_at`,
+        [
+            backupId, clientName, status, data.source || null, data.file_count || 0, data.total_size || 0,
+            data.hashed ? 1 : 0, data.error_message || null, data.started_at || null, data.completed_at || null
+        ]
+    );
+}
+
+async function deleteBackupCatalog(backupId) {
+    await db.run('DELETE FROM backup_files WHERE backup_id = ?', [backupId]);
+    await db.run('DELETE FROM backup_catalogs WHERE backup_id = ?', [backupId]);
+}
+
+async function addBackupDeletions(backupId, paths) {
+    for (let i = 0; i < paths.length; i += CATALOG_INSERT_BATCH) {
+        const batch = paths.slice(i, i + CATALOG_INSERT_BATCH);
+        await db.run(
+            `INSERT INTO backup_deletions (backup_id, path) VALUES ${batch.map(() => '(?, ?)').join(', ')}`,
+            batch.flatMap(entryPath => [backupId, entryPath])
+        );
+    }
+}
+
+async function getBackupDeletions(backupId) {
+    const rows = await db.all('SELECT path FROM backup_deletions WHERE backup_id = ? ORDER BY path', [backupId]);
+    return rows.map(row => row.path);
+}
+
+async function deleteBackupDeletions(backupId) {
+    await db.run('DELETE FROM backup_deletions WHERE backup_id = ?', [backupId]);
+}
+
 // Fonctions pour les utilisateurs
 const getAllUsers = async () => {
     return await db.all(`
@@ -926,6 +1343,194 @@ const deleteCustomSchedule = async (name) => {
     return await db.run('DELETE FROM custom_schedules WHERE name = ?', [name]);
 };
 
+// Fonctions pour les jobs de backup persistés (file d'attente et backups en cours)
+const saveBackupJob = async (job) => {
+    const {
+        id, client_id = null, client_name, type, priority = 'normal', kind, status = 'queued',
+        triggered_by = null, destination = null, options = {}, attempts = 0
+    } = job;
+
+    return await db.run(
+        `INSERT OR REPLACE INTO backup_jobs (id, client_id, client_name, type, priority, kind, status, triggered_by, destination, options, attempts)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [id, client_id, client_name, type, priority, kind, status, triggered_by, destination, JSON.stringify(options), attempts]
+    );
+};
+
+const updateBackupJob = async (id, updates) => {
+    const fields = ['updated_at = CURRENT_TIMESTAMP'];
+    const params = [];
+
+    for (const [key, value] of Object.entries(updates)) {
+        if (['status', 'started_at', 'artifacts', 'attempts'].includes(key)) {
+            fields.push(`${key} = ?`);
+            params.push(key === 'artifacts' ? JSON.stringify(value) : value);
+        }
+    }
+
+    params.push(id);
+    return await db.run(`UPDATE backup_jobs SET ${fields.join(', ')} WHERE id = ?`, params);
+};
+
+const deleteBackupJob = async (id) => {
+    return await db.run('DELETE FROM backup_jobs WHERE id = ?', [id]);
+};
+
+const getBackupJobs = async () => {
+    const jobs = await db.all('SELECT * FROM backup_jobs ORDER BY queued_at, rowid');
+    return jobs.map(job => ({
+        ...job,
+        options: job.options ? JSON.parse(job.options) : {}
+    }));
+};
+
+// Fonctions pour les destinations de stockage (configuration JSON chiffrée: identifiants SFTP et S3)
+const parseStorageDestination = (row) => {
+    if (!row) return null;
+    return { ...row, active: !!row.active, offsite: !!row.offsite, config: row.config ? JSON.parse(vault.decrypt(row.config)) : {} };
+};
+
+const addStorageDestination = async ({ name, type, config = {}, retention_days = null, offsite = true, active = true }) => {
+    const result = await db.run(
+        'INSERT INTO storage_destinations (name, type, config, retention_days, offsite, active) VALUES (?, ?, ?, ?, ?, ?)',
+        [name, type, vault.encrypt(JSON.stringify(config)), retention_days, offsite ? 1 : 0, active ? 1 : 0]
+    );
+    await logActivity('STORAGE_DESTINATION_ADDED', null, null, null, { name, type });
+    return result;
+};
+
+const getStorageDestinations = async () => {
+    const rows = await db.all('SELECT * FROM storage_destinations ORDER BY name');
+    return rows.map(parseStorageDestination);
+};
+
+const getStorageDestination = async (id) => {
+    return parseStorageDestination(await db.get('SELECT * FROM storage_destinations WHERE id = ?', [id]));
+};
+
+const getStorageDestinationByName = async (name) => {
+    return parseStorageDestination(await db.get('SELECT * FROM storage_destinations WHERE name = ?', [name]));
+};
+
+const updateStorageDestination = async (id, updates) => {
+    const fields = ['updated_at = CURRENT_TIMESTAMP'];
+    const params = [];
+
+    for (const [key, value] of Object.entries(updates)) {
+        if (['name', 'type', 'config', 'retention_days', 'offsite', 'active'].includes(key)) {
+            fields.push(`${key} = ?`);
+            if (key === 'config') params.push(vault.encrypt(JSON.stringify(value)));
+            else if (key === 'active' || key === 'offsite') params.push(value ? 1 : 0);
+            else params.push(value);
+        }
+    }
+
+    params.push(id);
+    const result = await db.run(`UPDATE storage_destinations SET ${fields.join(', ')} WHERE id = ?`, params);
+    await logActivity('STORAGE_DESTINATION_UPDATED', null, null, null, { id, fields: Object.keys(updates) });
+    return result;
+};
+
+const deleteStorageDestination = async (id) => {
+    const destination = await getStorageDestination(id);
+    const result = await db.run('DELETE FROM storage_destinations WHERE id = ?', [id]);
+    if (destination) {
+        await logActivity('STORAGE_DESTINATION_DELETED', null, null, null, { name: destination.name });
+    }
+    return result;
+};
+
+// Destination et clé d'un backup après son envoi (remplace le chemin local)
+const setBackupStorage = async (backup_id, storage, path) => {
+    return await db.run('UPDATE backups SET storage = ?, path = ? WHERE backup_id = ?', [storage, path, backup_id]);
+};
+
+// Fonctions pour les copies des backups vers les destinations secondaires
+// Statuts: pending (en attente ou en cours), copied, verified, failed, expired (supprimée par la rétention)
+const REPLICA_LIVE_STATUSES = ['copied', 'verified'];
+
+// Nouvelle copie, ou copie échouée ou expirée remise en attente
+const queueBackupReplica = async (backup_id, client_name, destination) => {
+    return await db.run(
+        `INSERT INTO backup_replicas (backup_id, client_name, destination, status)
+         VALUES (?, ?, ?, 'pending')
+         ON CONFLICT(backup_id, destination) DO UPDATE SET
+            status = 'pending',
+            error_message = NULL,
+            updated_at = CURRENT_TIMESTAMP
+         WHERE backup_replicas.status IN ('failed', 'expired')`,
+        [backup_id, client_name, destination]
+    );
+};
+
+const updateBackupReplica = async (id, updates) => {
+    const fields = ['updated_at = CURRENT_TIMESTAMP'];
+    const params = [];
+
+    for (const [key, value] of Object.entries(updates)) {
+        if (['status', 'path', 'size_bytes', 'attempts', 'error_message', 'copied_at', 'verified_at', 'expired_at'].includes(key)) {
+            fields.push(`${key} = ?`);
+            params.push(value);
+        }
+    }
+
+    params.push(id);
+    return await db.run(`UPDATE backup_replicas SET ${fields.join(', ')} WHERE id = ?`, params);
+};
+
+const getBackupReplica = async (id) => {
+    return await db.get('SELECT * FROM backup_replicas WHERE id = ?', [id]);
+};
+
+const getBackupReplicas = async (filters = {}) => {
+    let query = 'SELECT * FROM backup_replicas WHERE 1=1';
+    const params = [];
+
+    if (filters.backup_id) {
+        query += ' AND backup_id = ?';
+        params.push(filters.backup_id);
+    }
+    if (filters.destination) {
+        query += ' AND destination = ?';
+        params.push(filters.destination);
+    }
+    if (filters.status) {
+        const statuses = Array.isArray(filters.status) ? filters.status : [filters.status];
+        query += ` AND status IN (${statuses.map(() => '?').join(', ')})`;
+        params.push(...statuses);
+    }
+
+    query += ' ORDER BY created_at DESC, id DESC';
+    return await db.all(query, params);
+};
+
+// Copies par statut et par destination, backups terminés sans copie hors site
+const getReplicationStats = async () => {
+    const rows = await db.all('SELECT destination, status, COUNT(*) as count FROM backup_replicas GROUP BY destination, status');
+    const destinations = {};
+    const totals = { pending: 0, copied: 0, verified: 0, failed: 0, expired: 0 };
+    for (const row of rows) {
+        destinations[row.destination] = destinations[row.destination] || { pending: 0, copied: 0, verified: 0, failed: 0, expired: 0 };
+        destinations[row.destination][row.status] = row.count;
+        totals[row.status] = (totals[row.status] || 0) + row.count;
+    }
+
+    // Hors site: destination principale ou copie (copiée ou vérifiée) sur une destination marquée offsite
+    // (incrémentiels sans changement exclus: terminés sans fichiers, ils ne sont jamais copiés)
+    const withoutOffsite = await db.get(
+        `SELECT COUNT(*) as count FROM backups b
+         WHERE b.status = 'completed' AND b.path IS NOT NULL
+         AND NOT EXISTS (SELECT 1 FROM storage_destinations d WHERE d.name = b.storage AND d.offsite = 1)
+         AND NOT EXISTS (
+            SELECT 1 FROM backup_replicas r JOIN storage_destinations d ON d.name = r.destination
+            WHERE r.backup_id = b.backup_id AND d.offsite = 1 AND r.status IN (${REPLICA_LIVE_STATUSES.map(() => '?').join(', ')})
+         )`,
+        REPLICA_LIVE_STATUSES
+    );
+
+    return { ...totals, without_offsite: withoutOffsite.count, destinations };
+};
+
 const incrementScheduleRunCount = async (name) => {
     return await db.run(`
         UPDATE custom_schedules 
@@ -951,7 +1556,10 @@ module.exports = {
     addBackup,
     updateBackupStatus,
     getBackups,
+    getBackup,
+    getChildBackups,
     getBackupStats,
+    setBackupStorage,
     
     // Schedules
     addSchedule,
@@ -965,6 +1573,9 @@ module.exports = {
     getSetting,
     setSetting,
     
+    // Vault
+    reencryptSecrets,
+    
     // Metrics
     addMetric,
     getMetrics,
@@ -974,6 +1585,18 @@ module.exports = {
     getNetworkStats,
     getNetworkStatsByClient,
     
+    // Catalogue des fichiers
+    addBackupFiles,
+    getBackupFiles,
+    getBackupTreeEntries,
+    searchBackupFiles,
+    getBackupCatalog,
+    setBackupCatalogStatus,
+    deleteBackupCatalog,
+    addBackupDeletions,
+    getBackupDeletions,
+    deleteBackupDeletions,
+    
     // Users
     getAllUsers,
     createUser,
@@ -998,5 +1621,27 @@ module.exports = {
     getCustomSchedule,
     updateCustomSchedule,
     deleteCustomSchedule,
-    incrementScheduleRunCount
+    incrementScheduleRunCount,
+    
+    // Destinations de stockage
+    addStorageDestination,
+    getStorageDestinations,
+    getStorageDestination,
+    getStorageDestinationByName,
+    updateStorageDestination,
+    deleteStorageDestination,
+    
+    // Copies des backups (réplication)
+    REPLICA_LIVE_STATUSES,
+    queueBackupReplica,
+    updateBackupReplica,
+    getBackupReplica,
+    getBackupReplicas,
+    getReplicationStats,
+    
+    // Jobs de backup persistés
+    saveBackupJob,
+    updateBackupJob,
+    deleteBackupJob,
+    getBackupJobs
 };
\ No newline at end of file
@@ -0,0 +1,241 @@
+/**
+ * Catalogue des fichiers de chaque backup (chemin, taille, date de modification, empreinte optionnelle)
+ * Construit après le backup en parcourant le stockage du serveur: arborescence (Windows, snapshots Linux)
+ * ou liste d'une archive tar, compressée ou non (sans l'extraire). Un backup déjà envoyé vers une
+ * destination de stockage est recopié temporairement pour être parcouru.
+ * Le catalogue sert à parcourir, rechercher et restaurer sélectivement sans ouvrir les archives.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+const { spawn } = require('child_process');
+const { logger } = require('./logger');
+const { addBackupFiles, setBackupCatalogStatus, deleteBackupCatalog } = require('./database');
+const { METADATA_FILE } = require('./snapshots');
+const archiveVolumes = require('./archive-volumes');
+const { storageManager } = require('../storage/storageManager');
+
+// Fichiers techniques écrits à la racine d'un backup, hors données du client
+const BACKUP_ARTIFACTS = [METADATA_FILE];
+const FLUSH_SIZE = 2000;
+
+// Ligne de `tar -tv --full-time`: "-rw-r--r-- user/group 1234 2024-01-31 12:00:00 chemin"
+const TAR_LINE = /^([-dlhbcps])\S*\s+\S+\s+(\d+)\s+(\d{4}-\d{2}-\d{2})\s+(\d{2}:\d{2}:\d{2})\s+(.+)$/;
+
+class FileCatalog {
+    /**
+     * Empreintes SHA-256 des fichiers (lecture complète de chaque fichier, désactivé par défaut)
+     * Les archives ne sont pas concernées: il faudrait les décompresser entièrement.
+     */
+    isHashEnabled() {
+        return process.env.CATALOG_HASH_FILES === 'true';
+    }
+
+    /**
+     * Construit (ou reconstruit) le catalogue d'un backup
+     * @param {Object} backup - { backup_id, client_name, path, storage }
+     * @returns {Promise<{fileCount: number, totalSize: number}>}
+     */
+    async catalogBackup(backup) {
+        const { backup_id: backupId, client_name: clientName } = backup;
+        const startedAt = new Date().toISOString();
+
+        await deleteBackupCatalog(backupId);
+
+        if (!backup.path) {
+            // Incrémentiel sans changement: aucune archive, catalogue vide
+            await setBackupCatalogStatus(backupId, clientName, 'completed', { source: 'none', started_at: startedAt, completed_at: startedAt });
+            return { fileCount: 0, totalSize: 0 };
+        }
+
+        const local = await storageManager.materialize(backup);
+        try {
+            return await this.catalogPath(backupId, clientName, local.path, startedAt);
+        } finally {
+            await local.release();
+        }
+    }
+
+    async catalogPath(backupId, clientName, backupPath, startedAt) {
+        const stats = await fs.promises.stat(backupPath);
+        const source = stats.isDirectory() ? 'directory' : 'archive';
+        const hashed = source === 'directory' && this.isHashEnabled();
+        await setBackupCatalogStatus(backupId, clientName, 'running', { source, hashed, started_at: startedAt });
+
+        let pending = [];
+        let fileCount = 0;
+        let totalSize = 0;
+
+        const onEntry = async (entry) => {
+            pending.push(entry);
+            fileCount++;
+            totalSize += entry.size || 0;
+            if (pending.length >= FLUSH_SIZE) {
+                const batch = pending;
+                pending = [];
+                await addBackupFiles(backupId, clientName, batch);
+            }
+        };
+
+        try {
+            if (source === 'directory') {
+                await this.scanDirectory(backupPath, onEntry, { hashed });
+            } else {
+                await this.scanArchive(backupPath, onEntry);
+            }
+            await addBackupFiles(backupId, clientName, pending);
+
+            await setBackupCatalogStatus(backupId, clientName, 'completed', {
+                source,
+                hashed,
+                file_count: fileCount,
+                total_size: totalSize,
+                completed_at: new Date().toISOString()
+            });
+
+            logger.info(`Catalogue du backup ${backupId}: ${fileCount} fichiers, ${Math.round(totalSize / (1024 * 1024))} MB`);
+            return { fileCount, totalSize };
+        } catch (error) {
+            await setBackupCatalogStatus(backupId, clientName, 'failed', {
+                source,
+                hashed,
+                file_count: fileCount,
+                total_size: totalSize,
+                error_message: error.message,
+                completed_at: new Date().toISOString()
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Parcourt une arborescence de backup (chemins relatifs, séparateur '/')
+     */
+    async scanDirectory(rootPath, onEntry, options = {}) {
+        const walk = async (dirPath) => {
+            const entries = await fs.promises.readdir(dirPath, { withFileTypes: true });
+
+            for (const entry of entries) {
+                const fullPath = path.join(dirPath, entry.name);
+                const relativePath = path.relative(rootPath, fullPath).split(path.sep).join('/');
+
+                if (dirPath === rootPath && BACKUP_ARTIFACTS.includes(entry.name)) continue;
+
+                if (entry.isDirectory()) {
+                    await walk(fullPath);
+                } else if (entry.isFile() || entry.isSymbolicLink()) {
+                    const stats = await fs.promises.lstat(fullPath);
+                    await onEntry({
+                        path: relativePath,
+                        type: entry.isSymbolicLink() ? 'symlink' : 'file',
+                        size: entry.isSymbolicLink() ? 0 : stats.size,
+                        mtime: stats.mtime.toISOString(),
+                        hash: options.hashed && entry.isFile() ? await this.hashFile(fullPath) : null
+                    });
+                }
+            }
+        };
+
+        await walk(rootPath);
+    }
+
+    /**
+     * Liste le contenu d'une archive tar avec le tar du serveur (codec détecté, volumes lus bout à bout)
+     */
+    async scanArchive(archivePath, onEntry) {
+        const archive = await archiveVolumes.openArchive(archivePath);
+        return new Promise((resolve, reject) => {
+            // TZ=UTC: tar affiche les dates dans le fuseau local
+            const tar = spawn('tar', ['-tv', ...archive.readArgs, '-f', archive.file, '--full-time'], {
+                env: { ...process.env, TZ: 'UTC', LC_ALL: 'C' }
+            });
+            archive.attach(tar);
+            const lines = readline.createInterface({ input: tar.stdout });
+            let stderr = '';
+            let chain = Promise.resolve();
+            let failed = false;
+
+            tar.stderr.on('data', (data) => {
+                stderr += data.toString();
+            });
+
+            lines.on('line', (line) => {
+                const entry = this.parseTarLine(line);
+                if (!entry) return;
+
+                // Traitement séquentiel des lignes (insertions en base)
+                lines.pause();
+                chain = chain
+                    .then(() => onEntry(entry))
+                    .then(() => lines.resume())
+                    .catch((error) => {
+                        failed = true;
+                        tar.kill();
+                        reject(error);
+                    });
+            });
+
+            tar.on('error', (error) => {
+                failed = true;
+                reject(error.code === 'ENOENT' ? new Error('tar introuvable sur le serveur') : error);
+            });
+
+            tar.on('close', (code) => {
+                chain.then(() => {
+                    if (failed) return;
+                    if (code !== 0) {
+                        reject(new Error(`Lecture de l'archive impossible (code ${code}): ${stderr.trim()}`));
+                        return;
+                    }
+                    resolve();
+                });
+            });
+        });
+    }
+
+    parseTarLine(line) {
+        const match = TAR_LINE.exec(line);
+        if (!match) return null;
+
+        const [, typeFlag, size, date, time, name] = match;
+        if (typeFlag === 'd') return null;
+
+        let entryPath = name;
+        if (typeFlag === 'l') {
+            entryPath = name.split(' -> ')[0];
+        } else if (typeFlag === 'h') {
+            entryPath = name.split(' link to ')[0];
+        }
+        entryPath = entryPath.replace(/^\.\//, '');
+
+        if (!entryPath || BACKUP_ARTIFACTS.includes(entryPath)) return null;
+
+        return {
+            path: entryPath,
+            type: typeFlag === 'l' ? 'symlink' : 'file',
+            size: typeFlag === '-' ? parseInt(size, 10) : 0,
+            mtime: new Date(`${date}T${time}Z`).toISOString(),
+            hash: null
+        };
+    }
+
+    hashFile(filePath) {
+        return new Promise((resolve, reject) => {
+            const hash = crypto.createHash('sha256');
+            fs.createReadStream(filePath)
+                .on('data', chunk => hash.update(chunk))
+                .on('end', () => resolve(hash.digest('hex')))
+                .on('error', reject);
+        });
+    }
+}
+
+// Instance singleton
+const fileCatalog = new FileCatalog();
+
+module.exports = {
+    fileCatalog,
+    FileCatalog
+};
@@ -0,0 +1,113 @@
+/**
+ * Recherche de fichiers dans les catalogues de tous les backups
+ * Un motif sans '/' (invoice*.xlsx) porte sur le nom du fichier, un motif avec '/' sur la fin du chemin.
+ * La recherche ne distingue pas les majuscules: SQLite présélectionne avec LIKE, le motif glob filtre ensuite.
+ */
+
+const { searchBackupFiles } = require('./database');
+const { globToRegExp, normalizeRestorePath } = require('./restore-selection');
+
+const SCAN_BATCH = 1000;
+const MAX_SCANNED_ROWS = 50000;
+
+class FileSearchService {
+    /**
+     * Motif glob -> motif LIKE couvrant au moins les mêmes chemins
+     */
+    toLikePattern(pattern) {
+        let like = '';
+        for (let i = 0; i < pattern.length; i++) {
+            const char = pattern[i];
+            if (char === '*') {
+                like += '%';
+            } else if (char === '?') {
+                like += '_';
+            } else if (char === '[') {
+                const end = pattern.indexOf(']', i + 1);
+                like += end === -1 ? '[' : '_';
+                if (end !== -1) i = end;
+            } else {
+                like += /[\\%_]/.test(char) ? `\\${char}` : char;
+            }
+        }
+        return `%${like.replace(/%+/g, '%')}`;
+    }
+
+    /**
+     * Recherche les versions sauvegardées des fichiers correspondant à un motif
+     * @param {Object} options - { q, clientNames (null: tous), from, to, limit }
+     * @returns {Promise<{results: Array, fileCount: number, versionCount: number, truncated: boolean}>}
+     */
+    async search(options) {
+        const normalized = normalizeRestorePath(options.q);
+        if (!normalized) {
+            throw new Error('Motif de recherche vide');
+        }
+
+        // Un motif avec dossier peut commencer à n'importe quel niveau de l'arborescence
+        const globPattern = normalized.includes('/') ? `**/${normalized}` : normalized;
+        const regex = globToRegExp(globPattern, { contents: false, ignoreCase: true });
+        const like = this.toLikePattern(normalized);
+        const limit = options.limit || 100;
+
+        const files = new Map();
+        let versionCount = 0;
+        let truncated = false;
+
+        for (let offset = 0; offset < MAX_SCANNED_ROWS; offset += SCAN_BATCH) {
+            const rows = await searchBackupFiles({
+                like,
+                clientNames: options.clientNames,
+                from: options.from,
+                to: options.to,
+                limit: SCAN_BATCH,
+                offset
+            });
+
+            for (const row of rows) {
+                if (!regex.test(row.path)) continue;
+                if (versionCount >= limit) {
+                    truncated = true;
+                    break;
+                }
+
+                const key = `${row.client_name}\u0000${row.path}`;
+                if (!files.has(key)) {
+                    files.set(key, {
+                        clientName: row.client_name,
+                        path: row.path,
+                        name: row.path.split('/').pop(),
+                        versions: []
+                    });
+                }
+                files.get(key).versions.push({
+                    backupId: row.backup_id,
+                    backupType: row.backup_type,
+                    backupDate: row.started_at,
+                    size: row.size,
+                    mtime: row.mtime,
+                    hash: row.hash
+                });
+                versionCount++;
+            }
+
+            if (truncated || rows.length < SCAN_BATCH) break;
+            if (offset + SCAN_BATCH >= MAX_SCANNED_ROWS) truncated = true;
+        }
+
+        return {
+            results: Array.from(files.values()),
+            fileCount: files.size,
+            versionCount,
+            truncated
+        };
+    }
+}
+
+// Instance singleton
+const fileSearch = new FileSearchService();
+
+module.exports = {
+    fileSearch,
+    FileSearchService
+};
@@ -0,0 +1,83 @@
+/**
+ * Fichiers temporaires d'un backup en cours (archives locales partielles, staging distant, clichés VSS)
+ * Les collections signalent chaque modification (onChange): le planificateur les enregistre avec le job
+ * dans SQLite pour nettoyer après un redémarrage du serveur ce qu'un backup interrompu a laissé.
+ */
+
+class TrackedSet extends Set {
+    constructor(values) {
+        super(values);
+        this.onChange = null;
+    }
+
+    add(value) {
+        const changed = !this.has(value);
+        super.add(value);
+        if (changed && this.onChange) this.onChange();
+        return this;
+    }
+
+    delete(value) {
+        const deleted = super.delete(value);
+        if (deleted && this.onChange) this.onChange();
+        return deleted;
+    }
+
+    clear() {
+        const changed = this.size > 0;
+        super.clear();
+        if (changed && this.onChange) this.onChange();
+    }
+}
+
+class TrackedMap extends Map {
+    constructor(entries) {
+        super(entries);
+        this.onChange = null;
+    }
+
+    set(key, value) {
+        super.set(key, value);
+        if (this.onChange) this.onChange();
+        return this;
+    }
+
+    delete(key) {
+        const deleted = super.delete(key);
+        if (deleted && this.onChange) this.onChange();
+        return deleted;
+    }
+
+    clear() {
+        const changed = this.size > 0;
+        super.clear();
+        if (changed && this.onChange) this.onChange();
+    }
+}
+
+/**
+ * Artefacts enregistrés d'un job (colonne backup_jobs.artifacts)
+ * @returns {{local: Array<string>, remote: Array<string>, vss: Array<Object>}}
+ */
+function parseArtifacts(value) {
+    let artifacts = value || {};
+    if (typeof artifacts === 'string') {
+        try {
+            artifacts = JSON.parse(artifacts);
+        } catch (error) {
+            artifacts = {};
+        }
+    }
+
+    return {
+        local: Array.isArray(artifacts.local) ? artifacts.local : [],
+        remote: Array.isArray(artifacts.remote) ? artifacts.remote : [],
+        vss: Array.isArray(artifacts.vss) ? artifacts.vss : []
+    };
+}
+
+module.exports = {
+    TrackedSet,
+    TrackedMap,
+    parseArtifacts
+};
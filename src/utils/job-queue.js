@@ -0,0 +1,181 @@
+/**
+ * File d'attente des backups avec limite de parallélisme
+ * Limite globale (paramètre max_parallel_backups) et par destination (paramètre destination_parallel_limits),
+ * priorités high / normal / low, ordre d'arrivée (FIFO) à priorité égale.
+ * Un job qui attend depuis QUEUE_PRIORITY_AGING_MINUTES minutes gagne un niveau de priorité: un backup de faible
+ * priorité finit toujours par passer. Un client n'a jamais deux backups en cours en même temps.
+ */
+
+const { logger } = require('./logger');
+
+const JOB_PRIORITIES = ['high', 'normal', 'low'];
+const PRIORITY_LEVELS = { high: 2, normal: 1, low: 0 };
+
+/**
+ * Vérifie des limites par destination de stockage, désignée par son nom ({ "local": 2, "minio": 1, "default": 1 })
+ * @returns {string|null} Message d'erreur ou null si les limites sont valides
+ */
+function validateDestinationLimits(limits) {
+    if (!limits || typeof limits !== 'object' || Array.isArray(limits)) {
+        return 'destination_parallel_limits doit être un objet { "<destination>": n }';
+    }
+    for (const [destination, limit] of Object.entries(limits)) {
+        if (!Number.isInteger(limit) || limit < 1) {
+            return `Limite invalide pour la destination ${destination}: ${limit} (entier >= 1)`;
+        }
+    }
+    return null;
+}
+
+class BackupJobQueue {
+    constructor() {
+        this.queued = [];
+        this.running = new Map();
+        this.sequence = 0;
+        this.limits = {
+            maxParallel: parseInt(process.env.MAX_PARALLEL_BACKUPS) || 2,
+            destinationLimits: {}
+        };
+    }
+
+    /**
+     * @param {Object} limits - { maxParallel, destinationLimits: { <destination>: n, default: n } }
+     */
+    setLimits(limits) {
+        this.limits = { ...this.limits, ...limits };
+        this.pump();
+    }
+
+    /**
+     * Ajoute un job à la file
+     * @param {Object} job - { id, clientName, clientId, type, priority, destination, triggeredBy, run }
+     * @returns {Promise} Résultat de job.run(), ou { cancelled: true } si le job est retiré de la file
+     */
+    enqueue(job) {
+        return new Promise((resolve, reject) => {
+            this.queued.push({
+                ...job,
+                priority: JOB_PRIORITIES.includes(job.priority) ? job.priority : 'normal',
+                queuedAt: new Date(),
+                sequence: this.sequence++,
+                resolve,
+                reject
+            });
+            logger.info(`Backup ${job.id} (${job.clientName}) ajouté à la file: priorité ${job.priority || 'normal'}, ${this.queued.length} en attente`);
+            this.pump();
+        });
+    }
+
+    /**
+     * Retire un job encore en attente
+     * @returns {boolean} false si le job n'est pas (ou plus) dans la file
+     */
+    remove(id, reason = null) {
+        const index = this.queued.findIndex(job => job.id === id);
+        if (index === -1) return false;
+
+        const [job] = this.queued.splice(index, 1);
+        job.resolve({ success: false, cancelled: true, client: job.clientName, error: reason || 'Retiré de la file d\'attente' });
+        return true;
+    }
+
+    getEffectiveLevel(job, now = Date.now()) {
+        const agingMinutes = parseInt(process.env.QUEUE_PRIORITY_AGING_MINUTES) || 30;
+        const promotions = Math.floor((now - job.queuedAt.getTime()) / (agingMinutes * 60 * 1000));
+        return Math.min(PRIORITY_LEVELS.high, PRIORITY_LEVELS[job.priority] + promotions);
+    }
+
+    /**
+     * Jobs en attente dans l'ordre de passage prévu (priorité effective, puis ordre d'arrivée)
+     */
+    getOrderedJobs() {
+        const now = Date.now();
+        return [...this.queued].sort((a, b) =>
+            this.getEffectiveLevel(b, now) - this.getEffectiveLevel(a, now) || a.sequence - b.sequence
+        );
+    }
+
+    getDestinationLimit(destination) {
+        const limits = this.limits.destinationLimits || {};
+        return parseInt(limits[destination]) || parseInt(limits.default) || Infinity;
+    }
+
+    countRunning(predicate) {
+        let count = 0;
+        for (const job of this.running.values()) {
+            if (predicate(job)) count++;
+        }
+        return count;
+    }
+
+    /**
+     * Le job peut-il démarrer maintenant ? (place sur sa destination, client libre)
+     */
+    canStart(job) {
+        if (this.countRunning(running => running.clientName === job.clientName) > 0) {
+            return false;
+        }
+        return this.countRunning(running => running.destination === job.destination) < this.getDestinationLimit(job.destination);
+    }
+
+    /**
+     * Démarre les jobs tant qu'il reste de la place; un job bloqué par sa destination ou son client
+     * ne bloque pas les suivants
+     */
+    pump() {
+        while (this.running.size < Math.max(1, this.limits.maxParallel)) {
+            const next = this.getOrderedJobs().find(job => this.canStart(job));
+            if (!next) return;
+
+            this.queued.splice(this.queued.indexOf(next), 1);
+            this.start(next);
+        }
+    }
+
+    start(job) {
+        job.startedAt = new Date();
+        this.running.set(job.id, job);
+        logger.info(`Démarrage du backup ${job.id} (${job.clientName}) après ${Math.round((job.startedAt - job.queuedAt) / 1000)}s d'attente`);
+
+        Promise.resolve()
+            .then(() => job.run())
+            .then(job.resolve, job.reject)
+            .finally(() => {
+                this.running.delete(job.id);
+                this.pump();
+            });
+    }
+
+    /**
+     * Jobs en attente avec leur position (1 = prochain à démarrer)
+     */
+    getQueuedJobs() {
+        return this.getOrderedJobs().map((job, index) => ({
+            id: job.id,
+            clientName: job.clientName,
+            clientId: job.clientId,
+            type: job.type,
+            priority: job.priority,
+            destination: job.destination,
+            triggeredBy: job.triggeredBy,
+            queuedAt: job.queuedAt,
+            position: index + 1
+        }));
+    }
+
+    /**
+     * Vide la file (arrêt du planificateur): les jobs en attente ne seront pas exécutés ici
+     * (shutdown: true, ils restent enregistrés pour le prochain démarrage)
+     */
+    clear() {
+        for (const job of this.queued.splice(0)) {
+            job.resolve({ success: false, cancelled: true, shutdown: true, client: job.clientName, error: 'Planificateur arrêté' });
+        }
+    }
+}
+
+module.exports = {
+    BackupJobQueue,
+    JOB_PRIORITIES,
+    validateDestinationLimits
+};
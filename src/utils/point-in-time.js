@@ -0,0 +1,184 @@
+/**
+ * Restauration à une date donnée
+ * Le dernier backup d'un client antérieur à la date est restauré avec sa chaîne: le backup complet,
+ * puis chaque incrémentiel ou différentiel dans l'ordre. Pour chaque fichier, la version la plus
+ * récente de la chaîne est retenue; les fichiers supprimés sur le client (inventaire des
+ * incrémentiels, table backup_deletions) ne sont pas restaurés.
+ */
+
+const { logger } = require('./logger');
+const { getBackups, getBackupFiles, getBackupDeletions, addBackupDeletions, deleteBackupDeletions } = require('./database');
+const { backupChain } = require('./backup-chain');
+const { globToRegExp, literalPrefix, ensureCatalog, restoreSelection } = require('./restore-selection');
+
+const CHAIN_TYPES = ['full', 'incremental', 'differential'];
+
+class PointInTimeService {
+    /**
+     * Date de capture d'un backup: début du backup (les fichiers sont lus à partir de ce moment)
+     */
+    getCaptureDate(backup) {
+        return backupChain.parseDate(backup.started_at || backup.created_at);
+    }
+
+    /**
+     * Dernier backup terminé d'un client démarré avant la date demandée
+     * @param {string} clientName - Client
+     * @param {Date} at - Date demandée
+     * @returns {Promise<Object|null>} Ligne de la table backups
+     */
+    async findBackupAt(clientName, at) {
+        const candidates = (await getBackups({ client_name: clientName, status: 'completed' }))
+            .filter(backup => CHAIN_TYPES.includes(backup.type))
+            .map(backup => ({ backup, date: this.getCaptureDate(backup) }))
+            .filter(candidate => candidate.date && candidate.date <= at)
+            .sort((a, b) => b.date - a.date);
+
+        return candidates.length > 0 ? candidates[0].backup : null;
+    }
+
+    /**
+     * Reconstitue l'état des fichiers au moment d'un backup
+     * @param {Object} backup - Dernier maillon de la chaîne
+     * @param {Object} filter - { patterns } motifs de restauration ou { roots } dossiers du backup
+     * @returns {Promise<{links: Array, state: Map, removed: number}>} state: chemin -> { file, backup }
+     */
+    async getStateAt(backup, filter = {}) {
+        const { links, problems } = await backupChain.getChain(backup.backup_id);
+        if (problems.length > 0) {
+            throw new Error(`Chaîne de backups incomplète: ${problems.map(problem => problem.message).join(', ')}`);
+        }
+
+        const selectors = filter.roots
+            ? filter.roots.map(root => ({ prefix: `${root}/`, regex: null }))
+            : (filter.patterns || ['**']).map(pattern => ({ prefix: literalPrefix(pattern), regex: globToRegExp(pattern) }));
+
+        let state = new Map();
+        let removed = 0;
+
+        for (const link of links) {
+            await ensureCatalog(link);
+            if (backupChain.isStandalone(link)) {
+                state = new Map();
+                removed = 0;
+            }
+
+            for (const selector of selectors) {
+                const files = await getBackupFiles(link.backup_id, { prefix: selector.prefix });
+                for (const file of files) {
+                    if (!selector.regex || selector.regex.test(file.path)) {
+                        state.set(file.path, { file, backup: link });
+                    }
+                }
+            }
+
+            for (const deletedPath of await getBackupDeletions(link.backup_id)) {
+                if (state.delete(deletedPath)) {
+                    removed++;
+                }
+            }
+        }
+
+        return { links, state, removed };
+    }
+
+    /**
+     * Enregistre les fichiers supprimés depuis le backup parent, à partir de l'inventaire du client
+     * @param {Object} backup - Backup incrémentiel ou différentiel terminé
+     * @param {Object} manifest - { roots, paths } chemins du catalogue présents sur le client
+     * @returns {Promise<number>} Nombre de suppressions enregistrées
+     */
+    async recordDeletions(backup, manifest) {
+        if (!manifest || !manifest.roots || manifest.roots.length === 0) return 0;
+        if (backupChain.isStandalone(backup) || !backup.parent_backup_id) return 0;
+
+        const { state } = await this.getStateAt({ backup_id: backup.parent_backup_id }, { roots: manifest.roots });
+
+        const present = new Set(manifest.paths);
+        const deleted = Array.from(state.keys()).filter(entryPath => !present.has(entryPath));
+
+        await deleteBackupDeletions(backup.backup_id);
+        await addBackupDeletions(backup.backup_id, deleted);
+
+        if (deleted.length > 0) {
+            logger.info(`Backup ${backup.backup_id}: ${deleted.length} fichier(s) supprimé(s) depuis ${backup.parent_backup_id}`);
+        }
+        return deleted.length;
+    }
+
+    /**
+     * Restaure des chemins tels qu'ils étaient à une date donnée
+     * @param {Object} options - { clientName, at, paths, destinationDir, conflictPolicy, dryRun }
+     * @returns {Promise<Object>} Plan (backups utilisés, fichiers par backup) et résultat de la restauration
+     */
+    async restoreAt(options) {
+        const { clientName, at, destinationDir } = options;
+        const patterns = options.paths && options.paths.length > 0 ? options.paths : ['**'];
+
+        const target = await this.findBackupAt(clientName, at);
+        if (!target) {
+            throw new Error(`Aucun backup de ${clientName} antérieur au ${at.toISOString()}`);
+        }
+
+        const { links, state, removed } = await this.getStateAt(target, { patterns });
+        const unmatched = patterns.filter(pattern => {
+            const regex = globToRegExp(pattern);
+            return !Array.from(state.keys()).some(entryPath => regex.test(entryPath));
+        });
+
+        // Fichiers regroupés par backup, dans l'ordre de la chaîne
+        const groups = links.map(link => ({
+            backup: link,
+            files: Array.from(state.values()).filter(entry => entry.backup === link).map(entry => entry.file)
+        }));
+
+        const plan = {
+            client_name: clientName,
+            at: at.toISOString(),
+            backup_id: target.backup_id,
+            backup_started_at: target.started_at,
+            chain: groups.map(group => ({
+                backup_id: group.backup.backup_id,
+                type: group.backup.type,
+                started_at: group.backup.started_at,
+                files: group.files.length
+            })),
+            files: state.size,
+            deleted: removed,
+            unmatched
+        };
+
+        if (options.dryRun) {
+            return { plan };
+        }
+        if (state.size === 0) {
+            throw new Error('Aucun fichier à restaurer à cette date pour la sélection');
+        }
+
+        const outcome = { restored: [], skipped: [], renamed: [], errors: [] };
+        for (const group of groups) {
+            if (group.files.length === 0) continue;
+
+            logger.info(`Restauration à date: ${group.files.length} fichier(s) depuis ${group.backup.type} ${group.backup.backup_id}`);
+            const result = await restoreSelection(group.backup, group.files, destinationDir, { conflictPolicy: options.conflictPolicy });
+            outcome.restored.push(...result.restored);
+            outcome.skipped.push(...result.skipped);
+            outcome.renamed.push(...result.renamed);
+            outcome.errors.push(...result.errors);
+        }
+
+        return {
+            plan,
+            ...outcome,
+            totalSize: Array.from(state.values()).reduce((sum, entry) => sum + (entry.file.size || 0), 0)
+        };
+    }
+}
+
+// Instance singleton
+const pointInTime = new PointInTimeService();
+
+module.exports = {
+    pointInTime,
+    PointInTimeService
+};
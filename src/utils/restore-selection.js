@@ -0,0 +1,347 @@
+/**
+ * Restauration sélective: choix des fichiers d'un backup par chemins ou motifs glob
+ * (résolus sur le catalogue des fichiers) et politique de conflit à la destination.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { logger } = require('./logger');
+const { getBackupFiles, getBackupCatalog } = require('./database');
+const { fileCatalog } = require('./file-catalog');
+const archiveVolumes = require('./archive-volumes');
+const { storageManager } = require('../storage/storageManager');
+
+const CONFLICT_POLICIES = ['overwrite', 'skip', 'rename'];
+
+/**
+ * Chemin relatif à la racine du backup, séparateur '/'
+ */
+function normalizeRestorePath(value) {
+    const parts = String(value || '')
+        .replace(/\\/g, '/')
+        .split('/')
+        .filter(part => part && part !== '.');
+
+    if (parts.includes('..')) {
+        throw new Error(`Chemin invalide: ${value}`);
+    }
+    return parts.join('/');
+}
+
+function hasWildcard(pattern) {
+    return /[*?[]/.test(pattern);
+}
+
+/**
+ * Un motif est ancré à la racine du backup s'il commence par '/' ou contient un dossier
+ */
+function isAnchored(pattern) {
+    return /^[\\/]/.test(String(pattern)) || normalizeRestorePath(pattern).includes('/');
+}
+
+/**
+ * Motif glob -> expression régulière
+ * '*' et '?' restent dans un segment, '**' traverse les dossiers.
+ * Un motif non ancré (ex: *.xlsx) s'applique au nom du fichier dans tous les dossiers.
+ * @param {Object} options - { contents: un dossier sélectionne son contenu (défaut), ignoreCase }
+ */
+function globToRegExp(pattern, options = {}) {
+    const normalized = normalizeRestorePath(pattern);
+    let source = '';
+
+    for (let i = 0; i < normalized.length; i++) {
+        const char = normalized[i];
+        if (char === '*') {
+            if (normalized[i + 1] === '*') {
+                // '**/' couvre aussi zéro dossier
+                const slash = normalized[i + 2] === '/';
+                source += slash ? '(?:.*/)?' : '.*';
+                i += slash ? 2 : 1;
+            } else {
+                source += '[^/]*';
+            }
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '[') {
+            const end = normalized.indexOf(']', i + 1);
+            if (end === -1) {
+                source += '\\[';
+            } else {
+                source += '[' + normalized.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\') + ']';
+                i = end;
+            }
+        } else {
+            source += char.replace(/[.+^${}()|\\]/g, '\\$&');
+        }
+    }
+
+    const anchor = isAnchored(pattern) ? '^' : '^(?:.*/)?';
+    // Un motif qui désigne un dossier sélectionne tout son contenu
+    const contents = options.contents === false ? '' : '(?:/.*)?';
+    return new RegExp(`${anchor}${source}${contents}$`, options.ignoreCase ? 'i' : '');
+}
+
+/**
+ * Partie fixe d'un motif (avant le premier caractère générique), pour limiter la lecture du catalogue
+ */
+function literalPrefix(pattern) {
+    const normalized = normalizeRestorePath(pattern);
+    if (!isAnchored(pattern)) return '';
+
+    const segments = normalized.split('/');
+    const fixed = [];
+    for (const segment of segments) {
+        if (hasWildcard(segment)) break;
+        fixed.push(segment);
+    }
+    return fixed.length === segments.length ? normalized : fixed.join('/') + (fixed.length ? '/' : '');
+}
+
+/**
+ * Construit le catalogue d'un backup s'il manque ou a échoué
+ */
+async function ensureCatalog(backup) {
+    let catalog = await getBackupCatalog(backup.backup_id);
+    if (!catalog || catalog.status === 'failed') {
+        await fileCatalog.catalogBackup(backup);
+        catalog = await getBackupCatalog(backup.backup_id);
+    }
+    if (catalog.status !== 'completed') {
+        throw new Error(`Catalogue du backup ${backup.backup_id} en cours de construction`);
+    }
+    return catalog;
+}
+
+/**
+ * Fichiers du backup sélectionnés par une liste de chemins ou de motifs
+ * @param {Object} backup - Ligne de la table backups
+ * @param {Array<string>} patterns - Chemins (fichier ou dossier) ou motifs glob
+ * @returns {Promise<{files: Array, unmatched: Array<string>}>}
+ */
+async function resolveSelection(backup, patterns) {
+    await ensureCatalog(backup);
+
+    const selected = new Map();
+    const unmatched = [];
+
+    for (const pattern of patterns) {
+        const normalized = normalizeRestorePath(pattern);
+        if (!normalized) {
+            throw new Error('Un chemin vide désigne tout le backup: omettez "paths" pour une restauration complète');
+        }
+
+        const regex = globToRegExp(pattern);
+        const candidates = await getBackupFiles(backup.backup_id, { prefix: literalPrefix(pattern) });
+        let matched = 0;
+
+        for (const file of candidates) {
+            if (regex.test(file.path)) {
+                selected.set(file.path, file);
+                matched++;
+            }
+        }
+
+        if (matched === 0) {
+            unmatched.push(pattern);
+        }
+    }
+
+    return {
+        files: Array.from(selected.values()).sort((a, b) => a.path.localeCompare(b.path)),
+        unmatched
+    };
+}
+
+/**
+ * Horodatage des fichiers renommés par la politique 'rename' (YYYYMMDD-HHMMSS)
+ */
+function getRestoreStamp(date = new Date()) {
+    return date.toISOString().replace(/[-:]/g, '').replace('T', '-').substring(0, 15);
+}
+
+/**
+ * Nom pour la politique 'rename': rapport.xlsx -> rapport.restored-20240131-120000.xlsx
+ * Les chemins distants utilisent toujours '/' (Linux, SFTP Windows).
+ */
+function restoredName(targetPath, stamp, attempt = 0) {
+    const ext = path.posix.extname(targetPath.replace(/\\/g, '/'));
+    const base = targetPath.slice(0, targetPath.length - ext.length);
+    return `${base}.restored-${stamp}${attempt ? `-${attempt}` : ''}${ext}`;
+}
+
+function renamedTarget(targetPath, stamp) {
+    let candidate = restoredName(targetPath, stamp);
+    for (let i = 1; fs.existsSync(candidate); i++) {
+        candidate = restoredName(targetPath, stamp, i);
+    }
+    return candidate;
+}
+
+/**
+ * Place un fichier restauré à la destination selon la politique de conflit
+ * @returns {{status: string, target: string}} status: 'restored', 'overwritten', 'skipped' ou 'renamed'
+ */
+async function placeFile(sourcePath, targetPath, policy, stamp, move) {
+    let target = targetPath;
+    let status = 'restored';
+
+    if (fs.existsSync(targetPath)) {
+        if (policy === 'skip') {
+            return { status: 'skipped', target: targetPath };
+        }
+        if (policy === 'rename') {
+            target = renamedTarget(targetPath, stamp);
+            status = 'renamed';
+        } else {
+            status = 'overwritten';
+        }
+    }
+
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    if (move) {
+        await fs.promises.rename(sourcePath, target);
+    } else {
+        await fs.promises.copyFile(sourcePath, target);
+        const stats = await fs.promises.stat(sourcePath);
+        await fs.promises.utimes(target, stats.atime, stats.mtime);
+    }
+    return { status, target };
+}
+
+/**
+ * Préfixe des membres de l'archive ('./' pour les archives créées avec "tar -C dossier .")
+ */
+function getArchiveMemberPrefix(archive) {
+    return new Promise((resolve, reject) => {
+        const tar = spawn('tar', ['-t', ...archive.readArgs, '-f', archive.file]);
+        archive.attach(tar);
+        let output = '';
+        let settled = false;
+
+        tar.stdout.on('data', (data) => {
+            output += data.toString();
+            if (!settled && output.includes('\n')) {
+                settled = true;
+                resolve(output.startsWith('./') ? './' : '');
+                tar.kill();
+            }
+        });
+        tar.on('error', reject);
+        tar.on('close', () => {
+            if (!settled) resolve(output.startsWith('./') ? './' : '');
+        });
+    });
+}
+
+function extractMembers(archive, members, stagingDir) {
+    return new Promise((resolve, reject) => {
+        const listFile = path.join(stagingDir, '.efc-members');
+        fs.writeFileSync(listFile, members.join('\n') + '\n');
+
+        const tar = spawn('tar', ['-x', ...archive.readArgs, '-f', archive.file, '-C', stagingDir, '--verbatim-files-from', '-T', listFile]);
+        archive.attach(tar);
+        let stderr = '';
+        tar.stderr.on('data', (data) => {
+            stderr += data.toString();
+        });
+        tar.on('error', reject);
+        tar.on('close', (code) => {
+            fs.rmSync(listFile, { force: true });
+            if (code !== 0) {
+                reject(new Error(`Extraction tar échouée (code ${code}): ${stderr.trim()}`));
+                return;
+            }
+            resolve();
+        });
+    });
+}
+
+/**
+ * Restaure une sélection de fichiers du backup dans un dossier du serveur
+ * Les archives sont extraites (membres sélectionnés uniquement) dans un dossier temporaire
+ * créé dans la destination, puis déplacées selon la politique de conflit.
+ * Un backup rangé sur une destination de stockage distante est d'abord recopié localement.
+ * @param {Object} backup - Ligne de la table backups
+ * @param {Array} files - Fichiers du catalogue (resolveSelection)
+ * @param {string} destinationDir - Dossier de destination
+ * @param {Object} options - { conflictPolicy: 'overwrite' | 'skip' | 'rename' }
+ * @returns {Promise<{restored: Array, skipped: Array, renamed: Array, errors: Array}>}
+ */
+async function restoreSelection(backup, files, destinationDir, options = {}) {
+    // Backup envoyé vers une destination de stockage: copie locale le temps de la restauration
+    const local = await storageManager.materialize(backup);
+    try {
+        return await restoreFromPath({ ...backup, path: local.path }, files, destinationDir, options);
+    } finally {
+        await local.release();
+    }
+}
+
+async function restoreFromPath(backup, files, destinationDir, options) {
+    const policy = options.conflictPolicy || 'overwrite';
+    const stamp = getRestoreStamp();
+    const outcome = { restored: [], skipped: [], renamed: [], errors: [] };
+
+    const record = (file, placement) => {
+        if (placement.status === 'skipped') {
+            outcome.skipped.push(file.path);
+        } else if (placement.status === 'renamed') {
+            outcome.renamed.push({ path: file.path, restoredAs: path.relative(destinationDir, placement.target) });
+            outcome.restored.push(path.relative(destinationDir, placement.target));
+        } else {
+            outcome.restored.push(file.path);
+        }
+    };
+
+    const stats = await fs.promises.stat(backup.path);
+
+    if (stats.isDirectory()) {
+        // Backup en dossier (Windows, snapshot Linux): copie directe des fichiers
+        for (const file of files) {
+            try {
+                const placement = await placeFile(path.join(backup.path, file.path), path.join(destinationDir, file.path), policy, stamp, false);
+                record(file, placement);
+            } catch (error) {
+                outcome.errors.push(`${file.path}: ${error.message}`);
+            }
+        }
+        return outcome;
+    }
+
+    const stagingDir = path.join(destinationDir, `.efc-restore-${Date.now()}`);
+    await fs.promises.mkdir(stagingDir, { recursive: true });
+
+    try {
+        // Archive découpée: volumes vérifiés puis lus bout à bout
+        const archive = await archiveVolumes.openArchive(backup.path);
+        const memberPrefix = await getArchiveMemberPrefix(archive);
+        await extractMembers(archive, files.map(file => memberPrefix + file.path), stagingDir);
+        logger.info(`${files.length} fichiers extraits de ${path.basename(backup.path)} pour restauration sélective`);
+
+        for (const file of files) {
+            try {
+                const placement = await placeFile(path.join(stagingDir, file.path), path.join(destinationDir, file.path), policy, stamp, true);
+                record(file, placement);
+            } catch (error) {
+                outcome.errors.push(`${file.path}: ${error.message}`);
+            }
+        }
+    } finally {
+        await fs.promises.rm(stagingDir, { recursive: true, force: true });
+    }
+
+    return outcome;
+}
+
+module.exports = {
+    CONFLICT_POLICIES,
+    normalizeRestorePath,
+    globToRegExp,
+    literalPrefix,
+    ensureCatalog,
+    getRestoreStamp,
+    restoredName,
+    resolveSelection,
+    restoreSelection
+};
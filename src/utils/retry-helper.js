@@ -5,6 +5,8 @@
 
 const { logger } = require('./logger');
 
+const CANCELLED_ERROR_CODE = 'BACKUP_CANCELLED';
+
 /**
  * Exécute une fonction avec retry automatique
  * @param {Function} fn - Fonction à exécuter
@@ -79,6 +81,11 @@ async function retryOperation(fn, options = {}) {
 function isErrorRetryable(error, retryableErrors) {
     if (!error) return false;
     
+    // Une annulation volontaire ne doit jamais être retentée
+    if (error.code === CANCELLED_ERROR_CODE) {
+        return false;
+    }
+    
     // Vérifier le code d'erreur
     if (error.code && retryableErrors.includes(error.code)) {
         return true;
@@ -101,6 +108,17 @@ function isErrorRetryable(error, retryableErrors) {
     return retryablePatterns.some(pattern => message.includes(pattern));
 }
 
+/**
+ * Crée l'erreur levée par une opération interrompue par une annulation
+ * @param {string} message - Message d'erreur
+ * @returns {Error} Erreur portant le code BACKUP_CANCELLED
+ */
+function createCancelledError(message = 'Backup annulé') {
+    const error = new Error(message);
+    error.code = CANCELLED_ERROR_CODE;
+    return error;
+}
+
 /**
  * Fonction utilitaire pour attendre
  * @param {number} ms - Temps d'attente en millisecondes
@@ -172,5 +190,7 @@ module.exports = {
     retrySshOperation,
     retryBackupOperation,
     isErrorRetryable,
+    createCancelledError,
+    CANCELLED_ERROR_CODE,
     sleep
 };
\ No newline at end of file
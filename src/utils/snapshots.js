@@ -0,0 +1,94 @@
+/**
+ * Stockage des backups Linux en mode snapshot
+ * Chaque exécution produit une arborescence complète dans
+ * <BACKUP_PATH>/<client>/snapshots/<backupId>/ ; les fichiers inchangés
+ * sont des liens physiques vers le snapshot précédent (rsync --link-dest).
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const SNAPSHOT_MODE = 'snapshot';
+const METADATA_FILE = 'backup_metadata.json';
+
+/**
+ * Dossier racine des snapshots d'un client
+ * @param {string} clientName - Nom du client
+ * @returns {string} Chemin absolu
+ */
+function getSnapshotRoot(clientName) {
+    return path.join(process.env.BACKUP_PATH || '/var/backups/efc', clientName, 'snapshots');
+}
+
+/**
+ * Lit les métadonnées d'un snapshot
+ * @param {string} snapshotPath - Dossier du snapshot
+ * @returns {Promise<Object|null>} Métadonnées ou null si le dossier n'est pas un snapshot terminé
+ */
+async function readSnapshotMetadata(snapshotPath) {
+    try {
+        const metadata = JSON.parse(await fs.readFile(path.join(snapshotPath, METADATA_FILE), 'utf8'));
+        return metadata.mode === SNAPSHOT_MODE ? metadata : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Indique si un chemin de backup est un snapshot
+ * @param {string} backupPath - Chemin enregistré dans la table backups
+ * @returns {Promise<boolean>}
+ */
+async function isSnapshotPath(backupPath) {
+    if (!backupPath) return false;
+    return (await readSnapshotMetadata(backupPath)) !== null;
+}
+
+/**
+ * Liste les snapshots terminés d'un client, du plus récent au plus ancien
+ * @param {string} clientName - Nom du client
+ * @returns {Promise<Array<{path: string, metadata: Object}>>}
+ */
+async function listSnapshots(clientName) {
+    const root = getSnapshotRoot(clientName);
+    let entries;
+    try {
+        entries = await fs.readdir(root, { withFileTypes: true });
+    } catch (error) {
+        return [];
+    }
+
+    const snapshots = [];
+    for (const entry of entries) {
+        if (!entry.isDirectory()) continue;
+
+        const snapshotPath = path.join(root, entry.name);
+        // Un snapshot interrompu n'a pas de métadonnées et ne doit pas servir de référence
+        const metadata = await readSnapshotMetadata(snapshotPath);
+        if (metadata) {
+            snapshots.push({ path: snapshotPath, metadata });
+        }
+    }
+
+    return snapshots.sort((a, b) => new Date(b.metadata.timestamp) - new Date(a.metadata.timestamp));
+}
+
+/**
+ * Dernier snapshot terminé d'un client (référence pour --link-dest)
+ * @param {string} clientName - Nom du client
+ * @returns {Promise<{path: string, metadata: Object}|null>}
+ */
+async function findLatestSnapshot(clientName) {
+    const snapshots = await listSnapshots(clientName);
+    return snapshots[0] || null;
+}
+
+module.exports = {
+    SNAPSHOT_MODE,
+    METADATA_FILE,
+    getSnapshotRoot,
+    readSnapshotMetadata,
+    isSnapshotPath,
+    listSnapshots,
+    findLatestSnapshot
+};
@@ -0,0 +1,184 @@
+/**
+ * Utilitaire d'authentification SSH des clients
+ * Construit les options de connexion (mot de passe, clé privée ou ssh-agent)
+ * communes à ssh2 (Linux) et node-ssh (Windows).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const AUTH_METHODS = ['password', 'key', 'agent'];
+
+/**
+ * Détermine la méthode d'authentification d'un client
+ * @param {Object} clientConfig - Configuration du client (ligne de la table clients)
+ * @returns {string} 'password', 'key' ou 'agent'
+ */
+function getAuthMethod(clientConfig = {}) {
+    if (AUTH_METHODS.includes(clientConfig.auth_method)) {
+        return clientConfig.auth_method;
+    }
+    // Anciennes configurations: déduire la méthode des champs renseignés
+    return clientConfig.private_key ? 'key' : 'password';
+}
+
+/**
+ * Libellé de l'élément d'authentification à vérifier, pour les messages d'erreur
+ * @param {Object} clientConfig - Configuration du client
+ * @returns {string} Libellé lisible
+ */
+function getAuthLabel(clientConfig = {}) {
+    const method = getAuthMethod(clientConfig);
+    if (method === 'key') return 'clé privée';
+    if (method === 'agent') return 'clés du ssh-agent';
+    return 'mot de passe';
+}
+
+/**
+ * Charge la clé privée: contenu PEM/OpenSSH direct ou chemin vers un fichier sur le serveur
+ * @param {string} privateKey - Contenu de la clé ou chemin absolu
+ * @returns {string} Contenu de la clé privée
+ */
+function loadPrivateKey(privateKey) {
+    const value = (privateKey || '').trim();
+
+    if (value.startsWith('-----BEGIN')) {
+        return value;
+    }
+
+    try {
+        return fs.readFileSync(value, 'utf8');
+    } catch (error) {
+        throw new Error(`Clé privée SSH illisible (${value}): ${error.message}`);
+    }
+}
+
+/**
+ * Construit les options d'authentification à passer à connect()
+ * @param {Object} clientConfig - Configuration du client
+ * @returns {Object} Options { password } | { privateKey, passphrase } | { agent }
+ */
+function buildSshAuthOptions(clientConfig = {}) {
+    const method = getAuthMethod(clientConfig);
+
+    if (method === 'key') {
+        if (!clientConfig.private_key) {
+            throw new Error('Authentification par clé sélectionnée mais aucune clé privée configurée');
+        }
+
+        const options = { privateKey: loadPrivateKey(clientConfig.private_key) };
+        if (clientConfig.passphrase) {
+            options.passphrase = clientConfig.passphrase;
+        }
+        return options;
+    }
+
+    if (method === 'agent') {
+        const agent = process.env.SSH_AUTH_SOCK;
+        if (!agent) {
+            throw new Error('Authentification par ssh-agent sélectionnée mais SSH_AUTH_SOCK n\'est pas défini');
+        }
+        return { agent };
+    }
+
+    return { password: clientConfig.password };
+}
+
+/**
+ * Construit la commande ssh utilisée par un rsync lancé sur le serveur (option -e)
+ * Les clés fournies en contenu sont écrites dans un fichier temporaire (0600) supprimé par cleanup().
+ * Le mot de passe et la passphrase sont transmis via sshpass (variable SSHPASS, jamais en argument).
+ * @param {Object} clientConfig - Configuration du client
+ * @returns {{rsh: string, env: Object, cleanup: Function}}
+ */
+function buildRsyncTransport(clientConfig = {}) {
+    const method = getAuthMethod(clientConfig);
+    const sshArgs = [
+        'ssh',
+        `-p ${parseInt(clientConfig.port) || 22}`,
+        '-o StrictHostKeyChecking=accept-new',
+        '-o ServerAliveInterval=30'
+    ];
+    const env = {};
+    let prefix = '';
+    let tempKeyFile = null;
+
+    if (method === 'key') {
+        if (!clientConfig.private_key) {
+            throw new Error('Authentification par clé sélectionnée mais aucune clé privée configurée');
+        }
+
+        let keyFile = clientConfig.private_key.trim();
+        if (keyFile.startsWith('-----BEGIN')) {
+            tempKeyFile = path.join(os.tmpdir(), `efc-key-${crypto.randomBytes(6).toString('hex')}`);
+            fs.writeFileSync(tempKeyFile, keyFile + '\n', { mode: 0o600 });
+            keyFile = tempKeyFile;
+        }
+        // rsync découpe -e lui-même (sans shell): entre apostrophes, une apostrophe se double
+        sshArgs.push(`-i '${keyFile.replace(/'/g, "''")}'`, '-o IdentitiesOnly=yes');
+
+        if (clientConfig.passphrase) {
+            env.SSHPASS = clientConfig.passphrase;
+            prefix = 'sshpass -P passphrase -e ';
+        } else {
+            sshArgs.push('-o BatchMode=yes');
+        }
+    } else if (method === 'agent') {
+        if (!process.env.SSH_AUTH_SOCK) {
+            throw new Error('Authentification par ssh-agent sélectionnée mais SSH_AUTH_SOCK n\'est pas défini');
+        }
+        env.SSH_AUTH_SOCK = process.env.SSH_AUTH_SOCK;
+        sshArgs.push('-o BatchMode=yes');
+    } else {
+        env.SSHPASS = clientConfig.password || '';
+        prefix = 'sshpass -e ';
+        sshArgs.push('-o PreferredAuthentications=password,keyboard-interactive', '-o PubkeyAuthentication=no');
+    }
+
+    return {
+        rsh: prefix + sshArgs.join(' '),
+        env,
+        cleanup: () => {
+            if (tempKeyFile) {
+                fs.rmSync(tempKeyFile, { force: true });
+            }
+        }
+    };
+}
+
+/**
+ * Valide les champs d'authentification reçus par l'API
+ * @param {Object} data - Corps de la requête
+ * @param {Object|null} existingClient - Client existant en cas de modification (les secrets absents sont conservés)
+ * @returns {string|null} Message d'erreur ou null si valide
+ */
+function validateAuthFields(data = {}, existingClient = null) {
+    const current = existingClient || {};
+    const method = data.auth_method || (existingClient ? getAuthMethod(current) : 'password');
+
+    if (!AUTH_METHODS.includes(method)) {
+        return `Méthode d'authentification invalide: ${method}`;
+    }
+
+    if (method === 'password' && !(data.password || current.password)) {
+        return 'Mot de passe requis pour l\'authentification par mot de passe';
+    }
+
+    if (method === 'key' && !(data.private_key || current.private_key)) {
+        return 'Clé privée requise pour l\'authentification par clé';
+    }
+
+    return null;
+}
+
+module.exports = {
+    AUTH_METHODS,
+    getAuthMethod,
+    getAuthLabel,
+    loadPrivateKey,
+    buildSshAuthOptions,
+    buildRsyncTransport,
+    validateAuthFields
+};
@@ -0,0 +1,219 @@
+/**
+ * Limitation du débit et de la priorité des backups par client, selon l'heure
+ * Les profils d'un client (colonne throttle_profiles) sont évalués dans l'ordre: le premier dont
+ * les jours et la plage horaire contiennent l'heure de démarrage du backup s'applique pour tout le backup.
+ * Sans profil correspondant, le débit n'est pas limité et la priorité reste normale.
+ */
+
+const { Transform } = require('stream');
+const { logger } = require('./logger');
+
+const THROTTLE_PRIORITIES = ['normal', 'low', 'idle'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// Priorité sur le client: nice/ionice sous Linux, classe de priorité de "start" sous Windows
+const LINUX_PRIORITIES = {
+    low: { nice: 'nice -n 10', ionice: 'ionice -c2 -n7' },
+    idle: { nice: 'nice -n 19', ionice: 'ionice -c3' }
+};
+const WINDOWS_PRIORITIES = { low: '/BELOWNORMAL', idle: '/LOW' };
+
+// Taille des blocs envoyés par robocopy, base du calcul de /IPG
+const ROBOCOPY_BLOCK_SIZE = 64 * 1024;
+
+/**
+ * Débit partagé par plusieurs flux (seau à jetons sans réserve: pas de rafale après une pause)
+ */
+class BandwidthLimiter {
+    constructor(bytesPerSecond) {
+        this.bytesPerSecond = bytesPerSecond;
+        this.nextSlot = Date.now();
+    }
+
+    /**
+     * Réserve le passage d'un bloc
+     * @returns {number} Délai en ms avant de transmettre le bloc
+     */
+    reserve(bytes) {
+        const now = Date.now();
+        const start = Math.max(now, this.nextSlot);
+        this.nextSlot = start + (bytes / this.bytesPerSecond) * 1000;
+        return start - now;
+    }
+
+    /**
+     * Flux à insérer dans un pipe: la contre-pression ralentit la source (canal SSH, SFTP)
+     */
+    createStream() {
+        return new Transform({
+            transform: (chunk, encoding, callback) => {
+                const delay = this.reserve(chunk.length);
+                if (delay > 0) {
+                    setTimeout(() => callback(null, chunk), delay);
+                } else {
+                    callback(null, chunk);
+                }
+            }
+        });
+    }
+}
+
+class ThrottleService {
+    /**
+     * Profils d'un client (colonne throttle_profiles, JSON)
+     * @returns {Array<Object>} [{ name, days, start, end, bandwidth_mbps, priority }]
+     */
+    parseProfiles(value) {
+        if (!value) return [];
+        if (Array.isArray(value)) return value;
+        try {
+            const profiles = JSON.parse(value);
+            return Array.isArray(profiles) ? profiles : [];
+        } catch (error) {
+            logger.warn(`Profils de limitation illisibles: ${error.message}`);
+            return [];
+        }
+    }
+
+    /**
+     * Vérifie une liste de profils
+     * @returns {string|null} Message d'erreur ou null si la liste est valide
+     */
+    validateProfiles(profiles) {
+        if (!Array.isArray(profiles)) {
+            return 'throttle_profiles doit être une liste';
+        }
+
+        for (const [index, profile] of profiles.entries()) {
+            const label = (profile && profile.name) || `#${index + 1}`;
+            if (!profile || typeof profile !== 'object') {
+                return `Profil de limitation invalide: ${label}`;
+            }
+            if ((profile.start === undefined) !== (profile.end === undefined)) {
+                return `Plage horaire incomplète pour le profil ${label} (start et end)`;
+            }
+            for (const key of ['start', 'end']) {
+                if (profile[key] !== undefined && !TIME_PATTERN.test(profile[key])) {
+                    return `Heure invalide pour le profil ${label}: ${profile[key]} (HH:MM)`;
+                }
+            }
+            if (profile.days !== undefined && (!Array.isArray(profile.days)
+                || !profile.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6))) {
+                return `Jours invalides pour le profil ${label} (0 = dimanche ... 6 = samedi)`;
+            }
+            if (profile.bandwidth_mbps !== undefined && !(Number(profile.bandwidth_mbps) >= 0)) {
+                return `Débit invalide pour le profil ${label}: ${profile.bandwidth_mbps} (Mbps, 0 = illimité)`;
+            }
+            if (profile.priority !== undefined && !THROTTLE_PRIORITIES.includes(profile.priority)) {
+                return `Priorité invalide pour le profil ${label}: ${profile.priority} (${THROTTLE_PRIORITIES.join(', ')})`;
+            }
+        }
+        return null;
+    }
+
+    toMinutes(time) {
+        const [, hours, minutes] = TIME_PATTERN.exec(time);
+        return parseInt(hours) * 60 + parseInt(minutes);
+    }
+
+    /**
+     * Le profil s'applique-t-il à cette date ? Une plage dont la fin précède le début passe minuit.
+     */
+    matches(profile, date) {
+        if (Array.isArray(profile.days) && !profile.days.includes(date.getDay())) {
+            return false;
+        }
+        if (!profile.start || !profile.end) {
+            return true;
+        }
+
+        const now = date.getHours() * 60 + date.getMinutes();
+        const start = this.toMinutes(profile.start);
+        const end = this.toMinutes(profile.end);
+        return start <= end ? now >= start && now < end : now >= start || now < end;
+    }
+
+    /**
+     * Limites applicables à un client à une date donnée
+     * @param {string|Array} value - Profils du client
+     * @param {Date} date - Démarrage du backup
+     * @returns {{profile: string|null, bandwidthMbps: number, priority: string}}
+     */
+    resolve(value, date = new Date()) {
+        const profile = this.parseProfiles(value).find(candidate => this.matches(candidate, date));
+        if (!profile) {
+            return { profile: null, bandwidthMbps: 0, priority: 'normal' };
+        }
+
+        return {
+            profile: profile.name || null,
+            bandwidthMbps: Number(profile.bandwidth_mbps) || 0,
+            priority: profile.priority || 'normal'
+        };
+    }
+
+    /**
+     * Limiteur de débit partagé par les transferts d'un backup, null sans limite
+     * (Mbps calculés comme dans network_stats: 1 Mbps = 1024 * 1024 bits/s)
+     */
+    createLimiter(bandwidthMbps) {
+        return bandwidthMbps > 0 ? new BandwidthLimiter(bandwidthMbps * 1024 * 1024 / 8) : null;
+    }
+
+    /**
+     * Valeur de rsync --bwlimit (Kio/s)
+     */
+    getRsyncBwLimit(bandwidthMbps) {
+        return Math.max(1, Math.round(bandwidthMbps * 128));
+    }
+
+    /**
+     * Valeur de robocopy /IPG (ms entre deux blocs de 64 Kio)
+     */
+    getRobocopyIpg(bandwidthMbps) {
+        return Math.max(1, Math.round((ROBOCOPY_BLOCK_SIZE * 8 * 1000) / (bandwidthMbps * 1024 * 1024)));
+    }
+
+    /**
+     * Préfixe de commande Linux (nice, ionice si disponible), chaîne vide en priorité normale
+     */
+    getLinuxPriorityPrefix(priority, hasIonice = true) {
+        const settings = LINUX_PRIORITIES[priority];
+        if (!settings) return '';
+        return hasIonice ? `${settings.nice} ${settings.ionice} ` : `${settings.nice} `;
+    }
+
+    /**
+     * Préfixe de commande Windows (start /LOW /B /WAIT), chaîne vide en priorité normale
+     */
+    getWindowsPriorityPrefix(priority) {
+        const priorityClass = WINDOWS_PRIORITIES[priority];
+        return priorityClass ? `start "" ${priorityClass} /B /WAIT ` : '';
+    }
+
+    /**
+     * Colonnes de network_stats décrivant les limites appliquées
+     */
+    toNetworkStats(throttle) {
+        return {
+            throttle_profile: throttle.profile,
+            bandwidth_limit_mbps: throttle.bandwidthMbps,
+            priority: throttle.priority
+        };
+    }
+
+    describe(throttle) {
+        const bandwidth = throttle.bandwidthMbps > 0 ? `${throttle.bandwidthMbps} Mbps` : 'débit illimité';
+        return `${throttle.profile ? `profil "${throttle.profile}"` : 'aucun profil'}: ${bandwidth}, priorité ${throttle.priority}`;
+    }
+}
+
+// Instance singleton
+const throttling = new ThrottleService();
+
+module.exports = {
+    throttling,
+    ThrottleService,
+    BandwidthLimiter,
+    THROTTLE_PRIORITIES
+};
@@ -0,0 +1,95 @@
+/**
+ * Reprise des transferts interrompus (coupure SSH, nouvelle tentative, backup suivant)
+ * Dossiers Windows: chaque fichier copié reçoit la date de modification de l'original, un fichier local
+ * de même taille et de même date est arrivé intact et n'est pas recopié.
+ * Archives Linux: un point de reprise (<archive>.checkpoint.json) décrit l'archive distante en cours de
+ * téléchargement (taille, date); tant qu'elle n'a pas changé, le téléchargement repart de la taille déjà reçue.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+const CHECKPOINT_SUFFIX = '.checkpoint.json';
+
+// Dates SFTP à la seconde, systèmes de fichiers FAT à 2 secondes près
+const MTIME_TOLERANCE_SECONDS = 2;
+
+function getCheckpointPath(archivePath) {
+    return `${archivePath}${CHECKPOINT_SUFFIX}`;
+}
+
+function isCheckpointPath(filePath) {
+    return typeof filePath === 'string' && filePath.endsWith(CHECKPOINT_SUFFIX);
+}
+
+/**
+ * Le fichier local est-il une copie complète du fichier distant ?
+ * @param {string} localPath - Copie locale
+ * @param {{size: number, mtime: number}} attrs - Attributs SFTP du fichier distant (mtime en secondes)
+ * @returns {Promise<boolean>}
+ */
+async function isFileIntact(localPath, attrs) {
+    try {
+        const stats = await fs.promises.stat(localPath);
+        return stats.isFile()
+            && stats.size === attrs.size
+            && Math.abs(Math.floor(stats.mtimeMs / 1000) - attrs.mtime) <= MTIME_TOLERANCE_SECONDS;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Marque une copie terminée: date de modification de l'original (secondes)
+ */
+async function markFileComplete(localPath, mtime) {
+    await fs.promises.utimes(localPath, new Date(), new Date(mtime * 1000));
+}
+
+/**
+ * Taille déjà reçue d'un fichier (0 s'il n'existe pas)
+ */
+async function getLocalSize(localPath) {
+    try {
+        return (await fs.promises.stat(localPath)).size;
+    } catch (error) {
+        return 0;
+    }
+}
+
+/**
+ * @returns {Promise<Object|null>} Point de reprise ou null s'il est absent ou illisible
+ */
+async function readCheckpoint(checkpointPath) {
+    try {
+        return JSON.parse(await fs.promises.readFile(checkpointPath, 'utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+async function writeCheckpoint(checkpointPath, checkpoint) {
+    await fs.promises.writeFile(checkpointPath, JSON.stringify(checkpoint, null, 2));
+}
+
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')))
+            .on('error', reject);
+    });
+}
+
+module.exports = {
+    CHECKPOINT_SUFFIX,
+    getCheckpointPath,
+    isCheckpointPath,
+    isFileIntact,
+    markFileComplete,
+    getLocalSize,
+    readCheckpoint,
+    writeCheckpoint,
+    hashFile
+};
@@ -0,0 +1,163 @@
+/**
+ * Coffre-fort des identifiants (mots de passe SSH des clients, secrets SMTP/SMS)
+ * Chiffrement AES-256-GCM au repos avec une clé maître fournie par l'environnement
+ * ou un fichier de clé. Les anciennes clés restent utilisables en lecture pour la rotation.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const PREFIX = 'vault:v1';
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+
+// Colonnes de la table clients et clés de la table settings chiffrées au repos
+const SECRET_CLIENT_FIELDS = ['password', 'private_key', 'passphrase', 'database_jobs'];
+const SECRET_SETTING_KEYS = ['smtp_pass', 'sms_api_key'];
+
+class CredentialVault {
+    constructor() {
+        this.currentKey = null;
+        this.keys = new Map(); // keyId -> Buffer
+    }
+
+    /**
+     * Charge la clé maître courante et les clés précédentes
+     */
+    init() {
+        if (this.currentKey) return;
+
+        const currentMaterial = process.env.VAULT_MASTER_KEY || this.readKeyFile(this.getKeyFilePath(), true);
+        this.currentKey = this.registerKey(currentMaterial);
+
+        const previousMaterials = [
+            ...(process.env.VAULT_PREVIOUS_KEYS || '').split(','),
+            ...(process.env.VAULT_PREVIOUS_KEY_FILES || '').split(',').map(file => file.trim() && this.readKeyFile(file.trim(), false))
+        ].map(material => (material || '').trim()).filter(material => material.length > 0);
+
+        for (const material of previousMaterials) {
+            this.registerKey(material);
+        }
+
+        logger.info(`Coffre-fort des identifiants initialisé (clé ${this.currentKey.id}, ${this.keys.size - 1} clé(s) précédente(s))`);
+    }
+
+    getKeyFilePath() {
+        const dbDir = path.dirname(process.env.DB_PATH || path.join(process.cwd(), 'data', 'efc-backup.db'));
+        return process.env.VAULT_KEY_FILE || path.join(dbDir, 'vault.key');
+    }
+
+    readKeyFile(filePath, createIfMissing) {
+        if (fs.existsSync(filePath)) {
+            return fs.readFileSync(filePath, 'utf8').trim();
+        }
+
+        if (!createIfMissing) {
+            throw new Error(`Fichier de clé du coffre-fort introuvable: ${filePath}`);
+        }
+
+        // Première initialisation sans clé configurée: générer une clé aléatoire
+        const generated = crypto.randomBytes(32).toString('hex');
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, generated + '\n', { mode: 0o600 });
+        logger.warn(`Aucune clé maître configurée: clé générée dans ${filePath}. Déplacez-la hors du dossier de données (VAULT_KEY_FILE) ou utilisez VAULT_MASTER_KEY.`);
+        return generated;
+    }
+
+    /**
+     * Normalise une clé (hex 64 caractères, base64 32 octets ou phrase de passe dérivée par scrypt)
+     */
+    registerKey(material) {
+        let key;
+        if (/^[0-9a-fA-F]{64}$/.test(material)) {
+            key = Buffer.from(material, 'hex');
+        } else if (/^[A-Za-z0-9+/]{43}=$/.test(material)) {
+            key = Buffer.from(material, 'base64');
+        } else {
+            key = crypto.scryptSync(material, 'efc-backup-vault', 32);
+        }
+
+        const id = crypto.createHash('sha256').update(key).digest('hex').substring(0, 8);
+        this.keys.set(id, key);
+        return { id, key };
+    }
+
+    isEncrypted(value) {
+        return typeof value === 'string' && value.startsWith(`${PREFIX}:`);
+    }
+
+    /**
+     * Indique si une valeur doit être (re)chiffrée avec la clé courante
+     */
+    needsReencryption(value) {
+        if (value === null || value === undefined || value === '') return false;
+        if (!this.isEncrypted(value)) return true;
+        this.init();
+        return value.split(':')[2] !== this.currentKey.id;
+    }
+
+    encrypt(plainText) {
+        if (plainText === null || plainText === undefined || plainText === '') {
+            return plainText;
+        }
+        if (this.isEncrypted(plainText)) {
+            return plainText;
+        }
+
+        this.init();
+        const iv = crypto.randomBytes(IV_LENGTH);
+        const cipher = crypto.createCipheriv(ALGORITHM, this.currentKey.key, iv);
+        const encrypted = Buffer.concat([cipher.update(String(plainText), 'utf8'), cipher.final()]);
+        const tag = cipher.getAuthTag();
+
+        return [PREFIX, this.currentKey.id, iv.toString('base64'), tag.toString('base64'), encrypted.toString('base64')].join(':');
+    }
+
+    decrypt(value) {
+        // Les valeurs en clair (avant migration) sont renvoyées telles quelles
+        if (!this.isEncrypted(value)) {
+            return value;
+        }
+
+        this.init();
+        const [, , keyId, iv, tag, data] = value.split(':');
+        const key = this.keys.get(keyId);
+        if (!key) {
+            throw new Error(`Clé du coffre-fort inconnue (${keyId}): ajoutez l'ancienne clé dans VAULT_PREVIOUS_KEYS`);
+        }
+
+        const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(tag, 'base64'));
+        return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+    }
+
+    /**
+     * Re-chiffre une valeur avec la clé courante (valeur en clair ou chiffrée avec une ancienne clé)
+     */
+    reencrypt(value) {
+        return this.encrypt(this.decrypt(value));
+    }
+
+    decryptFields(row, fields = SECRET_CLIENT_FIELDS) {
+        if (!row) return row;
+        const result = { ...row };
+        for (const field of fields) {
+            if (field in result) {
+                result[field] = this.decrypt(result[field]);
+            }
+        }
+        return result;
+    }
+}
+
+// Instance singleton
+const vault = new CredentialVault();
+
+module.exports = {
+    vault,
+    CredentialVault,
+    SECRET_CLIENT_FIELDS,
+    SECRET_SETTING_KEYS
+};
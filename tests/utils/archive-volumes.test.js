@@ -0,0 +1,119 @@
+/**
+ * Archives découpées en volumes: découpage, manifeste et contrôle des volumes
+ */
+
+jest.mock('../../src/utils/logger', () => ({
+    logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const archiveVolumes = require('../../src/utils/archive-volumes');
+
+describe('archive-volumes', () => {
+    let directory;
+    let content;
+    let archivePath;
+
+    beforeEach(async () => {
+        directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'efc-volumes-'));
+        content = crypto.randomBytes(2500);
+        archivePath = path.join(directory, 'backup.tar.gz');
+        await fs.promises.writeFile(archivePath, content);
+    });
+
+    afterEach(async () => {
+        await fs.promises.rm(directory, { recursive: true, force: true });
+    });
+
+    const readAll = async stream => {
+        const chunks = [];
+        for await (const chunk of stream) chunks.push(chunk);
+        return Buffer.concat(chunks);
+    };
+
+    test('splitFile découpe l\'archive en volumes décrits par le manifeste', async () => {
+        const manifestPath = await archiveVolumes.splitFile(archivePath, 1000, { compression: 'gzip' });
+
+        expect(manifestPath).toBe(`${archivePath}.manifest.json`);
+        expect(archiveVolumes.isManifestPath(manifestPath)).toBe(true);
+        expect(fs.existsSync(archivePath)).toBe(false);
+
+        const manifest = await archiveVolumes.readManifest(manifestPath);
+        expect(manifest.volumes.map(volume => [volume.name, volume.size])).toEqual([
+            ['backup.tar.gz.001', 1000],
+            ['backup.tar.gz.002', 1000],
+            ['backup.tar.gz.003', 500]
+        ]);
+        expect(manifest.total_size).toBe(2500);
+        expect(manifest.compression).toBe('gzip');
+        expect(manifest.sha256).toBe(crypto.createHash('sha256').update(content).digest('hex'));
+
+        const rebuilt = await readAll(archiveVolumes.createVolumesStream(manifestPath, manifest));
+        expect(rebuilt.equals(content)).toBe(true);
+        expect(await archiveVolumes.getSplitArchiveSize(manifestPath)).toBe(2500);
+    });
+
+    test('splitFile garde une archive qui tient dans un volume', async () => {
+        expect(await archiveVolumes.splitFile(archivePath, 2500)).toBe(archivePath);
+        expect(fs.existsSync(archivePath)).toBe(true);
+    });
+
+    test('assertComplete renvoie le manifeste quand tous les volumes sont là', async () => {
+        const manifestPath = await archiveVolumes.splitFile(archivePath, 1000);
+
+        await expect(archiveVolumes.assertComplete(manifestPath)).resolves.toMatchObject({ archive: 'backup.tar.gz' });
+    });
+
+    test('assertComplete signale un volume manquant', async () => {
+        const manifestPath = await archiveVolumes.splitFile(archivePath, 1000);
+        await fs.promises.rm(path.join(directory, 'backup.tar.gz.002'));
+
+        const error = await archiveVolumes.assertComplete(manifestPath).catch(e => e);
+        expect(error.code).toBe('VOLUMES_INCOMPLETE');
+        expect(error.missing).toEqual(['backup.tar.gz.002']);
+        expect(error.message).toMatch(/backup\.tar\.gz\.002/);
+    });
+
+    test('assertComplete signale un volume tronqué', async () => {
+        const manifestPath = await archiveVolumes.splitFile(archivePath, 1000);
+        await fs.promises.truncate(path.join(directory, 'backup.tar.gz.001'), 10);
+
+        const error = await archiveVolumes.assertComplete(manifestPath).catch(e => e);
+        expect(error.code).toBe('VOLUMES_INCOMPLETE');
+        expect(error.corrupt).toEqual([{ name: 'backup.tar.gz.001', reason: 'taille 10 au lieu de 1000 octets' }]);
+    });
+
+    test('checkVolumes détecte un volume modifié à taille égale (SHA-256)', async () => {
+        const manifestPath = await archiveVolumes.splitFile(archivePath, 1000);
+        const volumePath = path.join(directory, 'backup.tar.gz.003');
+        const altered = await fs.promises.readFile(volumePath);
+        altered[0] ^= 0xff;
+        await fs.promises.writeFile(volumePath, altered);
+
+        const sizesOnly = await archiveVolumes.checkVolumes(manifestPath);
+        expect(sizesOnly.corrupt).toEqual([]);
+
+        const check = await archiveVolumes.checkVolumes(manifestPath, { checksums: true });
+        expect(check.missing).toEqual([]);
+        expect(check.corrupt).toEqual([{ name: 'backup.tar.gz.003', reason: 'somme de contrôle SHA-256 différente' }]);
+        expect(archiveVolumes.describeProblems(check)).toMatch(/endommagé.*backup\.tar\.gz\.003/);
+    });
+
+    test('removeSplitArchive supprime les volumes et le manifeste', async () => {
+        const manifestPath = await archiveVolumes.splitFile(archivePath, 1000);
+        await archiveVolumes.removeSplitArchive(manifestPath);
+
+        expect(await fs.promises.readdir(directory)).toEqual([]);
+    });
+
+    test('validateSplitSize', () => {
+        expect(archiveVolumes.validateSplitSize(0)).toBeNull();
+        expect(archiveVolumes.validateSplitSize(4096)).toBeNull();
+        expect(archiveVolumes.validateSplitSize(-1)).toMatch(/split_size_mb/);
+        expect(archiveVolumes.validateSplitSize(1.5)).toMatch(/split_size_mb/);
+        expect(archiveVolumes.validateSplitSize(archiveVolumes.MAX_SPLIT_SIZE_MB + 1)).toMatch(/split_size_mb/);
+    });
+});
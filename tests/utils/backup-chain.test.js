@@ -0,0 +1,84 @@
+/**
+ * Rétention des chaînes de backups: un backup expiré reste tant qu'un backup conservé en dépend
+ */
+
+jest.mock('../../src/utils/database', () => ({
+    getBackup: jest.fn(),
+    getBackups: jest.fn()
+}));
+jest.mock('../../src/storage/storageManager', () => ({
+    storageManager: { exists: jest.fn() }
+}));
+
+const { backupChain } = require('../../src/utils/backup-chain');
+
+const CUTOFF = new Date('2024-03-01T00:00:00Z');
+
+function backup(backup_id, type, completed_at, parent_backup_id = null, status = 'completed') {
+    return { backup_id, type, completed_at, parent_backup_id, status, client_name: 'srv1' };
+}
+
+const ids = backups => backups.map(b => b.backup_id).sort();
+
+describe('backupChain.planRetention', () => {
+    test('supprime une chaîne entièrement expirée', () => {
+        const backups = [
+            backup('f1', 'full', '2024-01-01 02:00:00'),
+            backup('i1', 'incremental', '2024-01-02 02:00:00', 'f1'),
+            backup('i2', 'incremental', '2024-01-03 02:00:00', 'i1')
+        ];
+
+        expect(ids(backupChain.planRetention(backups, CUTOFF))).toEqual(['f1', 'i1', 'i2']);
+    });
+
+    test('conserve les ancêtres d\'un incrémentiel récent', () => {
+        const backups = [
+            backup('f1', 'full', '2024-01-01 02:00:00'),
+            backup('i1', 'incremental', '2024-01-02 02:00:00', 'f1'),
+            backup('i2', 'incremental', '2024-03-05 02:00:00', 'i1'),
+            backup('f0', 'full', '2023-12-01 02:00:00'),
+            backup('d0', 'differential', '2023-12-10 02:00:00', 'f0')
+        ];
+
+        expect(ids(backupChain.planRetention(backups, CUTOFF))).toEqual(['d0', 'f0']);
+    });
+
+    test('un différentiel récent ne conserve que son backup complet', () => {
+        const backups = [
+            backup('f1', 'full', '2024-01-01 02:00:00'),
+            backup('i1', 'incremental', '2024-01-02 02:00:00', 'f1'),
+            backup('d1', 'differential', '2024-03-02 02:00:00', 'f1')
+        ];
+
+        expect(ids(backupChain.planRetention(backups, CUTOFF))).toEqual(['i1']);
+    });
+
+    test('un backup en cours protège sa chaîne et n\'est jamais supprimé', () => {
+        const backups = [
+            backup('f1', 'full', '2024-01-01 02:00:00'),
+            backup('i1', 'incremental', null, 'f1', 'running'),
+            backup('f0', 'full', '2023-12-01 02:00:00', null, 'failed')
+        ];
+
+        expect(backupChain.planRetention(backups, CUTOFF)).toEqual([]);
+    });
+
+    test('date limite propre à chaque backup', () => {
+        const backups = [
+            { ...backup('a1', 'full', '2024-02-01 02:00:00'), client_name: 'a' },
+            { ...backup('b1', 'full', '2024-02-01 02:00:00'), client_name: 'b' }
+        ];
+        const cutoffs = { a: new Date('2024-03-01T00:00:00Z'), b: new Date('2024-01-01T00:00:00Z') };
+
+        expect(ids(backupChain.planRetention(backups, b => cutoffs[b.client_name]))).toEqual(['a1']);
+    });
+
+    test('les dates SQLite sont lues en UTC', () => {
+        const backups = [
+            backup('f1', 'full', '2024-02-29 23:59:59'),
+            backup('f2', 'full', '2024-03-01 00:00:00')
+        ];
+
+        expect(ids(backupChain.planRetention(backups, CUTOFF))).toEqual(['f1']);
+    });
+});
@@ -0,0 +1,153 @@
+/**
+ * File d'attente des backups: limites de parallélisme, priorités et ordre d'arrivée
+ */
+
+jest.mock('../../src/utils/logger', () => ({
+    logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const { BackupJobQueue, validateDestinationLimits } = require('../../src/utils/job-queue');
+
+/**
+ * Job dont la fin est déclenchée par le test
+ */
+function deferredJob(id, fields = {}) {
+    let finish;
+    const done = new Promise(resolve => {
+        finish = resolve;
+    });
+    return {
+        id,
+        clientName: fields.clientName || id,
+        destination: fields.destination || 'local',
+        priority: fields.priority,
+        run: jest.fn(() => done),
+        finish: (value = id) => finish(value)
+    };
+}
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('BackupJobQueue', () => {
+    let queue;
+
+    beforeEach(() => {
+        queue = new BackupJobQueue();
+        queue.setLimits({ maxParallel: 2, destinationLimits: {} });
+    });
+
+    test('limite globale: les jobs suivants attendent une place', async () => {
+        const jobs = ['a', 'b', 'c'].map(id => deferredJob(id));
+        const results = jobs.map(job => queue.enqueue(job));
+        await flush();
+
+        expect([...queue.running.keys()]).toEqual(['a', 'b']);
+        expect(jobs[2].run).not.toHaveBeenCalled();
+
+        jobs[0].finish();
+        await expect(results[0]).resolves.toBe('a');
+        await flush();
+
+        expect([...queue.running.keys()]).toEqual(['b', 'c']);
+    });
+
+    test('ordre d\'arrivée à priorité égale, priorité haute d\'abord', async () => {
+        queue.setLimits({ maxParallel: 1 });
+        const blocker = deferredJob('blocker');
+        queue.enqueue(blocker);
+        for (const [id, priority] of [['n1', 'normal'], ['l1', 'low'], ['n2', 'normal'], ['h1', 'high']]) {
+            queue.enqueue(deferredJob(id, { priority }));
+        }
+
+        expect(queue.getQueuedJobs().map(job => [job.id, job.position])).toEqual([
+            ['h1', 1], ['n1', 2], ['n2', 3], ['l1', 4]
+        ]);
+    });
+
+    test('un job en attente depuis longtemps gagne un niveau de priorité', () => {
+        queue.setLimits({ maxParallel: 1 });
+        queue.enqueue(deferredJob('blocker'));
+        queue.enqueue(deferredJob('old', { priority: 'low' }));
+        queue.enqueue(deferredJob('new', { priority: 'normal' }));
+
+        queue.queued.find(job => job.id === 'old').queuedAt = new Date(Date.now() - 31 * 60 * 1000);
+
+        expect(queue.getQueuedJobs().map(job => job.id)).toEqual(['old', 'new']);
+    });
+
+    test('un client n\'a jamais deux backups en cours', async () => {
+        const first = deferredJob('a1', { clientName: 'srv1' });
+        const second = deferredJob('a2', { clientName: 'srv1' });
+        const other = deferredJob('b1', { clientName: 'srv2' });
+        queue.enqueue(first);
+        queue.enqueue(second);
+        queue.enqueue(other);
+        await flush();
+
+        // a2 bloqué par son client ne bloque pas b1
+        expect([...queue.running.keys()]).toEqual(['a1', 'b1']);
+
+        first.finish();
+        await flush();
+        expect(queue.running.has('a2')).toBe(true);
+    });
+
+    test('limite par destination, avec la valeur default', async () => {
+        queue.setLimits({ maxParallel: 4, destinationLimits: { nas: 1, default: 2 } });
+        const jobs = [
+            deferredJob('nas1', { destination: 'nas' }),
+            deferredJob('nas2', { destination: 'nas' }),
+            deferredJob('s3a', { destination: 's3' }),
+            deferredJob('s3b', { destination: 's3' }),
+            deferredJob('s3c', { destination: 's3' })
+        ];
+        jobs.forEach(job => queue.enqueue(job));
+        await flush();
+
+        expect([...queue.running.keys()]).toEqual(['nas1', 's3a', 's3b']);
+        expect(queue.getQueuedJobs().map(job => job.id)).toEqual(['nas2', 's3c']);
+    });
+
+    test('un job en échec libère sa place', async () => {
+        queue.setLimits({ maxParallel: 1 });
+        const failing = { id: 'ko', clientName: 'ko', run: () => Promise.reject(new Error('boom')) };
+        const next = deferredJob('next');
+
+        await expect(queue.enqueue(failing)).rejects.toThrow('boom');
+        queue.enqueue(next);
+        await flush();
+
+        expect(next.run).toHaveBeenCalled();
+    });
+
+    test('remove et clear résolvent les jobs en attente sans les exécuter', async () => {
+        queue.setLimits({ maxParallel: 1 });
+        queue.enqueue(deferredJob('running'));
+        const removed = deferredJob('removed');
+        const cleared = deferredJob('cleared');
+        const removedResult = queue.enqueue(removed);
+        const clearedResult = queue.enqueue(cleared);
+
+        expect(queue.remove('removed', 'annulé')).toBe(true);
+        expect(queue.remove('absent')).toBe(false);
+        queue.clear();
+
+        await expect(removedResult).resolves.toMatchObject({ cancelled: true, error: 'annulé' });
+        await expect(clearedResult).resolves.toMatchObject({ cancelled: true, shutdown: true });
+        expect(removed.run).not.toHaveBeenCalled();
+        expect(cleared.run).not.toHaveBeenCalled();
+    });
+});
+
+describe('validateDestinationLimits', () => {
+    test('accepte des entiers >= 1 par destination', () => {
+        expect(validateDestinationLimits({ local: 2, default: 1 })).toBeNull();
+    });
+
+    test('refuse les formats et valeurs invalides', () => {
+        expect(validateDestinationLimits(null)).toMatch(/objet/);
+        expect(validateDestinationLimits([1])).toMatch(/objet/);
+        expect(validateDestinationLimits({ local: 0 })).toMatch(/local/);
+        expect(validateDestinationLimits({ local: 1.5 })).toMatch(/local/);
+    });
+});
@@ -0,0 +1,126 @@
+/**
+ * Restauration sélective: motifs glob et résolution sur le catalogue des fichiers
+ */
+
+jest.mock('../../src/utils/logger', () => ({
+    logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+jest.mock('../../src/utils/database', () => ({
+    getBackupFiles: jest.fn(),
+    getBackupCatalog: jest.fn()
+}));
+jest.mock('../../src/utils/file-catalog', () => ({
+    fileCatalog: { catalogBackup: jest.fn() }
+}));
+jest.mock('../../src/storage/storageManager', () => ({
+    storageManager: {}
+}));
+
+const { getBackupFiles, getBackupCatalog } = require('../../src/utils/database');
+const { fileCatalog } = require('../../src/utils/file-catalog');
+const { normalizeRestorePath, globToRegExp, resolveSelection } = require('../../src/utils/restore-selection');
+
+describe('normalizeRestorePath', () => {
+    test('chemin relatif avec des /', () => {
+        expect(normalizeRestorePath('/home//user/./docs/')).toBe('home/user/docs');
+        expect(normalizeRestorePath('C:\\Users\\docs')).toBe('C:/Users/docs');
+    });
+
+    test('refuse ..', () => {
+        expect(() => normalizeRestorePath('home/../etc/shadow')).toThrow(/Chemin invalide/);
+    });
+});
+
+describe('globToRegExp', () => {
+    test('un motif sans dossier s\'applique au nom du fichier partout', () => {
+        const regex = globToRegExp('*.xlsx');
+        expect(regex.test('home/compta/rapport.xlsx')).toBe(true);
+        expect(regex.test('rapport.xlsx')).toBe(true);
+        expect(regex.test('home/compta/rapport.xlsx.bak')).toBe(false);
+    });
+
+    test('* et ? restent dans un segment, ** traverse les dossiers', () => {
+        expect(globToRegExp('/home/*/notes.txt', { contents: false }).test('home/alice/notes.txt')).toBe(true);
+        expect(globToRegExp('/home/*/notes.txt', { contents: false }).test('home/alice/old/notes.txt')).toBe(false);
+        expect(globToRegExp('/home/**/notes.txt').test('home/alice/old/notes.txt')).toBe(true);
+        expect(globToRegExp('/home/**/notes.txt').test('home/notes.txt')).toBe(true);
+        expect(globToRegExp('/var/log/app?.log').test('var/log/app1.log')).toBe(true);
+        expect(globToRegExp('/var/log/app?.log').test('var/log/app12.log')).toBe(false);
+    });
+
+    test('classes de caractères et négation', () => {
+        expect(globToRegExp('/data/[ab].csv').test('data/a.csv')).toBe(true);
+        expect(globToRegExp('/data/[!ab].csv').test('data/a.csv')).toBe(false);
+        expect(globToRegExp('/data/[!ab].csv').test('data/c.csv')).toBe(true);
+    });
+
+    test('un dossier sélectionne son contenu, sauf contents: false', () => {
+        expect(globToRegExp('/etc/nginx').test('etc/nginx/sites/default')).toBe(true);
+        expect(globToRegExp('/etc/nginx', { contents: false }).test('etc/nginx/sites/default')).toBe(false);
+        expect(globToRegExp('/etc/nginx').test('etc/nginx-old/conf')).toBe(false);
+    });
+
+    test('les caractères spéciaux des expressions régulières sont littéraux', () => {
+        expect(globToRegExp('/srv/a+b (1).txt').test('srv/a+b (1).txt')).toBe(true);
+        expect(globToRegExp('/srv/a.txt').test('srv/abtxt')).toBe(false);
+    });
+
+    test('ignoreCase', () => {
+        expect(globToRegExp('*.JPG').test('photos/img.jpg')).toBe(false);
+        expect(globToRegExp('*.JPG', { ignoreCase: true }).test('photos/img.jpg')).toBe(true);
+    });
+});
+
+describe('resolveSelection', () => {
+    const catalog = [
+        'home/alice/notes.txt',
+        'home/alice/rapport.xlsx',
+        'home/bob/budget.xlsx',
+        'etc/nginx/nginx.conf',
+        'etc/nginx/sites/default'
+    ].map(path => ({ path, size: 10 }));
+    const backup = { backup_id: 'b1' };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        getBackupCatalog.mockResolvedValue({ status: 'completed' });
+        getBackupFiles.mockImplementation(async (backupId, { prefix }) =>
+            catalog.filter(file => file.path.startsWith(prefix))
+        );
+    });
+
+    test('fichiers triés, sans doublon, et motifs sans correspondance', async () => {
+        const result = await resolveSelection(backup, ['*.xlsx', '/home/alice', '/var/www']);
+
+        expect(result.files.map(file => file.path)).toEqual([
+            'home/alice/notes.txt',
+            'home/alice/rapport.xlsx',
+            'home/bob/budget.xlsx'
+        ]);
+        expect(result.unmatched).toEqual(['/var/www']);
+    });
+
+    test('la lecture du catalogue est limitée à la partie fixe du motif', async () => {
+        await resolveSelection(backup, ['/etc/nginx/*.conf', '*.xlsx']);
+
+        expect(getBackupFiles).toHaveBeenCalledWith('b1', { prefix: 'etc/nginx/' });
+        expect(getBackupFiles).toHaveBeenCalledWith('b1', { prefix: '' });
+    });
+
+    test('catalogue absent: construit avant la résolution', async () => {
+        getBackupCatalog.mockResolvedValueOnce(null).mockResolvedValueOnce({ status: 'completed' });
+
+        const result = await resolveSelection(backup, ['/etc/nginx/nginx.conf']);
+
+        expect(fileCatalog.catalogBackup).toHaveBeenCalledWith(backup);
+        expect(result.files.map(file => file.path)).toEqual(['etc/nginx/nginx.conf']);
+    });
+
+    test('catalogue en construction ou chemin vide: erreur', async () => {
+        getBackupCatalog.mockResolvedValue({ status: 'running' });
+        await expect(resolveSelection(backup, ['/etc'])).rejects.toThrow(/en cours de construction/);
+
+        getBackupCatalog.mockResolvedValue({ status: 'completed' });
+        await expect(resolveSelection(backup, ['/'])).rejects.toThrow(/tout le backup/);
+    });
+});
@@ -0,0 +1,102 @@
+/**
+ * Coffre-fort des identifiants: chiffrement, rotation de la clé maître, re-chiffrement
+ */
+
+jest.mock('../../src/utils/logger', () => ({
+    logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const { CredentialVault } = require('../../src/utils/vault');
+
+const OLD_KEY = 'a'.repeat(64);
+const NEW_KEY = 'b'.repeat(64);
+
+describe('CredentialVault', () => {
+    const env = process.env;
+
+    beforeEach(() => {
+        process.env = { ...env, VAULT_MASTER_KEY: OLD_KEY };
+        delete process.env.VAULT_PREVIOUS_KEYS;
+        delete process.env.VAULT_PREVIOUS_KEY_FILES;
+    });
+
+    afterAll(() => {
+        process.env = env;
+    });
+
+    test('chiffre puis déchiffre une valeur', () => {
+        const vault = new CredentialVault();
+        const encrypted = vault.encrypt('mot de passe é');
+
+        expect(encrypted).toMatch(/^vault:v1:[0-9a-f]{8}:/);
+        expect(encrypted).not.toContain('mot de passe');
+        expect(vault.decrypt(encrypted)).toBe('mot de passe é');
+    });
+
+    test('deux chiffrements de la même valeur diffèrent (IV aléatoire)', () => {
+        const vault = new CredentialVault();
+        expect(vault.encrypt('secret')).not.toBe(vault.encrypt('secret'));
+    });
+
+    test('laisse les valeurs vides et déjà chiffrées inchangées', () => {
+        const vault = new CredentialVault();
+        const encrypted = vault.encrypt('secret');
+
+        expect(vault.encrypt('')).toBe('');
+        expect(vault.encrypt(null)).toBeNull();
+        expect(vault.encrypt(encrypted)).toBe(encrypted);
+        expect(vault.decrypt('ancienne valeur en clair')).toBe('ancienne valeur en clair');
+    });
+
+    test('refuse une valeur altérée', () => {
+        const vault = new CredentialVault();
+        const parts = vault.encrypt('secret').split(':');
+        parts[5] = Buffer.from('autre').toString('base64');
+
+        expect(() => vault.decrypt(parts.join(':'))).toThrow();
+    });
+
+    test('déchiffre avec une ancienne clé après rotation et re-chiffre avec la nouvelle', () => {
+        const encrypted = new CredentialVault().encrypt('secret');
+
+        process.env.VAULT_MASTER_KEY = NEW_KEY;
+        process.env.VAULT_PREVIOUS_KEYS = OLD_KEY;
+        const rotated = new CredentialVault();
+
+        expect(rotated.decrypt(encrypted)).toBe('secret');
+        const reencrypted = rotated.reencrypt(encrypted);
+        expect(reencrypted.split(':')[2]).toBe(rotated.currentKey.id);
+        expect(reencrypted.split(':')[2]).not.toBe(encrypted.split(':')[2]);
+        expect(rotated.decrypt(reencrypted)).toBe('secret');
+    });
+
+    test('signale une clé inconnue sans l\'ancienne clé', () => {
+        const encrypted = new CredentialVault().encrypt('secret');
+
+        process.env.VAULT_MASTER_KEY = NEW_KEY;
+        expect(() => new CredentialVault().decrypt(encrypted)).toThrow(/VAULT_PREVIOUS_KEYS/);
+    });
+
+    test('needsReencryption: valeurs en clair et chiffrées avec une ancienne clé', () => {
+        const encrypted = new CredentialVault().encrypt('secret');
+        expect(new CredentialVault().needsReencryption(encrypted)).toBe(false);
+
+        process.env.VAULT_MASTER_KEY = NEW_KEY;
+        process.env.VAULT_PREVIOUS_KEYS = OLD_KEY;
+        const rotated = new CredentialVault();
+
+        expect(rotated.needsReencryption(encrypted)).toBe(true);
+        expect(rotated.needsReencryption(rotated.reencrypt(encrypted))).toBe(false);
+        expect(rotated.needsReencryption('en clair')).toBe(true);
+        expect(rotated.needsReencryption('')).toBe(false);
+        expect(rotated.needsReencryption(null)).toBe(false);
+    });
+
+    test('decryptFields ne déchiffre que les champs secrets présents', () => {
+        const vault = new CredentialVault();
+        const row = { name: 'srv1', password: vault.encrypt('pw'), host: '10.0.0.1' };
+
+        expect(vault.decryptFields(row)).toEqual({ name: 'srv1', password: 'pw', host: '10.0.0.1' });
+        expect(vault.decryptFields(null)).toBeNull();
+    });
+});
@@ -150,11 +150,19 @@ async function loadDashboardData() {
             document.getElementById('last-run').textContent = 
                 data.summary.lastRun ? window.i18n.formatDate(new Date(data.summary.lastRun)) : '-';
             
+            // Backups terminés dont aucune copie n'est hors site
+            const replication = data.replication || {};
+            document.getElementById('without-offsite').textContent = data.summary.backupsWithoutOffsite || '0';
+            const offsiteStatus = replication.failed > 0
+                ? `${replication.failed} copie(s) en échec, ${replication.pending || 0} en attente`
+                : `${replication.pending || 0} copie(s) en attente`;
+            
             // Mettre à jour les indicateurs de status (données API complètes)
             updateDataStatus('clients-status', 'real-data', 'API Dashboard');
             updateDataStatus('backups-status', 'real-data', 'API Dashboard');
             updateDataStatus('storage-status', 'real-data', 'API Dashboard');
             updateDataStatus('lastrun-status', 'real-data', 'API Dashboard');
+            updateDataStatus('offsite-status', replication.failed > 0 ? 'error-data' : 'real-data', offsiteStatus);
             
             // Charger les backups récents
             loadRecentBackupsFromAPI();
@@ -275,6 +283,7 @@ async function loadBasicStats() {
         updateDataStatus('backups-status', 'error-data', 'Erreur chargement');
         updateDataStatus('storage-status', 'error-data', 'Erreur chargement');
         updateDataStatus('lastrun-status', 'error-data', 'Erreur chargement');
+        updateDataStatus('offsite-status', 'error-data', 'Erreur chargement');
     }
 }
 
@@ -928,6 +937,7 @@ async function loadServerConfig() {
         document.getElementById('retention-days-input').value = settings.backup_retention_days || '30';
         document.getElementById('parallel-backups-input').value = settings.max_parallel_backups || '2';
         document.getElementById('vss-enabled-input').checked = true;
+        document.getElementById('backup-windows-input').value = formatBackupWindows(settings.backup_windows);
 
         // Configuration notifications
         document.getElementById('notification-email-input').value = settings.notification_email || '';
@@ -960,6 +970,14 @@ async function saveServerConfig() {
     try {
         showNotification(t('processing'), 'info');
 
+        let backupWindows;
+        try {
+            backupWindows = parseBackupWindows(document.getElementById('backup-windows-input').value);
+        } catch (error) {
+            showNotification(`Fenêtres de backup invalides: ${error.message}`, 'error');
+            return;
+        }
+
         // Collecter toutes les valeurs des formulaires
         const config = {
             server: {
@@ -972,7 +990,8 @@ async function saveServerConfig() {
                 path: document.getElementById('backup-path-input').value,
                 retentionDays: parseInt(document.getElementById('retention-days-input').value),
                 maxParallel: parseInt(document.getElementById('parallel-backups-input').value),
-                vssEnabled: document.getElementById('vss-enabled-input').checked
+                vssEnabled: document.getElementById('vss-enabled-input').checked,
+                windows: backupWindows
             },
             notifications: {
                 email: document.getElementById('notification-email-input').value,
@@ -1005,7 +1024,8 @@ async function saveServerConfig() {
                 backup_retention_days: config.backup.retentionDays,
                 max_parallel_backups: config.backup.maxParallel,
                 notification_email: config.notifications.email,
-                smtp_enabled: config.notifications.smtpEnabled
+                smtp_enabled: config.notifications.smtpEnabled,
+                backup_windows: config.backup.windows
             })
         });
 
@@ -1052,6 +1072,7 @@ function resetConfigToDefaults() {
         document.getElementById('retention-days-input').value = '30';
         document.getElementById('parallel-backups-input').value = '2';
         document.getElementById('vss-enabled-input').checked = true;
+        document.getElementById('backup-windows-input').value = '';
         
         document.getElementById('notification-email-input').value = '';
         document.getElementById('smtp-enabled-input').checked = false;
@@ -1872,16 +1893,21 @@ async function selectBackupType(type) {
         
         if (response.ok) {
             const result = await response.json();
-            showNotification(t('notifications.backup_started', {client: client.name}), 'success');
+            const queued = result.data.status === 'queued';
+            if (queued) {
+                showNotification(result.data.message, 'info');
+            } else {
+                showNotification(t('notifications.backup_started', {client: client.name}), 'success');
+            }
             
             // Afficher la popup de progression
             showBackupProgressModal(clientId, client.name, type, result.data.backupId);
             
             // Mettre à jour l'interface immédiatement
             updateBackupStatus(clientId, {
-                status: 'starting',
+                status: queued ? 'queued' : 'starting',
                 progress: 0,
-                currentStep: 'Initialisation du backup',
+                currentStep: queued ? `En file d'attente (position ${result.data.position})` : 'Initialisation du backup',
                 backupId: result.data.backupId
             });
             
@@ -1936,7 +1962,7 @@ function updateBackupStatus(clientId, status) {
     // Mettre à jour la classe de statut
     statusElement.className = `backup-status status-${status.status}`;
     
-    if (status.status === 'starting' || status.status === 'running') {
+    if (status.status === 'queued' || status.status === 'starting' || status.status === 'running') {
         // Afficher la progression
         if (progressContainer) progressContainer.style.display = 'block';
         if (progressFill) {
@@ -1945,7 +1971,11 @@ function updateBackupStatus(clientId, status) {
         }
         if (progressStep) progressStep.textContent = status.currentStep || 'En cours...';
         if (progressPercent) progressPercent.textContent = `${status.progress}%`;
-        if (statusText) statusText.textContent = status.status === 'starting' ? t('starting') : t('backup_in_progress');
+        if (statusText) {
+            statusText.textContent = status.status === 'queued'
+                ? 'En file d\'attente'
+                : status.status === 'starting' ? t('starting') : t('backup_in_progress');
+        }
         if (statusTime && status.startTime) {
             statusTime.textContent = `Démarré: ${new Date(status.startTime).toLocaleString('fr-FR', {
                 month: '2-digit',
@@ -2005,6 +2035,18 @@ function updateBackupStatus(clientId, status) {
             if (statusTime) statusTime.textContent = '';
             statusElement.className = 'backup-status';
         }, 60000);
+        
+    } else if (status.status === 'cancelling' || status.status === 'cancelled') {
+        // Masquer la progression
+        if (progressContainer) progressContainer.style.display = 'none';
+        if (statusText) statusText.textContent = status.status === 'cancelling' ? 'Annulation en cours...' : 'Backup annulé';
+        if (statusTime) statusTime.textContent = status.cancelledBy ? `Annulé par: ${status.cancelledBy}` : '';
+        
+        // Réactiver le bouton une fois l'annulation terminée
+        if (backupBtn && status.status === 'cancelled') {
+            backupBtn.disabled = false;
+            backupBtn.innerHTML = `<span class="btn-icon">🚀</span>${t('start_backup')}`;
+        }
     }
 }
 
@@ -2190,7 +2232,7 @@ function updateBackupProgressModal(backupStatus) {
     if (progressPercentageMin) progressPercentageMin.textContent = `${progress}%`;
     
     // Si le backup est terminé ou en échec, fermer après 3 secondes
-    if (backupStatus.status === 'completed' || backupStatus.status === 'failed') {
+    if (backupStatus.status === 'completed' || backupStatus.status === 'failed' || backupStatus.status === 'cancelled') {
         const cancelBtn = document.getElementById('cancel-backup-btn');
         if (cancelBtn) {
             cancelBtn.style.display = 'none';
@@ -2200,7 +2242,9 @@ function updateBackupProgressModal(backupStatus) {
         if (progressStepText) {
             progressStepText.textContent = backupStatus.status === 'completed' 
                 ? '✅ Backup terminé avec succès!' 
-                : '❌ Backup échoué';
+                : backupStatus.status === 'cancelled'
+                    ? '🛑 Backup annulé'
+                    : '❌ Backup échoué';
         }
         
         // Fermer automatiquement après 5 secondes
@@ -2222,16 +2266,17 @@ function startBackupStatusMonitoring() {
             if (response.ok) {
                 const data = await response.json();
                 const runningBackups = data.data.runningBackups;
+                const queuedBackups = data.data.queuedBackups || [];
                 
-                // Mettre à jour chaque backup en cours
-                runningBackups.forEach(backup => {
+                // Mettre à jour chaque backup en file d'attente (position dans currentStep) puis en cours
+                [...queuedBackups, ...runningBackups].forEach(backup => {
                     updateBackupStatus(backup.clientId, backup);
                     // Mettre à jour la popup modale si elle est affichée
                     updateBackupProgressModal(backup);
                 });
                 
-                // Arrêter le monitoring si aucun backup en cours
-                if (runningBackups.length === 0) {
+                // Arrêter le monitoring si aucun backup en cours ni en attente
+                if (runningBackups.length === 0 && queuedBackups.length === 0) {
                     stopBackupStatusMonitoring();
                 }
             }
@@ -2260,6 +2305,7 @@ function showAddClientModal() {
     const modal = document.getElementById('add-client-modal');
     if (modal) {
         modal.classList.add('active');
+        loadStorageDestinationOptions();
     }
 }
 
@@ -2277,21 +2323,305 @@ function updateDefaultFolders(selectElement) {
     } else {
         foldersTextarea.value = 'C:\\Users, C:\\ProgramData';
     }
+    
+    // Le mode de stockage ne concerne que les clients Linux
+    const form = selectElement.closest('form');
+    if (form) {
+        form.querySelectorAll('.linux-only').forEach(field => {
+            field.style.display = selectElement.value === 'linux' ? '' : 'none';
+        });
+    }
+}
+
+// Afficher les champs correspondant à la méthode d'authentification SSH choisie
+function updateAuthFields(selectElement) {
+    const form = selectElement.closest('form');
+    if (!form) return;
+    
+    const method = selectElement.value;
+    form.querySelectorAll('.auth-field').forEach(field => {
+        const visible = field.classList.contains(`auth-${method}`);
+        field.style.display = visible ? '' : 'none';
+    });
+    
+    // Le mot de passe n'est obligatoire qu'à la création en mode mot de passe
+    const passwordInput = form.querySelector('input[name="password"]');
+    if (passwordInput && form.id === 'add-client-form') {
+        passwordInput.required = method === 'password';
+    }
+}
+
+// Ajouter les champs d'authentification SSH renseignés aux données du client
+function appendAuthFields(formData, clientData) {
+    clientData.auth_method = formData.get('auth_method') || 'password';
+    
+    const password = formData.get('password');
+    const privateKey = formData.get('private_key');
+    const passphrase = formData.get('passphrase');
+    
+    if (clientData.auth_method === 'password' && password && password.trim()) {
+        clientData.password = password;
+    }
+    if (clientData.auth_method === 'key') {
+        if (privateKey && privateKey.trim()) {
+            clientData.private_key = privateKey.trim();
+        }
+        if (passphrase) {
+            clientData.passphrase = passphrase;
+        }
+    }
+    
+    return clientData;
+}
+
+// Tâches de dump des bases de données (JSON). Un mot de passe omis conserve celui enregistré.
+function appendDatabaseJobs(formData, clientData) {
+    if (!formData.has('database_jobs')) return clientData;
+    
+    const value = (formData.get('database_jobs') || '').trim();
+    const jobs = value ? JSON.parse(value) : [];
+    if (!Array.isArray(jobs)) {
+        throw new Error('Les bases de données doivent être une liste JSON');
+    }
+    clientData.database_jobs = jobs.map(({ has_password, ...job }) => job);
+    return clientData;
+}
+
+// Hooks avant/après backup (JSON { pre: [...], post: [...] }), champ vide = aucun hook
+function appendBackupHooks(formData, clientData) {
+    if (!formData.has('backup_hooks')) return clientData;
+    
+    const value = (formData.get('backup_hooks') || '').trim();
+    clientData.backup_hooks = value ? JSON.parse(value) : null;
+    return clientData;
+}
+
+function formatBackupHooks(hooks) {
+    if (!hooks) return '';
+    try {
+        return JSON.stringify(typeof hooks === 'string' ? JSON.parse(hooks) : hooks, null, 2);
+    } catch (error) {
+        return hooks;
+    }
+}
+
+// Profils de limitation de débit/priorité selon l'heure (liste JSON), champ vide = aucune limite
+function appendThrottleProfiles(formData, clientData) {
+    if (!formData.has('throttle_profiles')) return clientData;
+    
+    const value = (formData.get('throttle_profiles') || '').trim();
+    const profiles = value ? JSON.parse(value) : [];
+    if (!Array.isArray(profiles)) {
+        throw new Error('Les profils de limitation doivent être une liste JSON');
+    }
+    clientData.throttle_profiles = profiles;
+    return clientData;
+}
+
+function formatThrottleProfiles(profiles) {
+    if (!profiles) return '';
+    try {
+        return JSON.stringify(typeof profiles === 'string' ? JSON.parse(profiles) : profiles, null, 2);
+    } catch (error) {
+        return profiles;
+    }
+}
+
+// Fenêtres de backup et périodes de gel (objet JSON), champ vide = backups autorisés à toute heure
+function parseBackupWindows(value) {
+    const text = (value || '').trim();
+    const config = text ? JSON.parse(text) : null;
+    if (config !== null && (typeof config !== 'object' || Array.isArray(config))) {
+        throw new Error('Les fenêtres de backup doivent être un objet JSON { windows, blackouts }');
+    }
+    return config;
+}
+
+function appendBackupWindows(formData, clientData) {
+    if (!formData.has('backup_windows')) return clientData;
+    
+    clientData.backup_windows = parseBackupWindows(formData.get('backup_windows'));
+    return clientData;
+}
+
+function appendCompression(formData, clientData) {
+    if (!formData.has('compression_codec')) return clientData;
+    
+    const codec = formData.get('compression_codec');
+    const level = (formData.get('compression_level') || '').trim();
+    clientData.compression = codec ? { codec, ...(level && codec !== 'none' ? { level: parseInt(level) } : {}) } : null;
+    return clientData;
+}
+
+function appendSplitSize(formData, clientData) {
+    if (!formData.has('split_size_mb')) return clientData;
+    
+    const splitSize = (formData.get('split_size_mb') || '').trim();
+    clientData.split_size_mb = splitSize === '' ? null : parseInt(splitSize);
+    return clientData;
+}
+
+function appendStorageDestination(formData, clientData) {
+    if (!formData.has('storage_destination')) return clientData;
+    
+    const destination = (formData.get('storage_destination') || '').trim();
+    clientData.storage_destination = destination === '' ? null : destination;
+    return clientData;
+}
+
+// Copies vers d'autres destinations: noms séparés par des virgules, 'aucune' pour n'en faire aucune
+function appendReplicationDestinations(formData, clientData) {
+    if (!formData.has('replication_destinations')) return clientData;
+    
+    const value = (formData.get('replication_destinations') || '').trim();
+    if (value === '') {
+        clientData.replication_destinations = null;
+    } else if (value.toLowerCase() === 'aucune') {
+        clientData.replication_destinations = [];
+    } else {
+        clientData.replication_destinations = value.split(',').map(name => name.trim()).filter(Boolean);
+    }
+    return clientData;
+}
+
+function formatReplicationDestinations(value) {
+    if (!value) return '';
+    try {
+        const names = JSON.parse(value);
+        return names.length > 0 ? names.join(', ') : 'aucune';
+    } catch (error) {
+        return value;
+    }
+}
+
+// Destinations de stockage proposées dans les formulaires client (liste réservée aux administrateurs)
+async function loadStorageDestinationOptions() {
+    const list = document.getElementById('storage-destinations-list');
+    if (!list) return;
+    
+    try {
+        const response = await fetch(`${API_URL}/storage/destinations`);
+        if (!response.ok) return;
+        
+        const data = await response.json();
+        const names = ['local', ...data.destinations.filter(destination => destination.active).map(destination => destination.name)];
+        list.innerHTML = '';
+        names.forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            list.appendChild(option);
+        });
+    } catch (error) {
+        console.warn('Destinations de stockage indisponibles:', error);
+    }
+}
+
+function parseClientCompression(value) {
+    if (!value) return {};
+    try {
+        return typeof value === 'string' ? JSON.parse(value) : value;
+    } catch (error) {
+        return {};
+    }
+}
+
+// Comparaison des codecs sur un échantillon des données du client (peut prendre plusieurs minutes)
+async function runCompressionBenchmark(clientId, button) {
+    const container = document.getElementById('compression-benchmark-result');
+    button.disabled = true;
+    container.innerHTML = '<p>Échantillonnage et compression en cours...</p>';
+    
+    try {
+        const response = await apiRequest(`${API_URL}/clients/${clientId}/compression-benchmark`, { method: 'POST', body: '{}' });
+        if (!response) return;
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || 'Benchmark impossible');
+        }
+        
+        container.innerHTML = `
+            <p>Échantillon: ${(result.sample.bytes / 1024 / 1024).toFixed(1)} MB</p>
+            <table class="data-table">
+                <thead><tr><th>Codec</th><th>Niveau</th><th>Taux</th><th>Vitesse</th></tr></thead>
+                <tbody>
+                    ${result.results.map(entry => `
+                        <tr>
+                            <td>${escapeHtml(entry.codec)}</td>
+                            <td>${entry.level !== null ? entry.level : '-'}</td>
+                            <td>${entry.ratio ? `x${entry.ratio}` : escapeHtml(entry.error || '-')}</td>
+                            <td>${entry.speed_mbps ? `${entry.speed_mbps} MB/s` : '-'}</td>
+                        </tr>`).join('')}
+                </tbody>
+            </table>`;
+    } catch (error) {
+        container.innerHTML = `<p class="error">${escapeHtml(error.message)}</p>`;
+    } finally {
+        button.disabled = false;
+    }
+}
+
+function formatBackupWindows(config) {
+    if (!config) return '';
+    try {
+        return JSON.stringify(typeof config === 'string' ? JSON.parse(config) : config, null, 2);
+    } catch (error) {
+        return config;
+    }
+}
+
+function formatDatabaseJobs(jobs) {
+    return jobs && jobs.length > 0 ? JSON.stringify(jobs.map(({ has_password, ...job }) => job), null, 2) : '';
 }
 
 async function handleAddClient(e) {
     e.preventDefault();
     const formData = new FormData(e.target);
-    const clientData = {
+    const clientData = appendAuthFields(formData, {
         name: formData.get('name'),
         host: formData.get('ip'),
         port: parseInt(formData.get('port')) || 22,
         username: formData.get('username'),
-        password: formData.get('password'),
         backup_type: formData.get('backup_type'),
         os_type: formData.get('os_type'),
+        backup_mode: formData.get('os_type') === 'linux' ? (formData.get('backup_mode') || null) : null,
         folders: formData.get('folders').split(',').map(f => f.trim()).filter(f => f.length > 0)
-    };
+    });
+    
+    try {
+        if (clientData.os_type === 'linux') {
+            appendDatabaseJobs(formData, clientData);
+        }
+    } catch (error) {
+        showNotification(`Bases de données invalides: ${error.message}`, 'error');
+        return;
+    }
+    
+    try {
+        appendBackupHooks(formData, clientData);
+    } catch (error) {
+        showNotification(`Hooks invalides: ${error.message}`, 'error');
+        return;
+    }
+    
+    try {
+        appendThrottleProfiles(formData, clientData);
+    } catch (error) {
+        showNotification(`Profils de limitation invalides: ${error.message}`, 'error');
+        return;
+    }
+    
+    try {
+        appendBackupWindows(formData, clientData);
+    } catch (error) {
+        showNotification(`Fenêtres de backup invalides: ${error.message}`, 'error');
+        return;
+    }
+    
+    appendCompression(formData, clientData);
+    appendSplitSize(formData, clientData);
+    appendStorageDestination(formData, clientData);
+    appendReplicationDestinations(formData, clientData);
     
     try {
         const response = await fetch(`${API_URL}/clients`, {
@@ -2321,6 +2651,9 @@ function editClient(clientId) {
     const client = clients.find(c => c.id === clientId);
     if (!client) return;
     
+    const authMethod = client.auth_method || 'password';
+    const clientCompression = parseClientCompression(client.compression);
+    
     // Créer une modale de modification
     const modal = document.createElement('div');
     modal.className = 'modal active';
@@ -2345,9 +2678,25 @@ function editClient(clientId) {
                     <input type="text" name="username" value="${client.username}" required class="form-input">
                 </div>
                 <div class="form-group">
+                    <label>Authentification SSH</label>
+                    <select name="auth_method" class="form-input" onchange="updateAuthFields(this)">
+                        <option value="password" ${authMethod === 'password' ? 'selected' : ''}>Mot de passe</option>
+                        <option value="key" ${authMethod === 'key' ? 'selected' : ''}>Clé privée</option>
+                        <option value="agent" ${authMethod === 'agent' ? 'selected' : ''}>ssh-agent du serveur</option>
+                    </select>
+                </div>
+                <div class="form-group auth-field auth-password" ${authMethod === 'password' ? '' : 'style="display: none;"'}>
                     <label>Mot de passe</label>
                     <input type="password" name="password" placeholder="Laisser vide pour garder l'actuel" class="form-input">
                 </div>
+                <div class="form-group auth-field auth-key" ${authMethod === 'key' ? '' : 'style="display: none;"'}>
+                    <label>Clé privée (contenu OpenSSH/PEM ou chemin sur le serveur)</label>
+                    <textarea name="private_key" class="form-input" rows="4" placeholder="Laisser vide pour garder la clé actuelle"></textarea>
+                </div>
+                <div class="form-group auth-field auth-key" ${authMethod === 'key' ? '' : 'style="display: none;"'}>
+                    <label>Passphrase de la clé (optionnelle)</label>
+                    <input type="password" name="passphrase" placeholder="Laisser vide pour garder l'actuelle" class="form-input" autocomplete="new-password">
+                </div>
                 <div class="form-group">
                     <label>Type de backup</label>
                     <select name="backup_type" class="form-input">
@@ -2356,10 +2705,61 @@ function editClient(clientId) {
                         <option value="differential" ${client.backup_type === 'differential' ? 'selected' : ''}>Différentiel</option>
                     </select>
                 </div>
+                ${client.os_type === 'linux' ? `
+                <div class="form-group">
+                    <label>Stockage des backups Linux</label>
+                    <select name="backup_mode" class="form-input">
+                        <option value="" ${!client.backup_mode ? 'selected' : ''}>Par défaut du serveur</option>
+                        <option value="stream" ${client.backup_mode === 'stream' ? 'selected' : ''}>Archive tar (streaming SSH)</option>
+                        <option value="staging" ${client.backup_mode === 'staging' ? 'selected' : ''}>Archive tar (copie dans /tmp du client)</option>
+                        <option value="snapshot" ${client.backup_mode === 'snapshot' ? 'selected' : ''}>Snapshots navigables (liens physiques rsync)</option>
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label>Bases de données à dumper (JSON, mots de passe enregistrés conservés si omis)</label>
+                    <textarea name="database_jobs" class="form-input" rows="4" placeholder='[{"name": "shop", "engine": "mysql", "database": "shop", "username": "backup", "password": "..."}]'>${escapeHtml(formatDatabaseJobs(client.database_jobs))}</textarea>
+                </div>` : ''}
                 <div class="form-group">
                     <label>Dossiers à sauvegarder (séparés par des virgules)</label>
                     <textarea name="folders" class="form-input" rows="3">${Array.isArray(client.folders) ? client.folders.join(', ') : client.folders || 'C:\\Users, C:\\ProgramData'}</textarea>
                 </div>
+                <div class="form-group">
+                    <label>Commandes avant/après backup (JSON, on_failure: abort, warn ou continue)</label>
+                    <textarea name="backup_hooks" class="form-input" rows="4" placeholder='{"pre": [{"command": "systemctl stop app", "timeout": 60, "on_failure": "abort"}], "post": [{"command": "systemctl start app"}]}'>${escapeHtml(formatBackupHooks(client.backup_hooks))}</textarea>
+                </div>
+                <div class="form-group">
+                    <label>Limitation selon l'heure (JSON, bandwidth_mbps: 0 = illimité, priority: normal, low ou idle)</label>
+                    <textarea name="throttle_profiles" class="form-input" rows="4" placeholder='[{"name": "bureau", "days": [1, 2, 3, 4, 5], "start": "08:00", "end": "19:00", "bandwidth_mbps": 2, "priority": "low"}]'>${escapeHtml(formatThrottleProfiles(client.throttle_profiles))}</textarea>
+                </div>
+                <div class="form-group">
+                    <label>Fenêtres de backup et périodes de gel (JSON, on_outside: defer ou skip, on_overrun: stop, reschedule ou continue)</label>
+                    <textarea name="backup_windows" class="form-input" rows="4" placeholder='{"windows": [{"days": [1, 2, 3, 4, 5], "start": "20:00", "end": "06:00"}], "blackouts": [{"start": "2026-12-20", "end": "2027-01-03", "reason": "gel de fin d&#39;année"}], "on_outside": "defer", "on_overrun": "stop"}'>${escapeHtml(formatBackupWindows(client.backup_windows))}</textarea>
+                </div>
+                <div class="form-group">
+                    <label>Compression des archives (Linux) et des téléchargements</label>
+                    <select name="compression_codec" class="form-input">
+                        <option value="" ${!clientCompression.codec ? 'selected' : ''}>Par défaut du serveur</option>
+                        <option value="zstd" ${clientCompression.codec === 'zstd' ? 'selected' : ''}>zstd (rapide, niveaux 1-19)</option>
+                        <option value="xz" ${clientCompression.codec === 'xz' ? 'selected' : ''}>xz (compact, niveaux 0-9)</option>
+                        <option value="gzip" ${clientCompression.codec === 'gzip' ? 'selected' : ''}>gzip (niveaux 1-9)</option>
+                        <option value="none" ${clientCompression.codec === 'none' ? 'selected' : ''}>Aucune (tar seul)</option>
+                    </select>
+                    <input type="number" name="compression_level" class="form-input" min="0" max="19" placeholder="Niveau (vide = niveau par défaut du codec)" value="${clientCompression.level !== undefined ? clientCompression.level : ''}">
+                    <button type="button" class="btn btn-secondary" onclick="runCompressionBenchmark(${clientId}, this)">Comparer les codecs sur un échantillon</button>
+                    <div id="compression-benchmark-result"></div>
+                </div>
+                <div class="form-group">
+                    <label>Découpage des archives en volumes (Mo)</label>
+                    <input type="number" name="split_size_mb" class="form-input" min="0" placeholder="Vide = réglage du serveur, 0 = pas de découpage (ex: 4096 pour 4 Go)" value="${client.split_size_mb !== null && client.split_size_mb !== undefined ? client.split_size_mb : ''}">
+                </div>
+                <div class="form-group">
+                    <label>Destination de stockage</label>
+                    <input type="text" name="storage_destination" class="form-input" list="storage-destinations-list" placeholder="Vide = destination par défaut, local = disque du serveur" value="${client.storage_destination || ''}">
+                </div>
+                <div class="form-group">
+                    <label>Copies vers d'autres destinations</label>
+                    <input type="text" name="replication_destinations" class="form-input" placeholder="Noms séparés par des virgules. Vide = réglage du serveur, aucune = pas de copie" value="${formatReplicationDestinations(client.replication_destinations)}">
+                </div>
                 <div class="modal-actions">
                     <button type="button" class="btn btn-secondary" onclick="this.closest('.modal').remove()">Annuler</button>
                     <button type="submit" class="btn btn-primary">Sauvegarder</button>
@@ -2369,6 +2769,7 @@ function editClient(clientId) {
     `;
     
     document.body.appendChild(modal);
+    loadStorageDestinationOptions();
     
     // Ajouter l'event listener pour le formulaire
     document.getElementById('edit-client-form').addEventListener('submit', (e) => handleEditClient(e, clientId));
@@ -2386,12 +2787,46 @@ async function handleEditClient(e, clientId) {
         folders: formData.get('folders').split(',').map(f => f.trim()).filter(f => f.length > 0)
     };
     
-    // Ajouter le mot de passe seulement s'il est fourni
-    const password = formData.get('password');
-    if (password && password.trim()) {
-        clientData.password = password;
+    if (formData.has('backup_mode')) {
+        clientData.backup_mode = formData.get('backup_mode') || null;
+    }
+    
+    try {
+        appendDatabaseJobs(formData, clientData);
+    } catch (error) {
+        showNotification(`Bases de données invalides: ${error.message}`, 'error');
+        return;
+    }
+    
+    try {
+        appendBackupHooks(formData, clientData);
+    } catch (error) {
+        showNotification(`Hooks invalides: ${error.message}`, 'error');
+        return;
+    }
+    
+    try {
+        appendThrottleProfiles(formData, clientData);
+    } catch (error) {
+        showNotification(`Profils de limitation invalides: ${error.message}`, 'error');
+        return;
+    }
+    
+    try {
+        appendBackupWindows(formData, clientData);
+    } catch (error) {
+        showNotification(`Fenêtres de backup invalides: ${error.message}`, 'error');
+        return;
     }
     
+    appendCompression(formData, clientData);
+    appendSplitSize(formData, clientData);
+    appendStorageDestination(formData, clientData);
+    appendReplicationDestinations(formData, clientData);
+    
+    // Ajouter les secrets seulement s'ils sont fournis
+    appendAuthFields(formData, clientData);
+    
     try {
         const response = await fetch(`${API_URL}/clients/${clientId}`, {
             method: 'PUT',
@@ -2494,6 +2929,11 @@ async function viewBackupDetails(backupId) {
                                 <button class="btn btn-secondary" onclick="downloadBackup('${backup.backup_id}')">
                                     💾 Télécharger
                                 </button>
+                                ${currentUser && currentUser.role === 'admin' ? `
+                                    <button class="btn btn-secondary" onclick="exportBackup('${backup.backup_id}')">
+                                        📤 Exporter
+                                    </button>
+                                ` : ''}
                             </div>
                         </div>
                     ` : ''}
@@ -2550,12 +2990,58 @@ function restoreBackup(backupId, clientName) {
                     <label><strong>Backup ID:</strong> ${backupId}</label>
                 </div>
                 <div class="form-group">
+                    <label>Contenu du backup:</label>
+                    <div class="backup-browser">
+                        <div class="backup-browser-path" id="backup-browser-path">/</div>
+                        <div class="backup-browser-list" id="backup-browser-list">
+                            <p class="backup-browser-empty">Chargement du contenu...</p>
+                        </div>
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label for="restore-paths">Fichiers à restaurer (un chemin ou motif par ligne):</label>
+                    <textarea id="restore-paths" class="form-control" rows="3" placeholder="/etc/nginx/nginx.conf&#10;/home/*/Documents&#10;*.xlsx"></textarea>
+                    <small class="form-text">Laisser vide pour restaurer tout le backup. Le bouton ➕ de l'explorateur ajoute un chemin.</small>
+                </div>
+                <div class="form-group">
+                    <label for="restore-conflict-policy">Si le fichier existe déjà:</label>
+                    <select id="restore-conflict-policy" class="form-control">
+                        <option value="overwrite">Écraser</option>
+                        <option value="skip">Ignorer (conserver le fichier existant)</option>
+                        <option value="rename">Restaurer sous un autre nom (suffixe .restored-date)</option>
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="restore-target">Restaurer vers:</label>
+                    <select id="restore-target" class="form-control">
+                        <option value="server">Un dossier du serveur de backup</option>
+                        <option value="client">Un client (envoi par SSH)</option>
+                    </select>
+                </div>
+                <div class="form-group" id="restore-server-options">
                     <label for="restore-destination">Dossier de destination:</label>
                     <input type="text" id="restore-destination" class="form-control" 
                            placeholder="/tmp/restore-backup-${Date.now()}" 
                            value="/tmp/restore-backup-${Date.now()}">
                     <small class="form-text">Le dossier sera créé automatiquement s'il n'existe pas</small>
                 </div>
+                <div id="restore-client-options" style="display: none;">
+                    <div class="form-group">
+                        <label for="restore-target-client">Client de destination:</label>
+                        <select id="restore-target-client" class="form-control">
+                            ${clients.map(client => `
+                                <option value="${client.id}" ${client.name === clientName ? 'selected' : ''}>
+                                    ${escapeHtml(client.name)} (${client.os_type || 'windows'})${client.name === clientName ? ' - client d\'origine' : ''}
+                                </option>
+                            `).join('')}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="restore-remote-path">Dossier distant (optionnel):</label>
+                        <input type="text" id="restore-remote-path" class="form-control" placeholder="/srv/restore ou C:\\Restore">
+                        <small class="form-text">Laisser vide pour remettre les fichiers à leur emplacement d'origine (même système uniquement)</small>
+                    </div>
+                </div>
                 <div class="form-group">
                     <div class="form-check">
                         <input type="checkbox" id="verify-restore" class="form-check-input" checked>
@@ -2581,17 +3067,129 @@ function restoreBackup(backupId, clientName) {
     
     document.body.appendChild(modal);
     modal.style.display = 'block';  // Rendre le modal visible
+    
+    // Cible de restauration: dossier du serveur ou client
+    modal.querySelector('#restore-target').addEventListener('change', (event) => {
+        const toClient = event.target.value === 'client';
+        modal.querySelector('#restore-server-options').style.display = toClient ? 'none' : 'block';
+        modal.querySelector('#restore-client-options').style.display = toClient ? 'block' : 'none';
+    });
+    
+    // Navigation dans les dossiers du backup
+    modal.querySelector('#backup-browser-list').addEventListener('click', (event) => {
+        const selectButton = event.target.closest('[data-select-path]');
+        if (selectButton) {
+            event.stopPropagation();
+            addRestorePath(selectButton.dataset.selectPath);
+            return;
+        }
+        
+        const row = event.target.closest('[data-browse-path]');
+        if (row) {
+            browseBackup(backupId, row.dataset.browsePath);
+        }
+    });
+    browseBackup(backupId, '/');
+}
+
+// Ajouter un chemin à la sélection de restauration
+function addRestorePath(entryPath) {
+    const textarea = document.getElementById('restore-paths');
+    if (!textarea) return;
+    
+    const paths = textarea.value.split('\n').map(p => p.trim()).filter(p => p);
+    if (!paths.includes(entryPath)) {
+        paths.push(entryPath);
+        textarea.value = paths.join('\n');
+    }
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Afficher le contenu d'un dossier du backup (catalogue, sans extraction)
+async function browseBackup(backupId, dirPath) {
+    const list = document.getElementById('backup-browser-list');
+    const pathLabel = document.getElementById('backup-browser-path');
+    if (!list) return;
+    
+    list.innerHTML = '<p class="backup-browser-empty">Chargement du contenu...</p>';
+    
+    try {
+        const response = await fetch(`/api/backups/${encodeURIComponent(backupId)}/tree?path=${encodeURIComponent(dirPath)}`, {
+            credentials: 'include'
+        });
+        const result = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(result.error || 'Contenu indisponible');
+        }
+        
+        const { entries, parent, path, truncated, catalog } = result.data;
+        pathLabel.textContent = path;
+        
+        let html = '';
+        if (parent !== null) {
+            html += `
+                <div class="backup-browser-row directory" data-browse-path="${escapeHtml(parent)}">
+                    <span class="backup-browser-name">⬆️ ..</span>
+                    <span></span><span></span><span></span>
+                </div>`;
+        }
+        
+        for (const entry of entries) {
+            const isDir = entry.type === 'directory';
+            html += `
+                <div class="backup-browser-row ${isDir ? 'directory' : ''}" ${isDir ? `data-browse-path="${escapeHtml(entry.path)}"` : ''}>
+                    <span class="backup-browser-name">${isDir ? '📁' : entry.type === 'symlink' ? '🔗' : '📄'} ${escapeHtml(entry.name)}</span>
+                    <span class="backup-browser-size">${formatBytes(entry.size)}${isDir ? ` (${entry.fileCount} fichiers)` : ''}</span>
+                    <span class="backup-browser-date">${entry.mtime ? new Date(entry.mtime).toLocaleString() : ''}</span>
+                    <button type="button" class="btn btn-sm" title="Ajouter à la sélection" data-select-path="${escapeHtml(entry.path)}">➕</button>
+                </div>`;
+        }
+        
+        if (entries.length === 0) {
+            html += `<p class="backup-browser-empty">${catalog.status === 'failed' ? `Catalogue indisponible: ${escapeHtml(catalog.error || 'erreur inconnue')}` : 'Dossier vide'}</p>`;
+        }
+        if (truncated) {
+            html += '<p class="backup-browser-empty">Liste tronquée: dossier trop volumineux pour être affiché entièrement</p>';
+        }
+        
+        list.innerHTML = html;
+    } catch (error) {
+        list.innerHTML = `<p class="backup-browser-empty text-error">❌ ${escapeHtml(error.message)}</p>`;
+    }
 }
 
 async function executeRestore(backupId, clientName) {
     const destinationPath = document.getElementById('restore-destination').value.trim();
     const verifyRestore = document.getElementById('verify-restore').checked;
-    
-    if (!destinationPath) {
+    const conflictPolicy = document.getElementById('restore-conflict-policy').value;
+    const target = document.getElementById('restore-target').value;
+    const targetClientId = document.getElementById('restore-target-client').value;
+    const targetClient = clients.find(client => String(client.id) === targetClientId);
+    const targetClientName = targetClient ? targetClient.name : clientName;
+    const remotePath = document.getElementById('restore-remote-path').value.trim();
+    const paths = document.getElementById('restore-paths').value
+        .split('\n')
+        .map(p => p.trim())
+        .filter(p => p);
+    
+    if (target === 'server' && !destinationPath) {
         showNotification('Veuillez spécifier un dossier de destination', 'error');
         return;
     }
     
+    const destinationLabel = target === 'client' 
+        ? `${targetClientName}${remotePath ? ` - ${remotePath}` : ' - emplacements d\'origine'}` 
+        : destinationPath;
+    
     // Fermer le modal de sélection
     document.querySelector('.modal').remove();
     
@@ -2606,7 +3204,7 @@ async function executeRestore(backupId, clientName) {
             <div class="modal-body">
                 <div class="progress-info">
                     <p><strong>Client:</strong> ${clientName}</p>
-                    <p><strong>Destination:</strong> ${destinationPath}</p>
+                    <p><strong>Destination:</strong> ${escapeHtml(destinationLabel)}</p>
                     <p><strong>Vérification:</strong> ${verifyRestore ? 'Activée' : 'Désactivée'}</p>
                 </div>
                 <div class="progress-spinner">
@@ -2636,7 +3234,12 @@ async function executeRestore(backupId, clientName) {
             },
             body: JSON.stringify({
                 destinationPath,
-                verifyRestore
+                verifyRestore,
+                paths,
+                conflictPolicy,
+                target,
+                targetClientId: target === 'client' ? targetClientId : undefined,
+                remotePath: target === 'client' && remotePath ? remotePath : undefined
             })
         });
         
@@ -2655,6 +3258,17 @@ async function executeRestore(backupId, clientName) {
                     <p><strong>📁 Dossier de destination:</strong> ${result.destination}</p>
                     <p><strong>📦 Fichiers extraits:</strong> ${result.restore_result.stats.filesExtracted}</p>
                     <p><strong>⏱️ Durée:</strong> ${Math.round(result.restore_result.stats.duration / 1000)}s</p>
+                    ${result.restore_result.selection ? `
+                        <p><strong>🎯 Sélection:</strong> ${result.restore_result.selection.matchedFiles} fichier(s)</p>
+                        ${result.restore_result.selection.skipped.length > 0 ? 
+                            `<p><strong>⏭️ Ignorés (déjà présents):</strong> ${result.restore_result.selection.skipped.length}</p>` : ''}
+                        ${result.restore_result.selection.renamed.length > 0 ? 
+                            `<p><strong>✏️ Restaurés sous un autre nom:</strong> ${result.restore_result.selection.renamed.length}</p>` : ''}
+                        ${result.restore_result.selection.unmapped && result.restore_result.selection.unmapped.length > 0 ? 
+                            `<p class="text-warning"><strong>⚠️ Hors des dossiers sauvegardés (non envoyés):</strong> ${result.restore_result.selection.unmapped.length}</p>` : ''}
+                        ${result.restore_result.selection.unmatched.length > 0 ? 
+                            `<p class="text-warning"><strong>⚠️ Sans correspondance:</strong> ${escapeHtml(result.restore_result.selection.unmatched.join(', '))}</p>` : ''}
+                    ` : ''}
                     ${result.restore_result.verification ? `
                         <p><strong>✅ Vérification:</strong> ${result.restore_result.verification.verifiedFiles}/${result.restore_result.verification.totalFiles} fichiers OK</p>
                         <p><strong>💾 Taille totale:</strong> ${formatBytes(result.restore_result.verification.totalSize)}</p>
@@ -3029,7 +3643,7 @@ function updateNetworkTable(data) {
     if (data.length === 0) {
         tbody.innerHTML = `
             <tr>
-                <td colspan="7" style="text-align: center; padding: 2rem; color: var(--text-secondary);">
+                <td colspan="8" style="text-align: center; padding: 2rem; color: var(--text-secondary);">
                     Aucune donnée de trafic réseau disponible
                 </td>
             </tr>
@@ -3043,6 +3657,9 @@ function updateNetworkTable(data) {
         const duration = stat.duration_seconds ? `${Math.round(stat.duration_seconds / 60)}min` : '-';
         const volume = stat.bytes_transferred ? `${(stat.bytes_transferred / (1024*1024*1024)).toFixed(2)} GB` : '-';
         const files = stat.files_count || '-';
+        const limit = stat.bandwidth_limit_mbps > 0
+            ? `${stat.bandwidth_limit_mbps} Mbps${stat.throttle_profile ? ` (${escapeHtml(stat.throttle_profile)})` : ''}`
+            : '-';
         
         return `
             <tr>
@@ -3057,6 +3674,7 @@ function updateNetworkTable(data) {
                 <td>${duration}</td>
                 <td style="color: var(--primary-color); font-weight: 600;">${volume}</td>
                 <td>${files}</td>
+                <td>${limit}</td>
             </tr>
         `;
     }).join('');
@@ -5157,7 +5775,7 @@ async function downloadBackup(backupId) {
             let errorMessage = 'Erreur lors du téléchargement';
             try {
                 const errorData = await response.json();
-                errorMessage = errorData.message || errorMessage;
+                errorMessage = errorData.error || errorData.message || errorMessage;
             } catch (e) {
                 // Si la réponse n'est pas du JSON, utiliser le status text
                 errorMessage = response.statusText || errorMessage;
@@ -5194,6 +5812,32 @@ async function downloadBackup(backupId) {
     }
 }
 
+// Export d'un backup vers un dossier du serveur (NAS, disque amovible), en volumes si une taille est donnée
+async function exportBackup(backupId) {
+    const destination = prompt('Dossier de destination sur le serveur (chemin absolu):');
+    if (!destination) return;
+    const splitSize = prompt('Taille des volumes en Mo (vide = réglage du client, 0 = un seul fichier):', '');
+    if (splitSize === null) return;
+    
+    try {
+        showNotification('Export en cours...', 'info');
+        const response = await apiRequest(`${API_URL}/backups/${backupId}/export`, {
+            method: 'POST',
+            body: JSON.stringify({ destination, ...(splitSize.trim() !== '' ? { split_size_mb: parseInt(splitSize) } : {}) })
+        });
+        if (!response) return;
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || 'Export impossible');
+        }
+        
+        showNotification(`Backup exporté: ${result.path}${result.volumes ? ` (${result.volumes.length} volumes)` : ''}`, 'success');
+    } catch (error) {
+        console.error('Erreur lors de l\'export:', error);
+        showNotification(`Erreur lors de l'export: ${error.message}`, 'error');
+    }
+}
+
 // ========================================
 // FONCTIONS NOTIFICATIONS EMAIL
 // ========================================